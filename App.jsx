@@ -1,22 +1,61 @@
 import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
-
-// --- Data Simulation ---
-const initialStocks = [
-    { id: 1, ticker: 'GOOGL', name: 'Alphabet Inc.', price: 175.45, change: 1.25, changePercent: 0.72, trend: 'up', marketCap: 2.2 },
-    { id: 2, ticker: 'MSFT', name: 'Microsoft Corp.', price: 410.12, change: -0.88, changePercent: -0.21, trend: 'down', marketCap: 3.0 },
-    { id: 3, ticker: 'AMZN', name: 'Amazon Inc.', price: 180.99, change: 2.15, changePercent: 1.20, trend: 'up', marketCap: 1.9 },
-    { id: 4, ticker: 'TSLA', name: 'Tesla Inc.', price: 195.60, change: -3.50, changePercent: -1.76, trend: 'down', marketCap: 0.6 },
-    { id: 5, ticker: 'NVDA', name: 'NVIDIA Corp.', price: 900.20, change: 15.50, changePercent: 1.75, trend: 'up', marketCap: 2.2 },
-    { id: 6, ticker: 'JPM', name: 'JPMorgan Chase', price: 199.10, change: 0.55, changePercent: 0.28, trend: 'up', marketCap: 0.5 },
-];
-
-const mockTop100 = Array.from({ length: 100 }, (_, i) => ({
-    rank: i + 1,
-    ticker: initialStocks[i % initialStocks.length].ticker,
-    performance: (Math.random() * 5 - 2).toFixed(2), // Random performance between -2 and 3
-    time: '1h',
-    market: i < 50 ? 'Stocks' : 'MF',
-}));
+import { DEFAULT_HISTORY_RANGE, HISTORY_RANGES, BENCHMARKS, DEFAULT_BENCHMARK, RANKING_MARKETS, RANKING_WINDOWS, DEFAULT_RANKING_WINDOW } from './src/lib/marketData.js';
+import { useMarketData, useQuotes, useHistory, useHistories, usePeriodReturns, useFundamentals, useFundamentalsMap, useRankings, useSearch, useLivePrices } from './src/hooks/marketData.jsx';
+import { usePortfolio } from './src/hooks/portfolio.jsx';
+import { TRANSACTION_TYPES, validateTransaction } from './src/lib/ledger.js';
+import { formatCurrency, formatPercent, formatTimeAgo } from './src/lib/format.js';
+import ImportWizard from './src/components/ImportWizard.jsx';
+import ExportMenu from './src/components/ExportMenu.jsx';
+import DonutChart from './src/components/DonutChart.jsx';
+import PriceChart from './src/components/PriceChart.jsx';
+import IndicatorPanel from './src/components/IndicatorPanel.jsx';
+import ComparisonChart from './src/components/ComparisonChart.jsx';
+import DailyUpdateFeed from './src/components/DailyUpdateFeed.jsx';
+import { alignHistories, rebase, compareSeries } from './src/lib/comparison.js';
+import { RANK_MODES, DEFAULT_RANK_MODE, MIN_MOVE_OPTIONS, rankByPerformance, parseWatchlistQuery } from './src/lib/performance.js';
+import { useQueryParams } from './src/hooks/queryParams.jsx';
+import { useLocation, navigate, Link } from './src/hooks/router.jsx';
+import { useLastLocations } from './src/hooks/lastLocations.jsx';
+import { useTheme, THEME_PREFERENCES } from './src/hooks/theme.jsx';
+import { useChatThread } from './src/hooks/chatThreads.jsx';
+import { userScoped } from './src/lib/storage.js';
+import { buildChatContents } from './src/lib/chat.js';
+import { KUBER_SYSTEM_PROMPT } from './src/lib/gemini.js';
+import { LlmError } from './src/lib/llm.js';
+import { useLlm } from './src/hooks/llm.jsx';
+import { TOOL_DECLARATIONS, KUBER_TOOLS_PROMPT, MAX_TOOL_ROUNDS } from './src/lib/chatTools.js';
+import { useChatTools } from './src/hooks/chatTools.jsx';
+import ChatToolCard from './src/components/ChatToolCard.jsx';
+import Markdown from './src/components/Markdown.jsx';
+import { safeUrl } from './src/lib/markdown.js';
+import { useNewsSummaries } from './src/hooks/newsSummaries.jsx';
+import { SENTIMENTS, MAX_DIGEST_TICKERS } from './src/lib/newsSummaries.js';
+import { useWatchlists } from './src/hooks/watchlists.jsx';
+import { WATCHLIST_SORTS, WATCHLIST_COLUMNS, DEFAULT_WATCHLIST_COLUMNS, sortWatchlist } from './src/lib/watchlists.js';
+import WatchlistTabs from './src/components/WatchlistTabs.jsx';
+import WatchlistMenu from './src/components/WatchlistMenu.jsx';
+import { useAlerts } from './src/hooks/alerts.jsx';
+import { ALERT_CONDITIONS, ALERT_MODES, DEFAULT_COOLDOWN_MINUTES, validateAlert, describeAlert } from './src/lib/alerts.js';
+import { useToast } from './src/hooks/toast.jsx';
+import { PROTECTED_VIEWS, PARENT_VIEWS, parseRoute, buildPath, signInPath, safeNextPath } from './src/lib/routes.js';
+import { useAuth } from './src/hooks/auth.jsx';
+import { useEntitlements } from './src/hooks/entitlements.jsx';
+import { PLANS } from './src/lib/entitlements.js';
+import { AI_DATA_SHARING, aiDataSharingOf, isToolShared, withheldTools, withheldDataPrompt, buildPersonalDataExport } from './src/lib/privacy.js';
+import UsageMeter from './src/components/UsageMeter.jsx';
+import UpgradePrompt from './src/components/UpgradePrompt.jsx';
+import {
+    PASSWORD_MIN_LENGTH, BASE_CURRENCIES, AVATAR_TYPES, DELETE_CONFIRMATION,
+    validateSignUp, validateSignIn, validateProfile, validateTotpCode, validateAccountDeletion,
+    listTimeZones, safeAvatarUrl, initials, describeDevice,
+} from './src/lib/auth.js';
+import { downloadFile, datedFileName } from './src/lib/dataExport.js';
+import QrCode from './src/components/QrCode.jsx';
+import { FEED_FILTERS, DEFAULT_FEED_FILTER } from './src/lib/dailyFeed.js';
+import { useIndicatorSettings } from './src/hooks/indicators.jsx';
+import { computeIndicators } from './src/lib/indicators.js';
+import { computeAllocation } from './src/lib/allocation.js';
+import { SIP_MAX_DAY, validateSip, sipSchedule, summarizeSip, toIsoDate } from './src/lib/sip.js';
 
 // --- Utility Components and Functions ---
 
@@ -57,85 +96,79 @@ const ThemeToggle = ({ isDark, toggleDark }) => (
     </button>
 );
 
-/* Chat Bot*/
-const callGeminiApi = async (prompt, onResponse, onError, systemPrompt, useGrounding = true) => {
-    const defaultSystemPrompt = "You are a friendly, concise, and helpful financial assistant named 'Kuber'. Provide short, actionable advice or information based on financial markets, avoiding overly complex jargon. Always answer concisely.";
-    const apiKey = ""; /*Api*/
-    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent?key=${apiKey}`;
-
-    const payload = {
-        contents: [{ parts: [{ text: prompt }] }],
-        tools: useGrounding ? [{ "google_search": {} }] : undefined,
-        systemInstruction: {
-            parts: [{ text: systemPrompt || defaultSystemPrompt }]
-        },
-    };
-
-    const maxRetries = 5;
-    let attempt = 0;
-
-    while (attempt < maxRetries) {
-        try {
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
-
-            if (!response.ok) {
-                if (response.status === 429 && attempt < maxRetries - 1) {
-                    const delay = Math.pow(2, attempt) * 1000;
-                    await new Promise(resolve => setTimeout(resolve, delay));
-                    attempt++;
-                    continue;
-                }
-                throw new Error(`API call failed with status: ${response.status}`);
-            }
-
-            const result = await response.json();
-            const candidate = result.candidates?.[0];
-
-            if (candidate && candidate.content?.parts?.[0]?.text) {
-                const text = candidate.content.parts[0].text;
-                let sources = [];
-                const groundingMetadata = candidate.groundingMetadata;
-
-                if (groundingMetadata && groundingMetadata.groundingAttributions) {
-                    sources = groundingMetadata.groundingAttributions
-                        .map(attribution => ({
-                            uri: attribution.web?.uri,
-                            title: attribution.web?.title,
-                        }))
-                        .filter(source => source.uri && source.title);
-                }
-                onResponse({ text, sources });
-                return;
-            } else {
-                throw new Error("Invalid response structure from Gemini API.");
-            }
+/** Inline notice for loading, failed or stale market data; renders nothing when data is current */
+const DataStatus = ({ status, label = 'market data', className = '' }) => {
+    if (!status) return null;
+    const { data, error, isLoading, isStale, refresh } = status;
+    const hasData = Array.isArray(data) ? data.length > 0 : data != null;
+
+    if (isLoading && !hasData) {
+        return (
+            <div className={`flex items-center text-sm text-gray-500 dark:text-gray-400 ${className}`}>
+                <span className="animate-pulse w-2 h-2 mr-2 bg-indigo-500 rounded-full"></span>
+                Loading {label}...
+            </div>
+        );
+    }
+    if (error && !hasData) {
+        return (
+            <div className={`flex items-center justify-between p-3 text-sm rounded-lg border bg-red-50 dark:bg-red-900/50 border-red-300 text-red-700 dark:text-red-300 ${className}`}>
+                <span>Could not load {label}.</span>
+                <button onClick={refresh} className="font-semibold hover:underline">Retry</button>
+            </div>
+        );
+    }
+    if (isStale) {
+        return (
+            <div className={`flex items-center justify-between p-2 text-xs rounded-lg border bg-amber-50 dark:bg-amber-900/40 border-amber-300 text-amber-700 dark:text-amber-300 ${className}`}>
+                <span>Showing last known {label}{status.updatedAt ? ` from ${new Date(status.updatedAt).toLocaleTimeString()}` : ''}.</span>
+                <button onClick={refresh} className="font-semibold hover:underline">Refresh</button>
+            </div>
+        );
+    }
+    return null;
+};
 
-        } catch (error) {
-            if (attempt === maxRetries - 1) {
-                onError(`Error: Could not get a response after ${maxRetries} attempts.`);
-                return;
-            }
-            const delay = Math.pow(2, attempt) * 1000;
-            await new Promise(resolve => setTimeout(resolve, delay));
-            attempt++;
-        }
+/* Chat Bot*/
+// Single-prompt request through the app's LLM provider; `onError` receives a message to show.
+// `feature` is the AI_FEATURES key the request counts against.
+const callGeminiApi = async (llm, prompt, onResponse, onError, systemPrompt, useGrounding = true, feature = 'chat') => {
+    try {
+        const { text, sources } = await llm.generate({
+            contents: [{ role: 'user', parts: [{ text: prompt }] }],
+            systemPrompt: systemPrompt || KUBER_SYSTEM_PROMPT,
+            useGrounding,
+            feature,
+        });
+        onResponse({ text, sources });
+    } catch (error) {
+        onError(error.message);
     }
 };
 
-// --- Gemini Chatbot Component (Dashboard) ---
+// --- Gemini Chatbot Component ---
+
+const CHAT_GREETING = { id: 'greeting', role: 'model', greeting: true, text: 'Hello! I am Wisbee, your financial assistant. How can I help you with your dashboard or market questions today?' };
+
+const newMessageId = () => (globalThis.crypto?.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`);
 
-const GeminiChatbot = () => {
+/** Kuber's chat window. Each user has their own thread; App remounts it when the user changes. */
+const GeminiChatbot = ({ userId }) => {
     const [isOpen, setIsOpen] = useState(false);
     const [input, setInput] = useState('');
-    const [isLoading, setIsLoading] = useState(false);
-    const [history, setHistory] = useState([
-        { role: 'model', text: 'Hello! I am Wisbee, your financial assistant. How can I help you with your dashboard or market questions today?' }
-    ]);
+    const [history, setHistory, isThreadLoaded] = useChatThread(userScoped('default', userId), [CHAT_GREETING]);
+    const [streamingId, setStreamingId] = useState(null);
+    const toolsRunning = history.some(msg => msg.toolCalls?.some(call => call.status === 'running'));
+    const isLoading = streamingId !== null || toolsRunning;
+    const abortRef = useRef(null);
+    const continuedRef = useRef(new Set());
     const chatEndRef = useRef(null);
+    const { notify } = useToast();
+    const { isSignedIn, user } = useAuth();
+    const sharing = aiDataSharingOf(user);
+    const location = useLocation();
+    const { runTool, needsConfirmation } = useChatTools();
+    const llm = useLlm();
 
     const scrollToBottom = () => {
         chatEndRef.current?.scrollIntoView({ behavior: "smooth" });
@@ -143,27 +176,114 @@ const GeminiChatbot = () => {
 
     useEffect(scrollToBottom, [history]);
 
+    // A reply still streaming when the chat goes away is stopped.
+    useEffect(() => () => abortRef.current?.abort(), []);
+
+    const patchCall = (messageId, callId, changes) => setHistory(prev => prev.map(msg => (msg.id === messageId
+        ? { ...msg, toolCalls: msg.toolCalls.map(call => (call.id === callId ? { ...call, ...changes } : call)) }
+        : msg)));
+
+    const executeCall = (messageId, call) => {
+        patchCall(messageId, call.id, { status: 'running' });
+        runTool(call.name, call.args).then(
+            (result) => patchCall(messageId, call.id, { status: 'done', result }),
+            (error) => patchCall(messageId, call.id, { status: 'error', error: error.message }),
+        );
+    };
+
+    // Streams a reply to `conversation` (which ends in the user's message, or in
+    // tool results) into a new model message. Read-only tool calls in the reply
+    // run straight away; the rest wait for the user's approval. After
+    // MAX_TOOL_ROUNDS rounds Kuber is offered no more tools and must answer.
+    const streamReply = async (conversation, round = 0) => {
+        const reply = { id: newMessageId(), role: 'model', text: '', toolRound: round };
+        const patch = (changes) => setHistory(prev => prev.map(msg => (msg.id === reply.id ? { ...msg, ...changes } : msg)));
+        const controller = new AbortController();
+        abortRef.current = controller;
+        setHistory([...conversation, reply]);
+        setStreamingId(reply.id);
+
+        try {
+            // With no tools left to offer, the chatbot falls back to Google Search grounding.
+            // Tools reading data the user hasn't shared are never offered.
+            const { text, sources, functionCalls } = await llm.generate({
+                contents: buildChatContents(conversation, { withheldTools: withheldTools(sharing) }),
+                systemPrompt: [KUBER_SYSTEM_PROMPT, KUBER_TOOLS_PROMPT, withheldDataPrompt(sharing)].filter(Boolean).join(' '),
+                functionDeclarations: round < MAX_TOOL_ROUNDS ? TOOL_DECLARATIONS.filter(tool => isToolShared(tool.name, sharing)) : undefined,
+                feature: 'chat',
+                signal: controller.signal,
+                onText: (text) => patch({ text }),
+            });
+            const toolCalls = functionCalls.map(call => ({ ...call, id: newMessageId(), status: 'pending' }));
+            patch({ text, sources, ...(toolCalls.length > 0 ? { toolCalls } : {}) });
+            toolCalls.filter(call => !needsConfirmation(call.name)).forEach(call => executeCall(reply.id, call));
+        } catch (error) {
+            if (error.name === 'AbortError') patch({ stopped: true });
+            // The proxy's own limits won't clear on a retry, so say which one was hit.
+            else patch({ text: error instanceof LlmError && error.code ? `Error: ${error.message}` : 'Error: Could not get a response. Please try again.', error: true });
+        } finally {
+            abortRef.current = null;
+            setStreamingId(null);
+        }
+    };
+
+    // A saved thread doesn't resume on its own: calls that were running when the
+    // page closed never finished, and only answering a waiting approval continues it.
+    useEffect(() => {
+        if (!isThreadLoaded) return;
+        history.filter(msg => msg.toolCalls && !msg.toolCalls.some(call => call.status === 'pending')).forEach(msg => continuedRef.current.add(msg.id));
+        setHistory(prev => prev.map(msg => (msg.toolCalls?.some(call => call.status === 'running')
+            ? { ...msg, toolCalls: msg.toolCalls.map(call => (call.status === 'running' ? { ...call, status: 'error', error: 'Interrupted before it finished.' } : call)) }
+            : msg)));
+    }, [isThreadLoaded]);
+
+    // Once every tool call in the latest reply has an outcome, Kuber continues with the results.
+    useEffect(() => {
+        const last = history[history.length - 1];
+        if (streamingId || !last?.toolCalls || continuedRef.current.has(last.id)) return;
+        if (!last.toolCalls.every(call => ['done', 'declined', 'error'].includes(call.status))) return;
+        continuedRef.current.add(last.id);
+        streamReply(history, (last.toolRound ?? 0) + 1);
+    }, [history, streamingId]);
+
     const handleSend = async (e) => {
         e.preventDefault();
         if (!input.trim() || isLoading) return;
 
-        const userMessage = input.trim();
+        const userMessage = { id: newMessageId(), role: 'user', text: input.trim() };
         setInput('');
-        setHistory(prev => [...prev, { role: 'user', text: userMessage }]);
-        setIsLoading(true);
+        // Moving on without answering an approval prompt declines it.
+        const answered = history.map(msg => (msg.toolCalls?.some(call => call.status === 'pending')
+            ? { ...msg, toolCalls: msg.toolCalls.map(call => (call.status === 'pending' ? { ...call, status: 'declined' } : call)) }
+            : msg));
+        history.filter(msg => msg.toolCalls).forEach(msg => continuedRef.current.add(msg.id));
+        await streamReply([...answered, userMessage]);
+    };
 
-        const onResponse = (data) => {
-            setHistory(prev => [...prev, { role: 'model', text: data.text, sources: data.sources }]);
-            setIsLoading(false);
-        };
+    // Replaces a reply, and anything said after it, with a fresh answer to the
+    // message before it: the user's question, or the tool results it followed.
+    const regenerate = (index) => {
+        const previous = history[index - 1];
+        if (isLoading || !previous) return;
+        if (previous.role === 'user') streamReply(history.slice(0, index));
+        else if (previous.toolCalls) streamReply(history.slice(0, index), (previous.toolRound ?? 0) + 1);
+    };
 
-        const onError = (errorMessage) => {
-            setHistory(prev => [...prev, { role: 'model', text: errorMessage }]);
-            setIsLoading(false);
-        };
+    const copyReply = (text) => {
+        if (!navigator.clipboard) {
+            notify('Copying is not available in this browser.', { tone: 'error' });
+            return;
+        }
+        navigator.clipboard.writeText(text).then(
+            () => notify('Reply copied to clipboard.', { tone: 'success' }),
+            () => notify('Could not copy the reply.', { tone: 'error' }),
+        );
+    };
 
-        // Chatbot uses Google Search grounding by default
-        await callGeminiApi(userMessage, onResponse, onError);
+    const clearChat = () => {
+        abortRef.current?.abort();
+        history.filter(msg => msg.toolCalls).forEach(msg => continuedRef.current.add(msg.id));
+        setHistory([CHAT_GREETING]);
     };
 
     // Icon Paths
@@ -187,47 +307,76 @@ const GeminiChatbot = () => {
                     {/* Header */}
                     <div className="p-4 border-b border-gray-200 dark:border-gray-700 bg-indigo-600 rounded-t-xl flex items-center">
                         <Icon className="w-5 h-5 mr-2 text-white fill-current" path={robotIconPath} />
-                        <h3 className="text-lg font-bold text-white" style={{ fontFamily: 'var(--font-heading)' }}>Chat with Kuber</h3>
+                        <h3 className="text-lg font-bold text-white flex-grow" style={{ fontFamily: 'var(--font-heading)' }}>Chat with Kuber</h3>
+                        <button onClick={clearChat} className="text-xs font-semibold text-white/80 hover:text-white" title="Start a new conversation">New chat</button>
                     </div>
 
                     {/* Chat History */}
                     <div className="flex-grow overflow-y-auto p-4 space-y-4">
                         {history.map((msg, index) => (
-                            <div key={index} className={`flex ${msg.role === 'user' ? 'justify-end' : 'justify-start'}`}>
-                                <div className={`max-w-[80%] p-3 rounded-2xl shadow-md ${msg.role === 'user'
+                            <div key={msg.id || index} className={`flex flex-col ${msg.role === 'user' ? 'items-end' : 'items-start'}`}>
+                                {!(msg.toolCalls && !msg.text && !msg.stopped) && <div className={`max-w-[80%] p-3 rounded-2xl shadow-md ${msg.role === 'user'
                                     ? 'bg-indigo-500 text-white rounded-br-none'
-                                    : 'bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-tl-none'
+                                    : msg.error
+                                        ? 'bg-red-50 dark:bg-red-900/50 text-red-700 dark:text-red-300 rounded-tl-none'
+                                        : 'bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-tl-none'
                                     }`}>
-                                    <p>{msg.text}</p>
-                                    {msg.sources && msg.sources.length > 0 && (
-                                        <div className="mt-2 pt-2 border-t border-gray-300 dark:border-gray-600 text-xs opacity-70">
-                                            <p className="font-semibold mb-1">Sources:</p>
-                                            {msg.sources.slice(0, 3).map((source, i) => (
-                                                <a key={i} href={source.uri} target="_blank" rel="noopener noreferrer" className="block truncate hover:underline text-xs">
-                                                    - {source.title}
-                                                </a>
-                                            ))}
+                                    {msg.id === streamingId && !msg.text ? (
+                                        <div className="flex items-center space-x-1" aria-label="Kuber is typing">
+                                            <span className="animate-pulse w-2 h-2 bg-indigo-500 rounded-full"></span>
+                                            <span className="animate-pulse w-2 h-2 bg-indigo-500 rounded-full delay-100"></span>
+                                            <span className="animate-pulse w-2 h-2 bg-indigo-500 rounded-full delay-200"></span>
                                         </div>
+                                    ) : (
+                                        msg.role === 'user' ? (
+                                            <p className="whitespace-pre-wrap">{msg.text}</p>
+                                        ) : (
+                                            <Markdown text={msg.text}>
+                                                {msg.id === streamingId && <span className="inline-block w-1.5 h-4 ml-0.5 align-middle bg-indigo-500 animate-pulse"></span>}
+                                            </Markdown>
+                                        )
                                     )}
-                                </div>
-                            </div>
-                        ))}
-                        {isLoading && (
-                            <div className="flex justify-start">
-                                <div className="max-w-[80%] p-3 rounded-2xl rounded-tl-none bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-200">
-                                    <div className="flex items-center space-x-1">
-                                        <span className="animate-pulse w-2 h-2 bg-indigo-500 rounded-full"></span>
-                                        <span className="animate-pulse w-2 h-2 bg-indigo-500 rounded-full delay-100"></span>
-                                        <span className="animate-pulse w-2 h-2 bg-indigo-500 rounded-full delay-200"></span>
+                                    {msg.stopped && <p className="mt-1 text-xs italic opacity-70">{msg.text ? 'Stopped.' : 'Stopped before Kuber replied.'}</p>}
+                                    <SourceList sources={msg.sources} />
+                                </div>}
+                                {/* Tool calls */}
+                                {msg.toolCalls?.map(call => (
+                                    <ChatToolCard
+                                        key={call.id}
+                                        call={call}
+                                        disabled={isLoading}
+                                        onApprove={() => executeCall(msg.id, call)}
+                                        onDecline={() => patchCall(msg.id, call.id, { status: 'declined' })}
+                                    />
+                                ))}
+                                {/* Reply actions */}
+                                {msg.role === 'model' && !msg.greeting && msg.id !== streamingId && (
+                                    <div className="mt-1 flex space-x-3 text-xs text-gray-500 dark:text-gray-400">
+                                        {msg.text && !msg.error && <button onClick={() => copyReply(msg.text)} className="hover:text-indigo-600 dark:hover:text-indigo-400">Copy</button>}
+                                        <button
+                                            onClick={() => regenerate(index)}
+                                            disabled={isLoading}
+                                            className="hover:text-indigo-600 dark:hover:text-indigo-400 disabled:opacity-50"
+                                            title={index < history.length - 1 ? 'Regenerate this reply (later messages are removed)' : 'Regenerate this reply'}
+                                        >
+                                            Regenerate
+                                        </button>
                                     </div>
-                                </div>
+                                )}
                             </div>
-                        )}
+                        ))}
                         <div ref={chatEndRef} />
                     </div>
 
                     {/* Input Area */}
                     <form onSubmit={handleSend} className="p-4 border-t border-gray-200 dark:border-gray-700">
+                        {isSignedIn ? (
+                            <UpgradePrompt compact className="mb-3" />
+                        ) : (
+                            <p className="mb-3 text-sm text-gray-600 dark:text-gray-300">
+                                <Link to={signInPath(`${location.pathname}${location.search}`)} className="font-semibold text-indigo-600 dark:text-indigo-400 hover:underline">Sign in</Link> to chat with Kuber.
+                            </p>
+                        )}
                         <div className="flex">
                             <input
                                 type="text"
@@ -235,19 +384,32 @@ const GeminiChatbot = () => {
                                 onChange={(e) => setInput(e.target.value)}
                                 placeholder="Ask a financial question..."
                                 className="flex-grow p-3 border border-gray-300 dark:border-gray-600 rounded-l-xl focus:ring-indigo-500 focus:border-indigo-500 dark:bg-gray-700 dark:text-white transition duration-200"
-                                disabled={isLoading}
+                                disabled={isLoading || !isSignedIn}
                             />
-                            <button
-                                type="submit"
-                                className={`px-4 rounded-r-xl font-bold transition duration-300 flex items-center justify-center ${isLoading || !input.trim()
-                                    ? 'bg-gray-400 dark:bg-gray-600 text-gray-500 cursor-not-allowed'
-                                    : 'bg-indigo-600 text-white hover:bg-indigo-700'
-                                    }`}
-                                disabled={isLoading || !input.trim()}
-                            >
-                                <Icon className="w-5 h-5" path={<path d="M5 12l14-5M5 12l14 5M5 12h14" />} />
-                            </button>
+                            {isLoading ? (
+                                <button
+                                    type="button"
+                                    onClick={() => abortRef.current?.abort()}
+                                    className="px-4 rounded-r-xl font-bold bg-red-600 text-white hover:bg-red-700 transition duration-300 flex items-center justify-center"
+                                    title="Stop generating"
+                                    aria-label="Stop generating"
+                                >
+                                    <Icon className="w-5 h-5" path={<path d="M6 6h12v12H6z" />} />
+                                </button>
+                            ) : (
+                                <button
+                                    type="submit"
+                                    className={`px-4 rounded-r-xl font-bold transition duration-300 flex items-center justify-center ${!input.trim()
+                                        ? 'bg-gray-400 dark:bg-gray-600 text-gray-500 cursor-not-allowed'
+                                        : 'bg-indigo-600 text-white hover:bg-indigo-700'
+                                        }`}
+                                    disabled={!input.trim()}
+                                >
+                                    <Icon className="w-5 h-5" path={<path d="M5 12l14-5M5 12l14 5M5 12h14" />} />
+                                </button>
+                            )}
                         </div>
+                        <UsageMeter compact className="mt-2 text-right" />
                     </form>
                 </div>
             )}
@@ -255,69 +417,137 @@ const GeminiChatbot = () => {
     );
 };
 
-// --- Per-Stock News Summary Component ---
-
-const StockItem = ({ stock }) => {
-    const [newsState, setNewsState] = useState({ text: null, isLoading: false, isError: false });
+// --- AI News Summaries ---
 
-    const fetchNews = useCallback(async () => {
-        if (newsState.isLoading) return;
+const SENTIMENT_STYLES = {
+    bullish: 'bg-green-100 text-green-700 dark:bg-green-900/40 dark:text-green-300',
+    bearish: 'bg-red-100 text-red-700 dark:bg-red-900/40 dark:text-red-300',
+    neutral: 'bg-gray-200 text-gray-700 dark:bg-gray-600 dark:text-gray-200',
+    mixed: 'bg-amber-100 text-amber-800 dark:bg-amber-900/40 dark:text-amber-300',
+};
 
-        // Reset state and show loader
-        setNewsState({ text: null, isLoading: true, isError: false });
+const SentimentTag = ({ sentiment }) => (SENTIMENTS[sentiment] ? (
+    <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${SENTIMENT_STYLES[sentiment]}`}>{SENTIMENTS[sentiment].label}</span>
+) : null);
 
-        const prompt = `Provide a single, very concise, one-sentence summary of the latest market news and current sentiment for ${stock.ticker} (${stock.name}).`;
+/** "Refreshed N min ago", kept current while it is on screen. */
+const RefreshedLabel = ({ time }) => {
+    const [now, setNow] = useState(Date.now);
+    useEffect(() => {
+        const id = setInterval(() => setNow(Date.now()), 30000);
+        return () => clearInterval(id);
+    }, []);
+    return <span title={new Date(time).toLocaleString()}>Refreshed {formatTimeAgo(time, now)}</span>;
+};
 
-        const onResponse = (data) => {
-            setNewsState({ text: data.text, isLoading: false, isError: false });
-        };
+/** Grounding sources under an AI reply; only http(s) links are kept. */
+const SourceList = ({ sources, limit = 3 }) => {
+    const links = (sources || []).map(source => ({ ...source, uri: safeUrl(source.uri) })).filter(source => source.uri);
+    if (links.length === 0) return null;
+    return (
+        <div className="mt-2 pt-2 border-t border-gray-300 dark:border-gray-600 text-xs opacity-70">
+            <p className="font-semibold mb-1">Sources:</p>
+            {links.slice(0, limit).map((source, i) => (
+                <a key={i} href={source.uri} target="_blank" rel="noopener noreferrer" className="block truncate hover:underline text-xs">
+                    - {source.title}
+                </a>
+            ))}
+        </div>
+    );
+};
 
-        const onError = (errorMessage) => {
-            setNewsState({ text: 'Could not fetch news summary.', isLoading: false, isError: true });
-        };
+// --- Per-Stock News Summary Component ---
 
-        // Use the global utility function for grounded news
-        await callGeminiApi(prompt, onResponse, onError);
-    }, [stock.ticker, stock.name, newsState.isLoading]);
+const StockItem = ({ stock, period, periodReturn, columns = DEFAULT_WATCHLIST_COLUMNS }) => {
+    const [showNews, setShowNews] = useState(false);
+    const [showAlertForm, setShowAlertForm] = useState(false);
+    const { summaries, pending, errors, summarize } = useNewsSummaries();
+    const news = summaries[stock.ticker];
+    const isNewsLoading = !!pending[stock.ticker];
+    const newsError = errors[stock.ticker];
+
+    // Cached summaries are shown straight away; a fresh one is only requested once the cache has expired.
+    const fetchNews = (force = false) => {
+        setShowNews(true);
+        summarize(stock, { force });
+    };
 
     const sparkleIconPath = <path d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.21 1.18-6.88-5-4.87 6.91-1.01L12 2z" />;
 
     return (
         <div className="bg-white dark:bg-gray-800 p-4 rounded-xl shadow-md transition duration-200 hover:shadow-lg border border-gray-100 dark:border-gray-700">
             <div className="flex justify-between items-start">
-                {/* Left Side: Ticker and Name */}
+                {/* Left Side: Ticker, Name and Watchlists */}
                 <div>
                     <p className="text-lg font-semibold text-indigo-600 dark:text-indigo-400">{stock.ticker}</p>
                     <p className="text-sm text-gray-500 dark:text-gray-400">{stock.name}</p>
+                    <div className="mt-2 flex items-center gap-2">
+                        <WatchlistMenu ticker={stock.ticker} />
+                        <button
+                            onClick={() => setShowAlertForm(true)}
+                            className="px-2 py-1 text-xs font-semibold rounded-full border border-gray-300 dark:border-gray-600 text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition"
+                            title={`Create an alert for ${stock.ticker}`}
+                        >
+                            🔔 Alert
+                        </button>
+                    </div>
+                    {showAlertForm && <AlertForm ticker={stock.ticker} price={stock.price} onClose={() => setShowAlertForm(false)} />}
                 </div>
 
                 {/* Right Side: Price, Trend, and News Button */}
                 <div className="flex flex-col items-end">
-                    <p className="text-xl font-bold text-gray-900 dark:text-white">${stock.price.toFixed(2)}</p>
-                    <TrendIndicator changePercent={stock.changePercent} />
+                    <p key={stock.flashKey} className={`text-xl font-bold text-gray-900 dark:text-white px-1 ${stock.flash ? `price-flash-${stock.flash}` : ''}`}>${stock.price.toFixed(2)}</p>
+                    {columns.includes('changePercent') && <TrendIndicator changePercent={stock.changePercent} />}
+                    {columns.includes('change') && (
+                        <p className={`text-xs font-semibold ${stock.change >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                            {stock.change >= 0 ? '+' : '-'}${Math.abs(stock.change).toFixed(2)}
+                        </p>
+                    )}
+                    {columns.includes('marketCap') && (
+                        <p className="text-xs text-gray-500 dark:text-gray-400">Mkt cap {stock.marketCap != null ? `$${stock.marketCap}T` : '—'}</p>
+                    )}
+                    {period && period !== '1D' && periodReturn != null && (
+                        <p className={`text-xs font-semibold mt-1 ${periodReturn >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                            {period}: {formatPercent(periodReturn)}
+                        </p>
+                    )}
 
                     <button
-                        onClick={fetchNews}
-                        disabled={newsState.isLoading}
-                        className={`mt-2 flex items-center text-xs font-medium px-2 py-1 rounded-full transition duration-300 shadow-sm ${newsState.isLoading
+                        onClick={() => fetchNews()}
+                        disabled={isNewsLoading}
+                        className={`mt-2 flex items-center text-xs font-medium px-2 py-1 rounded-full transition duration-300 shadow-sm ${isNewsLoading
                             ? 'bg-gray-300 dark:bg-gray-600 text-gray-500 cursor-not-allowed'
                             : 'bg-indigo-100 text-indigo-700 hover:bg-indigo-200 dark:bg-indigo-900 dark:text-indigo-300 dark:hover:bg-indigo-800'
                             }`}
                         title="Get Latest News Summary powered by Gemini"
                     >
                         <Icon className="w-3 h-3 mr-1 fill-current" path={sparkleIconPath} />
-                        {newsState.isLoading ? 'Loading...' : 'News Summary'}
+                        {isNewsLoading ? 'Loading...' : 'News Summary'}
                     </button>
                 </div>
             </div>
 
             {/* News Summary Display */}
-            {(newsState.text || newsState.isError) && (
-                <div className={`mt-3 p-3 text-sm rounded-lg border ${newsState.isError
-                    ? 'bg-red-50 dark:bg-red-900/50 border-red-300 text-red-700 dark:text-red-300'
-                    : 'bg-indigo-50 dark:bg-gray-700 border-indigo-200 dark:border-gray-600 text-gray-700 dark:text-gray-300'}`}>
-                    <p className="font-semibold text-gray-800 dark:text-white mb-1">Wisbee's Insight:</p>
-                    <p>{newsState.text}</p>
+            {showNews && newsError && !isNewsLoading && (
+                <div className="mt-3 p-3 text-sm rounded-lg border bg-red-50 dark:bg-red-900/50 border-red-300 text-red-700 dark:text-red-300">
+                    Could not fetch news summary.
+                    <UpgradePrompt compact className="mt-2" />
+                </div>
+            )}
+            {showNews && news && (
+                <div className="mt-3 p-3 text-sm rounded-lg border bg-indigo-50 dark:bg-gray-700 border-indigo-200 dark:border-gray-600 text-gray-700 dark:text-gray-300">
+                    <div className="flex items-center justify-between gap-2 mb-1">
+                        <p className="font-semibold text-gray-800 dark:text-white flex items-center gap-2">Wisbee's Insight: <SentimentTag sentiment={news.sentiment} /></p>
+                        <button onClick={() => setShowNews(false)} className="text-xs text-gray-500 dark:text-gray-400 hover:underline">Hide</button>
+                    </div>
+                    <Markdown text={news.text} />
+                    <div className="mt-2 flex items-center gap-2 text-xs text-gray-500 dark:text-gray-400">
+                        <RefreshedLabel time={news.fetchedAt} />
+                        <button onClick={() => fetchNews(true)} disabled={isNewsLoading} className="font-semibold text-indigo-600 dark:text-indigo-400 hover:underline disabled:opacity-50">
+                            {isNewsLoading ? 'Refreshing...' : 'Refresh'}
+                        </button>
+                    </div>
+                    <SourceList sources={news.sources} />
                 </div>
             )}
         </div>
@@ -327,12 +557,20 @@ const StockItem = ({ stock }) => {
 // --- Core Components (Rest of the application) ---
 
 /** Continuously scrolling stock performance ticker */
-const StockTicker = ({ stocks }) => {
+const StockTicker = ({ stocks, status, streamStatus }) => {
     // Duplicate the stocks to create a seamless loop
     const tickerContent = [...stocks, ...stocks];
 
+    if (stocks.length === 0) {
+        return (
+            <div className="py-2 px-6 bg-indigo-600 dark:bg-indigo-800 shadow-xl text-sm text-white/80">
+                {status?.error ? 'Market data unavailable.' : status?.isLoading === false ? 'Add instruments to a watchlist to see them here.' : 'Loading market data...'}
+            </div>
+        );
+    }
+
     return (
-        <div className="overflow-hidden whitespace-nowrap py-2 bg-indigo-600 dark:bg-indigo-800 shadow-xl">
+        <div className="relative overflow-hidden whitespace-nowrap py-2 bg-indigo-600 dark:bg-indigo-800 shadow-xl">
             <style jsx="true">
                 {`
                     @keyframes scroll {
@@ -346,11 +584,20 @@ const StockTicker = ({ stocks }) => {
                     }
                 `}
             </style>
+            {streamStatus === 'open' ? (
+                <span className="absolute right-2 mt-0.5 z-10 flex items-center px-2 text-xs rounded-full bg-indigo-900/80 text-white">
+                    <span className="w-2 h-2 mr-1 rounded-full bg-green-400 animate-pulse"></span>Live
+                </span>
+            ) : streamStatus === 'reconnecting' ? (
+                <span className="absolute right-2 mt-0.5 z-10 px-2 text-xs rounded-full bg-amber-400 text-amber-900">Reconnecting...</span>
+            ) : status?.isStale && (
+                <span className="absolute right-2 mt-0.5 z-10 px-2 text-xs rounded-full bg-amber-400 text-amber-900">Delayed</span>
+            )}
             <div className="ticker-animation flex">
                 {tickerContent.map((stock, index) => (
                     <div key={index} className="inline-flex items-center mx-6 text-white text-sm font-medium">
                         <span className="mr-2 opacity-75">{stock.ticker}</span>
-                        <span className="mr-4">${stock.price.toFixed(2)}</span>
+                        <span key={stock.flashKey} className={`mr-4 px-1 ${stock.flash ? `price-flash-${stock.flash}` : ''}`}>${stock.price.toFixed(2)}</span>
                         <span className={`flex items-center text-xs ${stock.trend === 'up' ? 'text-green-200' : 'text-red-200'}`}>
                             {stock.trend === 'up' ? '▲' : '▼'} {stock.changePercent.toFixed(2)}%
                         </span>
@@ -372,7 +619,7 @@ const MobileHeader = ({ isDark, toggleDark }) => (
 );
 
 /** Main Navigation Bar (Desktop Header) */
-const HeaderNav = ({ activeView, setActiveView, isDark, toggleDark }) => {
+const HeaderNav = ({ activeView, locations, isDark, toggleDark }) => {
 
     const navItems = [
         { name: 'Home', view: 'Dashboard' },
@@ -387,16 +634,17 @@ const HeaderNav = ({ activeView, setActiveView, isDark, toggleDark }) => {
                 <h1 className="text-4xl font-extrabold text-indigo-600" style={{ fontFamily: 'var(--font-heading)' }}>FundAtTips</h1>
                 <nav className="flex space-x-4">
                     {navItems.map(item => (
-                        <button
+                        <Link
                             key={item.name}
-                            onClick={() => setActiveView(item.view)}
+                            to={locations[item.view] || buildPath(item.view)}
+                            aria-current={activeView === item.view ? 'page' : undefined}
                             className={`font-semibold py-2 px-4 rounded-xl transition duration-300 focus:outline-none focus:ring-4 focus:ring-indigo-500/30 ${activeView === item.view
                                 ? 'bg-indigo-600 text-white shadow-lg'
                                 : 'text-gray-600 dark:text-gray-300 hover:bg-indigo-50 dark:hover:bg-gray-800 hover:text-indigo-600 dark:hover:text-indigo-400'
                                 }`}
                         >
                             {item.name}
-                        </button>
+                        </Link>
                     ))}
                 </nav>
                 <div className="flex items-center space-x-4">
@@ -408,7 +656,7 @@ const HeaderNav = ({ activeView, setActiveView, isDark, toggleDark }) => {
 };
 
 /** Mobile Navigation (Footer) */
-const FooterNav = ({ activeView, setActiveView }) => {
+const FooterNav = ({ activeView, locations }) => {
     const navItems = [
         { name: 'Home', icon: <path d="M3 3v18h18M18 17l-5-5-4 4-2-2M13 5h6v6" />, view: 'Dashboard' },
         { name: 'Performance', icon: <path d="M2 13h4M18 13h4M7 3v18M17 3v18M10 8h4V5h-4zM10 19h4v-3h-4zM10 15h4v-2h-4z" />, view: 'Performance' },
@@ -420,141 +668,913 @@ const FooterNav = ({ activeView, setActiveView }) => {
         <footer className="md:hidden fixed bottom-0 left-0 w-full bg-white dark:bg-gray-900 border-t border-gray-200 dark:border-gray-700 z-20 shadow-2xl">
             <div className="flex justify-around items-center h-16">
                 {navItems.map(item => (
-                    <button
+                    <Link
                         key={item.name}
-                        onClick={() => setActiveView(item.view)}
+                        to={locations[item.view] || buildPath(item.view)}
+                        aria-current={activeView === item.view ? 'page' : undefined}
                         className={`flex flex-col items-center p-2 transition duration-300 ${activeView === item.view ? 'text-indigo-600 dark:text-indigo-400' : 'text-gray-500 hover:text-indigo-600 dark:hover:text-indigo-400'}`}
                     >
                         <Icon className="w-5 h-5" path={item.icon} />
                         <span className="text-xs font-medium mt-1">{item.name}</span>
-                    </button>
+                    </Link>
                 ))}
             </div>
         </footer>
     );
 };
 
-/** Dashboard View Component */
-const DashboardView = ({ stocks, top100, performanceFilter, setPerformanceFilter, dailyUpdateFilter, setDailyUpdateFilter, searchTerm, setSearchTerm, setActiveView }) => {
-    // Filter stocks based on search term
-    const filteredStocks = useMemo(() => {
-        if (!searchTerm && !performanceFilter) return []; // Only return empty array if no filter is set
-
-        return stocks.filter(stock =>
-            stock.ticker.toLowerCase().includes(searchTerm.toLowerCase()) ||
-            stock.name.toLowerCase().includes(searchTerm.toLowerCase())
-        );
-    }, [stocks, searchTerm, performanceFilter]);
-
-    // Determines if the stock list should be visible (if search term is entered OR a filter button is clicked)
-    const shouldShowStocks = searchTerm.trim() !== '' || performanceFilter !== '';
+/** Modal form for recording a single ledger transaction */
+const TransactionForm = ({ onClose }) => {
+    const { addTransaction } = usePortfolio();
+    const [form, setForm] = useState({
+        type: 'buy',
+        date: new Date().toISOString().slice(0, 10),
+        ticker: '',
+        quantity: '',
+        price: '',
+        fees: '',
+        amount: '',
+    });
+    const [errors, setErrors] = useState([]);
+    const isTrade = form.type === 'buy' || form.type === 'sell';
+
+    const update = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const entry = isTrade
+            ? { type: form.type, date: form.date, ticker: form.ticker.trim(), quantity: Number(form.quantity), price: Number(form.price), fees: Number(form.fees) || 0 }
+            : { type: form.type, date: form.date, amount: Number(form.amount) };
+        const problems = validateTransaction(entry);
+        if (problems.length > 0) {
+            setErrors(problems);
+            return;
+        }
+        try {
+            addTransaction(entry);
+            onClose();
+        } catch (error) {
+            setErrors([error.message]);
+        }
+    };
 
-    // Mobile UI state for daily update filter popover
-    const [showDailyOptionsMobile, setShowDailyOptionsMobile] = useState(false);
+    const inputClass = "w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white text-sm";
 
-    // Simulated Market Data Card
-    const MarketCard = ({ title, value, subtext, trend }) => (
-        <div className="bg-white dark:bg-gray-800 p-6 rounded-2xl shadow-xl transition duration-300 transform hover:scale-[1.02] border border-gray-100 dark:border-gray-700">
-            <p className="text-sm font-medium text-gray-500 dark:text-gray-400">{title}</p>
-            {/* Poppins for numerical/important headings */}
-            <h3 className="text-3xl font-extrabold mt-1" style={{ fontFamily: 'var(--font-heading)' }}>
-                {value}
-            </h3>
-            <div className="flex items-center mt-3">
-                <TrendIndicator changePercent={trend} />
-                <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">{subtext}</span>
-            </div>
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onMouseDown={onClose}>
+            <form
+                onSubmit={handleSubmit}
+                onMouseDown={(e) => e.stopPropagation()}
+                className="w-full max-w-md bg-white dark:bg-gray-800 p-6 rounded-2xl shadow-2xl border border-gray-100 dark:border-gray-700 space-y-4"
+            >
+                <h3 className="text-xl font-bold text-gray-800 dark:text-white" style={{ fontFamily: 'var(--font-heading)' }}>Record Transaction</h3>
+                <div className="grid grid-cols-2 gap-3">
+                    <label className="text-sm text-gray-600 dark:text-gray-300">Type
+                        <select value={form.type} onChange={update('type')} className={inputClass}>
+                            {TRANSACTION_TYPES.map(type => <option key={type} value={type}>{type[0].toUpperCase() + type.slice(1)}</option>)}
+                        </select>
+                    </label>
+                    <label className="text-sm text-gray-600 dark:text-gray-300">Date
+                        <input type="date" value={form.date} onChange={update('date')} className={inputClass} />
+                    </label>
+                    {isTrade ? (
+                        <>
+                            <label className="text-sm text-gray-600 dark:text-gray-300">Ticker
+                                <input type="text" value={form.ticker} onChange={update('ticker')} placeholder="e.g. MSFT" className={`${inputClass} uppercase`} />
+                            </label>
+                            <label className="text-sm text-gray-600 dark:text-gray-300">Quantity
+                                <input type="number" min="0" step="any" value={form.quantity} onChange={update('quantity')} className={inputClass} />
+                            </label>
+                            <label className="text-sm text-gray-600 dark:text-gray-300">Price
+                                <input type="number" min="0" step="any" value={form.price} onChange={update('price')} className={inputClass} />
+                            </label>
+                            <label className="text-sm text-gray-600 dark:text-gray-300">Fees
+                                <input type="number" min="0" step="any" value={form.fees} onChange={update('fees')} className={inputClass} />
+                            </label>
+                        </>
+                    ) : (
+                        <label className="col-span-2 text-sm text-gray-600 dark:text-gray-300">Amount
+                            <input type="number" min="0" step="any" value={form.amount} onChange={update('amount')} className={inputClass} />
+                        </label>
+                    )}
+                </div>
+                {errors.length > 0 && (
+                    <ul className="p-3 text-sm rounded-lg border bg-red-50 dark:bg-red-900/50 border-red-300 text-red-700 dark:text-red-300 list-disc list-inside">
+                        {errors.map(error => <li key={error}>{error}</li>)}
+                    </ul>
+                )}
+                <div className="flex justify-end space-x-3">
+                    <button type="button" onClick={onClose} className="px-4 py-2 rounded-xl text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700">Cancel</button>
+                    <button type="submit" className="px-4 py-2 rounded-xl bg-indigo-600 text-white font-semibold hover:bg-indigo-700">Save</button>
+                </div>
+            </form>
         </div>
     );
+};
 
-    // Top 100 Ranking Table
-    const TopRankingTable = ({ rankings }) => (
-        <div className="bg-white dark:bg-gray-800 p-6 rounded-2xl shadow-xl border border-gray-100 dark:border-gray-700">
-            {/* Poppins for main title */}
-            <h3 className="text-xl font-bold mb-4 text-gray-800 dark:text-white flex items-center" style={{ fontFamily: 'var(--font-heading)' }}>
-                <Icon className="w-5 h-5 mr-2 text-indigo-500" path={<path d="M12 2l3 3h6v12h-6l-3 3-3-3H3V5h6z" />} />
-                Top 100 Performers ({rankings[0]?.time || 'Hourly'})
-            </h3>
-            <div className="overflow-x-auto max-h-96">
-                <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
-                    <thead className="sticky top-0 bg-gray-50 dark:bg-gray-700/50">
-                        <tr>
-                            <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider rounded-tl-lg">Rank</th>
-                            <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Ticker</th>
-                            <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Market</th>
-                            <th className="px-3 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider rounded-tr-lg">Performance</th>
-                        </tr>
-                    </thead>
-                    <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
-                        {rankings.slice(0, 10).map((item) => (
-                            <tr key={item.rank} className="hover:bg-gray-50 dark:hover:bg-gray-700 transition duration-150">
-                                <td className="px-3 py-3 whitespace-nowrap text-sm font-medium text-gray-900 dark:text-white">{item.rank}</td>
-                                <td className="px-3 py-3 whitespace-nowrap text-sm text-indigo-600 dark:text-indigo-400">{item.ticker}</td>
-                                <td className="px-3 py-3 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">{item.market}</td>
-                                <td className="px-3 py-3 whitespace-nowrap text-sm text-right">
-                                    <span className={`font-semibold ${item.performance >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
-                                        {item.performance >= 0 ? '+' : ''}{item.performance}%
-                                    </span>
-                                </td>
+/** Export spec for the current holdings, shared by the Dashboard and Analysis views */
+const holdingsExport = (portfolio, metadata = {}) => ({
+    name: 'holdings',
+    columns: [
+        { key: 'ticker', label: 'Ticker' },
+        { key: 'name', label: 'Name' },
+        { key: 'quantity', label: 'Quantity' },
+        { key: 'averageCost', label: 'Average Cost' },
+        { key: 'price', label: 'Price' },
+        { key: 'marketValue', label: 'Market Value' },
+        { key: 'weight', label: 'Weight (%)' },
+        { key: 'unrealizedPnl', label: 'Unrealized P&L' },
+        { key: 'realizedPnl', label: 'Realized P&L' },
+    ],
+    rows: portfolio.holdings.map(h => ({
+        ...h,
+        weight: portfolio.totalValue > 0 ? Number((h.marketValue / portfolio.totalValue * 100).toFixed(2)) : 0,
+    })),
+    metadata: { cash: portfolio.cash, totalValue: portfolio.totalValue, ...metadata },
+});
+
+/** Holdings derived from the ledger, with the most recent transactions underneath */
+const HoldingsPanel = () => {
+    const { portfolio, ledgerError, transactions, removeTransaction, resetLedger, quoteStatus } = usePortfolio();
+    const [removeError, setRemoveError] = useState(null);
+    const recent = transactions.slice(-5).reverse();
+
+    const handleRemove = (id) => {
+        try {
+            removeTransaction(id);
+            setRemoveError(null);
+        } catch (error) {
+            setRemoveError(error.message);
+        }
+    };
+
+    const handleReset = () => {
+        if (!window.confirm('Clear every transaction? Download the ledger first if you want to fix it by hand.')) return;
+        resetLedger();
+        setRemoveError(null);
+    };
+
+    const pnlClass = (value) => value >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400';
+
+    return (
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-2xl shadow-xl border border-gray-100 dark:border-gray-700 space-y-4">
+            {ledgerError && (
+                <div className="p-3 rounded-lg bg-red-50 dark:bg-red-900/50 text-sm text-red-700 dark:text-red-300 space-y-2" role="alert">
+                    <p>Your saved transactions could not be read, so holdings are shown as empty: {ledgerError}</p>
+                    <p className="text-xs">Removing the transaction at fault below may fix it. Otherwise download the ledger and reset.</p>
+                    <div className="flex flex-wrap gap-2">
+                        <button
+                            onClick={() => downloadFile(JSON.stringify(transactions, null, 2), datedFileName('fundattips-ledger', 'json'), 'application/json')}
+                            className="px-3 py-1 rounded-lg border border-red-300 dark:border-red-700 font-semibold hover:bg-red-100 dark:hover:bg-red-900"
+                        >
+                            Download Ledger
+                        </button>
+                        <button onClick={handleReset} className="px-3 py-1 rounded-lg bg-red-600 text-white font-semibold hover:bg-red-700">Reset Portfolio</button>
+                    </div>
+                </div>
+            )}
+            <div className="flex flex-wrap justify-between items-center gap-2">
+                <h3 className="text-xl font-bold text-gray-800 dark:text-white" style={{ fontFamily: 'var(--font-heading)' }}>Holdings</h3>
+                <div className="flex items-center space-x-3">
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                        Unrealized <span className={`font-semibold ${pnlClass(portfolio.unrealizedPnl)}`}>{formatCurrency(portfolio.unrealizedPnl)}</span>
+                        {' · '}Realized <span className={`font-semibold ${pnlClass(portfolio.realizedPnl)}`}>{formatCurrency(portfolio.realizedPnl)}</span>
+                    </p>
+                    <ExportMenu build={() => holdingsExport(portfolio)} disabled={portfolio.holdings.length === 0} />
+                </div>
+            </div>
+            <DataStatus status={quoteStatus} label="holding prices" />
+            {portfolio.holdings.length > 0 ? (
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+                        <thead className="bg-gray-50 dark:bg-gray-700/50">
+                            <tr>
+                                {['Ticker', 'Qty', 'Avg Cost', 'Price', 'Market Value', 'Unrealized P&L'].map((heading, i) => (
+                                    <th key={heading} className={`px-3 py-3 text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider ${i === 0 ? 'text-left' : 'text-right'}`}>{heading}</th>
+                                ))}
                             </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                            {portfolio.holdings.map(h => (
+                                <tr key={h.ticker} className="hover:bg-gray-50 dark:hover:bg-gray-700 transition duration-150">
+                                    <td className="px-3 py-3 font-semibold text-indigo-600 dark:text-indigo-400">{h.ticker}</td>
+                                    <td className="px-3 py-3 text-right">{h.quantity.toLocaleString('en-US', { maximumFractionDigits: 4 })}</td>
+                                    <td className="px-3 py-3 text-right">{formatCurrency(h.averageCost)}</td>
+                                    <td className="px-3 py-3 text-right">{h.hasQuote ? formatCurrency(h.price) : '—'}</td>
+                                    <td className="px-3 py-3 text-right font-semibold">{formatCurrency(h.marketValue)}</td>
+                                    <td className={`px-3 py-3 text-right font-semibold ${pnlClass(h.unrealizedPnl)}`}>
+                                        {formatCurrency(h.unrealizedPnl)} ({formatPercent(h.unrealizedPnlPercent)})
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            ) : (
+                <p className="text-sm text-gray-500 dark:text-gray-400">No open positions. Record a deposit and a buy to get started.</p>
+            )}
+
+            {recent.length > 0 && (
+                <div className="pt-4 border-t border-gray-200 dark:border-gray-700">
+                    <p className="text-sm font-semibold text-gray-500 dark:text-gray-400 mb-2">Recent Transactions</p>
+                    <ul className="space-y-1 text-sm">
+                        {recent.map(tx => (
+                            <li key={tx.id} className="flex justify-between items-center text-gray-700 dark:text-gray-300">
+                                <span>
+                                    <span className="text-gray-500 dark:text-gray-400 mr-2">{tx.date}</span>
+                                    <span className="capitalize font-medium">{tx.type}</span>
+                                    {tx.ticker ? ` ${tx.quantity} ${tx.ticker} @ ${formatCurrency(tx.price)}` : ` ${formatCurrency(tx.amount)}`}
+                                </span>
+                                <button onClick={() => handleRemove(tx.id)} className="text-xs text-red-500 hover:underline" title="Remove transaction">Remove</button>
+                            </li>
                         ))}
-                    </tbody>
-                </table>
-            </div>
-            <p className="mt-4 text-center text-xs text-gray-500 dark:text-gray-400">Showing top 10 of 100.</p>
+                    </ul>
+                    {removeError && <p className="mt-2 text-xs text-red-600 dark:text-red-400">{removeError}</p>}
+                </div>
+            )}
         </div>
     );
+};
+
+/** Modal for starting a monthly SIP; `ticker` pre-fills the fund when opened from its page */
+const SipForm = ({ ticker = '', onClose }) => {
+    const { addSip } = usePortfolio();
+    const provider = useMarketData();
+    const [form, setForm] = useState({ ticker, amount: '', dayOfMonth: '5', startDate: toIsoDate(new Date()) });
+    const [errors, setErrors] = useState([]);
+    const [isChecking, setIsChecking] = useState(false);
+
+    const update = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const plan = { ticker: form.ticker.trim(), amount: Number(form.amount), dayOfMonth: Number(form.dayOfMonth), startDate: form.startDate };
+        const problems = validateSip(plan);
+        if (problems.length > 0) {
+            setErrors(problems);
+            return;
+        }
+        // SIPs buy at NAV, so only mutual funds qualify.
+        setIsChecking(true);
+        try {
+            const details = await provider.getFundamentals(plan.ticker);
+            if (details.assetClass !== 'Mutual Funds') {
+                setErrors([`${plan.ticker.toUpperCase()} is not a mutual fund.`]);
+                return;
+            }
+            addSip(plan);
+            onClose();
+        } catch (error) {
+            setErrors([error.status === 404 ? `Unknown fund: ${plan.ticker.toUpperCase()}` : error.message]);
+        } finally {
+            setIsChecking(false);
+        }
+    };
+
+    const inputClass = "w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white text-sm";
 
     return (
-        <section className="p-4 md:p-8 space-y-8 min-h-screen">
-            {/* Poppins for main heading */}
-            <h2 className="text-3xl font-bold text-gray-900 dark:text-white border-b pb-3 border-gray-200 dark:border-gray-700" style={{ fontFamily: 'var(--font-heading)' }}>
-                Overall Portfolio Summary
-            </h2>
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onMouseDown={onClose}>
+            <form
+                onSubmit={handleSubmit}
+                onMouseDown={(e) => e.stopPropagation()}
+                className="w-full max-w-md bg-white dark:bg-gray-800 p-6 rounded-2xl shadow-2xl border border-gray-100 dark:border-gray-700 space-y-4"
+            >
+                <h3 className="text-xl font-bold text-gray-800 dark:text-white" style={{ fontFamily: 'var(--font-heading)' }}>Start SIP</h3>
+                <div className="grid grid-cols-2 gap-3">
+                    <label className="text-sm text-gray-600 dark:text-gray-300">Fund
+                        <input type="text" value={form.ticker} onChange={update('ticker')} placeholder="e.g. VGSPX" className={`${inputClass} uppercase`} />
+                    </label>
+                    <label className="text-sm text-gray-600 dark:text-gray-300">Monthly Amount
+                        <input type="number" min="0" step="any" value={form.amount} onChange={update('amount')} className={inputClass} />
+                    </label>
+                    <label className="text-sm text-gray-600 dark:text-gray-300">Day of Month
+                        <input type="number" min="1" max={SIP_MAX_DAY} step="1" value={form.dayOfMonth} onChange={update('dayOfMonth')} className={inputClass} />
+                    </label>
+                    <label className="text-sm text-gray-600 dark:text-gray-300">Start Date
+                        <input type="date" value={form.startDate} onChange={update('startDate')} className={inputClass} />
+                    </label>
+                </div>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                    Installments are bought at the first NAV on or after each due date. A start date in the past back-fills earlier installments.
+                </p>
+                {errors.length > 0 && (
+                    <ul className="p-3 text-sm rounded-lg border bg-red-50 dark:bg-red-900/50 border-red-300 text-red-700 dark:text-red-300 list-disc list-inside">
+                        {errors.map(error => <li key={error}>{error}</li>)}
+                    </ul>
+                )}
+                <div className="flex justify-end space-x-3">
+                    <button type="button" onClick={onClose} className="px-4 py-2 rounded-xl text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700">Cancel</button>
+                    <button type="submit" disabled={isChecking} className="px-4 py-2 rounded-xl bg-indigo-600 text-white font-semibold hover:bg-indigo-700 disabled:opacity-60">
+                        {isChecking ? 'Checking...' : 'Start'}
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
 
-            {/* Top Stat Cards */}
-            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
-                <MarketCard title="Total Portfolio Value" value="$1.5M" subtext="Since last month" trend={8.5} />
-                <MarketCard title="S&P 500 Index" value="5,450.23" subtext="Today" trend={0.65} />
-                <MarketCard title="Top Gainer" value="NVDA" subtext="Last 24h" trend={1.75} />
-                <MarketCard title="Cash Available" value="$12,500" subtext="Ready to invest" trend={0} />
-            </div>
+const SIP_STATUS_STYLES = {
+    paid: 'text-green-600 dark:text-green-400',
+    pending: 'text-amber-600 dark:text-amber-400',
+    skipped: 'text-gray-400 dark:text-gray-500 line-through',
+    upcoming: 'text-gray-500 dark:text-gray-400',
+};
 
-            {/* --- BUTTON: Redirect from  Dashboard to Performance --- */}
-            <div className="flex justify-end">
-                <button
-                    onClick={() => setActiveView('Performance')}
-                    className="flex items-center bg-indigo-500 hover:bg-indigo-600 text-white font-semibold py-2 px-4 rounded-xl shadow-lg transition duration-300 transform hover:scale-[1.02] focus:outline-none focus:ring-4 focus:ring-indigo-500/50"
-                    title="Go to Detailed Performance View"
-                >
-                    <Icon className="w-5 h-5 mr-2" path={<path d="M22 12h-4l-3 9L9 3l-3 9H2" />} />
-                    View Detailed Performance Metrics
-                </button>
-            </div>
-            {/* --- END BUTTON --- */}
+/** Monthly SIPs with invested amount, current value and XIRR; each row expands into its installment schedule */
+const SipPanel = () => {
+    const { sipPlans, transactions, portfolio, stopSip } = usePortfolio();
+    const [showForm, setShowForm] = useState(false);
+    const [expandedId, setExpandedId] = useState(null);
+    const today = toIsoDate(new Date());
+
+    const rows = sipPlans.map(plan => {
+        const holding = portfolio.holdings.find(h => h.ticker === plan.ticker);
+        const price = holding?.hasQuote ? holding.price : null;
+        const schedule = sipSchedule(plan, transactions, { today });
+        return {
+            plan,
+            summary: summarizeSip(plan, transactions, { price, today }),
+            schedule,
+            next: schedule.find(row => row.status === 'upcoming' || row.status === 'pending'),
+            active: !plan.endDate,
+        };
+    });
 
-            {/* Controls and Filters */}
-            <div className="bg-white dark:bg-gray-800 p-4 rounded-2xl shadow-lg flex flex-col md:flex-row gap-4 items-center border border-gray-100 dark:border-gray-700">
-                <div className="w-full md:w-1/3">
-                    <div className="relative">
-                        <input
-                            type="text"
-                            placeholder="Search Stocks or Mutual Funds..."
-                            value={searchTerm}
-                            onChange={(e) => setSearchTerm(e.target.value)}
-                            className="w-full p-3 pl-10 border border-gray-300 dark:border-gray-600 rounded-xl focus:ring-indigo-500 focus:border-indigo-500 dark:bg-gray-700 dark:text-white transition duration-200"
-                        />
-                        <Icon className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400 dark:text-gray-500" path={<path d="M11 19a8 8 0 1 0 0-16 8 8 0 0 0 0 16zM21 21l-4.35-4.35" />} />
-                    </div>
+    const pnlClass = (value) => value >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400';
+
+    return (
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-2xl shadow-xl border border-gray-100 dark:border-gray-700 space-y-4">
+            <div className="flex justify-between items-center">
+                <h3 className="text-xl font-bold text-gray-800 dark:text-white" style={{ fontFamily: 'var(--font-heading)' }}>SIPs</h3>
+                <button onClick={() => setShowForm(true)} className="text-sm font-semibold text-indigo-600 dark:text-indigo-400 hover:underline">+ Start SIP</button>
+            </div>
+            {rows.length > 0 ? (
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+                        <thead className="bg-gray-50 dark:bg-gray-700/50">
+                            <tr>
+                                {['Fund', 'Monthly', 'Paid', 'Invested', 'Value', 'Gain', 'XIRR', 'Next', ''].map((heading, i) => (
+                                    <th key={heading || 'actions'} className={`px-3 py-3 text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider ${i === 0 ? 'text-left' : 'text-right'}`}>{heading}</th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                            {rows.map(({ plan, summary, schedule, next, active }) => (
+                                <React.Fragment key={plan.id}>
+                                    <tr className="hover:bg-gray-50 dark:hover:bg-gray-700 transition duration-150">
+                                        <td className="px-3 py-3">
+                                            <button
+                                                onClick={() => setExpandedId(id => (id === plan.id ? null : plan.id))}
+                                                aria-expanded={expandedId === plan.id}
+                                                className="font-semibold text-indigo-600 dark:text-indigo-400 hover:underline"
+                                            >
+                                                {expandedId === plan.id ? '▾' : '▸'} {plan.ticker}
+                                            </button>
+                                            {!active && <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">Stopped</span>}
+                                        </td>
+                                        <td className="px-3 py-3 text-right">{formatCurrency(plan.amount)} <span className="text-xs text-gray-500 dark:text-gray-400">on day {plan.dayOfMonth}</span></td>
+                                        <td className="px-3 py-3 text-right">{summary.installments}</td>
+                                        <td className="px-3 py-3 text-right">{formatCurrency(summary.invested)}</td>
+                                        <td className="px-3 py-3 text-right font-semibold">{summary.value != null ? formatCurrency(summary.value) : '—'}</td>
+                                        <td className={`px-3 py-3 text-right font-semibold ${summary.gain != null ? pnlClass(summary.gain) : ''}`}>{summary.gain != null ? formatCurrency(summary.gain) : '—'}</td>
+                                        <td className={`px-3 py-3 text-right font-semibold ${summary.xirr != null ? pnlClass(summary.xirr) : ''}`}>{summary.xirr != null ? formatPercent(summary.xirr * 100) : '—'}</td>
+                                        <td className="px-3 py-3 text-right text-gray-500 dark:text-gray-400">{active && next ? next.date : '—'}</td>
+                                        <td className="px-3 py-3 text-right">
+                                            {active && <button onClick={() => stopSip(plan.id)} className="text-xs text-red-500 hover:underline">Stop</button>}
+                                        </td>
+                                    </tr>
+                                    {expandedId === plan.id && (
+                                        <tr>
+                                            <td colSpan={9} className="px-3 pb-3">
+                                                <table className="min-w-full text-xs">
+                                                    <thead>
+                                                        <tr className="text-gray-500 dark:text-gray-400">
+                                                            <th className="py-1 text-left font-medium">Due</th>
+                                                            <th className="py-1 text-left font-medium">Status</th>
+                                                            <th className="py-1 text-right font-medium">NAV</th>
+                                                            <th className="py-1 text-right font-medium">Units</th>
+                                                            <th className="py-1 text-right font-medium">Amount</th>
+                                                        </tr>
+                                                    </thead>
+                                                    <tbody>
+                                                        {[...schedule].reverse().map(row => (
+                                                            <tr key={row.date} className="text-gray-700 dark:text-gray-300">
+                                                                <td className="py-1">{row.date}</td>
+                                                                <td className={`py-1 capitalize ${SIP_STATUS_STYLES[row.status]}`}>
+                                                                    {row.status}{row.status === 'paid' && row.tradeDate !== row.date ? ` ${row.tradeDate}` : ''}
+                                                                </td>
+                                                                <td className="py-1 text-right">{row.nav != null ? formatCurrency(row.nav) : '—'}</td>
+                                                                <td className="py-1 text-right">{row.units != null ? row.units.toFixed(3) : '—'}</td>
+                                                                <td className="py-1 text-right">{formatCurrency(row.amount)}</td>
+                                                            </tr>
+                                                        ))}
+                                                    </tbody>
+                                                </table>
+                                            </td>
+                                        </tr>
+                                    )}
+                                </React.Fragment>
+                            ))}
+                        </tbody>
+                    </table>
                 </div>
+            ) : (
+                <p className="text-sm text-gray-500 dark:text-gray-400">No SIPs yet. Start one to invest in a mutual fund every month.</p>
+            )}
+            {showForm && <SipForm onClose={() => setShowForm(false)} />}
+        </div>
+    );
+};
 
-                {/* Performance Filter */}
-                <div className="flex w-full md:w-2/3 space-x-2 md:space-x-4">
-                    <label className="text-sm font-medium text-gray-700 dark:text-gray-300 flex-shrink-0 pt-2">Performance:</label>
-                    {['1D', '1W', '1M', '1Y'].map(filter => (
-                        <button
-                            key={filter}
-                            onClick={() => setPerformanceFilter(filter)}
+/** Modal form for a price, move, 52-week or volume alert on one instrument */
+const AlertForm = ({ ticker = '', price, onClose }) => {
+    const { addAlert } = useAlerts();
+    const { notify } = useToast();
+    const [form, setForm] = useState({
+        ticker,
+        condition: 'priceAbove',
+        threshold: price != null ? price.toFixed(2) : '',
+        mode: 'once',
+        cooldownMinutes: String(DEFAULT_COOLDOWN_MINUTES),
+    });
+    const [errors, setErrors] = useState([]);
+    const thresholdSpec = ALERT_CONDITIONS[form.condition].threshold;
+
+    const update = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const rule = {
+            ticker: form.ticker.trim(),
+            condition: form.condition,
+            threshold: thresholdSpec ? Number(form.threshold) : undefined,
+            mode: form.mode,
+            cooldownMinutes: Number(form.cooldownMinutes),
+        };
+        const problems = validateAlert(rule);
+        if (problems.length > 0) {
+            setErrors(problems);
+            return;
+        }
+        const created = addAlert(rule);
+        notify(`Alert set: ${describeAlert(created)}.`, { tone: 'success' });
+        onClose();
+    };
+
+    const inputClass = "w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white text-sm";
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onMouseDown={onClose}>
+            <form
+                onSubmit={handleSubmit}
+                onMouseDown={(e) => e.stopPropagation()}
+                className="w-full max-w-md bg-white dark:bg-gray-800 p-6 rounded-2xl shadow-2xl border border-gray-100 dark:border-gray-700 space-y-4"
+            >
+                <h3 className="text-xl font-bold text-gray-800 dark:text-white" style={{ fontFamily: 'var(--font-heading)' }}>New Alert</h3>
+                <div className="grid grid-cols-2 gap-3">
+                    <label className="text-sm text-gray-600 dark:text-gray-300">Ticker
+                        <input type="text" value={form.ticker} onChange={update('ticker')} placeholder="e.g. NVDA" className={`${inputClass} uppercase`} />
+                    </label>
+                    <label className="text-sm text-gray-600 dark:text-gray-300">Condition
+                        <select value={form.condition} onChange={update('condition')} className={inputClass}>
+                            {Object.entries(ALERT_CONDITIONS).map(([value, condition]) => <option key={value} value={value}>{condition.label}</option>)}
+                        </select>
+                    </label>
+                    {thresholdSpec && (
+                        <label className="text-sm text-gray-600 dark:text-gray-300">{thresholdSpec.label}
+                            <input type="number" min={thresholdSpec.min} step="any" value={form.threshold} onChange={update('threshold')} className={inputClass} />
+                        </label>
+                    )}
+                    <label className="text-sm text-gray-600 dark:text-gray-300">Fires
+                        <select value={form.mode} onChange={update('mode')} className={inputClass}>
+                            {Object.entries(ALERT_MODES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                        </select>
+                    </label>
+                    {form.mode === 'recurring' && (
+                        <label className="text-sm text-gray-600 dark:text-gray-300">Cooldown (minutes)
+                            <input type="number" min="1" step="1" value={form.cooldownMinutes} onChange={update('cooldownMinutes')} className={inputClass} />
+                        </label>
+                    )}
+                </div>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                    Alerts are checked against every new quote while the app is open. A recurring alert waits out its cooldown before firing again.
+                </p>
+                {errors.length > 0 && (
+                    <ul className="p-3 text-sm rounded-lg border bg-red-50 dark:bg-red-900/50 border-red-300 text-red-700 dark:text-red-300 list-disc list-inside">
+                        {errors.map(error => <li key={error}>{error}</li>)}
+                    </ul>
+                )}
+                <div className="flex justify-end space-x-3">
+                    <button type="button" onClick={onClose} className="px-4 py-2 rounded-xl text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700">Cancel</button>
+                    <button type="submit" className="px-4 py-2 rounded-xl bg-indigo-600 text-white font-semibold hover:bg-indigo-700">Create Alert</button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+const formatAlertTime = (time) => new Date(time).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+/** Alert rules with pause, resume and delete, plus the history of alerts that fired */
+const AlertsPanel = () => {
+    const { rules, history, permission, setAlertActive, removeAlert, clearHistory, requestNotifications } = useAlerts();
+    const [tab, setTab] = useState('rules');
+    const [showForm, setShowForm] = useState(false);
+
+    const tabClass = (name) => `px-3 py-1 text-sm font-semibold rounded-lg ${tab === name
+        ? 'bg-indigo-600 text-white'
+        : 'text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'}`;
+
+    return (
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-2xl shadow-xl border border-gray-100 dark:border-gray-700 space-y-4">
+            <div className="flex flex-wrap justify-between items-center gap-2">
+                <h3 className="text-xl font-bold text-gray-800 dark:text-white" style={{ fontFamily: 'var(--font-heading)' }}>Alerts</h3>
+                <div className="flex items-center gap-2">
+                    <button onClick={() => setTab('rules')} className={tabClass('rules')}>Rules ({rules.length})</button>
+                    <button onClick={() => setTab('history')} className={tabClass('history')}>History ({history.length})</button>
+                    <button onClick={() => setShowForm(true)} className="text-sm font-semibold text-indigo-600 dark:text-indigo-400 hover:underline">+ New Alert</button>
+                </div>
+            </div>
+            {permission === 'default' && (
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                    Alerts show inside the app. <button onClick={requestNotifications} className="font-semibold text-indigo-600 dark:text-indigo-400 hover:underline">Enable browser notifications</button> to see them in other tabs too.
+                </p>
+            )}
+            {permission === 'denied' && (
+                <p className="text-xs text-gray-500 dark:text-gray-400">Browser notifications are blocked, so alerts show inside the app only.</p>
+            )}
+            {tab === 'rules' ? (
+                rules.length > 0 ? (
+                    <ul className="divide-y divide-gray-100 dark:divide-gray-700 text-sm">
+                        {rules.map(rule => (
+                            <li key={rule.id} className="py-2 flex flex-wrap items-center justify-between gap-2">
+                                <div>
+                                    <p className={`font-medium ${rule.active ? 'text-gray-800 dark:text-gray-100' : 'text-gray-400 dark:text-gray-500'}`}>{describeAlert(rule)}</p>
+                                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                                        {rule.mode === 'recurring' ? `Recurring, ${rule.cooldownMinutes} min cooldown` : 'One-shot'}
+                                        {' · '}{rule.active ? 'Active' : rule.mode === 'once' && rule.lastTriggeredAt ? 'Fired' : 'Paused'}
+                                        {rule.lastTriggeredAt && ` · last fired ${formatAlertTime(rule.lastTriggeredAt)}`}
+                                    </p>
+                                </div>
+                                <div className="flex items-center gap-3">
+                                    <button onClick={() => setAlertActive(rule.id, !rule.active)} className="text-xs text-indigo-600 dark:text-indigo-400 hover:underline">
+                                        {rule.active ? 'Pause' : rule.lastTriggeredAt && rule.mode === 'once' ? 'Re-arm' : 'Resume'}
+                                    </button>
+                                    <button onClick={() => removeAlert(rule.id)} className="text-xs text-red-500 hover:underline">Delete</button>
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                ) : (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">No alerts yet. Set one from a watchlist item or the Performance view.</p>
+                )
+            ) : history.length > 0 ? (
+                <>
+                    <ul className="divide-y divide-gray-100 dark:divide-gray-700 text-sm max-h-72 overflow-y-auto">
+                        {history.map(entry => (
+                            <li key={entry.id} className="py-2">
+                                <p className="font-medium text-gray-800 dark:text-gray-100">{entry.message}</p>
+                                <p className="text-xs text-gray-500 dark:text-gray-400">
+                                    {entry.description} · {formatAlertTime(entry.triggeredAt)} · {entry.deliveredAs === 'notification' ? 'Browser notification' : 'In-app'}
+                                </p>
+                            </li>
+                        ))}
+                    </ul>
+                    <button onClick={clearHistory} className="text-xs text-gray-500 dark:text-gray-400 hover:underline">Clear history</button>
+                </>
+            ) : (
+                <p className="text-sm text-gray-500 dark:text-gray-400">No alerts have fired yet.</p>
+            )}
+            {showForm && <AlertForm onClose={() => setShowForm(false)} />}
+        </div>
+    );
+};
+
+const RANKING_PAGE_SIZE = 10;
+
+const RANKING_COLUMNS = [
+    { key: 'rank', label: 'Rank', align: 'left' },
+    { key: 'ticker', label: 'Ticker', align: 'left' },
+    { key: 'price', label: 'Price', align: 'right' },
+    { key: 'performance', label: 'Perf.', align: 'right' },
+];
+
+/**
+ * Top 100 performers with Stocks / Mutual Funds tabs, a ranking window,
+ * sortable columns and pages of ten. Clicking a row calls `onSelect` with its ticker.
+ */
+const TopRankingTable = ({ onSelect }) => {
+    const [market, setMarket] = useState('Stocks');
+    const [rankingWindow, setRankingWindow] = useState(DEFAULT_RANKING_WINDOW);
+    const [sort, setSort] = useState({ key: 'rank', direction: 'asc' });
+    const [page, setPage] = useState(0);
+    const rankings = useRankings({ market, window: rankingWindow });
+
+    const rows = useMemo(() => {
+        const sign = sort.direction === 'asc' ? 1 : -1;
+        return [...(rankings.data || [])].sort((a, b) => {
+            const av = a[sort.key];
+            const bv = b[sort.key];
+            return sign * (typeof av === 'string' ? av.localeCompare(bv) : av - bv);
+        });
+    }, [rankings.data, sort]);
+    const pageCount = Math.max(1, Math.ceil(rows.length / RANKING_PAGE_SIZE));
+    const currentPage = Math.min(page, pageCount - 1);
+    const pageRows = rows.slice(currentPage * RANKING_PAGE_SIZE, (currentPage + 1) * RANKING_PAGE_SIZE);
+
+    const selectMarket = (next) => {
+        setMarket(next);
+        // Fund NAVs are daily, so an intraday window falls back to the default.
+        if (next === 'MF' && RANKING_WINDOWS[rankingWindow].intraday) setRankingWindow(DEFAULT_RANKING_WINDOW);
+        setPage(0);
+    };
+
+    // Clicking the sorted column flips its direction; a new column starts at its natural order.
+    const toggleSort = (key) => {
+        setSort(prev => prev.key === key
+            ? { key, direction: prev.direction === 'asc' ? 'desc' : 'asc' }
+            : { key, direction: key === 'rank' || key === 'ticker' ? 'asc' : 'desc' });
+        setPage(0);
+    };
+
+    return (
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-2xl shadow-xl border border-gray-100 dark:border-gray-700">
+            {/* Poppins for main title */}
+            <div className="flex justify-between items-start mb-4">
+                <h3 className="text-xl font-bold text-gray-800 dark:text-white flex items-center" style={{ fontFamily: 'var(--font-heading)' }}>
+                    <Icon className="w-5 h-5 mr-2 text-indigo-500" path={<path d="M12 2l3 3h6v12h-6l-3 3-3-3H3V5h6z" />} />
+                    Top 100 Performers
+                </h3>
+                <ExportMenu
+                    disabled={rows.length === 0}
+                    build={() => ({
+                        name: `top-100-${market.toLowerCase()}-${rankingWindow.toLowerCase()}`,
+                        columns: [
+                            { key: 'rank', label: 'Rank' },
+                            { key: 'ticker', label: 'Ticker' },
+                            { key: 'name', label: 'Name' },
+                            { key: 'market', label: 'Market' },
+                            { key: 'price', label: 'Price' },
+                            { key: 'performance', label: 'Performance (%)' },
+                        ],
+                        rows,
+                        metadata: { dateRange: RANKING_WINDOWS[rankingWindow].label, filters: RANKING_MARKETS[market] },
+                    })}
+                />
+            </div>
+
+            <div className="flex justify-between items-center gap-2 mb-3">
+                <div className="flex rounded-lg bg-gray-100 dark:bg-gray-700 p-1" role="tablist">
+                    {Object.entries(RANKING_MARKETS).map(([value, label]) => (
+                        <button
+                            key={value}
+                            role="tab"
+                            aria-selected={market === value}
+                            onClick={() => selectMarket(value)}
+                            className={`px-3 py-1 text-xs font-semibold rounded-md transition duration-200 ${market === value
+                                ? 'bg-white dark:bg-gray-800 text-indigo-600 dark:text-indigo-400 shadow'
+                                : 'text-gray-600 dark:text-gray-300 hover:text-indigo-600 dark:hover:text-indigo-400'
+                                }`}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+                <div className="flex space-x-1">
+                    {Object.entries(RANKING_WINDOWS).map(([value, spec]) => {
+                        const unavailable = market === 'MF' && spec.intraday;
+                        return (
+                            <button
+                                key={value}
+                                onClick={() => { setRankingWindow(value); setPage(0); }}
+                                disabled={unavailable}
+                                title={unavailable ? 'Fund NAVs are published once a day' : spec.label}
+                                className={`px-2 py-1 text-xs font-medium rounded-md transition duration-200 disabled:opacity-40 disabled:cursor-not-allowed ${rankingWindow === value
+                                    ? 'bg-indigo-600 text-white'
+                                    : 'bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-indigo-100 dark:hover:bg-gray-600'
+                                    }`}
+                            >
+                                {value}
+                            </button>
+                        );
+                    })}
+                </div>
+            </div>
+
+            <DataStatus status={rankings} label="rankings" className="mb-3" />
+            <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+                    <thead className="bg-gray-50 dark:bg-gray-700/50">
+                        <tr>
+                            {RANKING_COLUMNS.map(column => (
+                                <th
+                                    key={column.key}
+                                    aria-sort={sort.key === column.key ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+                                    className={`px-3 py-3 text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider ${column.align === 'right' ? 'text-right' : 'text-left'}`}
+                                >
+                                    <button onClick={() => toggleSort(column.key)} className="uppercase tracking-wider hover:text-indigo-600 dark:hover:text-indigo-400">
+                                        {column.label}
+                                        <span className="ml-1">{sort.key === column.key ? (sort.direction === 'asc' ? '▲' : '▼') : ''}</span>
+                                    </button>
+                                </th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                        {pageRows.map((item) => (
+                            <tr
+                                key={item.ticker}
+                                onClick={() => onSelect(item.ticker)}
+                                title={`Open ${item.name} performance`}
+                                className="cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700 transition duration-150"
+                            >
+                                <td className="px-3 py-3 whitespace-nowrap text-sm font-medium text-gray-900 dark:text-white">{item.rank}</td>
+                                <td className="px-3 py-3 whitespace-nowrap text-sm text-indigo-600 dark:text-indigo-400">{item.ticker}</td>
+                                <td className="px-3 py-3 whitespace-nowrap text-sm text-right text-gray-700 dark:text-gray-300">{formatCurrency(item.price)}</td>
+                                <td className="px-3 py-3 whitespace-nowrap text-sm text-right">
+                                    <span className={`font-semibold ${item.performance >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                                        {formatPercent(item.performance)}
+                                    </span>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            {rows.length > 0 && (
+                <div className="mt-4 flex justify-between items-center text-xs text-gray-500 dark:text-gray-400">
+                    <button
+                        onClick={() => setPage(currentPage - 1)}
+                        disabled={currentPage === 0}
+                        className="px-2 py-1 rounded-md font-semibold text-indigo-600 dark:text-indigo-400 hover:bg-indigo-50 dark:hover:bg-gray-700 disabled:opacity-40 disabled:hover:bg-transparent"
+                    >
+                        ‹ Prev
+                    </button>
+                    <span>
+                        Showing {currentPage * RANKING_PAGE_SIZE + 1}–{currentPage * RANKING_PAGE_SIZE + pageRows.length} of {rows.length}
+                    </span>
+                    <button
+                        onClick={() => setPage(currentPage + 1)}
+                        disabled={currentPage >= pageCount - 1}
+                        className="px-2 py-1 rounded-md font-semibold text-indigo-600 dark:text-indigo-400 hover:bg-indigo-50 dark:hover:bg-gray-700 disabled:opacity-40 disabled:hover:bg-transparent"
+                    >
+                        Next ›
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+/** Dashboard View Component */
+const DashboardView = ({ stocks, quoteStatus, watchlistFilter, setWatchlistFilter, dailyUpdateFilter, setDailyUpdateFilter, searchTerm, setSearchTerm, setActiveView, openPerformance }) => {
+    const { period: performanceFilter, mode: rankMode, minMove } = watchlistFilter;
+    const { activeList, moveTicker, setListPreferences } = useWatchlists();
+    const listStocks = useMemo(() => sortWatchlist(activeList, stocks), [activeList, stocks]);
+    const { returns: periodReturns, status: returnsStatus } = usePeriodReturns(listStocks, performanceFilter);
+    const searchResults = useSearch(searchTerm);
+
+    // Filter the selected list by the search term, then rank it by the selected period's return
+    const filteredStocks = useMemo(() => {
+        const matches = listStocks.filter(stock =>
+            stock.ticker.toLowerCase().includes(searchTerm.toLowerCase()) ||
+            stock.name.toLowerCase().includes(searchTerm.toLowerCase())
+        );
+        return performanceFilter ? rankByPerformance(matches, periodReturns, { mode: rankMode, minMove }) : matches;
+    }, [listStocks, searchTerm, performanceFilter, periodReturns, rankMode, minMove]);
+
+    // Rows can be dragged into the list's own order only while that order is what's showing
+    const canReorder = activeList.sort === 'manual' && !searchTerm && !performanceFilter;
+    const [dragTicker, setDragTicker] = useState(null);
+    const dropOn = (ticker) => {
+        if (dragTicker && dragTicker !== ticker) moveTicker(activeList.id, activeList.tickers.indexOf(dragTicker), activeList.tickers.indexOf(ticker));
+        setDragTicker(null);
+    };
+    // Alt+Up/Down does the same from the keyboard
+    const moveByKey = (e, ticker) => {
+        if (!canReorder || !e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+        e.preventDefault();
+        const from = activeList.tickers.indexOf(ticker);
+        moveTicker(activeList.id, from, from + (e.key === 'ArrowUp' ? -1 : 1));
+    };
+    const toggleColumn = (column) => setListPreferences(activeList.id, {
+        columns: activeList.columns.includes(column) ? activeList.columns.filter(c => c !== column) : [...activeList.columns, column],
+    });
+
+    // Mobile UI state for daily update filter popover
+    const [showDailyOptionsMobile, setShowDailyOptionsMobile] = useState(false);
+    const [showTransactionForm, setShowTransactionForm] = useState(false);
+
+    const { portfolio } = usePortfolio();
+    const { isSignedIn } = useAuth();
+    const watchedTickers = useMemo(() => stocks.map(s => s.ticker), [stocks]);
+    const heldTickers = useMemo(() => portfolio.holdings.map(h => h.ticker), [portfolio.holdings]);
+    const topGainer = portfolio.holdings.reduce((best, h) => (!best || h.changePercent > best.changePercent ? h : best), null);
+
+    // Simulated Market Data Card
+    const MarketCard = ({ title, value, subtext, trend }) => (
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-2xl shadow-xl transition duration-300 transform hover:scale-[1.02] border border-gray-100 dark:border-gray-700">
+            <p className="text-sm font-medium text-gray-500 dark:text-gray-400">{title}</p>
+            {/* Poppins for numerical/important headings */}
+            <h3 className="text-3xl font-extrabold mt-1" style={{ fontFamily: 'var(--font-heading)' }}>
+                {value}
+            </h3>
+            <div className="flex items-center mt-3">
+                <TrendIndicator changePercent={trend} />
+                <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">{subtext}</span>
+            </div>
+        </div>
+    );
+
+    return (
+        <section className="p-4 md:p-8 space-y-8 min-h-screen">
+            {/* Poppins for main heading */}
+            <h2 className="text-3xl font-bold text-gray-900 dark:text-white border-b pb-3 border-gray-200 dark:border-gray-700" style={{ fontFamily: 'var(--font-heading)' }}>
+                Overall Portfolio Summary
+            </h2>
+
+            {/* Top Stat Cards */}
+            {isSignedIn ? (
+                <>
+                    <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
+                        <MarketCard title="Total Portfolio Value" value={formatCurrency(portfolio.totalValue, { compact: true })} subtext="All-time return" trend={portfolio.totalReturnPercent} />
+                        <MarketCard title="S&P 500 Index" value="5,450.23" subtext="Today" trend={0.65} />
+                        <MarketCard title="Top Gainer" value={topGainer ? topGainer.ticker : '—'} subtext={topGainer ? 'Last 24h' : 'No holdings yet'} trend={topGainer ? topGainer.changePercent : 0} />
+                        <MarketCard title="Cash Available" value={formatCurrency(portfolio.cash)} subtext="Ready to invest" trend={0} />
+                    </div>
+                    <HoldingsPanel />
+                    <SipPanel />
+                </>
+            ) : (
+                <SignInPrompt message="Sign in to see your portfolio value, holdings and SIPs." />
+            )}
+
+            <AlertsPanel />
+            {showTransactionForm && <TransactionForm onClose={() => setShowTransactionForm(false)} />}
+
+            {/* --- BUTTON: Redirect from  Dashboard to Performance --- */}
+            <div className="flex justify-end space-x-3">
+                {isSignedIn && (
+                    <button
+                        onClick={() => setShowTransactionForm(true)}
+                        className="flex items-center bg-white dark:bg-gray-800 text-indigo-600 dark:text-indigo-400 border border-indigo-200 dark:border-gray-600 font-semibold py-2 px-4 rounded-xl shadow-lg transition duration-300 transform hover:scale-[1.02] focus:outline-none focus:ring-4 focus:ring-indigo-500/50"
+                    >
+                        <Icon className="w-5 h-5 mr-2" path={<path d="M12 5v14M5 12h14" />} />
+                        Record Transaction
+                    </button>
+                )}
+                <button
+                    onClick={() => setActiveView('Performance')}
+                    className="flex items-center bg-indigo-500 hover:bg-indigo-600 text-white font-semibold py-2 px-4 rounded-xl shadow-lg transition duration-300 transform hover:scale-[1.02] focus:outline-none focus:ring-4 focus:ring-indigo-500/50"
+                    title="Go to Detailed Performance View"
+                >
+                    <Icon className="w-5 h-5 mr-2" path={<path d="M22 12h-4l-3 9L9 3l-3 9H2" />} />
+                    View Detailed Performance Metrics
+                </button>
+            </div>
+            {/* --- END BUTTON --- */}
+
+            {/* Controls and Filters */}
+            <div className="bg-white dark:bg-gray-800 p-4 rounded-2xl shadow-lg flex flex-col md:flex-row gap-4 items-center border border-gray-100 dark:border-gray-700">
+                <div className="w-full md:w-1/3">
+                    <div className="relative">
+                        <input
+                            type="text"
+                            placeholder="Search Stocks or Mutual Funds..."
+                            value={searchTerm}
+                            onChange={(e) => setSearchTerm(e.target.value)}
+                            className="w-full p-3 pl-10 border border-gray-300 dark:border-gray-600 rounded-xl focus:ring-indigo-500 focus:border-indigo-500 dark:bg-gray-700 dark:text-white transition duration-200"
+                        />
+                        <Icon className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400 dark:text-gray-500" path={<path d="M11 19a8 8 0 1 0 0-16 8 8 0 0 0 0 16zM21 21l-4.35-4.35" />} />
+                    </div>
+                    {/* Any instrument matching the search can be added to a list from here */}
+                    {searchTerm.trim() !== '' && (
+                        <ul aria-label="Search suggestions" className="mt-2 max-h-56 overflow-auto text-sm divide-y divide-gray-100 dark:divide-gray-700">
+                            {searchResults.isLoading && !searchResults.data && <li className="py-2 text-gray-500 dark:text-gray-400">Searching...</li>}
+                            {searchResults.error && <li className="py-2 text-red-600 dark:text-red-400">Search is unavailable right now.</li>}
+                            {(searchResults.data || []).slice(0, 6).map(result => (
+                                <li key={result.ticker} className="py-2 flex items-center justify-between gap-2">
+                                    <span className="truncate">
+                                        <span className="font-medium text-gray-800 dark:text-gray-100">{result.ticker}</span>
+                                        <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">{result.name}</span>
+                                    </span>
+                                    <WatchlistMenu ticker={result.ticker} />
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+
+                {/* Performance Filter */}
+                <div className="flex w-full md:w-2/3 space-x-2 md:space-x-4">
+                    <label className="text-sm font-medium text-gray-700 dark:text-gray-300 flex-shrink-0 pt-2">Performance:</label>
+                    {['1D', '1W', '1M', '1Y'].map(filter => (
+                        <button
+                            key={filter}
+                            onClick={() => setWatchlistFilter(performanceFilter === filter
+                                ? { period: null, rank: null, min: null } // clicking the active period clears the filter
+                                : { period: filter })}
                             className={`px-3 py-2 text-sm font-medium rounded-lg transition duration-200 ${performanceFilter === filter
                                 ? 'bg-indigo-600 text-white shadow-md'
                                 : 'bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-indigo-100 dark:hover:bg-gray-600'
@@ -600,102 +1620,230 @@ const DashboardView = ({ stocks, top100, performanceFilter, setPerformanceFilter
             <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
                 {/* Stock List: Now conditionally rendered based on user selection */}
                 <div className="lg:col-span-2 space-y-4">
-                    <h2 className="text-2xl font-bold text-gray-900 dark:text-white flex items-center" style={{ fontFamily: 'var(--font-heading)' }}>
-                        <Icon className="w-6 h-6 mr-2 text-indigo-500" path={<path d="M7 13l3 3 7-7m1 10a9 9 0 1 1-18 0 9 9 0 0 1 18 0z" />} />
-                        Filtered Watchlist
-                    </h2>
-                    {shouldShowStocks ? (
-                        filteredStocks.length > 0 ? (
-                            filteredStocks.map(stock => (
-                                <StockItem key={stock.id} stock={stock} />
-                            ))
-                        ) : (
-                            <div className="text-center p-8 bg-white dark:bg-gray-800 rounded-xl border-dashed border-2 border-gray-300 dark:border-gray-600">
-                                <p className="text-gray-500 dark:text-gray-400">No stocks match your search criteria.</p>
+                    <div className="flex justify-between items-center">
+                        <h2 className="text-2xl font-bold text-gray-900 dark:text-white flex items-center" style={{ fontFamily: 'var(--font-heading)' }}>
+                            <Icon className="w-6 h-6 mr-2 text-indigo-500" path={<path d="M7 13l3 3 7-7m1 10a9 9 0 1 1-18 0 9 9 0 0 1 18 0z" />} />
+                            Watchlists
+                        </h2>
+                        <div className="flex items-center gap-2">
+                            {!performanceFilter && (
+                                <select
+                                    value={activeList.sort}
+                                    onChange={(e) => setListPreferences(activeList.id, { sort: e.target.value })}
+                                    aria-label="Sort watchlist by"
+                                    className="p-1.5 text-xs border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-200"
+                                >
+                                    {Object.entries(WATCHLIST_SORTS).map(([value, sort]) => <option key={value} value={value}>{sort.label}</option>)}
+                                </select>
+                            )}
+                            <details className="relative">
+                                <summary className="list-none cursor-pointer px-3 py-1 text-xs font-semibold rounded-lg border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200">Columns ▾</summary>
+                                <div className="absolute right-0 mt-1 w-44 p-2 space-y-1 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg z-40 text-sm">
+                                    {Object.entries(WATCHLIST_COLUMNS).map(([column, label]) => (
+                                        <label key={column} className="flex items-center gap-2 text-gray-700 dark:text-gray-200">
+                                            <input type="checkbox" checked={activeList.columns.includes(column)} onChange={() => toggleColumn(column)} />
+                                            {label}
+                                        </label>
+                                    ))}
+                                </div>
+                            </details>
+                            {performanceFilter && (
+                                <>
+                                    <select
+                                        value={rankMode}
+                                        onChange={(e) => setWatchlistFilter({ rank: e.target.value })}
+                                        aria-label="Rank watchlist by"
+                                        className="p-1.5 text-xs border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-200"
+                                    >
+                                        {Object.entries(RANK_MODES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                                    </select>
+                                    <select
+                                        value={minMove}
+                                        onChange={(e) => setWatchlistFilter({ min: e.target.value })}
+                                        aria-label="Minimum move"
+                                        className="p-1.5 text-xs border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-200"
+                                    >
+                                        {MIN_MOVE_OPTIONS.map(value => <option key={value} value={value}>{value === 0 ? 'Any move' : `Moved ≥ ${value}%`}</option>)}
+                                    </select>
+                                </>
+                            )}
+                            <ExportMenu
+                                disabled={filteredStocks.length === 0}
+                                build={() => ({
+                                    name: `watchlist-${activeList.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}`,
+                                    columns: [
+                                        { key: 'ticker', label: 'Ticker' },
+                                        { key: 'name', label: 'Name' },
+                                        { key: 'price', label: 'Price' },
+                                        ...(activeList.columns.includes('change') ? [{ key: 'change', label: 'Change' }] : []),
+                                        ...(activeList.columns.includes('changePercent') ? [{ key: 'changePercent', label: 'Change (%)' }] : []),
+                                        ...(performanceFilter ? [{ key: 'periodReturn', label: `${performanceFilter} Return (%)` }] : []),
+                                        ...(activeList.columns.includes('marketCap') ? [{ key: 'marketCap', label: 'Market Cap (T)' }] : []),
+                                    ],
+                                    rows: filteredStocks.map(stock => ({ ...stock, periodReturn: periodReturns[stock.ticker] })),
+                                    metadata: {
+                                        filters: [
+                                            `list "${activeList.name}"`,
+                                            searchTerm && `search "${searchTerm}"`,
+                                            performanceFilter && `period ${performanceFilter}`,
+                                            performanceFilter && RANK_MODES[rankMode].toLowerCase(),
+                                            performanceFilter && minMove > 0 && `moved at least ${minMove}%`,
+                                        ].filter(Boolean).join('; '),
+                                    },
+                                })}
+                            />
+                        </div>
+                    </div>
+                    <WatchlistTabs />
+                    <DataStatus status={quoteStatus} label="quotes" />
+                    <WatchlistDigestPanel listName={activeList.name} stocks={listStocks} />
+                    {returnsStatus && <DataStatus status={returnsStatus} label={`${performanceFilter} returns`} />}
+                    {activeList.tickers.length === 0 ? (
+                        <div className="text-center p-8 bg-white dark:bg-gray-800 rounded-xl border-dashed border-2 border-gray-300 dark:border-gray-600">
+                            <p className="text-gray-500 dark:text-gray-400">This list is empty. Search for a stock or fund above and use Watch to add it.</p>
+                        </div>
+                    ) : filteredStocks.length > 0 ? (
+                        filteredStocks.map(stock => (
+                            <div
+                                key={stock.ticker}
+                                draggable={canReorder}
+                                tabIndex={canReorder ? 0 : undefined}
+                                aria-label={canReorder ? `${stock.ticker}, drag or press Alt+Up/Down to reorder` : undefined}
+                                onKeyDown={(e) => moveByKey(e, stock.ticker)}
+                                onDragStart={(e) => { setDragTicker(stock.ticker); e.dataTransfer.effectAllowed = 'move'; }}
+                                onDragOver={(e) => { if (dragTicker) e.preventDefault(); }}
+                                onDrop={(e) => { e.preventDefault(); dropOn(stock.ticker); }}
+                                onDragEnd={() => setDragTicker(null)}
+                                className={`${canReorder ? 'cursor-grab' : ''} ${dragTicker === stock.ticker ? 'opacity-50' : ''}`}
+                            >
+                                <StockItem stock={stock} period={performanceFilter} periodReturn={periodReturns[stock.ticker]} columns={activeList.columns} />
                             </div>
-                        )
-                    ) : (
+                        ))
+                    ) : !quoteStatus?.isLoading && !returnsStatus?.isLoading && (
                         <div className="text-center p-8 bg-white dark:bg-gray-800 rounded-xl border-dashed border-2 border-gray-300 dark:border-gray-600">
-                            <p className="text-gray-500 dark:text-gray-400">Select a performance filter (1D, 1W, etc.) or use the search bar to view your watchlist.</p>
+                            <p className="text-gray-500 dark:text-gray-400">No instruments on this list match your search criteria.</p>
                         </div>
                     )}
                 </div>
 
-                {/* Top 100 Ranking */}
-                <div className="lg:col-span-1">
-                    <TopRankingTable rankings={mockTop100} />
+                {/* Daily Update Feed and Top 100 Ranking */}
+                <div className="lg:col-span-1 space-y-8">
+                    <DailyUpdateFeed filter={dailyUpdateFilter} watched={watchedTickers} held={heldTickers} />
+                    <TopRankingTable onSelect={openPerformance} />
                 </div>
             </div>
         </section>
     );
 };
 
-/** Animated Pie Chart Placeholder */
-const ChartPlaceholder = () => (
-    <div className="h-64 flex flex-col justify-center items-center text-center p-8 bg-indigo-50 dark:bg-gray-700/50 rounded-xl border-2 border-dashed border-indigo-400 dark:border-indigo-600 relative overflow-hidden">
-        <style jsx="true">
-            {`
-                @keyframes spin {
-                    from { transform: rotate(0deg); }
-                    to { transform: rotate(360deg); }
-                }
-                @keyframes dashpulse {
-                    0% { stroke-dashoffset: 0; }
-                50% { stroke-dashoffset: 150; }
-                100% { stroke-dashoffset: 0; }
-            }
-            .chart-ring {
-                animation: spin 8s linear infinite;
-                transform-origin: 50% 50%;
-            }
-            .chart-dash {
-                animation: dashpulse 4s ease-in-out infinite;
-            }
-        `}
-        </style>
-
-        {/* Animated Spinning SVG Ring */}
-        <svg width="100" height="100" viewBox="0 0 100 100" className="mb-4 chart-ring">
-            <circle
-                cx="50" cy="50" r="45"
-                fill="none"
-                stroke="#6366f1" /* Indigo-500 */
-                strokeWidth="5"
-                strokeDasharray="10 90"
-                className="chart-dash"
-                strokeLinecap="round"
-            />
-        </svg>
-
-        {/* Text Content */}
-        <Icon className="w-8 h-8 mb-2 text-indigo-700 dark:text-indigo-300" path={<path d="M13 10V3L4 14h7v7l9-11h-7z" />} />
-        {/* Poppins for sub-heading */}
-        <h4 className="text-xl font-bold text-indigo-700 dark:text-indigo-300" style={{ fontFamily: 'var(--font-heading)' }}>Analysis Not Live</h4>
-        <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
-            Data loading simulation is active. Connect to a live API for visualization.
-        </p>
-    </div>
-);
+/** "Summarize my watchlist": one cached AI digest of the list, with a sentiment per ticker */
+const WatchlistDigestPanel = ({ listName, stocks }) => {
+    const { digest, isDigestLoading, digestError, summarizeWatchlist } = useNewsSummaries();
+    const { isSignedIn } = useAuth();
+    const { canUse } = useEntitlements();
+    const isLocked = isSignedIn && !canUse('watchlistDigest');
+    const [isOpen, setIsOpen] = useState(false);
+    const covered = stocks.slice(0, MAX_DIGEST_TICKERS);
+    const matches = digest && digest.tickers.join() === covered.map(s => s.ticker).join();
+    const names = Object.fromEntries(stocks.map(s => [s.ticker, s.name]));
+
+    const summarize = (force = false) => {
+        setIsOpen(true);
+        summarizeWatchlist(stocks, { force });
+    };
+
+    if (stocks.length === 0) return null;
 
+    return (
+        <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-100 dark:border-gray-700 shadow-md">
+            <div className="flex items-center justify-between p-3">
+                <p className="text-sm text-gray-600 dark:text-gray-300">
+                    {isOpen && matches ? <>Digest of <span className="font-semibold">{listName}</span></> : 'Get one AI news digest for everything on this list.'}
+                </p>
+                <div className="flex items-center gap-2">
+                    {isOpen && matches && <button onClick={() => setIsOpen(false)} className="text-xs text-gray-500 dark:text-gray-400 hover:underline">Hide</button>}
+                    {isLocked ? (
+                        <span className="px-3 py-1 text-xs font-semibold rounded-full bg-amber-100 text-amber-800 dark:bg-amber-900/40 dark:text-amber-300">Premium</span>
+                    ) : (
+                        <button
+                            onClick={() => summarize(isOpen && matches)}
+                            disabled={isDigestLoading}
+                            className="px-3 py-1 text-xs font-semibold rounded-full bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+                        >
+                            {isDigestLoading ? 'Summarizing...' : isOpen && matches ? 'Refresh digest' : '✨ Summarize my watchlist'}
+                        </button>
+                    )}
+                </div>
+            </div>
+            {isLocked && <UpgradePrompt feature="watchlistDigest" compact className="mx-3 mb-3" />}
+            {isOpen && digestError && !isDigestLoading && (
+                <div className="mx-3 mb-3 space-y-2">
+                    <p className="p-2 text-sm rounded-lg bg-red-50 dark:bg-red-900/50 text-red-700 dark:text-red-300" role="alert">Could not summarize the watchlist: {digestError}</p>
+                    <UpgradePrompt compact />
+                </div>
+            )}
+            {isOpen && matches && (
+                <div className="px-3 pb-3 text-sm text-gray-700 dark:text-gray-300 space-y-3">
+                    {digest.overview && <Markdown text={digest.overview} />}
+                    {digest.items.length > 0 && (
+                        <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+                            {digest.items.map(item => (
+                                <li key={item.ticker} className="py-2">
+                                    <div className="flex items-center gap-2 mb-0.5">
+                                        <span className="font-semibold text-indigo-600 dark:text-indigo-400">{item.ticker}</span>
+                                        <span className="text-xs text-gray-500 dark:text-gray-400 truncate">{names[item.ticker]}</span>
+                                        <SentimentTag sentiment={item.sentiment} />
+                                    </div>
+                                    <Markdown text={item.text} />
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                    <div className="flex flex-wrap gap-x-3 text-xs text-gray-500 dark:text-gray-400">
+                        <RefreshedLabel time={digest.fetchedAt} />
+                        {stocks.length > covered.length && <span>Covers the first {covered.length} of {stocks.length} instruments.</span>}
+                    </div>
+                    <SourceList sources={digest.sources} limit={5} />
+                </div>
+            )}
+        </div>
+    );
+};
 
 /** Analysis View Component - Enhanced with AI Diversification Analysis */
-const AnalysisView = ({ setActiveView, stocks }) => {
+const AnalysisView = ({ setActiveView }) => {
     const [analysisReport, setAnalysisReport] = useState(null);
     const [isAnalysisLoading, setIsAnalysisLoading] = useState(false);
-
-    // Convert current simulated portfolio into a string for the LLM prompt
-    const portfolioData = useMemo(() =>
-        stocks.map(s => `${s.ticker} (${s.name}) $${s.price.toFixed(2)}, Market Cap: ${s.marketCap}B`).join('; '),
-        [stocks]);
+    const { portfolio, quoteStatus } = usePortfolio();
+    const llm = useLlm();
+    const { canUse } = useEntitlements();
+    const { user } = useAuth();
+    const sharesPortfolio = aiDataSharingOf(user).holdings;
+    const hasHoldings = portfolio.holdings.length > 0;
+
+    const heldTickers = useMemo(() => portfolio.holdings.map(h => h.ticker), [portfolio.holdings]);
+    const fundamentals = useFundamentalsMap(heldTickers);
+
+    // The user's positions and cash, each with its weight in the total, as a string for the LLM prompt
+    const portfolioData = useMemo(() => {
+        const details = fundamentals.data || {};
+        const weight = (value) => `${(portfolio.totalValue > 0 ? (value / portfolio.totalValue) * 100 : 0).toFixed(1)}%`;
+        const positions = portfolio.holdings.map(h => {
+            const { assetClass, sector, marketCap } = details[h.ticker] || {};
+            const traits = [assetClass, sector, marketCap != null && `market cap $${marketCap}T`].filter(Boolean).join(', ');
+            return `${h.ticker} ${weight(h.marketValue)} (${formatCurrency(h.marketValue)}${traits ? `; ${traits}` : ''})`;
+        });
+        return [...positions, `Cash ${weight(portfolio.cash)} (${formatCurrency(portfolio.cash)})`].join('; ');
+    }, [portfolio, fundamentals.data]);
 
     const generateAnalysis = useCallback(async () => {
-        if (isAnalysisLoading) return;
+        if (isAnalysisLoading || !hasHoldings || !sharesPortfolio) return;
         setIsAnalysisLoading(true);
         setAnalysisReport(null);
 
         const systemPrompt = "You are a senior financial risk analyst. Analyze the provided portfolio for diversification issues, and output a concise summary followed by three concrete, actionable, and generalized asset recommendations (not specific stocks/tickers) to improve the risk profile. Format your response clearly using markdown headings for each section (Summary and Recommendations).";
 
-        const prompt = `Analyze the following mock portfolio for diversification risks. It is heavily concentrated. Portfolio: ${portfolioData}`;
+        const prompt = `Analyze the following portfolio, worth ${formatCurrency(portfolio.totalValue)} in total, for diversification risks. Each position is shown with its weight in the total. Portfolio: ${portfolioData}`;
 
         const onResponse = (data) => {
             setIsAnalysisLoading(false);
@@ -704,29 +1852,25 @@ const AnalysisView = ({ setActiveView, stocks }) => {
 
         const onError = (errorMessage) => {
             setIsAnalysisLoading(false);
-            setAnalysisReport(`Error generating analysis: ${errorMessage}. Please try again.`);
+            setAnalysisReport(`Error generating analysis: ${errorMessage.replace(/\.$/, '')}. Please try again.`);
         };
 
         // Use the global utility function. Grounding is helpful for recommending general asset classes.
-        await callGeminiApi(prompt, onResponse, onError, systemPrompt, true);
-    }, [isAnalysisLoading, portfolioData]);
-
-    // Simulated chart data (ALL ZEROS as requested)
-    const chartData = useMemo(() => [
-        { name: 'Stocks', value: 0, color: '#4F46E5' }, // Indigo
-        { name: 'Mutual Funds', value: 0, color: '#10B981' }, // Green
-        { name: 'Cash', value: 0, color: '#F59E0B' }, // Amber
-    ], []);
-
-    const handleImportExcel = () => {
-        console.log("Simulating Excel Import: Data analyzed and merged into portfolio.");
-        const messageBox = document.createElement('div');
-        messageBox.className = 'fixed top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2 bg-green-500 text-white p-4 rounded-xl shadow-2xl z-50 transition-opacity duration-300';
-        messageBox.textContent = 'Import simulated: Data analyzed and merged!';
-        document.body.appendChild(messageBox);
-        setTimeout(() => document.body.removeChild(messageBox), 2000);
+        await callGeminiApi(llm, prompt, onResponse, onError, systemPrompt, true, 'portfolioAnalysis');
+    }, [llm, isAnalysisLoading, portfolioData, portfolio.totalValue, hasHoldings, sharesPortfolio]);
+
+    // Allocation drill-down: [] shows asset classes, then sectors, then positions
+    const [allocationPath, setAllocationPath] = useState([]);
+    const allocation = useMemo(
+        () => computeAllocation(portfolio, { fundamentals: fundamentals.data || {}, path: allocationPath }),
+        [portfolio, fundamentals.data, allocationPath]
+    );
+    const drillInto = (slice) => {
+        if (slice.drillable) setAllocationPath(prev => [...prev, slice.label]);
     };
 
+    const [showImport, setShowImport] = useState(false);
+
     const riskIconPath = <path d="M12 2L1 21h22z" />;
 
     return (
@@ -745,33 +1889,69 @@ const AnalysisView = ({ setActiveView, stocks }) => {
                         Current Asset Allocation
                     </h3>
 
-                    <div className="grid grid-cols-1 md:grid-cols-2 gap-8 items-center">
-
-                        {/* Animated Chart Placeholder */}
-                        <div className="h-64 flex justify-center items-center">
-                            <ChartPlaceholder />
-                        </div>
+                    {/* Drill-down breadcrumb */}
+                    <nav className="flex flex-wrap items-center text-sm mb-4 text-gray-500 dark:text-gray-400">
+                        {['All Assets', ...allocationPath].map((label, depth) => (
+                            <span key={`${depth}-${label}`} className="flex items-center">
+                                {depth > 0 && <span className="mx-2">/</span>}
+                                {depth < allocationPath.length ? (
+                                    <button onClick={() => setAllocationPath(allocationPath.slice(0, depth))} className="text-indigo-600 dark:text-indigo-400 hover:underline">{label}</button>
+                                ) : (
+                                    <span className="font-semibold text-gray-800 dark:text-white">{label}</span>
+                                )}
+                            </span>
+                        ))}
+                    </nav>
+
+                    {allocation.slices.length > 0 ? (
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-8 items-center">
+                            <DonutChart
+                                slices={allocation.slices}
+                                centerLabel={allocationPath[allocationPath.length - 1] || 'Total Value'}
+                                centerValue={formatCurrency(allocation.total, { compact: true })}
+                                formatValue={(value) => formatCurrency(value)}
+                                onSelect={drillInto}
+                            />
 
-                        {/* Legend reflecting zero data */}
-                        <div className="space-y-4">
-                            <p className="text-sm font-semibold text-gray-500 dark:text-gray-400">Simulated Allocation:</p>
-                            {chartData.map(item => (
-                                <div key={item.name} className="flex justify-between items-center p-3 rounded-xl bg-gray-50 dark:bg-gray-700 transition duration-200 hover:shadow-lg">
-                                    <div className="flex items-center">
-                                        <div className="w-4 h-4 rounded-full mr-3" style={{ backgroundColor: item.color }}></div>
-                                        <span className="font-medium text-gray-700 dark:text-gray-200">{item.name}</span>
+                            {/* Legend: weights always sum to the total shown below */}
+                            <div className="space-y-3">
+                                <p className="text-sm font-semibold text-gray-500 dark:text-gray-400">
+                                    By {allocation.level === 'assetClass' ? 'asset class' : allocation.level}{allocation.slices.some(s => s.drillable) ? ' (click to drill down)' : ''}:
+                                </p>
+                                <DataStatus status={fundamentals} label="sector data" />
+                                {allocation.slices.map(item => (
+                                    <button
+                                        key={item.key}
+                                        onClick={() => drillInto(item)}
+                                        disabled={!item.drillable}
+                                        className="w-full flex justify-between items-center p-3 rounded-xl bg-gray-50 dark:bg-gray-700 transition duration-200 hover:shadow-lg disabled:cursor-default text-left"
+                                    >
+                                        <div className="flex items-center min-w-0">
+                                            <div className="w-4 h-4 flex-shrink-0 rounded-full mr-3" style={{ backgroundColor: item.color }}></div>
+                                            <span className="font-medium text-gray-700 dark:text-gray-200 truncate">{item.label}</span>
+                                        </div>
+                                        <div className="text-right ml-2">
+                                            <span className="block text-lg font-bold" style={{ color: item.color, fontFamily: 'var(--font-heading)' }}>{item.weight.toFixed(1)}%</span>
+                                            <span className="block text-xs text-gray-500 dark:text-gray-400">{formatCurrency(item.value)}</span>
+                                        </div>
+                                    </button>
+                                ))}
+                                <div className="pt-4 border-t border-gray-200 dark:border-gray-600">
+                                    <div className="flex justify-between items-center font-bold text-lg text-gray-800 dark:text-white">
+                                        <span>Total Allocated</span>
+                                        <span className="text-indigo-600 dark:text-indigo-400">{formatCurrency(allocation.total)}</span>
                                     </div>
-                                    <span className="text-xl font-bold" style={{ color: item.color, fontFamily: 'var(--font-heading)' }}>{item.value}%</span>
-                                </div>
-                            ))}
-                            <div className="pt-4 border-t border-gray-200 dark:border-gray-600">
-                                <div className="flex justify-between items-center font-bold text-lg text-gray-800 dark:text-white">
-                                    <span>Total Allocated</span>
-                                    <span className="text-indigo-600 dark:text-indigo-400">{chartData.reduce((sum, item) => sum + item.value, 0)}%</span>
                                 </div>
                             </div>
                         </div>
-                    </div>
+                    ) : (
+                        <div className="h-64 flex flex-col justify-center items-center text-center p-8 bg-indigo-50 dark:bg-gray-700/50 rounded-xl border-2 border-dashed border-indigo-400 dark:border-indigo-600">
+                            <h4 className="text-xl font-bold text-indigo-700 dark:text-indigo-300" style={{ fontFamily: 'var(--font-heading)' }}>Nothing Allocated Yet</h4>
+                            <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+                                Record transactions on the Dashboard or import a broker statement to see your allocation.
+                            </p>
+                        </div>
+                    )}
                 </div>
 
                 {/* Import and Tools Panel */}
@@ -783,15 +1963,16 @@ const AnalysisView = ({ setActiveView, stocks }) => {
                             Integrate your own historical transaction data for deeper custom analysis.
                         </p>
                         <button
-                            onClick={handleImportExcel}
+                            onClick={() => setShowImport(true)}
                             className="w-full flex items-center justify-center bg-green-500 text-white py-3 rounded-xl font-bold hover:bg-green-600 transition duration-300 shadow-md transform hover:scale-[1.01]"
                         >
                             <Icon className="w-5 h-5 mr-2 fill-current" path={<path d="M14 2v4a2 2 0 0 0 2 2h4M10 20l-4-4-2 2M10 20v-4M4 14V4a2 2 0 0 1 2-2h8l6 6v12a2 2 0 0 1-2 2H6a2 2 0 0 1-2-2z" />} />
-                            Import Excel File (Simulated)
+                            Import CSV / Excel Statement
                         </button>
                         <p className="text-xs text-gray-400 dark:text-gray-500 pt-2">
-                            *Note: Real file access is simulated for demonstration.
+                            *Note: Files are parsed in your browser; valid trades are added to your portfolio ledger.
                         </p>
+                        {showImport && <ImportWizard onClose={() => setShowImport(false)} />}
                     </div>
 
                     {/* AI-Powered Diversification Analysis Section */}
@@ -803,27 +1984,44 @@ const AnalysisView = ({ setActiveView, stocks }) => {
                         </h3>
 
                         <p className="text-gray-600 dark:text-gray-400 text-sm">
-                            Use Gemini to analyze your current simulated portfolio and generate actionable risk diversification advice.
+                            Use Gemini to analyze your portfolio's holdings and cash and generate actionable risk diversification advice.
                         </p>
-
-                        <button
-                            onClick={generateAnalysis}
-                            disabled={isAnalysisLoading}
-                            className={`w-full flex items-center justify-center py-3 rounded-xl font-bold transition duration-300 shadow-md transform hover:scale-[1.01] ${isAnalysisLoading
-                                ? 'bg-gray-400 text-gray-600 cursor-not-allowed'
-                                : 'bg-indigo-600 text-white hover:bg-indigo-700'
-                                }`}
-                        >
-                            <Icon className="w-5 h-5 mr-2 fill-current" path={<path d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.21 1.18-6.88-5-4.87 6.91-1.01L12 2z" />} />
-                            {isAnalysisLoading ? 'Analyzing Portfolio...' : 'Generate Diversification Plan ✨'}
-                        </button>
+                        <DataStatus status={quoteStatus} label="portfolio prices" />
+
+                        {!canUse('portfolioAnalysis') ? (
+                            <UpgradePrompt feature="portfolioAnalysis" />
+                        ) : !sharesPortfolio ? (
+                            <p role="note" className="p-3 text-sm rounded-lg border bg-gray-50 dark:bg-gray-700 border-gray-200 dark:border-gray-600 text-gray-600 dark:text-gray-300">
+                                AI analysis is off because you don't share your portfolio with the assistant.{' '}
+                                <Link to={buildPath('Security')} className="text-indigo-600 dark:text-indigo-400 font-semibold hover:underline">Change this in Security & Privacy</Link>.
+                            </p>
+                        ) : (
+                            <>
+                                <button
+                                    onClick={generateAnalysis}
+                                    disabled={isAnalysisLoading || !hasHoldings}
+                                    title={hasHoldings ? undefined : 'Record or import some trades first'}
+                                    className={`w-full flex items-center justify-center py-3 rounded-xl font-bold transition duration-300 shadow-md transform hover:scale-[1.01] ${isAnalysisLoading || !hasHoldings
+                                        ? 'bg-gray-400 text-gray-600 cursor-not-allowed'
+                                        : 'bg-indigo-600 text-white hover:bg-indigo-700'
+                                        }`}
+                                >
+                                    <Icon className="w-5 h-5 mr-2 fill-current" path={<path d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.21 1.18-6.88-5-4.87 6.91-1.01L12 2z" />} />
+                                    {isAnalysisLoading ? 'Analyzing Portfolio...' : 'Generate Diversification Plan ✨'}
+                                </button>
+                                <UsageMeter compact className="text-center" />
+                                <UpgradePrompt />
+                            </>
+                        )}
 
                         {/* Display Analysis Report */}
                         {analysisReport && (
-                            <div className="mt-4 p-4 border border-indigo-200 dark:border-indigo-800 bg-indigo-50 dark:bg-gray-700 rounded-lg whitespace-pre-wrap text-sm text-gray-700 dark:text-gray-300 shadow-inner">
-                                <p className="font-bold mb-2 text-indigo-700 dark:text-indigo-300">Wisbee's Diversification Report:</p>
-                                {/* WARNING: Rendering raw markdown output from the LLM. Using dangerouslySetInnerHTML */}
-                                <div dangerouslySetInnerHTML={{ __html: analysisReport.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>').replace(/\n/g, '<br/>') }} />
+                            <div className="mt-4 p-4 border border-indigo-200 dark:border-indigo-800 bg-indigo-50 dark:bg-gray-700 rounded-lg text-sm text-gray-700 dark:text-gray-300 shadow-inner">
+                                <div className="flex justify-between items-center mb-2">
+                                    <p className="font-bold text-indigo-700 dark:text-indigo-300">Wisbee's Diversification Report:</p>
+                                    <ExportMenu build={() => ({ ...holdingsExport(portfolio, { analysis: analysisReport }), name: 'portfolio-analysis' })} />
+                                </div>
+                                <Markdown text={analysisReport} />
                             </div>
                         )}
 
@@ -835,57 +2033,179 @@ const AnalysisView = ({ setActiveView, stocks }) => {
 };
 
 /** Performance View Component: NEWLY ADDED */
-const PerformanceView = ({ stocks }) => {
-    const [selectedTicker, setSelectedTicker] = useState('');
-    const [pvSearch, setPvSearch] = useState('');
-    const [showSuggestions, setShowSuggestions] = useState(false);
-    const selectedStock = stocks.find(s => s.ticker === selectedTicker) || null;
-    const chartPath = <path d="M3 3v18h18M18 17l-5-5-4 4-2-2M13 5h6v6" />;
-
-    // Simulated historical data generation (30 days)
-    const generateSimulatedHistory = useCallback((stock) => {
-        const history = [];
-        let price = stock.price;
-        // Generate history for the past 30 days
-        for (let i = 0; i < 30; i++) {
-            const date = new Date();
-            date.setDate(date.getDate() - (29 - i));
-            // Simulate random daily price changes based on the stock's overall trend
-            const fluctuation = (Math.random() - 0.5) * 0.01 * price; // +/- 0.5% fluctuation
-            const trendAdjust = stock.changePercent > 0 ? 0.001 : -0.001; // slight daily bias
-            price += fluctuation + (price * trendAdjust);
-
-            history.push({
-                date: date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
-                price: price
-            });
-        }
-        return history;
-    }, []);
-
-    const simulatedHistory = useMemo(() => selectedStock ? generateSimulatedHistory(selectedStock) : [], [selectedStock, generateSimulatedHistory]);
+const MAX_COMPARE_TICKERS = 6;
+const COMPARISON_COLORS = ['#4F46E5', '#10B981', '#EF4444', '#F59E0B', '#EC4899', '#06B6D4'];
+const BENCHMARK_COLOR = '#64748B';
+
+/** Rebased return chart and risk table for several tickers against a benchmark index. */
+const ComparisonView = ({ tickers, benchmark, range }) => {
+    const allTickers = useMemo(() => [...tickers.filter(t => t !== benchmark), benchmark], [tickers, benchmark]);
+    const histories = useHistories(allTickers, { range });
+    const benchmarkName = BENCHMARKS.find(b => b.ticker === benchmark)?.name || benchmark;
+
+    const comparison = useMemo(() => {
+        if (!histories.data) return null;
+        const aligned = alignHistories(histories.data);
+        const series = Object.keys(aligned.closes).map((ticker, i) => ({
+            ticker,
+            values: rebase(aligned.closes[ticker]),
+            color: ticker === benchmark ? BENCHMARK_COLOR : COMPARISON_COLORS[i % COMPARISON_COLORS.length],
+            isBenchmark: ticker === benchmark,
+        }));
+        return { times: aligned.times, series, rows: compareSeries(aligned, benchmark, range) };
+    }, [histories.data, benchmark, range]);
 
-    const chartData = useMemo(() => {
-        // Normalize prices for bar height calculation (e.g., set the minimum price as the baseline)
-        const minPrice = Math.min(...simulatedHistory.map(d => d.price));
-        const maxPrice = Math.max(...simulatedHistory.map(d => d.price));
-        const priceRange = maxPrice - minPrice;
+    if (!comparison) {
+        return (
+            <div className="h-96 flex items-center justify-center rounded-lg bg-gray-50 dark:bg-gray-800 border-2 border-dashed border-gray-300 dark:border-gray-700">
+                <DataStatus status={histories} label="comparison history" />
+            </div>
+        );
+    }
 
-        return simulatedHistory.map(day => ({
-            ...day,
-            // Calculate height as a percentage of the total price range above the minimum
-            normalizedHeight: priceRange > 0 ? (day.price - minPrice) / priceRange : 0,
-        }));
-    }, [simulatedHistory]);
+    const missing = allTickers.filter(t => !histories.data[t]);
+    const colorOf = Object.fromEntries(comparison.series.map(s => [s.ticker, s.color]));
+    const cell = 'px-4 py-3 whitespace-nowrap text-sm text-right';
 
     return (
-        <section className="p-4 md:p-8 space-y-8 min-h-screen">
-            <h2 className="text-3xl font-bold text-gray-900 dark:text-white border-b pb-3 border-gray-200 dark:border-gray-700" style={{ fontFamily: 'var(--font-heading)' }}>
-                Individual Stock Performance
-            </h2>
+        <div className="space-y-6">
+            {missing.length > 0 && (
+                <p className="text-sm text-red-600 dark:text-red-400">Could not load history for {missing.join(', ')}.</p>
+            )}
+            {comparison.times.length < 2 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">Not enough overlapping history in this range to compare.</p>
+            ) : (
+                <ComparisonChart times={comparison.times} series={comparison.series} />
+            )}
 
-            <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
-                {/* Search Selector & Info */}
+            <div>
+                <div className="flex justify-between items-center mb-3">
+                    <h4 className="font-bold text-lg text-gray-800 dark:text-white">
+                        Comparison
+                        <span className="ml-2 text-sm font-normal text-gray-500 dark:text-gray-400">{range} vs {benchmarkName}</span>
+                    </h4>
+                    <ExportMenu
+                        disabled={comparison.rows.length === 0}
+                        build={() => ({
+                            name: 'comparison',
+                            columns: [
+                                { key: 'ticker', label: 'Ticker' },
+                                { key: 'periodReturn', label: 'Return (%)' },
+                                { key: 'volatility', label: 'Volatility (% ann.)' },
+                                { key: 'maxDrawdown', label: 'Max Drawdown (%)' },
+                                { key: 'correlation', label: `Correlation to ${benchmark}` },
+                            ],
+                            rows: comparison.rows,
+                            metadata: { dateRange: range, filters: `Benchmark: ${benchmark}` },
+                        })}
+                    />
+                </div>
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 rounded-lg overflow-hidden">
+                        <thead className="bg-gray-50 dark:bg-gray-700">
+                            <tr>
+                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Ticker</th>
+                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Return</th>
+                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Volatility (ann.)</th>
+                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Max Drawdown</th>
+                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Corr. to {benchmark}</th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                            {comparison.rows.map(row => (
+                                <tr key={row.ticker} className="hover:bg-gray-50 dark:hover:bg-gray-700">
+                                    <td className="px-4 py-3 whitespace-nowrap text-sm font-medium text-gray-900 dark:text-white">
+                                        <span className="inline-block w-2.5 h-2.5 rounded-full mr-2" style={{ backgroundColor: colorOf[row.ticker] }}></span>
+                                        {row.ticker}
+                                        {row.isBenchmark && <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">Benchmark</span>}
+                                    </td>
+                                    <td className={`${cell} font-semibold ${row.periodReturn >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                                        {row.periodReturn == null ? '—' : formatPercent(row.periodReturn)}
+                                    </td>
+                                    <td className={`${cell} text-gray-700 dark:text-gray-300`}>{row.volatility.toFixed(1)}%</td>
+                                    <td className={`${cell} text-red-600 dark:text-red-400`}>{row.maxDrawdown.toFixed(1)}%</td>
+                                    <td className={`${cell} text-gray-700 dark:text-gray-300`}>{row.correlation == null ? '—' : row.correlation.toFixed(2)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const CHART_MODES = ['line', 'area', 'candle'];
+
+const PerformanceView = ({ stocks, selectedTicker }) => {
+    const [pvSearch, setPvSearch] = useState('');
+    const [showSuggestions, setShowSuggestions] = useState(false);
+    const chartPath = <path d="M3 3v18h18M18 17l-5-5-4 4-2-2M13 5h6v6" />;
+
+    const searchResults = useSearch(pvSearch);
+    // Prefer the watchlist quote; search can select instruments outside of it.
+    const watchlistQuote = stocks.find(s => s.ticker === selectedTicker);
+    const selectedQuote = useQuotes(selectedTicker && !watchlistQuote ? [selectedTicker] : []);
+    const selectedStock = watchlistQuote || selectedQuote.data?.[0] || null;
+    const fundamentals = useFundamentals(selectedTicker);
+    // Range and chart type ride along in the query, so a shared link opens the same chart.
+    const [query, setQuery] = useQueryParams();
+    const range = HISTORY_RANGES[query.range] ? query.range : DEFAULT_HISTORY_RANGE;
+    const setRange = (next) => setQuery({ range: next === DEFAULT_HISTORY_RANGE ? null : next });
+    const chartMode = CHART_MODES.includes(query.chart) ? query.chart : 'area';
+    const setChartMode = (next) => setQuery({ chart: next === 'area' ? null : next });
+    const history = useHistory(selectedTicker, { range });
+    const bars = useMemo(() => history.data || [], [history.data]);
+    // Funds publish one NAV a day: their history is daily even for intraday ranges, and 1D is a single point.
+    const isFund = fundamentals.data?.assetClass === 'Mutual Funds';
+    const intraday = !isFund && HISTORY_RANGES[range].interval === 'intraday';
+    const [showSipForm, setShowSipForm] = useState(false);
+    const { isSignedIn, user } = useAuth();
+    // A SIP goes into the signed-in user's portfolio, so a signed-out visitor is asked to sign in first.
+    const startSip = () => (isSignedIn ? setShowSipForm(true) : navigate(signInPath(`${window.location.pathname}${window.location.search}`)));
+    const [showAlertForm, setShowAlertForm] = useState(false);
+    const [indicatorSettings, updateIndicator] = useIndicatorSettings(user?.id);
+    const indicators = useMemo(() => computeIndicators(bars, indicatorSettings), [bars, indicatorSettings]);
+    const [compareMode, setCompareMode] = useState(false);
+    const [compareTickers, setCompareTickers] = useState([]);
+    const [benchmark, setBenchmark] = useState(DEFAULT_BENCHMARK);
+
+    useEffect(() => {
+        if (isFund && !compareMode && range === '1D') setRange('1W');
+    }, [isFund, compareMode, range]);
+
+    // In comparison mode search results are added to the set instead of replacing the selection.
+    const selectInstrument = (ticker) => {
+        if (compareMode) {
+            setCompareTickers(prev => (prev.includes(ticker) || prev.length >= MAX_COMPARE_TICKERS ? prev : [...prev, ticker]));
+        } else {
+            navigate(`${buildPath('Performance', { ticker })}${window.location.search}`);
+        }
+    };
+
+    const toggleCompareMode = () => {
+        if (!compareMode && compareTickers.length === 0 && selectedTicker) setCompareTickers([selectedTicker]);
+        setCompareMode(v => !v);
+    };
+
+    // The table follows the selected range, newest bar first.
+    const closings = useMemo(() => [...bars].reverse().map(bar => ({
+        time: bar.time,
+        date: intraday
+            ? new Date(bar.time).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+            : new Date(bar.time).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }),
+        price: bar.close,
+        volume: bar.volume,
+    })), [bars, intraday]);
+
+    return (
+        <section className="p-4 md:p-8 space-y-8 min-h-screen">
+            <h2 className="text-3xl font-bold text-gray-900 dark:text-white border-b pb-3 border-gray-200 dark:border-gray-700" style={{ fontFamily: 'var(--font-heading)' }}>
+                Individual Stock Performance
+            </h2>
+
+            <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+                {/* Search Selector & Info */}
                 <div className="lg:col-span-1 bg-white dark:bg-gray-800 p-6 rounded-2xl shadow-xl border border-gray-100 dark:border-gray-700">
                     <label htmlFor="ticker-search" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Search:</label>
                     <div className="relative">
@@ -901,8 +2221,17 @@ const PerformanceView = ({ stocks }) => {
                         />
                         {showSuggestions && pvSearch.trim() !== '' && (
                             <ul className="absolute left-0 right-0 mt-2 max-h-48 overflow-auto bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg z-50">
-                                {stocks.filter(s => s.ticker.toLowerCase().includes(pvSearch.toLowerCase()) || s.name.toLowerCase().includes(pvSearch.toLowerCase())).slice(0, 8).map(s => (
-                                    <li key={s.ticker} onMouseDown={() => { setSelectedTicker(s.ticker); setPvSearch(''); setShowSuggestions(false); }} className="px-4 py-2 hover:bg-gray-100 dark:hover:bg-gray-700 cursor-pointer flex justify-between items-center">
+                                {searchResults.isLoading && !searchResults.data && (
+                                    <li className="px-4 py-2 text-sm text-gray-500 dark:text-gray-400">Searching...</li>
+                                )}
+                                {searchResults.error && (
+                                    <li className="px-4 py-2 text-sm text-red-600 dark:text-red-400">Search is unavailable right now.</li>
+                                )}
+                                {searchResults.data?.length === 0 && (
+                                    <li className="px-4 py-2 text-sm text-gray-500 dark:text-gray-400">No matches.</li>
+                                )}
+                                {(searchResults.data || []).slice(0, 8).map(s => (
+                                    <li key={s.ticker} onMouseDown={() => { selectInstrument(s.ticker); setPvSearch(''); setShowSuggestions(false); }} className="px-4 py-2 hover:bg-gray-100 dark:hover:bg-gray-700 cursor-pointer flex justify-between items-center">
                                         <span className="font-medium text-gray-800 dark:text-gray-100">{s.ticker}</span>
                                         <span className="text-xs text-gray-500 dark:text-gray-400">{s.name}</span>
                                     </li>
@@ -912,13 +2241,82 @@ const PerformanceView = ({ stocks }) => {
                     </div>
 
                     <div className="mt-6 space-y-3">
-                        {selectedStock ? (
+                        {compareMode ? (
+                            <>
+                                <h4 className="font-bold text-lg text-indigo-600 dark:text-indigo-400">Comparing</h4>
+                                {compareTickers.length === 0 ? (
+                                    <p className="text-sm text-gray-500 dark:text-gray-400">Search above to add up to {MAX_COMPARE_TICKERS} tickers.</p>
+                                ) : (
+                                    <ul className="flex flex-wrap gap-2">
+                                        {compareTickers.map(ticker => (
+                                            <li key={ticker} className="flex items-center px-2 py-1 rounded-full bg-indigo-50 dark:bg-gray-700 text-sm font-medium text-indigo-700 dark:text-indigo-300">
+                                                {ticker}
+                                                <button
+                                                    onClick={() => setCompareTickers(prev => prev.filter(t => t !== ticker))}
+                                                    className="ml-1 text-gray-400 hover:text-red-500"
+                                                    aria-label={`Remove ${ticker}`}
+                                                >
+                                                    ×
+                                                </button>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 pt-2">
+                                    Benchmark
+                                    <select
+                                        value={benchmark}
+                                        onChange={(e) => setBenchmark(e.target.value)}
+                                        className="mt-1 w-full p-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-200"
+                                    >
+                                        {BENCHMARKS.map(b => <option key={b.ticker} value={b.ticker}>{b.name}</option>)}
+                                    </select>
+                                </label>
+                            </>
+                        ) : selectedStock ? (
                             <>
                                 <h4 className="font-bold text-lg text-indigo-600 dark:text-indigo-400">{selectedStock.ticker} Metrics</h4>
-                                <p className="text-sm text-gray-700 dark:text-gray-300">Price: <span className="font-semibold">${selectedStock.price.toFixed(2)}</span></p>
-                                <p className="text-sm text-gray-700 dark:text-gray-300">Mkt Cap: <span className="font-semibold">${selectedStock.marketCap}T</span></p>
+                                <p className="text-sm text-gray-700 dark:text-gray-300">{isFund ? 'NAV' : 'Price'}: <span className="font-semibold">${selectedStock.price.toFixed(2)}</span></p>
+                                {selectedStock.marketCap != null && (
+                                    <p className="text-sm text-gray-700 dark:text-gray-300">Mkt Cap: <span className="font-semibold">${selectedStock.marketCap}T</span></p>
+                                )}
                                 <p className="text-sm text-gray-700 dark:text-gray-300">Today: <TrendIndicator changePercent={selectedStock.changePercent} /></p>
+                                <button
+                                    onClick={() => setShowAlertForm(true)}
+                                    className="w-full py-2 rounded-xl border border-indigo-200 dark:border-gray-600 text-indigo-600 dark:text-indigo-400 text-sm font-semibold hover:bg-indigo-50 dark:hover:bg-gray-700 transition duration-200"
+                                >
+                                    🔔 Create Alert
+                                </button>
+                                {showAlertForm && <AlertForm ticker={selectedStock.ticker} price={selectedStock.price} onClose={() => setShowAlertForm(false)} />}
+                                {isFund ? (
+                                    <>
+                                        <p className="text-sm text-gray-700 dark:text-gray-300">Category: <span className="font-semibold">{fundamentals.data.category}</span></p>
+                                        <p className="text-sm text-gray-700 dark:text-gray-300">Expense Ratio: <span className="font-semibold">{fundamentals.data.expenseRatio.toFixed(2)}%</span></p>
+                                        <p className="text-sm text-gray-700 dark:text-gray-300">AUM: <span className="font-semibold">{formatCurrency(fundamentals.data.aum * 1e9, { compact: true })}</span></p>
+                                        <p className="text-sm text-gray-700 dark:text-gray-300">Exit Load: <span className="font-semibold">
+                                            {fundamentals.data.exitLoad ? `${fundamentals.data.exitLoad.percent}% within ${fundamentals.data.exitLoad.days} days` : 'None'}
+                                        </span></p>
+                                        <p className="text-sm text-gray-700 dark:text-gray-300">Benchmark: <span className="font-semibold">{fundamentals.data.benchmark}</span></p>
+                                        <button
+                                            onClick={startSip}
+                                            className="mt-2 w-full py-2 rounded-xl bg-indigo-600 text-white text-sm font-semibold hover:bg-indigo-700 transition duration-200"
+                                        >
+                                            Start SIP
+                                        </button>
+                                        {showSipForm && <SipForm ticker={selectedStock.ticker} onClose={() => setShowSipForm(false)} />}
+                                    </>
+                                ) : fundamentals.data && (
+                                    <>
+                                        <p className="text-sm text-gray-700 dark:text-gray-300">Sector: <span className="font-semibold">{fundamentals.data.sector}</span></p>
+                                        <p className="text-sm text-gray-700 dark:text-gray-300">P/E: <span className="font-semibold">{fundamentals.data.peRatio?.toFixed(1) ?? '—'}</span></p>
+                                    </>
+                                )}
+                                <DataStatus status={fundamentals} label="fundamentals" />
                             </>
+                        ) : selectedTicker && selectedQuote.data?.length === 0 ? (
+                            <p className="text-sm text-gray-500 dark:text-gray-400">No instrument found for {selectedTicker}.</p>
+                        ) : selectedTicker ? (
+                            <DataStatus status={selectedQuote} label={`${selectedTicker} quote`} />
                         ) : (
                             <div className="text-center p-4 rounded-lg bg-gray-50 dark:bg-gray-700 text-sm text-gray-600 dark:text-gray-300">
                                 <p className="font-semibold mb-1">Search to check performance</p>
@@ -930,31 +2328,70 @@ const PerformanceView = ({ stocks }) => {
 
                 {/* Performance Chart and Data */}
                 <div className="lg:col-span-3 bg-white dark:bg-gray-800 p-6 rounded-2xl shadow-xl border border-gray-100 dark:border-gray-700">
-                    <h3 className="text-2xl font-semibold mb-6 text-gray-800 dark:text-white flex items-center" style={{ fontFamily: 'var(--font-heading)' }}>
-                        <Icon className="w-6 h-6 mr-2 text-indigo-500" path={chartPath} />
-                        30-Day Simulated Price History
-                    </h3>
+                    <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
+                        <h3 className="text-2xl font-semibold text-gray-800 dark:text-white flex items-center" style={{ fontFamily: 'var(--font-heading)' }}>
+                            <Icon className="w-6 h-6 mr-2 text-indigo-500" path={chartPath} />
+                            {compareMode ? 'Relative Performance' : selectedTicker ? `${selectedTicker} Price History` : 'Price History'}
+                        </h3>
+                        <div className="flex flex-wrap items-center gap-2">
+                            <button
+                                onClick={toggleCompareMode}
+                                className={`mr-2 px-3 py-1.5 text-sm font-medium rounded-lg border transition duration-200 ${compareMode
+                                    ? 'border-indigo-600 bg-indigo-50 text-indigo-700 dark:bg-gray-700 dark:text-indigo-300'
+                                    : 'border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+                                    }`}
+                            >
+                                {compareMode ? 'Exit Compare' : 'Compare'}
+                            </button>
+                            {Object.keys(HISTORY_RANGES).map(option => (
+                                <button
+                                    key={option}
+                                    onClick={() => setRange(option)}
+                                    disabled={isFund && !compareMode && option === '1D'}
+                                    title={isFund && !compareMode && option === '1D' ? 'Fund NAVs are published once a day' : undefined}
+                                    className={`px-3 py-1.5 text-sm font-medium rounded-lg transition duration-200 disabled:opacity-40 disabled:cursor-not-allowed ${range === option
+                                        ? 'bg-indigo-600 text-white shadow-md'
+                                        : 'bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-indigo-100 dark:hover:bg-gray-600'
+                                        }`}
+                                >
+                                    {option}
+                                </button>
+                            ))}
+                            {!compareMode && (
+                                <select
+                                    value={chartMode}
+                                    onChange={(e) => setChartMode(e.target.value)}
+                                    aria-label="Chart type"
+                                    className="ml-2 p-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-200"
+                                >
+                                    <option value="line">Line</option>
+                                    <option value="area">Area</option>
+                                    <option value="candle">Candlestick</option>
+                                </select>
+                            )}
+                        </div>
+                    </div>
 
-                    {/* Chart Area: show prompt when no selection, otherwise show simulated chart */}
-                    {selectedStock ? (
-                        <div className="h-96 relative flex items-center justify-center p-4 bg-gray-50 dark:bg-gray-700 rounded-lg">
-                            <div className="w-full h-full bg-gray-100 dark:bg-gray-800 rounded-lg border-2 border-dashed border-gray-300 dark:border-gray-600 flex flex-col justify-end p-4">
-                                <div className="flex justify-between items-end h-full w-full">
-                                    {chartData.map((day, index) => (
-                                        <div key={index} className="flex flex-col items-center justify-end h-full group w-2 md:w-3">
-                                            <div
-                                                className="w-full rounded-t-sm bg-indigo-500 transition-all duration-300 hover:bg-indigo-700"
-                                                style={{ height: `${10 + (day.normalizedHeight * 80)}%`, minHeight: '5px' }}
-                                            ></div>
-                                            <div className="absolute top-0 mt-2 p-2 bg-gray-800 text-white text-xs rounded-lg opacity-0 group-hover:opacity-100 transition duration-300 pointer-events-none z-10">
-                                                {day.date}: ${day.price.toFixed(2)}
-                                            </div>
-                                        </div>
-                                    ))}
+                    {/* Chart Area: show prompt when no selection, otherwise show the interactive chart */}
+                    {compareMode ? (
+                        compareTickers.length > 0 ? (
+                            <ComparisonView tickers={compareTickers} benchmark={benchmark} range={range} />
+                        ) : (
+                            <div className="h-96 flex items-center justify-center rounded-lg bg-gray-50 dark:bg-gray-800 border-2 border-dashed border-gray-300 dark:border-gray-700">
+                                <div className="text-center p-6">
+                                    <p className="text-lg font-semibold text-gray-700 dark:text-gray-200">Add tickers to compare</p>
+                                    <p className="text-sm text-gray-500 dark:text-gray-400 mt-2">Each one is plotted as percentage return from the start of the range, against the benchmark.</p>
                                 </div>
-                                <p className="absolute bottom-4 left-4 text-xs font-semibold text-gray-500 dark:text-gray-400">Price ($)</p>
-                                <p className="absolute bottom-4 right-4 text-xs font-semibold text-gray-500 dark:text-gray-400">Time (Days)</p>
                             </div>
+                        )
+                    ) : selectedTicker && bars.length === 0 ? (
+                        <div className="h-96 flex items-center justify-center rounded-lg bg-gray-50 dark:bg-gray-800 border-2 border-dashed border-gray-300 dark:border-gray-700">
+                            <DataStatus status={history} label={`${selectedTicker} price history`} />
+                        </div>
+                    ) : selectedTicker ? (
+                        <div className="space-y-3">
+                            <IndicatorPanel settings={indicatorSettings} onChange={updateIndicator} />
+                            <PriceChart bars={bars} mode={chartMode} indicators={indicators} />
                         </div>
                     ) : (
                         <div className="h-96 flex items-center justify-center rounded-lg bg-gray-50 dark:bg-gray-800 border-2 border-dashed border-gray-300 dark:border-gray-700">
@@ -966,95 +2403,968 @@ const PerformanceView = ({ stocks }) => {
                     )}
 
                     {/* Simulated Data Table */}
-                    <div className="mt-6">
-                        <h4 className="font-bold text-lg text-gray-800 dark:text-white mb-3">Recent Closings</h4>
-                        <div className="overflow-x-auto">
-                            <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 rounded-lg overflow-hidden">
-                                <thead className="bg-gray-50 dark:bg-gray-700">
-                                    <tr>
-                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Date</th>
-                                        <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Closing Price</th>
-                                    </tr>
-                                </thead>
-                                <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
-                                    {chartData.slice(-5).reverse().map((day, index) => (
-                                        <tr key={index} className="hover:bg-gray-50 dark:hover:bg-gray-700">
-                                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900 dark:text-white">{day.date}</td>
-                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-indigo-600 dark:text-indigo-400">${day.price.toFixed(2)}</td>
+                    {!compareMode && (
+                        <div className="mt-6">
+                            <div className="flex justify-between items-center mb-3">
+                                <h4 className="font-bold text-lg text-gray-800 dark:text-white">
+                                    {isFund ? 'NAV History' : intraday ? 'Intraday Prices' : 'Recent Closings'}
+                                    <span className="ml-2 text-sm font-normal text-gray-500 dark:text-gray-400">{range}</span>
+                                </h4>
+                                <ExportMenu
+                                    disabled={bars.length === 0}
+                                    build={() => ({
+                                        name: `${selectedTicker.toLowerCase()}-history`,
+                                        columns: isFund ? [
+                                            { key: 'date', label: 'Date' },
+                                            { key: 'close', label: 'NAV' },
+                                        ] : [
+                                            { key: 'date', label: 'Date' },
+                                            { key: 'open', label: 'Open' },
+                                            { key: 'high', label: 'High' },
+                                            { key: 'low', label: 'Low' },
+                                            { key: 'close', label: 'Close' },
+                                            { key: 'volume', label: 'Volume' },
+                                        ],
+                                        rows: bars.map(bar => ({ ...bar, date: new Date(bar.time).toISOString().slice(0, intraday ? 16 : 10) })),
+                                        metadata: {
+                                            ticker: selectedTicker,
+                                            dateRange: `${range}: ${new Date(bars[0].time).toISOString().slice(0, 10)} to ${new Date(bars[bars.length - 1].time).toISOString().slice(0, 10)}`,
+                                        },
+                                    })}
+                                />
+                            </div>
+                            <div className="overflow-x-auto max-h-72 overflow-y-auto">
+                                <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 rounded-lg overflow-hidden">
+                                    <thead className="bg-gray-50 dark:bg-gray-700 sticky top-0">
+                                        <tr>
+                                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">{intraday ? 'Time' : 'Date'}</th>
+                                            <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">{isFund ? 'NAV' : intraday ? 'Price' : 'Closing Price'}</th>
+                                            {!isFund && <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Volume</th>}
                                         </tr>
-                                    ))}
-                                </tbody>
-                            </table>
+                                    </thead>
+                                    <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+                                        {closings.map(day => (
+                                            <tr key={day.time} className="hover:bg-gray-50 dark:hover:bg-gray-700">
+                                                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900 dark:text-white">{day.date}</td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-indigo-600 dark:text-indigo-400">${day.price.toFixed(2)}</td>
+                                                {!isFund && <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-600 dark:text-gray-300">{day.volume.toLocaleString()}</td>}
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
                         </div>
-                    </div>
+                    )}
                 </div>
             </div>
         </section>
     );
 };
 
-/** Account View Component */
-const AccountView = () => (
-    <section className="p-4 md:p-8 space-y-8 min-h-screen">
-        <div className="max-w-4xl mx-auto bg-white dark:bg-gray-800 p-8 rounded-2xl shadow-xl border border-gray-100 dark:border-gray-700">
-            {/* Poppins for main heading */}
-            <h2 className="text-3xl font-bold text-indigo-600 dark:text-indigo-400 mb-6 border-b pb-4 border-gray-200 dark:border-gray-700" style={{ fontFamily: 'var(--font-heading)' }}>
-                My FundAtTips Account
-            </h2>
+/** Profile photo, or the user's initials when there is none (or its URL isn't safe to load) */
+const Avatar = ({ user, className = 'w-20 h-20 text-2xl' }) => {
+    const src = safeAvatarUrl(user?.avatarUrl);
+    return src ? (
+        <img src={src} alt={`${user.name}'s avatar`} className={`${className} rounded-full object-cover ring-4 ring-indigo-500/50`} />
+    ) : (
+        <span aria-hidden="true" className={`${className} rounded-full ring-4 ring-indigo-500/50 bg-indigo-100 dark:bg-indigo-900 text-indigo-700 dark:text-indigo-200 font-bold flex items-center justify-center`}>
+            {initials(user?.name)}
+        </span>
+    );
+};
 
-            {/* Profile Image and Info */}
-            <div className="flex items-center space-x-6 mb-8">
-                {/* Simulated Google Photos Aesthetic */}
-                <img
-                    src="https://placehold.co/80x80/e0e7ff/4338ca?text=User"
-                    alt="User Profile"
-                    className="w-20 h-20 rounded-full ring-4 ring-indigo-500/50"
-                />
-                <div>
-                    {/* Poppins for name/main info */}
-                    <p className="text-2xl font-semibold text-gray-900 dark:text-white" style={{ fontFamily: 'var(--font-heading)' }}>Alex Johnson</p>
-                    <p className="text-gray-500 dark:text-gray-400">alex.j@FundAtTips.com</p>
+/** Card shown in place of portfolio data while signed out */
+const SignInPrompt = ({ message }) => {
+    const location = useLocation();
+    return (
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-2xl shadow-xl border border-gray-100 dark:border-gray-700 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+            <p className="text-gray-600 dark:text-gray-300">{message}</p>
+            <div className="flex space-x-3 shrink-0">
+                <Link to={signInPath(`${location.pathname}${location.search}`)} className="px-4 py-2 rounded-xl bg-indigo-600 text-white font-semibold hover:bg-indigo-700">Sign In</Link>
+                <Link to={buildPath('SignUp')} className="px-4 py-2 rounded-xl text-indigo-600 dark:text-indigo-400 border border-indigo-200 dark:border-gray-600 font-semibold hover:bg-indigo-50 dark:hover:bg-gray-700">Create Account</Link>
+            </div>
+        </div>
+    );
+};
+
+/** Sign-in and sign-up forms; `next` is where to go once signed in */
+const AuthView = ({ mode, next }) => {
+    const { signIn, signUp } = useAuth();
+    const { notify } = useToast();
+    const isSignUp = mode === 'SignUp';
+    const [form, setForm] = useState({ name: '', email: '', password: '', otp: '' });
+    // Accounts with two-factor sign-in ask for a code once the password is accepted
+    const [needsCode, setNeedsCode] = useState(false);
+    const [errors, setErrors] = useState([]);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const update = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const credentials = { email: form.email, password: form.password, ...(needsCode ? { otp: form.otp } : {}) };
+        const problems = isSignUp ? validateSignUp(form) : validateSignIn(credentials);
+        if (problems.length > 0) {
+            setErrors(problems);
+            return;
+        }
+        setErrors([]);
+        setIsSubmitting(true);
+        try {
+            const user = await (isSignUp ? signUp(form) : signIn(credentials));
+            notify(isSignUp ? `Welcome to FundAtTips, ${user.name}!` : `Signed in as ${user.email}.`, { tone: 'success' });
+            navigate(safeNextPath(next), { replace: true });
+        } catch (error) {
+            if (error.code === 'two_factor_required') setNeedsCode(true);
+            else setErrors([error.message]);
+            setIsSubmitting(false);
+        }
+    };
+
+    const inputClass = "w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white text-sm";
+    const otherPath = `${buildPath(isSignUp ? 'SignIn' : 'SignUp')}${next ? `?next=${encodeURIComponent(next)}` : ''}`;
+
+    return (
+        <section className="p-4 md:p-8 min-h-screen">
+            <form
+                onSubmit={handleSubmit}
+                noValidate
+                className="max-w-md mx-auto bg-white dark:bg-gray-800 p-8 rounded-2xl shadow-xl border border-gray-100 dark:border-gray-700 space-y-4"
+            >
+                <h2 className="text-3xl font-bold text-indigo-600 dark:text-indigo-400" style={{ fontFamily: 'var(--font-heading)' }}>
+                    {isSignUp ? 'Create your account' : 'Sign in to FundAtTips'}
+                </h2>
+                {isSignUp && (
+                    <label className="block text-sm text-gray-600 dark:text-gray-300">Name
+                        <input type="text" autoComplete="name" value={form.name} onChange={update('name')} className={inputClass} />
+                    </label>
+                )}
+                <label className="block text-sm text-gray-600 dark:text-gray-300">Email
+                    <input type="email" autoComplete="email" value={form.email} onChange={update('email')} className={inputClass} />
+                </label>
+                <label className="block text-sm text-gray-600 dark:text-gray-300">Password
+                    <input
+                        type="password"
+                        autoComplete={isSignUp ? 'new-password' : 'current-password'}
+                        value={form.password}
+                        onChange={update('password')}
+                        className={inputClass}
+                    />
+                    {isSignUp && <span className="text-xs text-gray-500 dark:text-gray-400">At least {PASSWORD_MIN_LENGTH} characters.</span>}
+                </label>
+                {needsCode && (
+                    <label className="block text-sm text-gray-600 dark:text-gray-300">Authentication code
+                        <input type="text" autoComplete="one-time-code" autoFocus value={form.otp} onChange={update('otp')} className={inputClass} />
+                        <span className="text-xs text-gray-500 dark:text-gray-400">Enter the 6-digit code from your authenticator app, or one of your recovery codes.</span>
+                    </label>
+                )}
+                {errors.length > 0 && (
+                    <ul role="alert" className="p-3 text-sm rounded-lg border bg-red-50 dark:bg-red-900/50 border-red-300 text-red-700 dark:text-red-300 list-disc list-inside">
+                        {errors.map(error => <li key={error}>{error}</li>)}
+                    </ul>
+                )}
+                <button type="submit" disabled={isSubmitting} className="w-full py-3 rounded-xl bg-indigo-600 text-white font-bold hover:bg-indigo-700 disabled:opacity-60 transition duration-300">
+                    {isSubmitting ? (isSignUp ? 'Creating account...' : 'Signing in...') : (isSignUp ? 'Create Account' : 'Sign In')}
+                </button>
+                <p className="text-sm text-center text-gray-500 dark:text-gray-400">
+                    {isSignUp ? 'Already have an account? ' : 'New to FundAtTips? '}
+                    <Link to={otherPath} className="text-indigo-600 dark:text-indigo-400 font-semibold hover:underline">
+                        {isSignUp ? 'Sign in' : 'Create an account'}
+                    </Link>
+                </p>
+            </form>
+        </section>
+    );
+};
+
+const profileFields = (user) => ({ name: user.name, email: user.email, baseCurrency: user.baseCurrency, timezone: user.timezone });
+
+/** Name, email, base currency and time zone, saved to the auth API */
+const ProfileForm = ({ user }) => {
+    const { updateProfile } = useAuth();
+    const { notify } = useToast();
+    const [form, setForm] = useState(() => profileFields(user));
+    const [errors, setErrors] = useState([]);
+    const [isSaving, setIsSaving] = useState(false);
+    const timeZones = useMemo(() => {
+        const zones = listTimeZones();
+        return !form.timezone || zones.includes(form.timezone) ? zones : [form.timezone, ...zones];
+    }, [form.timezone]);
+
+    const saved = profileFields(user);
+    const changes = Object.fromEntries(Object.entries(form).filter(([field, value]) => value !== saved[field]));
+    const isDirty = Object.keys(changes).length > 0;
+
+    const update = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const problems = validateProfile(changes);
+        if (problems.length > 0) {
+            setErrors(problems);
+            return;
+        }
+        setErrors([]);
+        setIsSaving(true);
+        try {
+            const updated = await updateProfile(changes);
+            setForm(profileFields(updated));
+            notify('Profile saved.', { tone: 'success' });
+        } catch (error) {
+            setErrors([error.message]);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const inputClass = "w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 dark:text-white text-sm";
+
+    return (
+        <form onSubmit={handleSubmit} noValidate aria-label="Profile" className="p-4 bg-gray-50 dark:bg-gray-700 rounded-xl space-y-4">
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <label className="text-sm text-gray-600 dark:text-gray-300">Name
+                    <input type="text" autoComplete="name" value={form.name} onChange={update('name')} className={inputClass} />
+                </label>
+                <label className="text-sm text-gray-600 dark:text-gray-300">Email
+                    <input type="email" autoComplete="email" value={form.email} onChange={update('email')} className={inputClass} />
+                </label>
+                <label className="text-sm text-gray-600 dark:text-gray-300">Base currency
+                    <select value={form.baseCurrency} onChange={update('baseCurrency')} className={inputClass}>
+                        {Object.entries(BASE_CURRENCIES).map(([code, label]) => <option key={code} value={code}>{code} — {label}</option>)}
+                    </select>
+                </label>
+                <label className="text-sm text-gray-600 dark:text-gray-300">Time zone
+                    <select value={form.timezone} onChange={update('timezone')} className={inputClass}>
+                        {timeZones.map(zone => <option key={zone} value={zone}>{zone.replace(/_/g, ' ')}</option>)}
+                    </select>
+                </label>
+            </div>
+            {errors.length > 0 && (
+                <ul role="alert" className="p-3 text-sm rounded-lg border bg-red-50 dark:bg-red-900/50 border-red-300 text-red-700 dark:text-red-300 list-disc list-inside">
+                    {errors.map(error => <li key={error}>{error}</li>)}
+                </ul>
+            )}
+            <div className="flex justify-end space-x-3">
+                {isDirty && (
+                    <button type="button" onClick={() => { setForm(saved); setErrors([]); }} className="px-4 py-2 rounded-xl text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-600">
+                        Discard
+                    </button>
+                )}
+                <button type="submit" disabled={!isDirty || isSaving} className="px-4 py-2 rounded-xl bg-indigo-600 text-white font-semibold hover:bg-indigo-700 disabled:opacity-50">
+                    {isSaving ? 'Saving...' : 'Save Profile'}
+                </button>
+            </div>
+        </form>
+    );
+};
+
+/** Current plan with today's AI usage, and the stand-in's demo plan toggle in development */
+const SubscriptionCard = () => {
+    const { plan, planLabel, canSwitchDemoPlan, switchDemoPlan } = useEntitlements();
+    const { notify } = useToast();
+    const [isChanging, setIsChanging] = useState(false);
+    const isPremium = plan === 'premium';
+
+    const switchPlan = async () => {
+        setIsChanging(true);
+        try {
+            const next = isPremium ? 'free' : 'premium';
+            await switchDemoPlan(next);
+            notify(`Switched to ${PLANS[next].label} (demo). Its AI limits apply straight away.`, { tone: 'success' });
+        } catch (error) {
+            notify(error.message, { tone: 'error' });
+        } finally {
+            setIsChanging(false);
+        }
+    };
+
+    return (
+        <div className="p-4 bg-gray-50 dark:bg-gray-700 rounded-xl space-y-3">
+            <div className="flex items-center justify-between">
+                <div className="flex items-center">
+                    <Icon className="w-6 h-6 mr-3 text-indigo-500" path={<path d="M10 12h.01M14 12h.01M18 12h.01M6 12h.01M2 12h.01M22 12h.01M3 21h18" />} />
+                    <span className="font-medium text-gray-800 dark:text-gray-200">Subscription Status</span>
                 </div>
+                <span className={`text-xs font-semibold px-3 py-1 rounded-full ${isPremium
+                    ? 'bg-green-100 text-green-800 dark:bg-green-700 dark:text-green-100'
+                    : 'bg-gray-200 text-gray-700 dark:bg-gray-600 dark:text-gray-200'
+                    }`}>
+                    {isPremium ? `${planLabel} Active` : `${planLabel} Plan`}
+                </span>
             </div>
+            <UsageMeter />
+            {canSwitchDemoPlan && (
+                <div className="flex items-center justify-between gap-3">
+                    <p className="text-xs text-gray-500 dark:text-gray-400">Demo toggle for development. No payment is taken.</p>
+                    <button
+                        onClick={switchPlan}
+                        disabled={isChanging}
+                        className="shrink-0 px-4 py-2 rounded-xl text-sm font-semibold border border-dashed border-indigo-400 text-indigo-600 dark:text-indigo-300 hover:bg-indigo-50 dark:hover:bg-indigo-900/30 disabled:opacity-50"
+                    >
+                        {isChanging ? 'Switching...' : `Demo: Switch to ${isPremium ? PLANS.free.label : PLANS.premium.label}`}
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const THEME_LABELS = { system: 'Match System', light: 'Light', dark: 'Dark' };
+
+/** Account View Component */
+const AccountView = ({ themePreference, setThemePreference }) => {
+    const { user, uploadAvatar, signOut } = useAuth();
+    const { notify } = useToast();
+    const [isUploading, setIsUploading] = useState(false);
+    const fileInput = useRef(null);
+
+    const changeAvatar = async (file) => {
+        setIsUploading(true);
+        try {
+            await uploadAvatar(file);
+            notify(file ? 'Profile photo updated.' : 'Profile photo removed.', { tone: 'success' });
+        } catch (error) {
+            notify(error.message, { tone: 'error' });
+        } finally {
+            setIsUploading(false);
+        }
+    };
+
+    const handleSignOut = async () => {
+        await signOut();
+        notify('You have been signed out.');
+        navigate(buildPath('Dashboard'));
+    };
+
+    // The App redirects signed-out visitors to sign in before this renders.
+    if (!user) return null;
 
-            {/* Settings Cards */}
-            <div className="space-y-4">
-                <div className="flex items-center justify-between p-4 bg-gray-50 dark:bg-gray-700 rounded-xl">
-                    <div className="flex items-center">
-                        <Icon className="w-6 h-6 mr-3 text-indigo-500" path={<path d="M10 12h.01M14 12h.01M18 12h.01M6 12h.01M2 12h.01M22 12h.01M3 21h18" />} />
-                        <span className="font-medium text-gray-800 dark:text-gray-200">Subscription Status</span>
+    return (
+        <section className="p-4 md:p-8 space-y-8 min-h-screen">
+            <div className="max-w-4xl mx-auto bg-white dark:bg-gray-800 p-8 rounded-2xl shadow-xl border border-gray-100 dark:border-gray-700">
+                {/* Poppins for main heading */}
+                <h2 className="text-3xl font-bold text-indigo-600 dark:text-indigo-400 mb-6 border-b pb-4 border-gray-200 dark:border-gray-700" style={{ fontFamily: 'var(--font-heading)' }}>
+                    My FundAtTips Account
+                </h2>
+
+                {/* Profile Image and Info */}
+                <div className="flex items-center space-x-6 mb-8">
+                    <Avatar user={user} />
+                    <div>
+                        {/* Poppins for name/main info */}
+                        <p className="text-2xl font-semibold text-gray-900 dark:text-white" style={{ fontFamily: 'var(--font-heading)' }}>{user.name}</p>
+                        <p className="text-gray-500 dark:text-gray-400">{user.email}</p>
+                        <div className="flex space-x-3 mt-2 text-sm">
+                            <button
+                                onClick={() => fileInput.current?.click()}
+                                disabled={isUploading}
+                                className="text-indigo-600 dark:text-indigo-400 hover:text-indigo-800 font-semibold disabled:opacity-50"
+                            >
+                                {isUploading ? 'Uploading...' : 'Change photo'}
+                            </button>
+                            {user.avatarUrl && (
+                                <button onClick={() => changeAvatar(null)} disabled={isUploading} className="text-gray-500 dark:text-gray-400 hover:text-red-600 disabled:opacity-50">
+                                    Remove
+                                </button>
+                            )}
+                            <input
+                                ref={fileInput}
+                                type="file"
+                                accept={AVATAR_TYPES.join(',')}
+                                aria-label="Upload profile photo"
+                                className="hidden"
+                                onChange={(e) => {
+                                    const file = e.target.files[0];
+                                    e.target.value = '';
+                                    if (file) changeAvatar(file);
+                                }}
+                            />
+                        </div>
                     </div>
-                    <span className="bg-green-100 text-green-800 text-xs font-semibold px-3 py-1 rounded-full dark:bg-green-700 dark:text-green-100">Premium Active</span>
                 </div>
 
-                <div className="flex items-center justify-between p-4 bg-gray-50 dark:bg-gray-700 rounded-xl">
-                    <div className="flex items-center">
-                        <Icon className="w-6 h-6 mr-3 text-indigo-500" path={<path d="M12 2l-5 5h10M12 22l5-5h-10" />} />
-                        <span className="font-medium text-gray-800 dark:text-gray-200">Security & Privacy</span>
+                {/* Settings Cards */}
+                <div className="space-y-4">
+                    {/* Re-mounted per user so switching accounts doesn't keep the previous form */}
+                    <ProfileForm key={user.id} user={user} />
+
+                    <SubscriptionCard />
+
+                    <div className="flex items-center justify-between p-4 bg-gray-50 dark:bg-gray-700 rounded-xl">
+                        <div className="flex items-center">
+                            <Icon className="w-6 h-6 mr-3 text-indigo-500" path={<path d="M12 3a6 6 0 0 0 9 9 9 9 0 1 1-9-9z" />} />
+                            <label htmlFor="theme-preference" className="font-medium text-gray-800 dark:text-gray-200">Appearance</label>
+                        </div>
+                        <select
+                            id="theme-preference"
+                            value={themePreference}
+                            onChange={(e) => setThemePreference(e.target.value)}
+                            className="text-sm p-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+                        >
+                            {THEME_PREFERENCES.map(option => <option key={option} value={option}>{THEME_LABELS[option]}</option>)}
+                        </select>
+                    </div>
+
+                    <div className="flex items-center justify-between p-4 bg-gray-50 dark:bg-gray-700 rounded-xl">
+                        <div className="flex items-center">
+                            <Icon className="w-6 h-6 mr-3 text-indigo-500" path={<path d="M12 2l-5 5h10M12 22l5-5h-10" />} />
+                            <span className="font-medium text-gray-800 dark:text-gray-200">Security & Privacy</span>
+                        </div>
+                        <Link to={buildPath('Security')} className="text-sm text-indigo-600 dark:text-indigo-400 hover:text-indigo-800">Manage Settings</Link>
                     </div>
-                    <button className="text-sm text-indigo-600 dark:text-indigo-400 hover:text-indigo-800">Manage Settings</button>
+
+                    <button onClick={handleSignOut} className="w-full text-center bg-red-600 text-white py-3 rounded-xl font-bold hover:bg-red-700 transition duration-300 shadow-lg mt-6">
+                        Sign Out
+                    </button>
                 </div>
+            </div>
+        </section>
+    );
+};
+
+/** Groups a TOTP secret in fours, for typing into an authenticator app by hand */
+const formatSecret = (secret) => secret.replace(/(.{4})(?=.)/g, '$1 ');
+
+/** Recovery codes, shown once right after they are created */
+const RecoveryCodes = ({ codes, onDone }) => {
+    const { notify } = useToast();
+    const text = codes.join('\n');
 
-                <button className="w-full text-center bg-red-600 text-white py-3 rounded-xl font-bold hover:bg-red-700 transition duration-300 shadow-lg mt-6">
-                    Sign Out
+    const copyCodes = () => {
+        if (!navigator.clipboard) {
+            notify('Copying is not available in this browser.', { tone: 'error' });
+            return;
+        }
+        navigator.clipboard.writeText(text).then(
+            () => notify('Recovery codes copied to clipboard.', { tone: 'success' }),
+            () => notify('Could not copy the recovery codes.', { tone: 'error' }),
+        );
+    };
+
+    return (
+        <div className="space-y-3">
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+                Keep these recovery codes somewhere safe. Each one signs you in once if you lose your authenticator app, and they won't be shown again.
+            </p>
+            <ul aria-label="Recovery codes" className="grid grid-cols-2 gap-2 p-3 rounded-lg bg-white dark:bg-gray-800 font-mono text-sm text-gray-800 dark:text-gray-100">
+                {codes.map(code => <li key={code}>{code}</li>)}
+            </ul>
+            <div className="flex flex-wrap justify-end gap-3">
+                <button type="button" onClick={copyCodes} className="px-4 py-2 rounded-xl text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-600">Copy</button>
+                <button
+                    type="button"
+                    onClick={() => downloadFile(`${text}\n`, 'fundattips-recovery-codes.txt', 'text/plain;charset=utf-8')}
+                    className="px-4 py-2 rounded-xl text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-600"
+                >
+                    Download
                 </button>
+                <button type="button" onClick={onDone} className="px-4 py-2 rounded-xl bg-indigo-600 text-white font-semibold hover:bg-indigo-700">I've Saved Them</button>
             </div>
         </div>
-    </section>
-);
+    );
+};
 
-/** Main App Component */
-const App = () => {
-    // Initial view is 'Dashboard', which is now renamed 'Summary' in the UI
-    const [activeView, setActiveView] = useState('Dashboard');
-    const [isDark, setIsDark] = useState(true); // Defaulting to dark mode for modern look
+/** Two-factor sign-in: enrolling an authenticator app, replacing recovery codes and turning it off */
+const TwoFactorCard = () => {
+    const { user, client, withAccessToken, enableTwoFactor, disableTwoFactor } = useAuth();
+    const { notify } = useToast();
+    const [setup, setSetup] = useState(null); // { secret, otpauthUrl } while enrolling
+    const [action, setAction] = useState(null); // 'disable' or 'regenerate' while asking for a code
+    const [code, setCode] = useState('');
+    const [recoveryCodes, setRecoveryCodes] = useState(null);
+    const [errors, setErrors] = useState([]);
+    const [isBusy, setIsBusy] = useState(false);
+    const isOn = user.twoFactorEnabled;
+
+    const reset = () => {
+        setSetup(null);
+        setAction(null);
+        setCode('');
+        setErrors([]);
+    };
+
+    const attempt = async (step) => {
+        setErrors([]);
+        setIsBusy(true);
+        try {
+            await step();
+        } catch (error) {
+            setErrors([error.message]);
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const startSetup = () => attempt(async () => {
+        setSetup(await withAccessToken(token => client.startTwoFactorSetup(token)));
+    });
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const problems = setup ? validateTotpCode(code) : (code.trim() ? [] : ['Enter the code from your authenticator app or a recovery code.']);
+        if (problems.length > 0) {
+            setErrors(problems);
+            return;
+        }
+        attempt(async () => {
+            if (setup) {
+                const codes = await enableTwoFactor(code.replace(/\s/g, ''));
+                reset();
+                setRecoveryCodes(codes);
+                notify('Two-factor authentication is on.', { tone: 'success' });
+            } else if (action === 'regenerate') {
+                const codes = await withAccessToken(token => client.regenerateRecoveryCodes(token, code.trim()));
+                reset();
+                setRecoveryCodes(codes);
+                notify('New recovery codes created. The old ones no longer work.', { tone: 'success' });
+            } else {
+                await disableTwoFactor(code.trim());
+                reset();
+                notify('Two-factor authentication is off.');
+            }
+        });
+    };
+
+    const inputClass = "w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 dark:text-white text-sm";
+    const errorList = errors.length > 0 && (
+        <ul role="alert" className="p-3 text-sm rounded-lg border bg-red-50 dark:bg-red-900/50 border-red-300 text-red-700 dark:text-red-300 list-disc list-inside">
+            {errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+    );
+
+    return (
+        <div className="p-4 bg-gray-50 dark:bg-gray-700 rounded-xl space-y-3">
+            <div className="flex items-center justify-between">
+                <div className="flex items-center">
+                    <Icon className="w-6 h-6 mr-3 text-indigo-500" path={<path d="M7 11V7a5 5 0 0 1 10 0v4M5 11h14v10H5zM12 15v2" />} />
+                    <span className="font-medium text-gray-800 dark:text-gray-200">Two-Factor Authentication</span>
+                </div>
+                <span className={`text-xs font-semibold px-3 py-1 rounded-full ${isOn
+                    ? 'bg-green-100 text-green-800 dark:bg-green-700 dark:text-green-100'
+                    : 'bg-gray-200 text-gray-700 dark:bg-gray-600 dark:text-gray-200'
+                    }`}>
+                    {isOn ? 'On' : 'Off'}
+                </span>
+            </div>
+
+            {recoveryCodes ? (
+                <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+            ) : setup || action ? (
+                <form onSubmit={handleSubmit} noValidate className="space-y-3">
+                    {setup ? (
+                        <div className="flex flex-col sm:flex-row sm:items-center gap-4">
+                            <QrCode value={setup.otpauthUrl} label="QR code for your authenticator app" className="w-40 h-40 shrink-0" />
+                            <div className="text-sm text-gray-600 dark:text-gray-300 space-y-2">
+                                <p>Scan this code with an authenticator app such as Google Authenticator, Microsoft Authenticator or 1Password, then enter the 6-digit code it shows.</p>
+                                <p>
+                                    Can't scan it? Enter this key instead:{' '}
+                                    <code className="font-mono font-semibold text-gray-800 dark:text-gray-100 break-all">{formatSecret(setup.secret)}</code>
+                                </p>
+                            </div>
+                        </div>
+                    ) : (
+                        <p className="text-sm text-gray-600 dark:text-gray-300">
+                            {action === 'disable'
+                                ? 'Enter a code from your authenticator app, or a recovery code, to turn two-factor authentication off.'
+                                : 'Enter a code from your authenticator app, or a recovery code. Your current recovery codes will stop working.'}
+                        </p>
+                    )}
+                    <label className="block text-sm text-gray-600 dark:text-gray-300">{setup ? 'Code from the app' : 'Authentication code'}
+                        <input
+                            type="text"
+                            inputMode={setup ? 'numeric' : undefined}
+                            autoComplete="one-time-code"
+                            autoFocus
+                            value={code}
+                            onChange={(e) => setCode(e.target.value)}
+                            className={inputClass}
+                        />
+                    </label>
+                    {errorList}
+                    <div className="flex justify-end space-x-3">
+                        <button type="button" onClick={reset} className="px-4 py-2 rounded-xl text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-600">Cancel</button>
+                        <button
+                            type="submit"
+                            disabled={isBusy}
+                            className={`px-4 py-2 rounded-xl text-white font-semibold disabled:opacity-50 ${action === 'disable' ? 'bg-red-600 hover:bg-red-700' : 'bg-indigo-600 hover:bg-indigo-700'}`}
+                        >
+                            {isBusy ? 'Checking...' : setup ? 'Verify and Turn On' : action === 'disable' ? 'Turn Off' : 'Create New Codes'}
+                        </button>
+                    </div>
+                </form>
+            ) : (
+                <>
+                    <p className="text-sm text-gray-600 dark:text-gray-300">
+                        {isOn
+                            ? 'Signing in asks for a code from your authenticator app as well as your password.'
+                            : 'Add a second step to signing in: a code from an authenticator app on your phone, so a stolen password is not enough.'}
+                    </p>
+                    {errorList}
+                    <div className="flex justify-end space-x-3">
+                        {isOn ? (
+                            <>
+                                <button onClick={() => setAction('regenerate')} className="px-4 py-2 rounded-xl text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-600">
+                                    New Recovery Codes
+                                </button>
+                                <button onClick={() => setAction('disable')} className="px-4 py-2 rounded-xl text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-gray-600 font-semibold">
+                                    Turn Off
+                                </button>
+                            </>
+                        ) : (
+                            <button onClick={startSetup} disabled={isBusy} className="px-4 py-2 rounded-xl bg-indigo-600 text-white font-semibold hover:bg-indigo-700 disabled:opacity-50">
+                                {isBusy ? 'Starting...' : 'Set Up Two-Factor'}
+                            </button>
+                        )}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
 
-    // Dashboard State
-    const [performanceFilter, setPerformanceFilter] = useState('');
-    const [dailyUpdateFilter, setDailyUpdateFilter] = useState('latest');
-    const [searchTerm, setSearchTerm] = useState('');
+/** Devices signed in to the account; any but this one can be signed out from here */
+const SessionsCard = () => {
+    const { client, withAccessToken } = useAuth();
+    const { notify } = useToast();
+    const [sessions, setSessions] = useState(null);
+    const [error, setError] = useState(null);
+    const [pending, setPending] = useState(null); // session id, or 'others'
+
+    const loadSessions = useCallback(() => {
+        withAccessToken(token => client.listSessions(token)).then(
+            (list) => {
+                setSessions(list);
+                setError(null);
+            },
+            (err) => setError(err.message),
+        );
+    }, [client, withAccessToken]);
+
+    useEffect(loadSessions, [loadSessions]);
 
-    const toggleDark = useCallback(() => setIsDark(prev => !prev), []);
+    const signOutSession = async (id) => {
+        setPending(id);
+        try {
+            await withAccessToken(token => (id === 'others' ? client.revokeOtherSessions(token) : client.revokeSession(token, id)));
+            notify(id === 'others' ? 'Signed out of every other device.' : 'That device has been signed out.', { tone: 'success' });
+        } catch (err) {
+            notify(err.message, { tone: 'error' });
+        } finally {
+            setPending(null);
+            loadSessions();
+        }
+    };
+
+    const otherCount = sessions ? sessions.filter(session => !session.current).length : 0;
+
+    return (
+        <div className="p-4 bg-gray-50 dark:bg-gray-700 rounded-xl space-y-3">
+            <div className="flex items-center">
+                <Icon className="w-6 h-6 mr-3 text-indigo-500" path={<path d="M2 4h20v12H2zM8 20h8M12 16v4" />} />
+                <span className="font-medium text-gray-800 dark:text-gray-200">Active Sessions</span>
+            </div>
+            {error ? (
+                <p role="alert" className="text-sm text-red-600 dark:text-red-400">{error}</p>
+            ) : !sessions ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">Loading sessions...</p>
+            ) : (
+                <ul aria-label="Active sessions" className="divide-y divide-gray-200 dark:divide-gray-600">
+                    {sessions.map(session => (
+                        <li key={session.id} className="flex items-center justify-between gap-4 py-3">
+                            <div className="min-w-0">
+                                <p className="text-sm font-medium text-gray-800 dark:text-gray-200">
+                                    {describeDevice(session.userAgent)}
+                                    {session.current && (
+                                        <span className="ml-2 text-xs font-semibold px-2 py-0.5 rounded-full bg-green-100 text-green-800 dark:bg-green-700 dark:text-green-100">This device</span>
+                                    )}
+                                </p>
+                                <p className="text-xs text-gray-500 dark:text-gray-400">
+                                    Signed in {new Date(session.createdAt).toLocaleDateString()} · Active {formatTimeAgo(Date.parse(session.lastActiveAt))}
+                                </p>
+                            </div>
+                            {!session.current && (
+                                <button
+                                    onClick={() => signOutSession(session.id)}
+                                    disabled={pending !== null}
+                                    className="shrink-0 text-sm font-semibold text-red-600 dark:text-red-400 hover:text-red-800 disabled:opacity-50"
+                                >
+                                    {pending === session.id ? 'Signing out...' : 'Sign Out'}
+                                </button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+            {otherCount > 1 && (
+                <div className="flex justify-end">
+                    <button
+                        onClick={() => signOutSession('others')}
+                        disabled={pending !== null}
+                        className="px-4 py-2 rounded-xl text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-gray-600 font-semibold disabled:opacity-50"
+                    >
+                        {pending === 'others' ? 'Signing out...' : 'Sign Out All Other Devices'}
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+/** What the AI assistant may read of the user's own data */
+const AiSharingCard = () => {
+    const { user, updateProfile } = useAuth();
+    const { notify } = useToast();
+    const [savingKey, setSavingKey] = useState(null);
+    const sharing = aiDataSharingOf(user);
+
+    const toggle = async (key) => {
+        const allowed = !sharing[key];
+        const { label } = AI_DATA_SHARING[key];
+        setSavingKey(key);
+        try {
+            await updateProfile({ aiDataSharing: { [key]: allowed } });
+            notify(allowed ? `${label} are shared with the AI assistant.` : `${label} are no longer shared with the AI assistant.`, { tone: 'success' });
+        } catch (error) {
+            notify(error.message, { tone: 'error' });
+        } finally {
+            setSavingKey(null);
+        }
+    };
+
+    return (
+        <div className="p-4 bg-gray-50 dark:bg-gray-700 rounded-xl space-y-3">
+            <div className="flex items-center">
+                <Icon className="w-6 h-6 mr-3 text-indigo-500" path={<path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z" />} />
+                <span className="font-medium text-gray-800 dark:text-gray-200">AI Data Sharing</span>
+            </div>
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+                Your questions and public market data are always sent to the AI provider. Anything switched off here is left out of every AI request.
+            </p>
+            <ul className="space-y-3">
+                {Object.entries(AI_DATA_SHARING).map(([key, { label, description }]) => (
+                    <li key={key} className="flex items-start justify-between gap-4">
+                        <div>
+                            <p id={`ai-sharing-${key}`} className="text-sm font-medium text-gray-800 dark:text-gray-200">{label}</p>
+                            <p className="text-xs text-gray-500 dark:text-gray-400">{description}</p>
+                        </div>
+                        <button
+                            type="button"
+                            role="switch"
+                            aria-checked={sharing[key]}
+                            aria-labelledby={`ai-sharing-${key}`}
+                            disabled={savingKey !== null}
+                            onClick={() => toggle(key)}
+                            className={`relative inline-flex h-6 w-11 shrink-0 items-center rounded-full transition duration-300 disabled:opacity-50 ${sharing[key] ? 'bg-indigo-600' : 'bg-gray-300 dark:bg-gray-500'}`}
+                        >
+                            <span className={`inline-block h-5 w-5 rounded-full bg-white shadow transform transition duration-300 ${sharing[key] ? 'translate-x-5' : 'translate-x-0.5'}`} />
+                        </button>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+/** Confirms deleting the account with the password, a second factor when it's on, and a typed DELETE */
+const DeleteAccountDialog = ({ onClose }) => {
+    const { user, deleteAccount } = useAuth();
+    const { notify } = useToast();
+    const [form, setForm] = useState({ password: '', otp: '', confirmation: '' });
+    const [eraseDevice, setEraseDevice] = useState(true);
+    const [errors, setErrors] = useState([]);
+    const [isDeleting, setIsDeleting] = useState(false);
+
+    const update = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const problems = validateAccountDeletion(form, { twoFactorEnabled: user.twoFactorEnabled });
+        if (problems.length > 0) {
+            setErrors(problems);
+            return;
+        }
+        setErrors([]);
+        setIsDeleting(true);
+        try {
+            await deleteAccount({ password: form.password, otp: form.otp.trim() }, { eraseDevice });
+        } catch (error) {
+            setErrors([error.message]);
+            setIsDeleting(false);
+            return;
+        }
+        // Erasing the device reloads the page instead
+        if (!eraseDevice) {
+            notify('Your account has been deleted.');
+            navigate(buildPath('Dashboard'));
+        }
+    };
+
+    const inputClass = "w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white text-sm";
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onMouseDown={onClose}>
+            <form
+                onSubmit={handleSubmit}
+                onMouseDown={(e) => e.stopPropagation()}
+                noValidate
+                aria-label="Delete account"
+                className="w-full max-w-md bg-white dark:bg-gray-800 p-6 rounded-2xl shadow-2xl border border-gray-100 dark:border-gray-700 space-y-4"
+            >
+                <h3 className="text-xl font-bold text-red-600 dark:text-red-400" style={{ fontFamily: 'var(--font-heading)' }}>Delete Account</h3>
+                <p className="text-sm text-gray-600 dark:text-gray-300">
+                    This permanently deletes your FundAtTips account, profile, subscription and sign-in sessions. It can't be undone. Download your data first if you want to keep a copy.
+                </p>
+                <label className="block text-sm text-gray-600 dark:text-gray-300">Password
+                    <input type="password" autoComplete="current-password" value={form.password} onChange={update('password')} className={inputClass} />
+                </label>
+                {user.twoFactorEnabled && (
+                    <label className="block text-sm text-gray-600 dark:text-gray-300">Authentication code
+                        <input type="text" autoComplete="one-time-code" value={form.otp} onChange={update('otp')} className={inputClass} />
+                    </label>
+                )}
+                <label className="block text-sm text-gray-600 dark:text-gray-300">Type {DELETE_CONFIRMATION} to confirm
+                    <input type="text" autoComplete="off" value={form.confirmation} onChange={update('confirmation')} className={inputClass} />
+                </label>
+                <label className="flex items-start text-sm text-gray-600 dark:text-gray-300">
+                    <input type="checkbox" checked={eraseDevice} onChange={(e) => setEraseDevice(e.target.checked)} className="mr-2 mt-1" />
+                    Also erase the portfolio, watchlists, alerts and chat history saved on this device
+                </label>
+                {errors.length > 0 && (
+                    <ul role="alert" className="p-3 text-sm rounded-lg border bg-red-50 dark:bg-red-900/50 border-red-300 text-red-700 dark:text-red-300 list-disc list-inside">
+                        {errors.map(error => <li key={error}>{error}</li>)}
+                    </ul>
+                )}
+                <div className="flex justify-end space-x-3">
+                    <button type="button" onClick={onClose} className="px-4 py-2 rounded-xl text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700">Cancel</button>
+                    <button type="submit" disabled={isDeleting} className="px-4 py-2 rounded-xl bg-red-600 text-white font-semibold hover:bg-red-700 disabled:opacity-50">
+                        {isDeleting ? 'Deleting...' : 'Delete Account'}
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+/** Downloading everything the app holds about the user, and deleting the account */
+const PersonalDataCard = () => {
+    const { user, client, withAccessToken } = useAuth();
+    const { notify } = useToast();
+    const [isExporting, setIsExporting] = useState(false);
+    const [showDelete, setShowDelete] = useState(false);
+
+    const exportData = async () => {
+        setIsExporting(true);
+        try {
+            const account = await withAccessToken(token => client.exportAccount(token));
+            const data = await buildPersonalDataExport(account, user.id);
+            downloadFile(JSON.stringify(data, null, 2), datedFileName('fundattips-my-data', 'json'), 'application/json');
+            notify('Your data has been downloaded.', { tone: 'success' });
+        } catch (error) {
+            notify(error.message, { tone: 'error' });
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    return (
+        <div className="p-4 bg-gray-50 dark:bg-gray-700 rounded-xl space-y-3">
+            <div className="flex items-center">
+                <Icon className="w-6 h-6 mr-3 text-indigo-500" path={<path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4M7 10l5 5 5-5M12 15V3" />} />
+                <span className="font-medium text-gray-800 dark:text-gray-200">Your Data</span>
+            </div>
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+                Download your profile, sign-in sessions and AI usage together with the portfolio, watchlists, alerts and chat history saved on this device, as one JSON file.
+            </p>
+            <div className="flex flex-wrap justify-end gap-3">
+                <button onClick={() => setShowDelete(true)} className="px-4 py-2 rounded-xl text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-gray-600 font-semibold">
+                    Delete Account
+                </button>
+                <button onClick={exportData} disabled={isExporting} className="px-4 py-2 rounded-xl bg-indigo-600 text-white font-semibold hover:bg-indigo-700 disabled:opacity-50">
+                    {isExporting ? 'Preparing...' : 'Download My Data'}
+                </button>
+            </div>
+            {showDelete && <DeleteAccountDialog onClose={() => setShowDelete(false)} />}
+        </div>
+    );
+};
+
+/** Security & Privacy settings, opened from the Account page */
+const SecurityView = () => {
+    const { user } = useAuth();
+
+    // The App redirects signed-out visitors to sign in before this renders.
+    if (!user) return null;
+
+    return (
+        <section className="p-4 md:p-8 space-y-8 min-h-screen">
+            <div className="max-w-4xl mx-auto bg-white dark:bg-gray-800 p-8 rounded-2xl shadow-xl border border-gray-100 dark:border-gray-700">
+                <div className="flex items-center justify-between mb-6 border-b pb-4 border-gray-200 dark:border-gray-700">
+                    <h2 className="text-3xl font-bold text-indigo-600 dark:text-indigo-400" style={{ fontFamily: 'var(--font-heading)' }}>
+                        Security & Privacy
+                    </h2>
+                    <Link to={buildPath('Account')} className="text-sm text-indigo-600 dark:text-indigo-400 hover:text-indigo-800 font-semibold">Back to Account</Link>
+                </div>
+
+                {/* Re-mounted per user so a half-finished setup doesn't carry over to another account */}
+                <div key={user.id} className="space-y-4">
+                    <TwoFactorCard />
+                    <SessionsCard />
+                    <AiSharingCard />
+                    <PersonalDataCard />
+                </div>
+            </div>
+        </section>
+    );
+};
+
+/** Main App Component */
+const App = () => {
+    // The view comes from the path: '/', '/performance/:ticker', '/analysis', '/account', '/account/security', '/signin' or '/signup'
+    const location = useLocation();
+    const route = useMemo(() => parseRoute(location.pathname), [location.pathname]);
+    const activeView = route ? route.view : 'Dashboard';
+    const navView = PARENT_VIEWS[activeView] || activeView;
+    const setActiveView = useCallback((view) => navigate(buildPath(view)), []);
+    // Each view's last search, filters and ticker are remembered for the nav links and the next visit
+    const locations = useLastLocations(route, location);
+    // Follows the OS colour scheme until the user picks one
+    const { isDark, toggle: toggleDark, preference: themePreference, setPreference: setThemePreference } = useTheme();
+
+    // Unknown paths fall back to the Dashboard without leaving a broken entry in history.
+    useEffect(() => {
+        if (!route) navigate(buildPath('Dashboard'), { replace: true });
+    }, [route]);
+
+    // Portfolio and account pages need a signed-in user; they come back here after signing in.
+    const { isSignedIn, user } = useAuth();
+    const isAuthView = activeView === 'SignIn' || activeView === 'SignUp';
+    const isBlocked = PROTECTED_VIEWS.has(activeView) && !isSignedIn;
+    const nextPath = isAuthView ? new URLSearchParams(location.search).get('next') : null;
+    useEffect(() => {
+        if (isBlocked) navigate(signInPath(`${location.pathname}${location.search}`), { replace: true });
+        else if (isAuthView && isSignedIn) navigate(safeNextPath(nextPath), { replace: true });
+    }, [isBlocked, isAuthView, isSignedIn, nextPath, location.pathname, location.search]);
+
+    // Dashboard State (search and filters live in the URL so they can be shared)
+    const [queryParams, setQueryParams] = useQueryParams();
+    const watchlistFilter = useMemo(() => parseWatchlistQuery(queryParams), [queryParams]);
+    const setWatchlistFilter = useCallback((patch) => {
+        const next = { ...patch };
+        if (next.rank === DEFAULT_RANK_MODE) next.rank = null;
+        if (Number(next.min) === 0) next.min = null;
+        setQueryParams(next);
+    }, [setQueryParams]);
+    const dailyUpdateFilter = FEED_FILTERS.includes(queryParams.feed) ? queryParams.feed : DEFAULT_FEED_FILTER;
+    const setDailyUpdateFilter = useCallback((filter) => setQueryParams({ feed: filter === DEFAULT_FEED_FILTER ? null : filter }), [setQueryParams]);
+    const searchTerm = queryParams.q || '';
+    const setSearchTerm = useCallback((term) => setQueryParams({ q: term }), [setQueryParams]);
+
+    // Every instrument on any watchlist is quoted, so switching lists needs no new request
+    const { allTickers } = useWatchlists();
+    const quotes = useQuotes(allTickers);
+    const { stocks, status: streamStatus } = useLivePrices(quotes.data || []);
+
+    const openPerformance = useCallback((ticker) => navigate(buildPath('Performance', { ticker })), []);
 
     useEffect(() => {
         // Apply or remove 'dark' class to the document root element based on state
@@ -1066,29 +3376,36 @@ const App = () => {
     }, [isDark]);
 
     const renderContent = () => {
+        if (isBlocked) return null;
         switch (activeView) {
             case 'Dashboard':
                 return (
                     <DashboardView
-                        stocks={initialStocks}
-                        top100={mockTop100}
-                        performanceFilter={performanceFilter}
-                        setPerformanceFilter={setPerformanceFilter}
+                        stocks={stocks}
+                        quoteStatus={quotes}
+                        watchlistFilter={watchlistFilter}
+                        setWatchlistFilter={setWatchlistFilter}
                         dailyUpdateFilter={dailyUpdateFilter}
                         setDailyUpdateFilter={setDailyUpdateFilter}
                         searchTerm={searchTerm}
                         setSearchTerm={setSearchTerm}
                         setActiveView={setActiveView} // Passed down the state setter
+                        openPerformance={openPerformance}
                     />
                 );
             case 'Performance':
-                return <PerformanceView stocks={initialStocks} />;
+                return <PerformanceView stocks={stocks} selectedTicker={route.params.ticker} />;
             case 'Analysis':
-                return <AnalysisView setActiveView={setActiveView} stocks={initialStocks} />;
+                return <AnalysisView setActiveView={setActiveView} />;
             case 'Account':
-                return <AccountView />;
+                return <AccountView themePreference={themePreference} setThemePreference={setThemePreference} />;
+            case 'Security':
+                return <SecurityView />;
+            case 'SignIn':
+            case 'SignUp':
+                return <AuthView key={activeView} mode={activeView} next={nextPath} />;
             default:
-                return <DashboardView stocks={initialStocks} top100={mockTop100} />;
+                return <DashboardView stocks={stocks} quoteStatus={quotes} watchlistFilter={watchlistFilter} setWatchlistFilter={setWatchlistFilter} openPerformance={openPerformance} />;
         }
     };
 
@@ -1117,22 +3434,22 @@ const App = () => {
             <div className="pt-[56px] md:pt-0 min-h-screen bg-gray-100 dark:bg-gray-900 text-gray-900 dark:text-white transition-colors duration-300">
                 <MobileHeader isDark={isDark} toggleDark={toggleDark} />
                 <HeaderNav
-                    activeView={activeView}
-                    setActiveView={setActiveView}
+                    activeView={navView}
+                    locations={locations}
                     isDark={isDark}
                     toggleDark={toggleDark}
                 />
 
-                <StockTicker stocks={initialStocks} />
+                <StockTicker stocks={stocks} status={quotes} streamStatus={streamStatus} />
 
                 <main className="pb-20 md:pb-0 max-w-7xl mx-auto">
                     {renderContent()}
                 </main>
 
-                <FooterNav activeView={activeView} setActiveView={setActiveView} />
+                <FooterNav activeView={navView} locations={locations} />
 
-                {/* Gemini Chatbot - Renders the floating bubble only on the Dashboard view */}
-                {activeView === 'Dashboard' && <GeminiChatbot />}
+                {/* Gemini Chatbot - Stays mounted across views so Kuber can navigate without losing the reply */}
+                <GeminiChatbot key={user?.id || 'guest'} userId={user?.id} />
             </div>
         </div>
     );
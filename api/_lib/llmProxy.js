@@ -0,0 +1,218 @@
+// --- LLM Proxy ---
+// Handler behind POST /api/llm: checks the user's token, plan and quota, then
+// streams Gemini's reply. Protocol and error codes: docs/llm-proxy.md.
+
+import { buildGeminiPayload } from '../../src/lib/gemini.js';
+import { AI_FEATURES, hasFeature, planOf } from '../../src/lib/entitlements.js';
+import { createRateLimiter } from './rateLimit.js';
+
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+export const DEFAULT_GEMINI_MODEL = 'gemini-2.5-flash-preview-09-2025';
+
+/** Limits applied when the environment doesn't override them. */
+export const PROXY_DEFAULTS = {
+    maxBodyBytes: 64 * 1024,
+    maxTurns: 60,
+    maxSystemPromptChars: 4000,
+    maxFunctionDeclarations: 16,
+    maxOutputTokens: 2048,
+    rateLimit: 20,
+    rateWindowMs: 60 * 1000,
+};
+
+class ProxyError extends Error {
+    constructor(message, status, code, headers = {}) {
+        super(message);
+        this.name = 'ProxyError';
+        this.status = status;
+        this.code = code;
+        this.headers = headers;
+    }
+}
+
+const sendJson = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...headers });
+    res.end(JSON.stringify(body));
+};
+
+/** Who a request counts against: the user, else the address the platform saw (the first X-Forwarded-For hop is the client's to forge). */
+const clientKey = (req, user) => {
+    if (user?.id) return `user:${user.id}`;
+    const forwarded = String(req.headers['x-forwarded-for'] || '').split(',').map(hop => hop.trim()).filter(Boolean);
+    return `ip:${req.headers['x-real-ip'] || forwarded[forwarded.length - 1] || req.socket?.remoteAddress || 'unknown'}`;
+};
+
+/** The bearer token from the Authorization header, or null. */
+const bearerToken = (req) => String(req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i)?.[1] || null;
+
+/** The auth API's refusals that reach the browser as they are; anything else means it is unavailable. */
+const PASSED_THROUGH_STATUSES = [401, 403, 429];
+
+/** GETs `path` from the auth API as the holder of `token`, or POSTs `body`; throws a ProxyError on a refusal or failure. */
+const callAuthApi = async (fetchImpl, authUrl, token, path, body) => {
+    let response;
+    try {
+        response = await fetchImpl(`${authUrl}${path}`, {
+            method: body ? 'POST' : 'GET',
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+            body: body ? JSON.stringify(body) : undefined,
+        });
+    } catch (error) {
+        console.error('Auth API request failed:', error);
+        response = null;
+    }
+    const data = await response?.json().catch(() => ({}));
+    if (response?.ok) return data;
+    if (PASSED_THROUGH_STATUSES.includes(response?.status)) {
+        throw new ProxyError(data.error || 'This AI request is not allowed.', response.status, data.code || 'usage_unavailable');
+    }
+    if (response) console.error(`Auth API ${path} failed with status ${response.status}.`);
+    throw new ProxyError('Could not check your AI allowance. Try again shortly.', 502, 'usage_unavailable');
+};
+
+/** The JSON body, whether or not the platform has already parsed it, refusing anything over `maxBytes`. */
+const readBody = async (req, maxBytes) => {
+    if (Number(req.headers['content-length']) > maxBytes) throw new ProxyError('Request is too large.', 413, 'too_large');
+    let raw = req.body;
+    if (raw === undefined) {
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of req) {
+            size += chunk.length;
+            if (size > maxBytes) throw new ProxyError('Request is too large.', 413, 'too_large');
+            chunks.push(chunk);
+        }
+        raw = Buffer.concat(chunks).toString('utf8');
+    }
+    if (typeof raw !== 'string') {
+        raw = JSON.stringify(raw);
+        if (Buffer.byteLength(raw) > maxBytes) throw new ProxyError('Request is too large.', 413, 'too_large');
+    }
+    try {
+        return JSON.parse(raw);
+    } catch {
+        throw new ProxyError('Request body must be JSON.', 400, 'bad_request');
+    }
+};
+
+/** Checks an LLM request against the limits; throws a ProxyError naming the first problem. */
+const validateRequest = (body, limits) => {
+    const bad = (message) => { throw new ProxyError(message, 400, 'bad_request'); };
+    const { contents, systemPrompt, useGrounding, functionDeclarations, feature } = body || {};
+    if (!AI_FEATURES[feature]) bad(`feature must be one of: ${Object.keys(AI_FEATURES).join(', ')}.`);
+    if (!Array.isArray(contents) || contents.length === 0) bad('contents must be a non-empty array.');
+    if (contents.length > limits.maxTurns) bad(`contents may have at most ${limits.maxTurns} turns.`);
+    contents.forEach((turn, i) => {
+        if (!turn || (turn.role !== 'user' && turn.role !== 'model') || !Array.isArray(turn.parts) || turn.parts.length === 0) {
+            bad(`contents[${i}] must have a user or model role and at least one part.`);
+        }
+    });
+    if (systemPrompt !== undefined && typeof systemPrompt !== 'string') bad('systemPrompt must be a string.');
+    if (systemPrompt && systemPrompt.length > limits.maxSystemPromptChars) bad(`systemPrompt may be at most ${limits.maxSystemPromptChars} characters.`);
+    if (useGrounding !== undefined && typeof useGrounding !== 'boolean') bad('useGrounding must be a boolean.');
+    if (functionDeclarations !== undefined) {
+        if (!Array.isArray(functionDeclarations) || functionDeclarations.some(d => !d || typeof d.name !== 'string')) bad('functionDeclarations must be an array of named declarations.');
+        if (functionDeclarations.length > limits.maxFunctionDeclarations) bad(`At most ${limits.maxFunctionDeclarations} function declarations are allowed.`);
+    }
+    return { contents, systemPrompt, useGrounding, functionDeclarations, feature };
+};
+
+/** Builds the handler; `authUrl` is the auth API's base URL. */
+export const createLlmProxyHandler = ({
+    apiKey,
+    model = DEFAULT_GEMINI_MODEL,
+    authUrl,
+    fetchImpl = (...args) => fetch(...args),
+    now,
+    ...overrides
+} = {}) => {
+    const limits = { ...PROXY_DEFAULTS, ...Object.fromEntries(Object.entries(overrides).filter(([, v]) => v !== undefined)) };
+    const limiter = createRateLimiter({ limit: limits.rateLimit, windowMs: limits.rateWindowMs, now });
+
+    return async (req, res) => {
+        try {
+            if (req.method !== 'POST') throw new ProxyError('Use POST.', 405, 'bad_request', { Allow: 'POST' });
+            if (!apiKey || !authUrl) throw new ProxyError('The LLM proxy is not configured.', 500, 'not_configured');
+            const token = bearerToken(req);
+            if (!token) throw new ProxyError('Sign in to use AI features.', 401, 'signed_out');
+
+            const { feature, ...request } = validateRequest(await readBody(req, limits.maxBodyBytes), limits);
+
+            // Counted after validation, so malformed requests don't use up the allowance,
+            // and before the quota, so a request turned away here doesn't use up the day's.
+            const { user } = await callAuthApi(fetchImpl, authUrl, token, '/me');
+            const { allowed, remaining, retryAfter } = limiter.take(clientKey(req, user));
+            if (!allowed) {
+                throw new ProxyError(`Too many AI requests. Try again in ${retryAfter} seconds.`, 429, 'rate_limited', { 'Retry-After': String(retryAfter) });
+            }
+            if (!hasFeature(planOf(user), feature)) {
+                throw new ProxyError(`${AI_FEATURES[feature].label} is a Premium feature. Upgrade to use it.`, 403, 'upgrade_required');
+            }
+            const { usage } = await callAuthApi(fetchImpl, authUrl, token, '/me/usage');
+            if (usage.used >= usage.limit) {
+                throw new ProxyError(`You've used all ${usage.limit} AI requests for today. They reset at midnight.`, 429, 'quota_exceeded');
+            }
+
+            const controller = new AbortController();
+            res.on('close', () => {
+                if (!res.writableEnded) controller.abort();
+            });
+
+            const upstream = await fetchImpl(`${GEMINI_BASE_URL}/models/${model}:streamGenerateContent?alt=sse`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+                body: JSON.stringify({
+                    ...buildGeminiPayload(request),
+                    generationConfig: { maxOutputTokens: limits.maxOutputTokens },
+                }),
+                signal: controller.signal,
+            });
+            if (!upstream.ok) {
+                const detail = await upstream.text().catch(() => '');
+                console.error(`Gemini request failed with status ${upstream.status}: ${detail.slice(0, 500)}`);
+                throw new ProxyError(`The model request failed with status ${upstream.status}.`, upstream.status >= 500 || upstream.status === 429 ? upstream.status : 502, 'upstream');
+            }
+            // The auth API still has the last word: a request that raced this one may have used the last of the day.
+            try {
+                await callAuthApi(fetchImpl, authUrl, token, '/me/usage', { feature });
+            } catch (error) {
+                controller.abort();
+                throw error;
+            }
+
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream; charset=utf-8',
+                'Cache-Control': 'no-cache, no-transform',
+                'X-RateLimit-Remaining': String(remaining),
+            });
+            const reader = upstream.body.getReader();
+            for (;;) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                res.write(value);
+            }
+            res.end();
+        } catch (error) {
+            if (error.name === 'AbortError') return; // The client went away.
+            if (res.headersSent) {
+                res.end();
+                return;
+            }
+            if (error instanceof ProxyError) {
+                sendJson(res, error.status, { error: error.message, code: error.code }, error.headers);
+                return;
+            }
+            console.error('LLM proxy error:', error);
+            sendJson(res, 502, { error: 'Could not reach the model.', code: 'upstream' });
+        }
+    };
+};
+
+/** Handler configured from process.env (GEMINI_API_KEY, GEMINI_MODEL, AUTH_API_URL, LLM_RATE_LIMIT per minute, LLM_MAX_BODY_BYTES). */
+export const createLlmProxyHandlerFromEnv = (env = process.env) => createLlmProxyHandler({
+    apiKey: env.GEMINI_API_KEY,
+    model: env.GEMINI_MODEL || DEFAULT_GEMINI_MODEL,
+    authUrl: env.AUTH_API_URL?.replace(/\/+$/, ''),
+    rateLimit: env.LLM_RATE_LIMIT ? Number(env.LLM_RATE_LIMIT) : undefined,
+    maxBodyBytes: env.LLM_MAX_BODY_BYTES ? Number(env.LLM_MAX_BODY_BYTES) : undefined,
+});
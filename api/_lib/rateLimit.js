@@ -0,0 +1,31 @@
+// --- Rate Limiting ---
+// Sliding-window limiter kept in memory, so each serverless instance counts on its own.
+
+/**
+ * `take(key)` records a request for `key` and returns
+ * `{ allowed, remaining, retryAfter }`, where `retryAfter` is in seconds.
+ */
+export const createRateLimiter = ({ limit, windowMs, now = () => Date.now() }) => {
+    const hits = new Map(); // key -> request times within the window, oldest first
+
+    const prune = (time) => {
+        hits.forEach((times, key) => {
+            while (times.length > 0 && times[0] <= time - windowMs) times.shift();
+            if (times.length === 0) hits.delete(key);
+        });
+    };
+
+    return {
+        take(key) {
+            const time = now();
+            prune(time);
+            const times = hits.get(key) || [];
+            if (times.length >= limit) {
+                return { allowed: false, remaining: 0, retryAfter: Math.max(1, Math.ceil((times[0] + windowMs - time) / 1000)) };
+            }
+            times.push(time);
+            hits.set(key, times);
+            return { allowed: true, remaining: limit - times.length, retryAfter: 0 };
+        },
+    };
+};
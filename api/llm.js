@@ -0,0 +1,5 @@
+// POST /api/llm — streams a Gemini reply for the browser. See api/_lib/llmProxy.js.
+
+import { createLlmProxyHandlerFromEnv } from './_lib/llmProxy.js';
+
+export default createLlmProxyHandlerFromEnv();
@@ -0,0 +1,38 @@
+// Serves the serverless functions in api/ locally (npm run api:dev); see docs/llm-proxy.md.
+
+import http from 'http';
+import { pathToFileURL } from 'url';
+import llm from '../api/llm.js';
+
+const ROUTES = {
+    '/api/llm': llm,
+};
+
+/** Starts the server. Resolves to `{ url, close }`. */
+export const startDevApiServer = async ({ port = 8788 } = {}) => {
+    const server = http.createServer((req, res) => {
+        const handler = ROUTES[new URL(req.url, 'http://localhost').pathname];
+        if (!handler) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Not found.' }));
+            return;
+        }
+        handler(req, res);
+    });
+    await new Promise((resolve, reject) => {
+        server.once('listening', resolve);
+        server.once('error', reject);
+        server.listen(port);
+    });
+    return {
+        url: `http://localhost:${server.address().port}`,
+        close: () => new Promise(resolve => server.close(() => resolve())),
+    };
+};
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const port = Number(process.env.PORT) || 8788;
+    startDevApiServer({ port }).then(({ url }) => {
+        console.log(`API functions listening on ${url}`);
+    });
+}
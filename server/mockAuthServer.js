@@ -0,0 +1,434 @@
+// In-memory stand-in for the auth API, for development (npm run auth:mock).
+// Not a production service; see docs/auth-api.md.
+
+import http from 'http';
+import { createHash, randomBytes, randomUUID, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { pathToFileURL } from 'url';
+import {
+    AVATAR_MAX_BYTES, DEFAULT_BASE_CURRENCY,
+    validateSignUp, validateProfile, normalizeEmail, isValidTimeZone, safeAvatarUrl,
+} from '../src/lib/auth.js';
+import { PLANS, DEFAULT_PLAN, AI_FEATURES, hasFeature, usagePeriod } from '../src/lib/entitlements.js';
+import { DEFAULT_AI_DATA_SHARING } from '../src/lib/privacy.js';
+import { createRateLimiter } from '../api/_lib/rateLimit.js';
+import { generateSecret, otpauthUrl, toBase32, verifyTotp } from '../api/_lib/totp.js';
+
+const scryptAsync = promisify(scrypt);
+
+const MAX_BODY_BYTES = 512 * 1024;
+const PROFILE_FIELDS = ['name', 'email', 'baseCurrency', 'timezone', 'aiDataSharing'];
+const TOTP_ISSUER = 'FundAtTips';
+const RECOVERY_CODE_COUNT = 10;
+
+export const DEMO_ACCOUNT = { name: 'Alex Johnson', email: 'alex.j@fundattips.com', password: 'fundattips-demo', plan: 'premium' };
+
+class HttpError extends Error {
+    constructor(message, status, code) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PATCH, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+};
+
+const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...CORS_HEADERS });
+    res.end(body === undefined ? undefined : JSON.stringify(body));
+};
+
+const readBody = async (req) => {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) throw new HttpError('Request is too large.', 413, 'too_large');
+        chunks.push(chunk);
+    }
+    if (size === 0) return {};
+    try {
+        const body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        if (body && typeof body === 'object' && !Array.isArray(body)) return body;
+    } catch {
+        // Falls through to the error below.
+    }
+    throw new HttpError('Request body must be a JSON object.', 400, 'bad_request');
+};
+
+const hashPassword = async (password, salt = randomBytes(16)) => {
+    const hash = await scryptAsync(String(password), salt, 64);
+    return `${salt.toString('hex')}:${hash.toString('hex')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+    const [salt, hash] = stored.split(':');
+    const candidate = await scryptAsync(String(password), Buffer.from(salt, 'hex'), 64);
+    return timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+};
+
+const newToken = () => randomBytes(32).toString('base64url');
+
+// Recovery codes look like 'k3f9q-7mzpa'; only their hashes are kept.
+const newRecoveryCode = () => toBase32(randomBytes(7)).slice(0, 10).toLowerCase().replace(/^(.{5})/, '$1-');
+const hashRecoveryCode = (code) => createHash('sha256').update(String(code).toLowerCase().replace(/[^a-z0-9]/g, '')).digest('hex');
+
+const publicUser = ({ passwordHash: _hash, twoFactor, pendingTotpSecret: _pending, ...user }) => ({ ...user, twoFactorEnabled: !!twoFactor });
+
+/** Starts the server. Resolves to `{ url, close }`. */
+export const startMockAuthServer = async ({
+    port = 8789,
+    accessTtlSeconds = 15 * 60,
+    refreshTtlSeconds = 30 * 24 * 60 * 60,
+    seed = true,
+} = {}) => {
+    const users = new Map();          // id -> user with passwordHash
+    const accessTokens = new Map();   // token -> { sessionId, expiresAt }
+    const sessions = new Map();       // id -> { userId, refreshToken, expiresAt, userAgent, createdAt, lastActiveAt }
+    const aiUsage = new Map();        // userId -> { period, used, resetsAt }
+    const signInLimiter = createRateLimiter({ limit: 10, windowMs: 60 * 1000 });
+
+    const findByEmail = (email) => [...users.values()].find(user => user.email === normalizeEmail(email));
+
+    const createUser = async ({ name, email, password, timezone, plan = DEFAULT_PLAN }) => {
+        const user = {
+            id: randomUUID(),
+            name: String(name).trim(),
+            email: normalizeEmail(email),
+            avatarUrl: null,
+            baseCurrency: DEFAULT_BASE_CURRENCY,
+            timezone: isValidTimeZone(timezone) ? timezone : 'UTC',
+            plan,
+            aiDataSharing: { ...DEFAULT_AI_DATA_SHARING },
+            createdAt: new Date().toISOString(),
+            passwordHash: await hashPassword(password),
+            twoFactor: null,              // { secret, lastStep, recoveryCodes: hashes } once enabled
+        };
+        users.set(user.id, user);
+        return user;
+    };
+
+    // Issues a fresh token pair, rotating the refresh token of an existing session.
+    const issue = (userId, { sessionId = randomUUID(), req } = {}) => {
+        const accessToken = newToken();
+        const refreshToken = newToken();
+        const now = new Date().toISOString();
+        const previous = sessions.get(sessionId);
+        accessTokens.forEach((entry, token) => {
+            if (entry.sessionId === sessionId) accessTokens.delete(token);
+        });
+        accessTokens.set(accessToken, { sessionId, expiresAt: Date.now() + accessTtlSeconds * 1000 });
+        sessions.set(sessionId, {
+            userId,
+            refreshToken,
+            expiresAt: Date.now() + refreshTtlSeconds * 1000,
+            userAgent: previous ? previous.userAgent : String(req?.headers['user-agent'] || ''),
+            createdAt: previous ? previous.createdAt : now,
+            lastActiveAt: now,
+        });
+        return { user: publicUser(users.get(userId)), accessToken, refreshToken, expiresIn: accessTtlSeconds };
+    };
+
+    const endSession = (sessionId) => {
+        sessions.delete(sessionId);
+        accessTokens.forEach((entry, token) => {
+            if (entry.sessionId === sessionId) accessTokens.delete(token);
+        });
+    };
+
+    // The user and session behind a request's access token; each use counts as activity.
+    const authenticateSession = (req) => {
+        const token = String(req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+        const entry = accessTokens.get(token);
+        const session = entry && sessions.get(entry.sessionId);
+        const user = session && users.get(session.userId);
+        if (!user || entry.expiresAt <= Date.now()) {
+            throw new HttpError('Your session has expired. Sign in again.', 401, 'invalid_token');
+        }
+        session.lastActiveAt = new Date().toISOString();
+        return { user, sessionId: entry.sessionId };
+    };
+
+    const authenticate = (req) => authenticateSession(req).user;
+
+    const sessionsOf = (userId, currentId) => [...sessions.entries()]
+        .filter(([, session]) => session.userId === userId && session.expiresAt > Date.now())
+        .map(([id, { userAgent, createdAt, lastActiveAt }]) => ({ id, current: id === currentId, userAgent, createdAt, lastActiveAt }))
+        .sort((a, b) => Number(b.current) - Number(a.current) || b.lastActiveAt.localeCompare(a.lastActiveAt));
+
+    // A current authenticator code (each usable once) or an unused recovery code, which is then spent.
+    const checkSecondFactor = (user, code) => {
+        const { twoFactor } = user;
+        const step = verifyTotp(twoFactor.secret, code);
+        if (step !== null && step > twoFactor.lastStep) {
+            twoFactor.lastStep = step;
+            return true;
+        }
+        const index = twoFactor.recoveryCodes.indexOf(hashRecoveryCode(code));
+        if (index === -1) return false;
+        twoFactor.recoveryCodes.splice(index, 1);
+        return true;
+    };
+
+    const requireSecondFactor = (user, code) => {
+        if (!checkSecondFactor(user, code)) {
+            throw new HttpError('That code is not valid. Enter the current code from your authenticator app or an unused recovery code.', 400, 'invalid_code');
+        }
+    };
+
+    const newRecoveryCodes = (user) => {
+        const codes = Array.from({ length: RECOVERY_CODE_COUNT }, newRecoveryCode);
+        user.twoFactor.recoveryCodes = codes.map(hashRecoveryCode);
+        return codes;
+    };
+
+    // Today's count; a day keeps the end it had when counting began, whatever the time zone does.
+    const usageOf = (user) => {
+        const entry = aiUsage.get(user.id);
+        const { key, resetsAt } = entry && Date.parse(entry.resetsAt) > Date.now()
+            ? { key: entry.period, resetsAt: entry.resetsAt }
+            : usagePeriod(user.timezone);
+        const used = entry?.period === key ? entry.used : 0;
+        return { period: key, used, limit: PLANS[user.plan].aiRequestsPerDay, resetsAt };
+    };
+
+    const findSession = (refreshToken) => [...sessions.entries()].find(([, session]) => session.refreshToken === refreshToken);
+
+    const routes = {
+        'POST /signup': async (req) => {
+            const body = await readBody(req);
+            const errors = validateSignUp(body);
+            if (errors.length > 0) throw new HttpError(errors.join(' '), 400, 'bad_request');
+            if (findByEmail(body.email)) throw new HttpError('An account with that email already exists.', 409, 'email_taken');
+            const user = await createUser({ name: body.name, email: body.email, password: body.password, timezone: body.timezone });
+            return [201, issue(user.id, { req })];
+        },
+
+        'POST /signin': async (req) => {
+            const body = await readBody(req);
+            const { allowed } = signInLimiter.take(normalizeEmail(body.email));
+            if (!allowed) throw new HttpError('Too many sign-in attempts. Try again in a minute.', 429, 'rate_limited');
+            const user = findByEmail(body.email);
+            // The password is checked even for unknown emails, so both cases take as long.
+            const matches = await verifyPassword(body.password || '', user ? user.passwordHash : await hashPassword('')) && !!user;
+            if (!matches) throw new HttpError('Incorrect email or password.', 401, 'invalid_credentials');
+            if (user.twoFactor) {
+                if (!body.otp) throw new HttpError('Enter the code from your authenticator app.', 401, 'two_factor_required');
+                if (!checkSecondFactor(user, body.otp)) throw new HttpError('That code is not valid. Try the current one, or a recovery code.', 401, 'invalid_code');
+            }
+            return [200, issue(user.id, { req })];
+        },
+
+        'POST /refresh': async (req) => {
+            const { refreshToken } = await readBody(req);
+            const found = refreshToken && findSession(refreshToken);
+            if (!found || found[1].expiresAt <= Date.now() || !users.has(found[1].userId)) {
+                if (found) endSession(found[0]);
+                throw new HttpError('Your session has expired. Sign in again.', 401, 'invalid_token');
+            }
+            return [200, issue(found[1].userId, { sessionId: found[0] })];
+        },
+
+        'POST /signout': async (req) => {
+            const { refreshToken } = await readBody(req);
+            const found = refreshToken && findSession(refreshToken);
+            if (found) endSession(found[0]);
+            return [204];
+        },
+
+        'GET /me': async (req) => [200, { user: publicUser(authenticate(req)) }],
+
+        'PATCH /me': async (req) => {
+            const user = authenticate(req);
+            const body = await readBody(req);
+            const patch = Object.fromEntries(PROFILE_FIELDS.filter(field => field in body).map(field => [field, body[field]]));
+            const errors = validateProfile(patch);
+            if (errors.length > 0) throw new HttpError(errors.join(' '), 400, 'bad_request');
+            if (patch.name !== undefined) patch.name = patch.name.trim();
+            if (patch.aiDataSharing !== undefined) patch.aiDataSharing = { ...user.aiDataSharing, ...patch.aiDataSharing };
+            if (patch.email !== undefined) {
+                patch.email = normalizeEmail(patch.email);
+                const owner = findByEmail(patch.email);
+                if (owner && owner.id !== user.id) throw new HttpError('An account with that email already exists.', 409, 'email_taken');
+            }
+            Object.assign(user, patch);
+            return [200, { user: publicUser(user) }];
+        },
+
+        'PUT /me/avatar': async (req) => {
+            const user = authenticate(req);
+            const { image } = await readBody(req);
+            if (image === null) {
+                user.avatarUrl = null;
+                return [200, { user: publicUser(user) }];
+            }
+            if (!safeAvatarUrl(image) || !String(image).startsWith('data:')) {
+                throw new HttpError('Avatar must be a PNG, JPEG, WebP or GIF image.', 400, 'bad_request');
+            }
+            if (Buffer.byteLength(image.split(',')[1], 'base64') > AVATAR_MAX_BYTES) {
+                throw new HttpError('Avatar image is too large.', 413, 'too_large');
+            }
+            // A real service would store the file and return its URL; the stand-in keeps it inline.
+            user.avatarUrl = image;
+            return [200, { user: publicUser(user) }];
+        },
+
+        // The demo toggle standing in for billing: no payment is taken.
+        'PUT /dev/plan': async (req) => {
+            const user = authenticate(req);
+            const { plan } = await readBody(req);
+            if (!PLANS[plan]) throw new HttpError('Choose a valid plan.', 400, 'bad_request');
+            user.plan = plan;
+            return [200, { user: publicUser(user), usage: usageOf(user) }];
+        },
+
+        'GET /me/usage': async (req) => [200, { usage: usageOf(authenticate(req)) }],
+
+        'POST /me/usage': async (req) => {
+            const user = authenticate(req);
+            const { feature } = await readBody(req);
+            if (!AI_FEATURES[feature]) throw new HttpError('Unknown AI feature.', 400, 'bad_request');
+            if (!hasFeature(user.plan, feature)) {
+                throw new HttpError(`${AI_FEATURES[feature].label} is a Premium feature. Upgrade to use it.`, 403, 'upgrade_required');
+            }
+            const usage = usageOf(user);
+            if (usage.used >= usage.limit) {
+                throw new HttpError(`You've used all ${usage.limit} AI requests for today. They reset at midnight.`, 429, 'quota_exceeded');
+            }
+            aiUsage.set(user.id, { period: usage.period, used: usage.used + 1, resetsAt: usage.resetsAt });
+            return [200, { usage: { ...usage, used: usage.used + 1 } }];
+        },
+
+        'GET /me/sessions': async (req) => {
+            const { user, sessionId } = authenticateSession(req);
+            return [200, { sessions: sessionsOf(user.id, sessionId) }];
+        },
+
+        'DELETE /me/sessions': async (req) => {
+            const { user, sessionId } = authenticateSession(req);
+            sessionsOf(user.id, sessionId).filter(session => !session.current).forEach(session => endSession(session.id));
+            return [204];
+        },
+
+        'DELETE /me/sessions/:id': async (req, { id }) => {
+            const user = authenticate(req);
+            if (sessions.get(id)?.userId !== user.id) throw new HttpError('That session has already ended.', 404, 'not_found');
+            endSession(id);
+            return [204];
+        },
+
+        'POST /me/2fa/setup': async (req) => {
+            const user = authenticate(req);
+            if (user.twoFactor) throw new HttpError('Two-factor authentication is already on.', 409, 'two_factor_enabled');
+            user.pendingTotpSecret = generateSecret();
+            return [200, { secret: user.pendingTotpSecret, otpauthUrl: otpauthUrl({ secret: user.pendingTotpSecret, account: user.email, issuer: TOTP_ISSUER }) }];
+        },
+
+        'POST /me/2fa/enable': async (req) => {
+            const user = authenticate(req);
+            const { code } = await readBody(req);
+            if (user.twoFactor) throw new HttpError('Two-factor authentication is already on.', 409, 'two_factor_enabled');
+            if (!user.pendingTotpSecret) throw new HttpError('Start two-factor setup first.', 400, 'bad_request');
+            const step = verifyTotp(user.pendingTotpSecret, code);
+            if (step === null) throw new HttpError('That code is not valid. Check the time on your device and try the current code.', 400, 'invalid_code');
+            user.twoFactor = { secret: user.pendingTotpSecret, lastStep: step, recoveryCodes: [] };
+            delete user.pendingTotpSecret;
+            const recoveryCodes = newRecoveryCodes(user);
+            return [200, { user: publicUser(user), recoveryCodes }];
+        },
+
+        'POST /me/2fa/disable': async (req) => {
+            const user = authenticate(req);
+            const { code } = await readBody(req);
+            if (!user.twoFactor) throw new HttpError('Two-factor authentication is already off.', 409, 'two_factor_disabled');
+            requireSecondFactor(user, code);
+            user.twoFactor = null;
+            return [200, { user: publicUser(user) }];
+        },
+
+        'POST /me/2fa/recovery-codes': async (req) => {
+            const user = authenticate(req);
+            const { code } = await readBody(req);
+            if (!user.twoFactor) throw new HttpError('Two-factor authentication is off.', 409, 'two_factor_disabled');
+            requireSecondFactor(user, code);
+            return [200, { recoveryCodes: newRecoveryCodes(user) }];
+        },
+
+        'GET /me/export': async (req) => {
+            const { user, sessionId } = authenticateSession(req);
+            return [200, { profile: publicUser(user), sessions: sessionsOf(user.id, sessionId), usage: usageOf(user) }];
+        },
+
+        'DELETE /me': async (req) => {
+            const user = authenticate(req);
+            const { password, otp } = await readBody(req);
+            if (!await verifyPassword(password || '', user.passwordHash)) throw new HttpError('That password is not correct.', 403, 'invalid_password');
+            if (user.twoFactor) requireSecondFactor(user, otp);
+            sessionsOf(user.id).forEach(session => endSession(session.id));
+            aiUsage.delete(user.id);
+            users.delete(user.id);
+            return [204];
+        },
+    };
+
+    // Routes are matched on method and path; ':name' segments become params.
+    const matchRoute = (method, pathname) => {
+        const segments = pathname.split('/');
+        for (const [key, handler] of Object.entries(routes)) {
+            const [routeMethod, routePath] = key.split(' ');
+            const pattern = routePath.split('/');
+            if (routeMethod !== method || pattern.length !== segments.length) continue;
+            const params = {};
+            const matches = pattern.every((part, i) => {
+                if (part.startsWith(':')) params[part.slice(1)] = decodeURIComponent(segments[i]);
+                return part.startsWith(':') ? segments[i] !== '' : part === segments[i];
+            });
+            if (matches) return [handler, params];
+        }
+        return null;
+    };
+
+    if (seed) await createUser(DEMO_ACCOUNT);
+
+    const server = http.createServer(async (req, res) => {
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, CORS_HEADERS);
+            res.end();
+            return;
+        }
+        try {
+            const route = matchRoute(req.method, new URL(req.url, 'http://localhost').pathname.replace(/\/+$/, ''));
+            if (!route) throw new HttpError('Not found.', 404, 'not_found');
+            const [handler, params] = route;
+            const [status, body] = await handler(req, params);
+            sendJson(res, status, body);
+        } catch (error) {
+            if (error instanceof HttpError) sendJson(res, error.status, { error: error.message, code: error.code });
+            else sendJson(res, 500, { error: 'Something went wrong.', code: 'server_error' });
+        }
+    });
+    await new Promise((resolve, reject) => {
+        server.once('listening', resolve);
+        server.once('error', reject);
+        server.listen(port);
+    });
+    return {
+        url: `http://localhost:${server.address().port}`,
+        close: () => new Promise(resolve => {
+            server.close(() => resolve());
+            server.closeAllConnections?.();
+        }),
+    };
+};
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const port = Number(process.env.PORT) || 8789;
+    startMockAuthServer({ port }).then(({ url }) => {
+        console.log(`Mock auth API listening on ${url} (demo: ${DEMO_ACCOUNT.email} / ${DEMO_ACCOUNT.password})`);
+    });
+}
@@ -0,0 +1,89 @@
+// Stand-in for the live price feed, for development (npm run stream:mock); see docs/price-stream.md.
+
+import { WebSocketServer } from 'ws';
+import { pathToFileURL } from 'url';
+import { createMockProvider } from '../src/lib/marketData.js';
+
+/**
+ * Starts the server. Resolves to `{ url, close, dropConnections }`;
+ * `dropConnections` terminates every client so reconnect logic can be exercised.
+ */
+export const startMockPriceServer = async ({ port = 8787, intervalMs = 1000, volatility = 0.002 } = {}) => {
+    const provider = createMockProvider({ latency: 0 });
+    const prices = new Map(); // ticker -> { open, price }
+
+    const seed = async (tickers) => {
+        const missing = tickers.filter(t => !prices.has(t));
+        if (missing.length === 0) return;
+        const quotes = await provider.getQuotes(missing);
+        missing.forEach(ticker => {
+            const quote = quotes.find(q => q.ticker === ticker);
+            const price = quote ? quote.price : 50 + Math.random() * 450;
+            const open = quote ? quote.price - quote.change : price;
+            prices.set(ticker, { open, price });
+        });
+    };
+
+    const wss = new WebSocketServer({ port });
+    await new Promise((resolve, reject) => {
+        wss.once('listening', resolve);
+        wss.once('error', reject);
+    });
+
+    wss.on('connection', (socket) => {
+        socket.tickers = new Set();
+        socket.on('message', async (raw) => {
+            let message;
+            try {
+                message = JSON.parse(raw.toString());
+            } catch {
+                return;
+            }
+            const tickers = Array.isArray(message.tickers) ? message.tickers.map(String) : [];
+            if (message.type === 'subscribe') {
+                await seed(tickers);
+                tickers.forEach(t => socket.tickers.add(t));
+            } else if (message.type === 'unsubscribe') {
+                tickers.forEach(t => socket.tickers.delete(t));
+            }
+        });
+    });
+
+    const timer = setInterval(() => {
+        const time = Date.now();
+        prices.forEach((entry, ticker) => {
+            entry.price = Math.max(0.01, entry.price * (1 + (Math.random() - 0.5) * 2 * volatility));
+            const change = entry.price - entry.open;
+            const tick = JSON.stringify({
+                type: 'tick',
+                ticker,
+                price: Number(entry.price.toFixed(2)),
+                change: Number(change.toFixed(2)),
+                changePercent: Number((change / entry.open * 100).toFixed(2)),
+                time,
+            });
+            wss.clients.forEach(client => {
+                if (client.readyState === 1 && client.tickers.has(ticker)) client.send(tick);
+            });
+        });
+    }, intervalMs);
+
+    return {
+        url: `ws://localhost:${wss.address().port}`,
+        dropConnections() {
+            wss.clients.forEach(client => client.terminate());
+        },
+        close() {
+            clearInterval(timer);
+            wss.clients.forEach(client => client.terminate());
+            return new Promise(resolve => wss.close(() => resolve()));
+        },
+    };
+};
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const port = Number(process.env.PORT) || 8787;
+    startMockPriceServer({ port }).then(({ url }) => {
+        console.log(`Mock price stream listening on ${url}`);
+    });
+}
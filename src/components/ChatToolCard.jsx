@@ -0,0 +1,131 @@
+import React from 'react';
+import { describeToolCall, toolTitle } from '../lib/chatTools.js';
+import { formatCurrency, formatPercent } from '../lib/format.js';
+
+const STATUS_LABELS = {
+    pending: 'Needs approval',
+    running: 'Running…',
+    done: 'Done',
+    declined: 'Declined',
+    error: 'Failed',
+};
+
+const STATUS_STYLES = {
+    pending: 'bg-amber-100 text-amber-800 dark:bg-amber-900/40 dark:text-amber-300',
+    running: 'bg-indigo-100 text-indigo-700 dark:bg-indigo-900/40 dark:text-indigo-300',
+    done: 'bg-green-100 text-green-700 dark:bg-green-900/40 dark:text-green-300',
+    declined: 'bg-gray-200 text-gray-600 dark:bg-gray-600 dark:text-gray-300',
+    error: 'bg-red-100 text-red-700 dark:bg-red-900/40 dark:text-red-300',
+};
+
+const changeClass = (value) => (value >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400');
+
+/** Tiny close-price line for the history card. */
+const Sparkline = ({ values, width = 200, height = 40 }) => {
+    if (values.length < 2) return null;
+    const min = Math.min(...values);
+    const span = Math.max(...values) - min || 1;
+    const points = values.map((v, i) => `${(i / (values.length - 1)) * width},${height - ((v - min) / span) * height}`).join(' ');
+    return (
+        <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-10 mt-2" preserveAspectRatio="none" aria-hidden="true">
+            <polyline points={points} fill="none" strokeWidth="2" className={values[values.length - 1] >= values[0] ? 'stroke-green-500' : 'stroke-red-500'} />
+        </svg>
+    );
+};
+
+const Row = ({ label, children }) => (
+    <div className="flex justify-between gap-2">
+        <span className="text-gray-500 dark:text-gray-400 truncate">{label}</span>
+        <span className="font-medium text-right">{children}</span>
+    </div>
+);
+
+const MAX_HOLDING_ROWS = 8;
+
+/** What a finished tool returned, laid out for the user. */
+const ToolResult = ({ name, result }) => {
+    switch (name) {
+        case 'get_holdings':
+            if (result.holdings.length === 0) return <p>No holdings yet.</p>;
+            return (
+                <div className="space-y-1">
+                    {result.holdings.slice(0, MAX_HOLDING_ROWS).map(h => (
+                        <Row key={h.ticker} label={`${h.ticker} · ${h.quantity}`}>
+                            {formatCurrency(h.marketValue)} <span className={changeClass(h.unrealizedPnlPercent)}>{formatPercent(h.unrealizedPnlPercent)}</span>
+                        </Row>
+                    ))}
+                    {result.holdings.length > MAX_HOLDING_ROWS && <p className="text-gray-500 dark:text-gray-400">+{result.holdings.length - MAX_HOLDING_ROWS} more</p>}
+                    <div className="pt-1 border-t border-gray-200 dark:border-gray-600">
+                        <Row label="Total value">{formatCurrency(result.totalValue)}</Row>
+                    </div>
+                </div>
+            );
+        case 'get_watchlists':
+            return (
+                <div className="space-y-1">
+                    {result.lists.map(list => (
+                        <Row key={list.name} label={`${list.name}${list.name === result.selected ? ' (selected)' : ''}`}>
+                            {list.tickers.length} {list.tickers.length === 1 ? 'ticker' : 'tickers'}
+                        </Row>
+                    ))}
+                </div>
+            );
+        case 'get_current_view':
+            return <p>{result.view}{result.ticker ? ` · ${result.ticker}` : ''}</p>;
+        case 'get_quote':
+            return (
+                <div>
+                    <p className="font-semibold">{result.ticker} <span className="font-normal text-gray-500 dark:text-gray-400">{result.name}</span></p>
+                    <p className="text-lg font-bold">
+                        {formatCurrency(result.price)} <span className={`text-sm ${changeClass(result.changePercent)}`}>{formatPercent(result.changePercent)}</span>
+                    </p>
+                </div>
+            );
+        case 'get_history':
+            if (!result.closes) return <p>No history for {result.ticker} over {result.range}.</p>;
+            return (
+                <div>
+                    <Row label={`${result.ticker} · ${result.range}`}>
+                        <span className={changeClass(result.returnPercent)}>{formatPercent(result.returnPercent)}</span>
+                    </Row>
+                    <Row label="Low / High">{formatCurrency(result.low)} / {formatCurrency(result.high)}</Row>
+                    <Sparkline values={result.closes} />
+                </div>
+            );
+        case 'add_to_watchlist':
+            return <p>Added {result.added} to {result.list}.</p>;
+        case 'create_alert':
+            return <p>Alert created: {result.created}{result.mode === 'recurring' ? ' (recurring)' : ''}.</p>;
+        case 'navigate':
+            return <p>Opened {result.opened}.</p>;
+        default:
+            return null;
+    }
+};
+
+/**
+ * A tool call in the chat: its result once it has run, or, for calls that
+ * change something, an approval prompt until the user answers it.
+ */
+const ChatToolCard = ({ call, onApprove, onDecline, disabled = false }) => (
+    <div className="w-full max-w-[80%] mt-2 p-3 rounded-xl border border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-800 text-sm text-gray-800 dark:text-gray-200 shadow-sm">
+        <div className="flex items-center justify-between mb-2">
+            <span className="text-xs font-bold uppercase tracking-wide text-indigo-600 dark:text-indigo-400">{toolTitle(call.name)}</span>
+            <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${STATUS_STYLES[call.status]}`}>{STATUS_LABELS[call.status]}</span>
+        </div>
+        {call.status === 'pending' && (
+            <div>
+                <p className="mb-2">{describeToolCall(call)}</p>
+                <div className="flex space-x-2">
+                    <button onClick={onApprove} disabled={disabled} className="px-3 py-1 text-xs font-semibold rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50">Approve</button>
+                    <button onClick={onDecline} disabled={disabled} className="px-3 py-1 text-xs font-semibold rounded-lg border border-gray-300 dark:border-gray-600 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50">Decline</button>
+                </div>
+            </div>
+        )}
+        {call.status === 'declined' && <p className="text-gray-500 dark:text-gray-400">{describeToolCall(call).replace(/\?$/, '')} — declined.</p>}
+        {call.status === 'error' && <p className="text-red-600 dark:text-red-400" role="alert">{call.error}</p>}
+        {call.status === 'done' && <ToolResult name={call.name} result={call.result} />}
+    </div>
+);
+
+export default ChatToolCard;
@@ -0,0 +1,118 @@
+import React, { useState, useMemo, useRef } from 'react';
+import { niceTicks, timeTicks } from '../lib/chartScale.js';
+import { formatPercent } from '../lib/format.js';
+import { useWidth } from '../hooks/layout.jsx';
+
+const MARGIN = { top: 10, right: 64, bottom: 24, left: 8 };
+
+/**
+ * Percentage-return lines for several tickers on shared `times`. Each entry of
+ * `series` is `{ ticker, values, color, isBenchmark }`; the benchmark is dashed.
+ */
+const ComparisonChart = ({ times, series, height = 384 }) => {
+    const containerRef = useRef(null);
+    const width = useWidth(containerRef);
+    const [hoverIndex, setHoverIndex] = useState(null);
+
+    const plotWidth = Math.max(10, width - MARGIN.left - MARGIN.right);
+    const plotHeight = height - MARGIN.top - MARGIN.bottom;
+    const last = times.length - 1;
+    const step = plotWidth / Math.max(1, last);
+
+    const scale = useMemo(() => {
+        const values = series.flatMap(s => s.values);
+        return niceTicks(Math.min(0, ...values), Math.max(0, ...values), 5);
+    }, [series]);
+    // timeTicks only reads `time`, so the shared timestamps stand in for bars.
+    const xTicks = useMemo(
+        () => timeTicks(times.map(time => ({ time })), 0, last, Math.max(2, Math.floor(plotWidth / 110))),
+        [times, last, plotWidth]
+    );
+
+    if (times.length < 2) return null;
+
+    const x = (index) => MARGIN.left + index * step;
+    const y = (value) => MARGIN.top + (1 - (value - scale.min) / (scale.max - scale.min)) * plotHeight;
+
+    const handleMouseMove = (e) => {
+        const rect = e.currentTarget.ownerSVGElement.getBoundingClientRect();
+        const index = Math.round((e.clientX - rect.left - MARGIN.left) / step);
+        setHoverIndex(Math.min(last, Math.max(0, index)));
+    };
+
+    const intraday = times[1] - times[0] < 24 * 60 * 60 * 1000;
+    const ranked = hoverIndex == null ? [] : [...series].sort((a, b) => b.values[hoverIndex] - a.values[hoverIndex]);
+
+    return (
+        <div ref={containerRef} className="relative w-full select-none">
+            <svg width={width} height={height} className="block text-gray-400 dark:text-gray-500">
+                {scale.ticks.map(tick => (
+                    <g key={tick}>
+                        <line
+                            x1={MARGIN.left}
+                            x2={MARGIN.left + plotWidth}
+                            y1={y(tick)}
+                            y2={y(tick)}
+                            stroke="currentColor"
+                            strokeOpacity={tick === 0 ? 0.6 : 0.2}
+                        />
+                        <text x={MARGIN.left + plotWidth + 6} y={y(tick)} dy="0.32em" fontSize="11" fill="currentColor">{formatPercent(tick, 0)}</text>
+                    </g>
+                ))}
+                {xTicks.map(tick => (
+                    <text key={tick.index} x={x(tick.index)} y={height - 6} textAnchor="middle" fontSize="11" fill="currentColor">{tick.label}</text>
+                ))}
+
+                {series.map(s => (
+                    <path
+                        key={s.ticker}
+                        d={s.values.map((value, i) => `${i === 0 ? 'M' : 'L'} ${x(i)} ${y(value)}`).join(' ')}
+                        fill="none"
+                        stroke={s.color}
+                        strokeWidth={s.isBenchmark ? 1.5 : 2}
+                        strokeDasharray={s.isBenchmark ? '5 4' : undefined}
+                        strokeLinejoin="round"
+                    />
+                ))}
+
+                {hoverIndex != null && (
+                    <g pointerEvents="none">
+                        <line x1={x(hoverIndex)} x2={x(hoverIndex)} y1={MARGIN.top} y2={MARGIN.top + plotHeight} stroke="currentColor" strokeDasharray="4 3" />
+                        {series.map(s => (
+                            <circle key={s.ticker} cx={x(hoverIndex)} cy={y(s.values[hoverIndex])} r="3" fill={s.color} stroke="white" strokeWidth="1" />
+                        ))}
+                    </g>
+                )}
+
+                <rect
+                    x={MARGIN.left}
+                    y={MARGIN.top}
+                    width={plotWidth}
+                    height={plotHeight}
+                    fill="transparent"
+                    style={{ cursor: 'crosshair' }}
+                    onMouseMove={handleMouseMove}
+                    onMouseLeave={() => setHoverIndex(null)}
+                />
+            </svg>
+
+            {hoverIndex != null && (
+                <div className="absolute top-2 left-3 p-2 bg-gray-800/90 text-white text-xs rounded-lg pointer-events-none space-y-0.5">
+                    <p className="font-semibold">
+                        {new Date(times[hoverIndex]).toLocaleString('en-US', intraday
+                            ? { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }
+                            : { month: 'short', day: 'numeric', year: 'numeric' })}
+                    </p>
+                    {ranked.map(s => (
+                        <p key={s.ticker}>
+                            <span className="inline-block w-2 h-2 rounded-full mr-1" style={{ backgroundColor: s.color }}></span>
+                            {s.ticker} {formatPercent(s.values[hoverIndex])}
+                        </p>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ComparisonChart;
@@ -0,0 +1,93 @@
+import React, { useMemo } from 'react';
+import { useDailyFeed } from '../hooks/dailyFeed.jsx';
+import { FEED_TYPES, IMPORTANT_SCORE, groupFeed } from '../lib/dailyFeed.js';
+
+const TYPE_STYLES = {
+    earnings: 'bg-amber-100 text-amber-800 dark:bg-amber-900/50 dark:text-amber-300',
+    threshold: 'bg-rose-100 text-rose-800 dark:bg-rose-900/50 dark:text-rose-300',
+    market: 'bg-sky-100 text-sky-800 dark:bg-sky-900/50 dark:text-sky-300',
+    news: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300',
+};
+
+const EMPTY_MESSAGES = {
+    all: 'No updates in the past week.',
+    latest: 'Nothing new lately.',
+    important: 'No important updates right now.',
+};
+
+/**
+ * "Daily Update" card for the Dashboard. `filter` is the All / Latest /
+ * Important selection; `watched` and `held` are ticker lists.
+ */
+const DailyUpdateFeed = ({ filter, watched, held }) => {
+    const { items, status, unreadCount, setRead, markAllRead } = useDailyFeed({ watched, held });
+    const groups = useMemo(() => groupFeed(items, filter), [items, filter]);
+    const visibleIds = groups.flatMap(group => group.items.map(item => item.id));
+
+    return (
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-2xl shadow-xl border border-gray-100 dark:border-gray-700">
+            <div className="flex justify-between items-center mb-4">
+                <h3 className="text-xl font-bold text-gray-900 dark:text-white flex items-center" style={{ fontFamily: 'var(--font-heading)' }}>
+                    Daily Update
+                    {unreadCount > 0 && (
+                        <span className="ml-2 px-2 py-0.5 text-xs font-semibold rounded-full bg-indigo-600 text-white">{unreadCount}</span>
+                    )}
+                </h3>
+                <button
+                    onClick={() => markAllRead(visibleIds)}
+                    disabled={visibleIds.length === 0}
+                    className="text-xs font-semibold text-indigo-600 dark:text-indigo-400 hover:underline disabled:opacity-40 disabled:no-underline"
+                >
+                    Mark all read
+                </button>
+            </div>
+
+            {!status.data ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                    {status.error ? 'Updates are unavailable right now.' : 'Loading updates...'}
+                </p>
+            ) : groups.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">{EMPTY_MESSAGES[filter] || EMPTY_MESSAGES.all}</p>
+            ) : (
+                <div className="max-h-96 overflow-y-auto space-y-4 pr-1">
+                    {groups.map(group => (
+                        <div key={group.key}>
+                            <p className="text-xs font-semibold uppercase tracking-wider text-gray-500 dark:text-gray-400 mb-2">{group.label}</p>
+                            <ul className="space-y-2">
+                                {group.items.map(item => (
+                                    <li
+                                        key={item.id}
+                                        onClick={() => setRead(item.id, !item.read)}
+                                        title={item.read ? 'Mark as unread' : 'Mark as read'}
+                                        className={`p-3 rounded-lg border cursor-pointer transition duration-200 ${item.read
+                                            ? 'border-gray-100 dark:border-gray-700 opacity-70'
+                                            : 'border-indigo-100 dark:border-gray-600 bg-indigo-50/50 dark:bg-gray-700/50'
+                                            }`}
+                                    >
+                                        <div className="flex items-center justify-between text-xs mb-1">
+                                            <span className="flex items-center space-x-2">
+                                                {!item.read && <span className="w-2 h-2 rounded-full bg-indigo-500" aria-label="Unread"></span>}
+                                                <span className={`px-2 py-0.5 rounded-full font-semibold ${TYPE_STYLES[item.type] || TYPE_STYLES.news}`}>
+                                                    {FEED_TYPES[item.type]?.label || item.type}
+                                                </span>
+                                                {item.ticker && <span className="font-semibold text-indigo-600 dark:text-indigo-400">{item.ticker}</span>}
+                                                {item.score >= IMPORTANT_SCORE && <span className="text-amber-500" title={`Importance ${item.score}`}>★</span>}
+                                            </span>
+                                            <span className="text-gray-400 dark:text-gray-500">
+                                                {new Date(item.time).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}
+                                            </span>
+                                        </div>
+                                        <p className={`text-sm text-gray-800 dark:text-gray-100 ${item.read ? '' : 'font-semibold'}`}>{item.title}</p>
+                                        {item.summary && <p className="text-xs text-gray-500 dark:text-gray-400 mt-0.5">{item.summary}</p>}
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default DailyUpdateFeed;
@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+
+const SIZE = 200;
+const CENTER = SIZE / 2;
+const OUTER = 95;
+const INNER = 60;
+
+const point = (radius, angle) => [CENTER + radius * Math.sin(angle), CENTER - radius * Math.cos(angle)];
+
+/** SVG path for a ring segment between two angles (radians, clockwise from 12 o'clock). */
+const arcPath = (start, end) => {
+    const large = end - start > Math.PI ? 1 : 0;
+    const [x0, y0] = point(OUTER, start);
+    const [x1, y1] = point(OUTER, end);
+    const [x2, y2] = point(INNER, end);
+    const [x3, y3] = point(INNER, start);
+    return `M ${x0} ${y0} A ${OUTER} ${OUTER} 0 ${large} 1 ${x1} ${y1} L ${x2} ${y2} A ${INNER} ${INNER} 0 ${large} 0 ${x3} ${y3} Z`;
+};
+
+/**
+ * Donut chart of `slices` ({ key, label, value, weight, color }). Hovering a
+ * segment shows its value and weight; clicking calls `onSelect(slice)`.
+ */
+const DonutChart = ({ slices, centerLabel, centerValue, formatValue = String, onSelect }) => {
+    const [hovered, setHovered] = useState(null);
+    const active = slices.find(s => s.key === hovered);
+
+    let angle = 0;
+    const segments = slices.filter(s => s.value > 0).map(slice => {
+        const sweep = slice.weight / 100 * Math.PI * 2;
+        const segment = { slice, start: angle, end: angle + sweep };
+        angle += sweep;
+        return segment;
+    });
+
+    return (
+        <div className="relative w-full max-w-[16rem] mx-auto">
+            <svg viewBox={`0 0 ${SIZE} ${SIZE}`} className="w-full h-auto" role="img" aria-label="Asset allocation chart">
+                {segments.map(({ slice, start, end }) => {
+                    const isActive = hovered === slice.key;
+                    const common = {
+                        fill: slice.color,
+                        stroke: 'currentColor',
+                        strokeWidth: 1,
+                        className: `text-white dark:text-gray-800 transition-opacity duration-200 ${slice.drillable && onSelect ? 'cursor-pointer' : ''} ${hovered && !isActive ? 'opacity-50' : ''}`,
+                        onMouseEnter: () => setHovered(slice.key),
+                        onMouseLeave: () => setHovered(null),
+                        onClick: () => onSelect?.(slice),
+                    };
+                    // A single 100% slice cannot be drawn as one arc; draw a full ring instead.
+                    const d = end - start >= Math.PI * 2 - 1e-6
+                        ? `M ${CENTER} ${CENTER - OUTER} a ${OUTER} ${OUTER} 0 1 1 0 ${OUTER * 2} a ${OUTER} ${OUTER} 0 1 1 0 ${-OUTER * 2} M ${CENTER} ${CENTER - INNER} a ${INNER} ${INNER} 0 1 0 0 ${INNER * 2} a ${INNER} ${INNER} 0 1 0 0 ${-INNER * 2}`
+                        : arcPath(start, end);
+                    return (
+                        <path key={slice.key} {...common} fillRule="evenodd" d={d}>
+                            <title>{`${slice.label}: ${formatValue(slice.value)} (${slice.weight.toFixed(1)}%)`}</title>
+                        </path>
+                    );
+                })}
+            </svg>
+            <div className="absolute inset-0 flex flex-col items-center justify-center pointer-events-none text-center px-12">
+                <span className="text-xs text-gray-500 dark:text-gray-400 truncate max-w-full">{active ? active.label : centerLabel}</span>
+                <span className="text-lg font-bold text-gray-800 dark:text-white" style={{ fontFamily: 'var(--font-heading)' }}>
+                    {active ? formatValue(active.value) : centerValue}
+                </span>
+                {active && <span className="text-xs font-semibold text-indigo-600 dark:text-indigo-400">{active.weight.toFixed(1)}%</span>}
+            </div>
+        </div>
+    );
+};
+
+export default DonutChart;
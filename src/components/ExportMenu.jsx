@@ -0,0 +1,53 @@
+import React, { useState } from 'react';
+import { EXPORT_FORMATS, downloadExport } from '../lib/dataExport.js';
+import { useMarketData } from '../hooks/marketData.jsx';
+import { useToast } from '../hooks/toast.jsx';
+
+/** "Export" dropdown for CSV, JSON and XLSX; `build` returns the ExportSpec at click time. */
+const ExportMenu = ({ build, disabled = false, className = '' }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const provider = useMarketData();
+    const { notify } = useToast();
+
+    const handleExport = async (format) => {
+        setIsOpen(false);
+        const spec = build();
+        try {
+            await downloadExport(format, {
+                ...spec,
+                metadata: { source: provider.name, currency: 'USD', ...spec.metadata },
+            });
+        } catch (error) {
+            notify(`Export failed: ${error.message}`, { tone: 'error' });
+        }
+    };
+
+    return (
+        <div className={`relative inline-block text-left ${className}`}>
+            <button
+                onClick={() => setIsOpen(v => !v)}
+                onBlur={() => setTimeout(() => setIsOpen(false), 150)}
+                disabled={disabled}
+                aria-expanded={isOpen}
+                className="px-3 py-1 text-xs font-semibold rounded-lg border border-indigo-200 dark:border-gray-600 text-indigo-600 dark:text-indigo-400 hover:bg-indigo-50 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+                Export ▾
+            </button>
+            {isOpen && (
+                <ul className="absolute right-0 mt-1 w-28 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg z-40 text-sm">
+                    {EXPORT_FORMATS.map(format => (
+                        <li
+                            key={format}
+                            onMouseDown={() => handleExport(format)}
+                            className="px-3 py-2 hover:bg-gray-100 dark:hover:bg-gray-700 cursor-pointer text-gray-700 dark:text-gray-200"
+                        >
+                            {format.toUpperCase()}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default ExportMenu;
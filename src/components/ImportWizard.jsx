@@ -0,0 +1,268 @@
+import React, { useState, useMemo } from 'react';
+import {
+    IMPORT_FIELDS,
+    BUILT_IN_PRESETS,
+    readStatementFile,
+    guessMapping,
+    mappingFromPreset,
+    detectPreset,
+    buildImportPreview,
+} from '../lib/statementImport.js';
+import { usePortfolio } from '../hooks/portfolio.jsx';
+import { useToast } from '../hooks/toast.jsx';
+import { formatCurrency } from '../lib/format.js';
+import { readJson, writeJson } from '../lib/storage.js';
+
+const PRESETS_KEY = 'fundsattips.importPresets';
+const PREVIEW_LIMIT = 200;
+
+const loadSavedPresets = () => {
+    const saved = readJson(PRESETS_KEY, []);
+    return Array.isArray(saved) ? saved : [];
+};
+
+const selectClass = "w-full p-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white text-sm";
+
+/** Three-step broker statement import: choose a file, map its columns, review and commit. */
+const ImportWizard = ({ onClose }) => {
+    const { transactions, addTransactions } = usePortfolio();
+    const { notify } = useToast();
+
+    const [step, setStep] = useState('file');
+    const [error, setError] = useState(null);
+    const [file, setFile] = useState(null); // { name, headers, rows }
+    const [savedPresets, setSavedPresets] = useState(loadSavedPresets);
+    const [presetId, setPresetId] = useState('');
+    const [mapping, setMapping] = useState({});
+    const [dateOrder, setDateOrder] = useState('auto');
+    const [presetName, setPresetName] = useState('');
+    const [skipDuplicates, setSkipDuplicates] = useState(true);
+
+    const presets = useMemo(() => [...BUILT_IN_PRESETS, ...savedPresets], [savedPresets]);
+
+    const handleFile = async (e) => {
+        const selected = e.target.files?.[0];
+        if (!selected) return;
+        setError(null);
+        try {
+            const { headers, rows } = await readStatementFile(selected);
+            const detected = detectPreset(headers, presets);
+            setFile({ name: selected.name, headers, rows });
+            setPresetId(detected ? detected.id : '');
+            setMapping(detected ? mappingFromPreset(detected, headers) : guessMapping(headers));
+            setDateOrder(detected?.dateOrder || 'auto');
+            setStep('mapping');
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const applyPreset = (id) => {
+        setPresetId(id);
+        const preset = presets.find(p => p.id === id);
+        setMapping(preset ? mappingFromPreset(preset, file.headers) : guessMapping(file.headers));
+        setDateOrder(preset?.dateOrder || 'auto');
+    };
+
+    const savePreset = () => {
+        const name = presetName.trim();
+        if (!name) return;
+        const preset = { id: `custom-${Date.now()}`, name, dateOrder: dateOrder === 'auto' ? undefined : dateOrder, columns: mapping };
+        const next = [...savedPresets.filter(p => p.name !== name), preset];
+        writeJson(PRESETS_KEY, next);
+        setSavedPresets(next);
+        setPresetId(preset.id);
+        setPresetName('');
+        notify(`Saved mapping preset "${name}".`, { tone: 'success' });
+    };
+
+    const preview = useMemo(() => {
+        if (step !== 'preview') return null;
+        try {
+            return buildImportPreview(file.rows, file.headers, mapping, {
+                dateOrder: dateOrder === 'auto' ? undefined : dateOrder,
+                existingTransactions: transactions,
+            });
+        } catch (err) {
+            return { error: err.message };
+        }
+    }, [step, file, mapping, dateOrder, transactions]);
+
+    const rows = Array.isArray(preview) ? preview : [];
+    const validRows = rows.filter(r => r.errors.length === 0);
+    const duplicateCount = validRows.filter(r => r.duplicate).length;
+    const repeatedCount = validRows.filter(r => r.repeated).length;
+    const toImport = validRows.filter(r => !(skipDuplicates && r.duplicate));
+
+    const handleCommit = () => {
+        try {
+            addTransactions(toImport.map(r => r.transaction));
+            notify(`Imported ${toImport.length} transaction${toImport.length === 1 ? '' : 's'} from ${file.name}.`, { tone: 'success' });
+            onClose();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const goToPreview = () => {
+        const missing = IMPORT_FIELDS.filter(f => f.required && !mapping[f.key]);
+        if (missing.length > 0) {
+            setError(`Map a column for: ${missing.map(f => f.label).join(', ')}.`);
+            return;
+        }
+        setError(null);
+        setStep('preview');
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onMouseDown={onClose}>
+            <div
+                onMouseDown={(e) => e.stopPropagation()}
+                className="w-full max-w-3xl max-h-[90vh] overflow-y-auto bg-white dark:bg-gray-800 p-6 rounded-2xl shadow-2xl border border-gray-100 dark:border-gray-700 space-y-4"
+            >
+                <div className="flex justify-between items-center">
+                    <h3 className="text-xl font-bold text-gray-800 dark:text-white" style={{ fontFamily: 'var(--font-heading)' }}>Import Broker Statement</h3>
+                    <span className="text-xs font-medium text-gray-500 dark:text-gray-400">
+                        Step {step === 'file' ? 1 : step === 'mapping' ? 2 : 3} of 3
+                    </span>
+                </div>
+
+                {step === 'file' && (
+                    <div className="space-y-3">
+                        <p className="text-sm text-gray-600 dark:text-gray-400">Choose a CSV or XLSX export of your trades. The file is read locally and never uploaded.</p>
+                        <input
+                            type="file"
+                            accept=".csv,.txt,.xlsx,.xls"
+                            onChange={handleFile}
+                            className="block w-full text-sm text-gray-700 dark:text-gray-300 file:mr-4 file:py-2 file:px-4 file:rounded-xl file:border-0 file:font-semibold file:bg-indigo-100 file:text-indigo-700 hover:file:bg-indigo-200"
+                        />
+                    </div>
+                )}
+
+                {step === 'mapping' && (
+                    <div className="space-y-4">
+                        <p className="text-sm text-gray-600 dark:text-gray-400">
+                            <span className="font-semibold">{file.name}</span> — {file.rows.length} rows. Match each field to a column in your file.
+                        </p>
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                            <label className="text-sm text-gray-600 dark:text-gray-300">Preset
+                                <select value={presetId} onChange={(e) => applyPreset(e.target.value)} className={selectClass}>
+                                    <option value="">Auto-detect columns</option>
+                                    {presets.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                                </select>
+                            </label>
+                            <label className="text-sm text-gray-600 dark:text-gray-300">Date format
+                                <select value={dateOrder} onChange={(e) => setDateOrder(e.target.value)} className={selectClass}>
+                                    <option value="auto">Auto</option>
+                                    <option value="MDY">MM/DD/YYYY</option>
+                                    <option value="DMY">DD/MM/YYYY</option>
+                                    <option value="YMD">YYYY-MM-DD</option>
+                                </select>
+                            </label>
+                            {IMPORT_FIELDS.map(field => (
+                                <label key={field.key} className="text-sm text-gray-600 dark:text-gray-300">
+                                    {field.label}{field.required ? ' *' : ''}
+                                    <select
+                                        value={mapping[field.key] || ''}
+                                        onChange={(e) => setMapping(prev => ({ ...prev, [field.key]: e.target.value || undefined }))}
+                                        className={selectClass}
+                                    >
+                                        <option value="">— Not in file —</option>
+                                        {file.headers.map(h => <option key={h} value={h}>{h}</option>)}
+                                    </select>
+                                </label>
+                            ))}
+                        </div>
+                        {!mapping.side && (
+                            <p className="text-xs text-gray-500 dark:text-gray-400">Without a side column, negative quantities are imported as sells.</p>
+                        )}
+                        <div className="flex items-end gap-2">
+                            <label className="flex-grow text-sm text-gray-600 dark:text-gray-300">Save this mapping as a preset
+                                <input type="text" value={presetName} onChange={(e) => setPresetName(e.target.value)} placeholder="e.g. My broker" className={selectClass} />
+                            </label>
+                            <button onClick={savePreset} disabled={!presetName.trim()} className="px-4 py-2 rounded-xl text-sm font-semibold text-indigo-600 dark:text-indigo-400 border border-indigo-200 dark:border-gray-600 disabled:opacity-50">Save</button>
+                        </div>
+                    </div>
+                )}
+
+                {step === 'preview' && preview?.error && (
+                    <p className="text-sm text-red-600 dark:text-red-400">{preview.error}</p>
+                )}
+
+                {step === 'preview' && rows.length > 0 && (
+                    <div className="space-y-3">
+                        <p className="text-sm text-gray-600 dark:text-gray-400">
+                            <span className="font-semibold text-green-600 dark:text-green-400">{validRows.length - duplicateCount} new</span>
+                            {' · '}<span className="font-semibold text-amber-600 dark:text-amber-400">{duplicateCount} already imported</span>
+                            {repeatedCount > 0 && <>{' · '}<span className="font-semibold text-blue-600 dark:text-blue-400">{repeatedCount} repeated in this file</span></>}
+                            {' · '}<span className="font-semibold text-red-600 dark:text-red-400">{rows.length - validRows.length} with errors</span>
+                        </p>
+                        <label className="flex items-center text-sm text-gray-600 dark:text-gray-300">
+                            <input type="checkbox" checked={skipDuplicates} onChange={(e) => setSkipDuplicates(e.target.checked)} className="mr-2" />
+                            Skip rows that are already in the portfolio
+                        </label>
+                        <div className="overflow-x-auto max-h-80 border border-gray-200 dark:border-gray-700 rounded-lg">
+                            <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-xs">
+                                <thead className="sticky top-0 bg-gray-50 dark:bg-gray-700">
+                                    <tr>
+                                        {['Row', 'Date', 'Ticker', 'Side', 'Qty', 'Price', 'Fees', 'Status'].map(h => (
+                                            <th key={h} className="px-2 py-2 text-left font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">{h}</th>
+                                        ))}
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                                    {rows.slice(0, PREVIEW_LIMIT).map(r => (
+                                        <tr key={r.rowNumber} className={r.errors.length > 0 ? 'bg-red-50 dark:bg-red-900/30' : r.duplicate ? 'bg-amber-50 dark:bg-amber-900/30' : ''}>
+                                            <td className="px-2 py-1 text-gray-500">{r.rowNumber}</td>
+                                            <td className="px-2 py-1">{r.transaction.date}</td>
+                                            <td className="px-2 py-1 font-semibold">{r.transaction.ticker}</td>
+                                            <td className="px-2 py-1 capitalize">{r.transaction.type}</td>
+                                            <td className="px-2 py-1">{r.transaction.quantity}</td>
+                                            <td className="px-2 py-1">{formatCurrency(r.transaction.price)}</td>
+                                            <td className="px-2 py-1">{formatCurrency(r.transaction.fees)}</td>
+                                            <td className="px-2 py-1">
+                                                {r.errors.length > 0
+                                                    ? <span className="text-red-600 dark:text-red-400">{r.errors.join(' ')}</span>
+                                                    : r.duplicate ? <span className="text-amber-600 dark:text-amber-400">Duplicate</span>
+                                                        : r.repeated ? <span className="text-blue-600 dark:text-blue-400" title="Same as an earlier row. Kept, since partial fills often look alike.">Repeated in file</span>
+                                                            : <span className="text-green-600 dark:text-green-400">OK</span>}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                        {rows.length > PREVIEW_LIMIT && (
+                            <p className="text-xs text-gray-500 dark:text-gray-400">Showing the first {PREVIEW_LIMIT} of {rows.length} rows.</p>
+                        )}
+                    </div>
+                )}
+
+                {error && <p className="p-3 text-sm rounded-lg border bg-red-50 dark:bg-red-900/50 border-red-300 text-red-700 dark:text-red-300">{error}</p>}
+
+                <div className="flex justify-between pt-2">
+                    <button onClick={onClose} className="px-4 py-2 rounded-xl text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700">Cancel</button>
+                    <div className="space-x-2">
+                        {step !== 'file' && (
+                            <button onClick={() => { setError(null); setStep(step === 'preview' ? 'mapping' : 'file'); }} className="px-4 py-2 rounded-xl text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700">Back</button>
+                        )}
+                        {step === 'mapping' && (
+                            <button onClick={goToPreview} className="px-4 py-2 rounded-xl bg-indigo-600 text-white font-semibold hover:bg-indigo-700">Preview</button>
+                        )}
+                        {step === 'preview' && (
+                            <button
+                                onClick={handleCommit}
+                                disabled={toImport.length === 0}
+                                className="px-4 py-2 rounded-xl bg-green-500 text-white font-semibold hover:bg-green-600 disabled:bg-gray-400 disabled:cursor-not-allowed"
+                            >
+                                Import {toImport.length} row{toImport.length === 1 ? '' : 's'}
+                            </button>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ImportWizard;
@@ -0,0 +1,71 @@
+import React, { useState, useEffect } from 'react';
+import { INDICATORS } from '../lib/indicators.js';
+
+/** Number field that only commits on blur or Enter, so partial input is never clamped mid-typing. */
+const ParamInput = ({ param, value, onCommit }) => {
+    const [draft, setDraft] = useState(String(value));
+    useEffect(() => setDraft(String(value)), [value]);
+
+    const commit = () => {
+        if (draft !== String(value)) onCommit(draft);
+        setDraft(String(value));
+    };
+
+    return (
+        <label className="flex items-center space-x-1 text-xs text-gray-500 dark:text-gray-400">
+            <span>{param.label}</span>
+            <input
+                type="number"
+                min={param.min}
+                max={param.max}
+                step={param.step || 1}
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                onBlur={commit}
+                onKeyDown={(e) => e.key === 'Enter' && commit()}
+                className="w-14 p-1 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700 dark:text-white"
+            />
+        </label>
+    );
+};
+
+/**
+ * Toggles and period inputs for the chart indicators. `settings` and
+ * `onChange(id, patch)` come from useIndicatorSettings().
+ */
+const IndicatorPanel = ({ settings, onChange }) => (
+    <div className="flex flex-wrap gap-2">
+        {INDICATORS.map(indicator => {
+            const current = settings[indicator.id];
+            return (
+                <div
+                    key={indicator.id}
+                    className={`flex items-center space-x-2 px-2 py-1 rounded-lg border ${current.enabled
+                        ? 'border-indigo-300 bg-indigo-50 dark:border-indigo-500 dark:bg-gray-700'
+                        : 'border-gray-200 dark:border-gray-700'
+                        }`}
+                >
+                    <label className="flex items-center space-x-1 text-sm font-medium text-gray-700 dark:text-gray-200 cursor-pointer" title={indicator.name}>
+                        <input
+                            type="checkbox"
+                            checked={current.enabled}
+                            onChange={(e) => onChange(indicator.id, { enabled: e.target.checked })}
+                            className="rounded text-indigo-600"
+                        />
+                        <span>{indicator.label}</span>
+                    </label>
+                    {current.enabled && indicator.params.map(param => (
+                        <ParamInput
+                            key={param.key}
+                            param={param}
+                            value={current[param.key]}
+                            onCommit={(value) => onChange(indicator.id, { [param.key]: value })}
+                        />
+                    ))}
+                </div>
+            );
+        })}
+    </div>
+);
+
+export default IndicatorPanel;
@@ -0,0 +1,96 @@
+import React, { useMemo } from 'react';
+import { parseMarkdown } from '../lib/markdown.js';
+
+const HEADING_STYLES = {
+    1: 'text-lg font-bold',
+    2: 'text-base font-bold',
+    3: 'text-sm font-bold',
+};
+
+const ALIGN_CLASSES = { left: 'text-left', center: 'text-center', right: 'text-right' };
+
+const renderInline = (nodes) => nodes.map((node, i) => {
+    switch (node.type) {
+        case 'text': return <React.Fragment key={i}>{node.value}</React.Fragment>;
+        case 'break': return <br key={i} />;
+        case 'code': return <code key={i} className="px-1 py-0.5 rounded bg-black/10 dark:bg-white/10 font-mono text-[0.9em]">{node.value}</code>;
+        case 'strong': return <strong key={i} className="font-semibold">{renderInline(node.children)}</strong>;
+        case 'em': return <em key={i}>{renderInline(node.children)}</em>;
+        case 'del': return <del key={i}>{renderInline(node.children)}</del>;
+        case 'link':
+            // Unsafe URLs keep their text but lose the link.
+            if (!node.href) return <span key={i}>{renderInline(node.children)}</span>;
+            return (
+                <a key={i} href={node.href} title={node.title} target="_blank" rel="noopener noreferrer nofollow" className="text-indigo-600 dark:text-indigo-400 underline hover:no-underline break-words">
+                    {renderInline(node.children)}
+                </a>
+            );
+        default: return null;
+    }
+});
+
+const renderBlocks = (blocks, { tight = false } = {}) => blocks.map((block, i) => {
+    switch (block.type) {
+        case 'heading': {
+            const Tag = `h${Math.min(block.level + 2, 6)}`;
+            return <Tag key={i} className={`${HEADING_STYLES[block.level] || 'text-sm font-semibold'} text-gray-900 dark:text-white`}>{renderInline(block.children)}</Tag>;
+        }
+        case 'paragraph':
+            // Items of a tight list hold their text directly, without paragraph spacing.
+            return tight ? <React.Fragment key={i}>{renderInline(block.children)}</React.Fragment> : <p key={i}>{renderInline(block.children)}</p>;
+        case 'list': {
+            const Tag = block.ordered ? 'ol' : 'ul';
+            return (
+                <Tag key={i} start={block.ordered && block.start !== 1 ? block.start : undefined} className={`pl-5 ${block.ordered ? 'list-decimal' : 'list-disc'} ${block.loose ? 'space-y-2' : 'space-y-0.5'}`}>
+                    {block.items.map((item, j) => (
+                        <li key={j} className={block.loose ? 'space-y-2' : ''}>{renderBlocks(item.children, { tight: !block.loose })}</li>
+                    ))}
+                </Tag>
+            );
+        }
+        case 'table':
+            return (
+                <div key={i} className="overflow-x-auto">
+                    <table className="min-w-full text-left border-collapse">
+                        <thead>
+                            <tr className="border-b border-gray-300 dark:border-gray-600">
+                                {block.header.map((cell, c) => <th key={c} className={`px-2 py-1 font-semibold ${ALIGN_CLASSES[block.align[c]] || ''}`}>{renderInline(cell)}</th>)}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {block.rows.map((row, r) => (
+                                <tr key={r} className="border-b border-gray-200 dark:border-gray-700 last:border-0">
+                                    {row.map((cell, c) => <td key={c} className={`px-2 py-1 ${ALIGN_CLASSES[block.align[c]] || ''}`}>{renderInline(cell)}</td>)}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            );
+        case 'code':
+            return (
+                <pre key={i} className="p-2 rounded-lg bg-black/10 dark:bg-white/10 overflow-x-auto text-xs">
+                    <code className="font-mono" data-lang={block.lang}>{block.value}</code>
+                </pre>
+            );
+        case 'blockquote':
+            return <blockquote key={i} className="pl-3 border-l-4 border-gray-300 dark:border-gray-600 opacity-90 space-y-2">{renderBlocks(block.children)}</blockquote>;
+        case 'hr':
+            return <hr key={i} className="border-gray-300 dark:border-gray-600" />;
+        default:
+            return null;
+    }
+});
+
+/** Renders AI-written markdown as React elements; `children` follow the last block, e.g. a streaming cursor. */
+const Markdown = ({ text, className = '', children }) => {
+    const blocks = useMemo(() => parseMarkdown(text), [text]);
+    return (
+        <div className={`space-y-2 break-words ${className}`}>
+            {renderBlocks(blocks)}
+            {children}
+        </div>
+    );
+};
+
+export default Markdown;
@@ -0,0 +1,341 @@
+import React, { useState, useMemo, useRef } from 'react';
+import { niceTicks, timeTicks } from '../lib/chartScale.js';
+import { useWidth } from '../hooks/layout.jsx';
+
+const MARGIN = { top: 10, right: 64, bottom: 24, left: 8 };
+const VOLUME_SHARE = 0.22;
+const PANE_GAP = 10;
+const OSCILLATOR_HEIGHT = 90;
+const UP_COLOR = '#22C55E';
+const DOWN_COLOR = '#EF4444';
+const LINE_COLOR = '#6366F1';
+const NO_INDICATORS = [];
+
+const formatPrice = (value) => value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const formatIndicator = (value) => (Math.abs(value) >= 1000 ? formatPrice(value) : value.toFixed(2));
+
+/** SVG path through the non-null points of `values`, broken wherever a value is missing. */
+const seriesPath = (values, start, end, x, y) => {
+    let path = '';
+    let open = false;
+    for (let i = start; i <= end; i++) {
+        if (values[i] == null) {
+            open = false;
+            continue;
+        }
+        path += `${open ? 'L' : 'M'} ${x(i)} ${y(values[i])} `;
+        open = true;
+    }
+    return path;
+};
+
+/** Filled region between two series, e.g. the space inside Bollinger Bands. */
+const bandPath = (upper, lower, start, end, x, y) => {
+    const points = [];
+    for (let i = start; i <= end; i++) if (upper[i] != null && lower[i] != null) points.push(i);
+    if (points.length < 2) return '';
+    const top = points.map((i, n) => `${n === 0 ? 'M' : 'L'} ${x(i)} ${y(upper[i])}`).join(' ');
+    const bottom = [...points].reverse().map(i => `L ${x(i)} ${y(lower[i])}`).join(' ');
+    return `${top} ${bottom} Z`;
+};
+
+const formatVolume = (value) => new Intl.NumberFormat('en-US', { notation: 'compact', maximumFractionDigits: 1 }).format(value);
+
+const formatBarTime = (time, intraday) => new Date(time).toLocaleString('en-US', intraday
+    ? { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }
+    : { month: 'short', day: 'numeric', year: 'numeric' });
+
+/** Line, area or candle chart of OHLCV bars with volume and indicator panes; drag to zoom or pan, double-click to reset. */
+const PriceChart = ({ bars, mode = 'area', height = 384, indicators = NO_INDICATORS }) => {
+    const containerRef = useRef(null);
+    const width = useWidth(containerRef);
+    // A zoom belongs to the bars it was made on; new data always starts fully zoomed out.
+    const [zoom, setZoom] = useState(null); // { bars, start, end }
+    const [tool, setTool] = useState('zoom');
+    const [hover, setHover] = useState(null); // { index, y }
+    const [drag, setDrag] = useState(null); // { x0, x1, view }
+    const view = zoom && zoom.bars === bars ? zoom : { start: 0, end: Math.max(0, bars.length - 1) };
+    const setView = ({ start, end }) => setZoom({ bars, start, end });
+
+    const overlays = useMemo(() => indicators.filter(ind => ind.kind === 'overlay'), [indicators]);
+    const oscillators = useMemo(() => indicators.filter(ind => ind.kind === 'oscillator'), [indicators]);
+
+    const intraday = bars.length > 1 && bars[1].time - bars[0].time < 24 * 60 * 60 * 1000;
+    const plotWidth = Math.max(10, width - MARGIN.left - MARGIN.right);
+    const baseHeight = height - MARGIN.top - MARGIN.bottom;
+    const hasVolume = useMemo(() => bars.some(b => b.volume > 0), [bars]);
+    const priceHeight = hasVolume ? (baseHeight - PANE_GAP) * (1 - VOLUME_SHARE) : baseHeight;
+    const volumeTop = MARGIN.top + priceHeight + PANE_GAP;
+    const volumeHeight = baseHeight - priceHeight - PANE_GAP;
+    const totalHeight = height + oscillators.length * (OSCILLATOR_HEIGHT + PANE_GAP);
+    const innerHeight = totalHeight - MARGIN.top - MARGIN.bottom;
+
+    const count = view.end - view.start + 1;
+    const barWidth = plotWidth / count;
+    const visible = useMemo(() => bars.slice(view.start, view.end + 1), [bars, view.start, view.end]);
+
+    const priceScale = useMemo(() => {
+        const lows = visible.map(b => (mode === 'candle' ? b.low : b.close));
+        const highs = visible.map(b => (mode === 'candle' ? b.high : b.close));
+        // Overlays stay fully on screen, so a band is never clipped by the axis.
+        overlays.forEach(ind => ind.lines.forEach(line => {
+            for (let i = view.start; i <= view.end; i++) {
+                if (line.values[i] == null) continue;
+                lows.push(line.values[i]);
+                highs.push(line.values[i]);
+            }
+        }));
+        return niceTicks(Math.min(...lows), Math.max(...highs), 5);
+    }, [visible, mode, overlays, view.start, view.end]);
+
+    const oscillatorPanes = useMemo(() => oscillators.map((ind, n) => {
+        const top = MARGIN.top + baseHeight + PANE_GAP + n * (OSCILLATOR_HEIGHT + PANE_GAP);
+        let [min, max] = ind.domain || [Infinity, -Infinity];
+        if (!ind.domain) {
+            ind.lines.forEach(line => {
+                for (let i = view.start; i <= view.end; i++) {
+                    if (line.values[i] == null) continue;
+                    min = Math.min(min, line.values[i]);
+                    max = Math.max(max, line.values[i]);
+                }
+            });
+            // Keep zero centred for oscillators that swing around it, such as MACD.
+            const extent = Math.max(Math.abs(min), Math.abs(max)) || 1;
+            [min, max] = min < 0 && max > 0 ? [-extent, extent] : [min, max];
+            if (!Number.isFinite(min)) [min, max] = [-1, 1];
+        }
+        const scaleY = (value) => top + (1 - (value - min) / (max - min || 1)) * OSCILLATOR_HEIGHT;
+        return { ...ind, top, min, max, y: scaleY };
+    }), [oscillators, view.start, view.end, baseHeight]);
+    const maxVolume = Math.max(1, ...visible.map(b => b.volume));
+    const xTicks = useMemo(
+        () => timeTicks(bars, view.start, view.end, Math.max(2, Math.floor(plotWidth / 110))),
+        [bars, view.start, view.end, plotWidth]
+    );
+
+    const hoverIndex = hover && hover.index >= view.start && hover.index <= view.end ? hover.index : null;
+    const x = (index) => MARGIN.left + (index - view.start + 0.5) * barWidth;
+    const y = (price) => MARGIN.top + (1 - (price - priceScale.min) / (priceScale.max - priceScale.min)) * priceHeight;
+    const yVolume = (volume) => volumeTop + volumeHeight * (1 - volume / maxVolume);
+    const indexAt = (px) => Math.min(view.end, Math.max(view.start, view.start + Math.floor((px - MARGIN.left) / barWidth)));
+
+    const pointer = (e) => {
+        const rect = e.currentTarget.ownerSVGElement.getBoundingClientRect();
+        return { px: e.clientX - rect.left, py: e.clientY - rect.top };
+    };
+
+    const handleMouseDown = (e) => {
+        const { px } = pointer(e);
+        setDrag({ x0: px, x1: px, view });
+    };
+
+    const handleMouseMove = (e) => {
+        const { px, py } = pointer(e);
+        setHover({ index: indexAt(px), y: py });
+        if (!drag) return;
+        if (tool === 'pan') {
+            const shift = Math.round((drag.x0 - px) / barWidth);
+            const span = drag.view.end - drag.view.start;
+            const start = Math.min(bars.length - 1 - span, Math.max(0, drag.view.start + shift));
+            setView({ start, end: start + span });
+        } else {
+            setDrag(prev => ({ ...prev, x1: px }));
+        }
+    };
+
+    const handleMouseUp = () => {
+        if (drag && tool === 'zoom') {
+            const a = indexAt(Math.min(drag.x0, drag.x1));
+            const b = indexAt(Math.max(drag.x0, drag.x1));
+            if (b - a >= 2) setView({ start: a, end: b });
+        }
+        setDrag(null);
+    };
+
+    const resetZoom = () => setZoom(null);
+    const isZoomed = view.start > 0 || view.end < bars.length - 1;
+
+    if (bars.length === 0) return null;
+
+    const linePath = visible.map((b, i) => `${i === 0 ? 'M' : 'L'} ${x(view.start + i)} ${y(b.close)}`).join(' ');
+    const areaPath = `${linePath} L ${x(view.end)} ${MARGIN.top + priceHeight} L ${x(view.start)} ${MARGIN.top + priceHeight} Z`;
+    const hovered = hoverIndex != null ? bars[hoverIndex] : null;
+    const hoverValues = hoverIndex == null ? [] : indicators.flatMap(ind => ind.lines
+        .filter(line => line.values[hoverIndex] != null)
+        .map(line => ({ label: line.label, value: line.values[hoverIndex], color: line.color })));
+    const hoverPrice = hover && hover.y >= MARGIN.top && hover.y <= MARGIN.top + priceHeight
+        ? priceScale.max - (hover.y - MARGIN.top) / priceHeight * (priceScale.max - priceScale.min)
+        : null;
+
+    return (
+        <div className="space-y-2">
+            <div className="flex justify-end items-center space-x-2 text-xs">
+                {['zoom', 'pan'].map(t => (
+                    <button
+                        key={t}
+                        onClick={() => setTool(t)}
+                        className={`px-2 py-1 rounded-md font-medium capitalize ${tool === t ? 'bg-indigo-600 text-white' : 'bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300'}`}
+                        title={t === 'zoom' ? 'Drag across the chart to zoom in' : 'Drag to scroll a zoomed chart'}
+                    >
+                        {t}
+                    </button>
+                ))}
+                <button onClick={resetZoom} disabled={!isZoomed} className="px-2 py-1 rounded-md font-medium bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 disabled:opacity-40">
+                    Reset zoom
+                </button>
+            </div>
+            <div ref={containerRef} className="relative w-full select-none">
+                <svg width={width} height={totalHeight} className="block text-gray-400 dark:text-gray-500">
+                    <defs>
+                        <linearGradient id="price-area-fill" x1="0" y1="0" x2="0" y2="1">
+                            <stop offset="0%" stopColor={LINE_COLOR} stopOpacity="0.35" />
+                            <stop offset="100%" stopColor={LINE_COLOR} stopOpacity="0" />
+                        </linearGradient>
+                    </defs>
+
+                    {/* Price grid and right-hand axis */}
+                    {priceScale.ticks.map(tick => (
+                        <g key={tick}>
+                            <line x1={MARGIN.left} x2={MARGIN.left + plotWidth} y1={y(tick)} y2={y(tick)} stroke="currentColor" strokeOpacity="0.2" />
+                            <text x={MARGIN.left + plotWidth + 6} y={y(tick)} dy="0.32em" fontSize="11" fill="currentColor">{formatPrice(tick)}</text>
+                        </g>
+                    ))}
+
+                    {/* Time axis */}
+                    {xTicks.map(tick => (
+                        <g key={tick.index}>
+                            <line x1={x(tick.index)} x2={x(tick.index)} y1={MARGIN.top} y2={MARGIN.top + innerHeight} stroke="currentColor" strokeOpacity="0.12" />
+                            <text x={x(tick.index)} y={totalHeight - 6} textAnchor="middle" fontSize="11" fill="currentColor">{tick.label}</text>
+                        </g>
+                    ))}
+
+                    {mode === 'candle' ? visible.map((b, i) => {
+                        const cx = x(view.start + i);
+                        const color = b.close >= b.open ? UP_COLOR : DOWN_COLOR;
+                        const bodyWidth = Math.max(1, barWidth * 0.7);
+                        const top = y(Math.max(b.open, b.close));
+                        return (
+                            <g key={b.time}>
+                                <line x1={cx} x2={cx} y1={y(b.high)} y2={y(b.low)} stroke={color} />
+                                <rect x={cx - bodyWidth / 2} y={top} width={bodyWidth} height={Math.max(1, y(Math.min(b.open, b.close)) - top)} fill={color} />
+                            </g>
+                        );
+                    }) : (
+                        <>
+                            {mode === 'area' && <path d={areaPath} fill="url(#price-area-fill)" />}
+                            <path d={linePath} fill="none" stroke={LINE_COLOR} strokeWidth="2" strokeLinejoin="round" />
+                        </>
+                    )}
+
+                    {/* Price overlays */}
+                    {overlays.map(ind => (
+                        <g key={ind.id} pointerEvents="none">
+                            {ind.band && (
+                                <path d={bandPath(ind.band.upper, ind.band.lower, view.start, view.end, x, y)} fill={ind.band.color} fillOpacity="0.08" />
+                            )}
+                            {ind.lines.map(line => (
+                                <path key={line.label} d={seriesPath(line.values, view.start, view.end, x, y)} fill="none" stroke={line.color} strokeWidth="1.5" strokeDasharray={line.dashed ? '4 3' : undefined} />
+                            ))}
+                        </g>
+                    ))}
+
+                    {/* Volume pane */}
+                    {hasVolume && <text x={MARGIN.left + plotWidth + 6} y={volumeTop} dy="0.8em" fontSize="10" fill="currentColor">{formatVolume(maxVolume)}</text>}
+                    {hasVolume && visible.map((b, i) => (
+                        <rect
+                            key={b.time}
+                            x={x(view.start + i) - Math.max(1, barWidth * 0.7) / 2}
+                            y={yVolume(b.volume)}
+                            width={Math.max(1, barWidth * 0.7)}
+                            height={volumeTop + volumeHeight - yVolume(b.volume)}
+                            fill={b.close >= b.open ? UP_COLOR : DOWN_COLOR}
+                            fillOpacity="0.45"
+                        />
+                    ))}
+
+                    {/* Oscillator panes */}
+                    {oscillatorPanes.map(pane => (
+                        <g key={pane.id} pointerEvents="none">
+                            <rect x={MARGIN.left} y={pane.top} width={plotWidth} height={OSCILLATOR_HEIGHT} fill="currentColor" fillOpacity="0.04" />
+                            <text x={MARGIN.left + 4} y={pane.top} dy="1em" fontSize="10" fontWeight="600" fill="currentColor">{pane.label}</text>
+                            {(pane.guides || []).map(guide => (
+                                <g key={guide}>
+                                    <line x1={MARGIN.left} x2={MARGIN.left + plotWidth} y1={pane.y(guide)} y2={pane.y(guide)} stroke="currentColor" strokeOpacity="0.35" strokeDasharray="3 3" />
+                                    <text x={MARGIN.left + plotWidth + 6} y={pane.y(guide)} dy="0.32em" fontSize="10" fill="currentColor">{guide}</text>
+                                </g>
+                            ))}
+                            {pane.lines.map(line => (line.histogram ? (
+                                <g key={line.label}>
+                                    {line.values.slice(view.start, view.end + 1).map((value, i) => value == null ? null : (
+                                        <rect
+                                            key={i}
+                                            x={x(view.start + i) - Math.max(1, barWidth * 0.6) / 2}
+                                            y={Math.min(pane.y(value), pane.y(0))}
+                                            width={Math.max(1, barWidth * 0.6)}
+                                            height={Math.abs(pane.y(value) - pane.y(0))}
+                                            fill={value >= 0 ? UP_COLOR : DOWN_COLOR}
+                                            fillOpacity="0.5"
+                                        />
+                                    ))}
+                                </g>
+                            ) : (
+                                <path key={line.label} d={seriesPath(line.values, view.start, view.end, x, pane.y)} fill="none" stroke={line.color} strokeWidth="1.5" />
+                            )))}
+                        </g>
+                    ))}
+
+                    {/* Drag-to-zoom selection */}
+                    {drag && tool === 'zoom' && Math.abs(drag.x1 - drag.x0) > 2 && (
+                        <rect x={Math.min(drag.x0, drag.x1)} y={MARGIN.top} width={Math.abs(drag.x1 - drag.x0)} height={innerHeight} fill={LINE_COLOR} fillOpacity="0.15" />
+                    )}
+
+                    {/* Crosshair */}
+                    {hovered && (
+                        <g pointerEvents="none">
+                            <line x1={x(hoverIndex)} x2={x(hoverIndex)} y1={MARGIN.top} y2={MARGIN.top + innerHeight} stroke="currentColor" strokeDasharray="4 3" />
+                            {hoverPrice != null && (
+                                <>
+                                    <line x1={MARGIN.left} x2={MARGIN.left + plotWidth} y1={hover.y} y2={hover.y} stroke="currentColor" strokeDasharray="4 3" />
+                                    <rect x={MARGIN.left + plotWidth + 2} y={hover.y - 9} width={MARGIN.right - 4} height="18" rx="3" fill={LINE_COLOR} />
+                                    <text x={MARGIN.left + plotWidth + 6} y={hover.y} dy="0.32em" fontSize="11" fill="white">{formatPrice(hoverPrice)}</text>
+                                </>
+                            )}
+                            <circle cx={x(hoverIndex)} cy={y(hovered.close)} r="3.5" fill={LINE_COLOR} stroke="white" strokeWidth="1.5" />
+                        </g>
+                    )}
+
+                    <rect
+                        x={MARGIN.left}
+                        y={MARGIN.top}
+                        width={plotWidth}
+                        height={innerHeight}
+                        fill="transparent"
+                        style={{ cursor: tool === 'pan' ? (drag ? 'grabbing' : 'grab') : 'crosshair' }}
+                        onMouseDown={handleMouseDown}
+                        onMouseMove={handleMouseMove}
+                        onMouseUp={handleMouseUp}
+                        onMouseLeave={() => { setHover(null); setDrag(null); }}
+                        onDoubleClick={resetZoom}
+                    />
+                </svg>
+
+                {hovered && (
+                    <div className="absolute top-2 left-3 p-2 bg-gray-800/90 text-white text-xs rounded-lg pointer-events-none space-y-0.5">
+                        <p className="font-semibold">{formatBarTime(hovered.time, intraday)}</p>
+                        <p>O {formatPrice(hovered.open)} · H {formatPrice(hovered.high)} · L {formatPrice(hovered.low)} · C {formatPrice(hovered.close)}</p>
+                        {hasVolume && <p>Vol {formatVolume(hovered.volume)}</p>}
+                        {hoverValues.map(item => (
+                            <p key={item.label}>
+                                <span className="inline-block w-2 h-2 rounded-full mr-1" style={{ backgroundColor: item.color || UP_COLOR }}></span>
+                                {item.label} {formatIndicator(item.value)}
+                            </p>
+                        ))}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default PriceChart;
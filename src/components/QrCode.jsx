@@ -0,0 +1,35 @@
+import React, { useMemo } from 'react';
+import QRCode from 'qrcode';
+
+/** Blank modules around the code; scanners need them to find its edges. */
+const QUIET_ZONE = 4;
+
+/** SVG path covering every dark module, offset by the quiet zone. */
+const modulePath = (modules) => {
+    let path = '';
+    for (let row = 0; row < modules.size; row++) {
+        for (let col = 0; col < modules.size; col++) {
+            if (modules.get(row, col)) path += `M${col + QUIET_ZONE} ${row + QUIET_ZONE}h1v1h-1z`;
+        }
+    }
+    return path;
+};
+
+/**
+ * `value` as a QR code. It is always drawn black on white, whatever the
+ * theme, since phone cameras struggle with inverted codes.
+ */
+const QrCode = ({ value, label, className = 'w-48 h-48' }) => {
+    const { size, path } = useMemo(() => {
+        const { modules } = QRCode.create(value, { errorCorrectionLevel: 'M' });
+        return { size: modules.size + QUIET_ZONE * 2, path: modulePath(modules) };
+    }, [value]);
+
+    return (
+        <svg role="img" aria-label={label} viewBox={`0 0 ${size} ${size}`} shapeRendering="crispEdges" className={`${className} bg-white rounded-lg`}>
+            <path d={path} fill="#000" />
+        </svg>
+    );
+};
+
+export default QrCode;
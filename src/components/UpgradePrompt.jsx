@@ -0,0 +1,52 @@
+import React, { useState } from 'react';
+import { useEntitlements } from '../hooks/entitlements.jsx';
+import { useToast } from '../hooks/toast.jsx';
+import { AI_FEATURES, PLANS, PREMIUM_PERKS, hasFeature } from '../lib/entitlements.js';
+import { formatTimeUntil } from '../lib/format.js';
+
+/** Shown when `feature` isn't on the plan or today's AI requests are used up; `compact` drops the perks. */
+const UpgradePrompt = ({ feature, compact = false, className = '' }) => {
+    const { plan, usage, isQuotaExhausted, canSwitchDemoPlan, switchDemoPlan } = useEntitlements();
+    const { notify } = useToast();
+    const [isUpgrading, setIsUpgrading] = useState(false);
+    const locked = !!feature && !hasFeature(plan, feature);
+    if (!locked && !isQuotaExhausted) return null;
+
+    const canUpgrade = plan !== 'premium';
+    const message = locked
+        ? `${AI_FEATURES[feature].label} is a Premium feature.`
+        : `You've used all ${usage.limit} AI requests for today. They reset ${formatTimeUntil(Date.parse(usage.resetsAt))}.`;
+
+    const upgrade = async () => {
+        setIsUpgrading(true);
+        try {
+            await switchDemoPlan('premium');
+            notify(`Switched to ${PLANS.premium.label} (demo). Its AI limits apply straight away.`, { tone: 'success' });
+        } catch (error) {
+            notify(error.message, { tone: 'error' });
+            setIsUpgrading(false);
+        }
+    };
+
+    return (
+        <div role="note" className={`p-3 rounded-xl border border-amber-300 bg-amber-50 dark:bg-amber-900/30 dark:border-amber-700 text-sm text-amber-900 dark:text-amber-200 ${className}`}>
+            <p className="font-semibold">{message}</p>
+            {canUpgrade && !compact && (
+                <ul className="mt-2 list-disc list-inside space-y-0.5">
+                    {PREMIUM_PERKS.map(perk => <li key={perk}>{perk}</li>)}
+                </ul>
+            )}
+            {canUpgrade && canSwitchDemoPlan && (
+                <button
+                    onClick={upgrade}
+                    disabled={isUpgrading}
+                    className="mt-2 px-3 py-1.5 rounded-lg bg-indigo-600 text-white text-xs font-semibold hover:bg-indigo-700 disabled:opacity-60"
+                >
+                    {isUpgrading ? 'Switching...' : `Demo: Switch to ${PLANS.premium.label}`}
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default UpgradePrompt;
@@ -0,0 +1,48 @@
+import React from 'react';
+import { useEntitlements } from '../hooks/entitlements.jsx';
+import { formatTimeUntil } from '../lib/format.js';
+
+const barClass = (share) => {
+    if (share >= 1) return 'bg-red-500';
+    if (share >= 0.8) return 'bg-amber-500';
+    return 'bg-indigo-500';
+};
+
+/** Today's AI requests against the daily quota; `compact` is a single line. */
+const UsageMeter = ({ compact = false, className = '' }) => {
+    const { usage, planLabel } = useEntitlements();
+    if (!usage) return null;
+    const share = usage.limit > 0 ? Math.min(1, usage.used / usage.limit) : 1;
+    const left = Math.max(0, usage.limit - usage.used);
+    const resets = `Resets ${formatTimeUntil(Date.parse(usage.resetsAt))}`;
+
+    if (compact) {
+        return (
+            <p className={`text-xs text-gray-500 dark:text-gray-400 ${className}`} title={resets}>
+                {left} of {usage.limit} AI requests left today
+            </p>
+        );
+    }
+
+    return (
+        <div className={className}>
+            <div className="flex justify-between text-xs text-gray-600 dark:text-gray-300 mb-1">
+                <span>AI requests today ({planLabel})</span>
+                <span className="font-semibold">{usage.used} / {usage.limit}</span>
+            </div>
+            <div
+                role="meter"
+                aria-label="AI requests used today"
+                aria-valuemin={0}
+                aria-valuemax={usage.limit}
+                aria-valuenow={usage.used}
+                className="h-2 rounded-full bg-gray-200 dark:bg-gray-600 overflow-hidden"
+            >
+                <div className={`h-full rounded-full transition-all duration-300 ${barClass(share)}`} style={{ width: `${share * 100}%` }} />
+            </div>
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">{resets}</p>
+        </div>
+    );
+};
+
+export default UsageMeter;
@@ -0,0 +1,55 @@
+import React, { useState } from 'react';
+import { useWatchlists } from '../hooks/watchlists.jsx';
+
+/**
+ * "Watch" dropdown that adds `ticker` to, or removes it from, any of the
+ * user's lists. The button is filled in while the ticker is on at least one.
+ */
+const WatchlistMenu = ({ ticker, className = '' }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const { lists, addTicker, removeTicker } = useWatchlists();
+    const symbol = ticker.toUpperCase();
+    const watchedIn = lists.filter(list => list.tickers.includes(symbol));
+
+    const toggle = (list) => {
+        if (list.tickers.includes(symbol)) removeTicker(list.id, symbol);
+        else addTicker(list.id, symbol);
+    };
+
+    return (
+        <div className={`relative inline-block text-left ${className}`}>
+            <button
+                type="button"
+                onClick={() => setIsOpen(v => !v)}
+                onBlur={() => setTimeout(() => setIsOpen(false), 150)}
+                aria-expanded={isOpen}
+                aria-label={`Watchlists for ${symbol}`}
+                title={watchedIn.length > 0 ? `On ${watchedIn.map(l => l.name).join(', ')}` : 'Add to a watchlist'}
+                className={`px-2 py-1 text-xs font-semibold rounded-full border transition ${watchedIn.length > 0
+                    ? 'bg-amber-100 border-amber-300 text-amber-800 dark:bg-amber-900/40 dark:border-amber-700 dark:text-amber-300'
+                    : 'border-gray-300 dark:border-gray-600 text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+            >
+                {watchedIn.length > 0 ? '★ Watching' : '☆ Watch'}
+            </button>
+            {isOpen && (
+                <ul className="absolute right-0 mt-1 w-48 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg z-40 text-sm">
+                    {lists.map(list => (
+                        <li
+                            key={list.id}
+                            role="menuitemcheckbox"
+                            aria-checked={list.tickers.includes(symbol)}
+                            // Keep focus on the button so several lists can be toggled in one go.
+                            onMouseDown={(e) => { e.preventDefault(); toggle(list); }}
+                            className="flex items-center px-3 py-2 hover:bg-gray-100 dark:hover:bg-gray-700 cursor-pointer text-gray-700 dark:text-gray-200"
+                        >
+                            <span className="w-4 mr-2 text-indigo-600 dark:text-indigo-400">{list.tickers.includes(symbol) ? '✓' : ''}</span>
+                            <span className="truncate">{list.name}</span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default WatchlistMenu;
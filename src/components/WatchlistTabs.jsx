@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { useWatchlists } from '../hooks/watchlists.jsx';
+import { useToast } from '../hooks/toast.jsx';
+import { WATCHLIST_NAME_MAX } from '../lib/watchlists.js';
+
+/** Inline name field used for both new and renamed lists. */
+const NameForm = ({ initial = '', submitLabel, onSubmit, onCancel }) => {
+    const [name, setName] = useState(initial);
+    const [error, setError] = useState(null);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        try {
+            onSubmit(name);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="flex flex-wrap items-center gap-2">
+            <input
+                autoFocus
+                value={name}
+                maxLength={WATCHLIST_NAME_MAX}
+                onChange={(e) => { setName(e.target.value); setError(null); }}
+                onKeyDown={(e) => { if (e.key === 'Escape') onCancel(); }}
+                aria-label="Watchlist name"
+                placeholder="List name"
+                className="p-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            />
+            <button type="submit" className="px-3 py-1.5 text-xs font-semibold rounded-lg bg-indigo-600 text-white hover:bg-indigo-700">{submitLabel}</button>
+            <button type="button" onClick={onCancel} className="px-3 py-1.5 text-xs font-semibold rounded-lg text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700">Cancel</button>
+            {error && <p role="alert" className="w-full text-xs text-red-600 dark:text-red-400">{error}</p>}
+        </form>
+    );
+};
+
+/** Watchlist tabs: switch, create, rename, delete and reorder (drag, or Alt+Left/Right). */
+const WatchlistTabs = () => {
+    const { lists, activeList, selectList, createList, renameList, deleteList, moveList } = useWatchlists();
+    const { notify } = useToast();
+    const [editing, setEditing] = useState(null); // 'new' | 'rename' | null
+    const [dragIndex, setDragIndex] = useState(null);
+
+    const handleDelete = () => {
+        if (!window.confirm(`Delete the watchlist "${activeList.name}"?`)) return;
+        try {
+            deleteList(activeList.id);
+        } catch (error) {
+            notify(error.message, { tone: 'error' });
+        }
+    };
+
+    return (
+        <div className="space-y-2">
+            <div role="tablist" aria-label="Watchlists" className="flex flex-wrap items-center gap-2">
+                {lists.map((list, index) => (
+                    <button
+                        key={list.id}
+                        role="tab"
+                        aria-selected={list.id === activeList.id}
+                        draggable
+                        onDragStart={(e) => { setDragIndex(index); e.dataTransfer.effectAllowed = 'move'; }}
+                        onDragOver={(e) => { if (dragIndex !== null) e.preventDefault(); }}
+                        onDrop={(e) => { e.preventDefault(); if (dragIndex !== null) moveList(dragIndex, index); setDragIndex(null); }}
+                        onDragEnd={() => setDragIndex(null)}
+                        onKeyDown={(e) => {
+                            if (!e.altKey || (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight')) return;
+                            e.preventDefault();
+                            moveList(index, index + (e.key === 'ArrowLeft' ? -1 : 1));
+                        }}
+                        onClick={() => selectList(list.id)}
+                        className={`px-3 py-1.5 text-sm font-semibold rounded-lg transition cursor-grab ${list.id === activeList.id
+                            ? 'bg-indigo-600 text-white shadow-md'
+                            : 'bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-indigo-100 dark:hover:bg-gray-600'} ${dragIndex === index ? 'opacity-50' : ''}`}
+                    >
+                        {list.name} <span className="opacity-70 font-normal">({list.tickers.length})</span>
+                    </button>
+                ))}
+                {editing === null && (
+                    <>
+                        <button onClick={() => setEditing('new')} className="px-2 py-1.5 text-xs font-semibold rounded-lg text-indigo-600 dark:text-indigo-400 hover:bg-indigo-50 dark:hover:bg-gray-700">+ New list</button>
+                        <button onClick={() => setEditing('rename')} className="px-2 py-1.5 text-xs font-semibold rounded-lg text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700">Rename</button>
+                        {lists.length > 1 && (
+                            <button onClick={handleDelete} className="px-2 py-1.5 text-xs font-semibold rounded-lg text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-gray-700">Delete</button>
+                        )}
+                    </>
+                )}
+            </div>
+            {editing === 'new' && (
+                <NameForm
+                    submitLabel="Create"
+                    onSubmit={(name) => { createList(name); setEditing(null); }}
+                    onCancel={() => setEditing(null)}
+                />
+            )}
+            {editing === 'rename' && (
+                <NameForm
+                    initial={activeList.name}
+                    submitLabel="Save"
+                    onSubmit={(name) => { renameList(activeList.id, name); setEditing(null); }}
+                    onCancel={() => setEditing(null)}
+                />
+            )}
+        </div>
+    );
+};
+
+export default WatchlistTabs;
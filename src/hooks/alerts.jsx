@@ -0,0 +1,149 @@
+import React, { createContext, useContext, useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import {
+    ALERT_CONDITIONS, DEFAULT_COOLDOWN_MINUTES, AlertError,
+    validateAlert, describeAlert, alertContext, evaluateAlert, isAlertArmed,
+} from '../lib/alerts.js';
+import { readJson } from '../lib/storage.js';
+import { useQuotes, useHistories, useLivePrices } from './marketData.jsx';
+import { useToast } from './toast.jsx';
+import { useUserStoredState } from './userStorage.jsx';
+
+/** Triggered alerts kept in the history, newest first. */
+const MAX_HISTORY = 100;
+
+const AlertContext = createContext(null);
+
+const newId = () => (globalThis.crypto?.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`);
+
+const loadList = (key) => {
+    const saved = readJson(key, []);
+    return Array.isArray(saved) ? saved : [];
+};
+
+const notificationPermission = () => (typeof Notification === 'undefined' ? 'unsupported' : Notification.permission);
+
+/** The user's alert rules and triggered alerts, checked on every quote and shown as notifications or toasts. */
+export const AlertProvider = ({ children }) => {
+    const { notify } = useToast();
+    const [rules, setRules] = useUserStoredState('alerts', loadList);
+    const [history, setHistory] = useUserStoredState('alertHistory', loadList);
+    const [permission, setPermission] = useState(notificationPermission);
+
+    const activeRules = useMemo(() => rules.filter(rule => rule.active), [rules]);
+    const tickersFor = (kind) => [...new Set(activeRules
+        .filter(rule => ALERT_CONDITIONS[rule.condition]?.history === kind)
+        .map(rule => rule.ticker))].sort();
+    const quoteTickers = useMemo(() => [...new Set(activeRules.map(rule => rule.ticker))].sort(), [activeRules]);
+    const dailyTickers = useMemo(() => tickersFor('daily'), [activeRules]);
+    const intradayTickers = useMemo(() => tickersFor('intraday'), [activeRules]);
+
+    const quotes = useQuotes(quoteTickers);
+    const { stocks } = useLivePrices(quotes.data || []);
+    const daily = useHistories(dailyTickers, { range: '1Y' });
+    const intraday = useHistories(intradayTickers, { range: '1D' });
+
+    const contexts = useMemo(() => Object.fromEntries(quoteTickers.map(ticker => [
+        ticker,
+        alertContext({ daily: daily.data?.[ticker], intraday: intraday.data?.[ticker] }),
+    ])), [quoteTickers, daily.data, intraday.data]);
+
+    const deliver = useCallback((rule, message) => {
+        const title = `Alert: ${describeAlert(rule)}`;
+        if (notificationPermission() === 'granted') {
+            try {
+                new Notification(title, { body: message, tag: rule.id });
+                return 'notification';
+            } catch {
+                // Some browsers only allow notifications from a service worker; fall through to a toast.
+            }
+        }
+        notify(`${title} — ${message}`, { tone: 'info', duration: 8000 });
+        return 'toast';
+    }, [notify]);
+
+    // Firings not yet reflected in `rules`, so a re-run before the state update can't fire a rule twice.
+    const justFired = useRef(new Map());
+
+    useEffect(() => {
+        const now = Date.now();
+        const fired = [];
+        stocks.forEach(quote => {
+            activeRules
+                .filter(rule => rule.ticker === quote.ticker)
+                .filter(rule => isAlertArmed({ ...rule, lastTriggeredAt: Math.max(rule.lastTriggeredAt ?? -Infinity, justFired.current.get(rule.id) ?? -Infinity) }, now))
+                .forEach(rule => {
+                    const result = evaluateAlert(rule, quote, contexts[rule.ticker]);
+                    if (result) fired.push({ rule, message: result.message, price: quote.price });
+                });
+        });
+        if (fired.length === 0) return;
+
+        fired.forEach(({ rule }) => justFired.current.set(rule.id, now));
+        const firedIds = new Set(fired.map(f => f.rule.id));
+        setRules(prev => prev.map(rule => (firedIds.has(rule.id)
+            ? { ...rule, lastTriggeredAt: now, active: rule.mode === 'recurring' }
+            : rule)));
+        const entries = fired.map(({ rule, message, price }) => ({
+            id: newId(),
+            ruleId: rule.id,
+            ticker: rule.ticker,
+            description: describeAlert(rule),
+            message,
+            price,
+            triggeredAt: now,
+            deliveredAs: deliver(rule, message),
+        }));
+        setHistory(prev => [...entries, ...prev].slice(0, MAX_HISTORY));
+    }, [stocks, contexts, activeRules, deliver]);
+
+    /** Adds a rule after validating it. Throws an AlertError when it is malformed. */
+    const addAlert = useCallback((rule) => {
+        const prepared = {
+            cooldownMinutes: DEFAULT_COOLDOWN_MINUTES,
+            ...rule,
+            ticker: String(rule.ticker || '').trim().toUpperCase(),
+        };
+        const errors = validateAlert(prepared);
+        if (errors.length > 0) throw new AlertError(errors.join(' '));
+        const created = { ...prepared, id: newId(), active: true, createdAt: new Date().toISOString(), lastTriggeredAt: null };
+        setRules(prev => [...prev, created]);
+        return created;
+    }, []);
+
+    /** Switches a rule on or off. Turning it back on clears its cooldown. */
+    const setAlertActive = useCallback((id, active) => {
+        if (active) justFired.current.delete(id);
+        setRules(prev => prev.map(rule => (rule.id === id ? { ...rule, active, lastTriggeredAt: active ? null : rule.lastTriggeredAt } : rule)));
+    }, []);
+
+    const removeAlert = useCallback((id) => setRules(prev => prev.filter(rule => rule.id !== id)), []);
+
+    const clearHistory = useCallback(() => setHistory([]), []);
+
+    /** Asks the browser for notification permission; resolves to the resulting state. */
+    const requestNotifications = useCallback(async () => {
+        if (typeof Notification === 'undefined') return 'unsupported';
+        const result = await Notification.requestPermission();
+        setPermission(result);
+        return result;
+    }, []);
+
+    const value = useMemo(() => ({
+        rules,
+        history,
+        permission,
+        addAlert,
+        setAlertActive,
+        removeAlert,
+        clearHistory,
+        requestNotifications,
+    }), [rules, history, permission, addAlert, setAlertActive, removeAlert, clearHistory, requestNotifications]);
+
+    return <AlertContext.Provider value={value}>{children}</AlertContext.Provider>;
+};
+
+export const useAlerts = () => {
+    const context = useContext(AlertContext);
+    if (!context) throw new Error('useAlerts must be used inside <AlertProvider>.');
+    return context;
+};
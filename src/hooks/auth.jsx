@@ -0,0 +1,221 @@
+import React, { createContext, useContext, useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { AuthError, createAuthClientFromEnv, validateAvatarFile } from '../lib/auth.js';
+import { readJson, writeJson, removeKey } from '../lib/storage.js';
+import { eraseDeviceData } from '../lib/privacy.js';
+
+const SESSION_KEY = 'fundsattips.session';
+
+/** Access tokens are refreshed this long before they expire. */
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+const AuthContext = createContext(null);
+
+const loadSession = () => {
+    const saved = readJson(SESSION_KEY, null);
+    return saved && typeof saved.refreshToken === 'string' && saved.user ? saved : null;
+};
+
+const toSession = ({ user, accessToken, refreshToken, expiresIn }) => ({
+    user,
+    accessToken,
+    refreshToken,
+    expiresAt: Date.now() + expiresIn * 1000,
+});
+
+const signedOutError = () => new AuthError('You are signed out.', { status: 401, code: 'signed_out' });
+
+const readAsDataUrl = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new AuthError('Could not read that file.'));
+    reader.readAsDataURL(file);
+});
+
+/** The signed-in session, persisted and kept in step across tabs; access tokens are refreshed as needed. */
+export const AuthProvider = ({ client, children }) => {
+    const [api] = useState(() => client || createAuthClientFromEnv());
+    const [session, setSession] = useState(loadSession);
+    const latest = useRef(session);
+    const refreshing = useRef(null);
+
+    const save = useCallback((next) => {
+        latest.current = next;
+        setSession(next);
+    }, []);
+
+    useEffect(() => {
+        if (session) writeJson(SESSION_KEY, session);
+        else removeKey(SESSION_KEY);
+    }, [session]);
+
+    useEffect(() => {
+        const onStorage = (e) => {
+            if (e.key === SESSION_KEY || e.key === null) save(loadSession());
+        };
+        window.addEventListener('storage', onStorage);
+        return () => window.removeEventListener('storage', onStorage);
+    }, [save]);
+
+    /** Trades the refresh token for a new pair. Concurrent callers share one request. */
+    const refreshSession = useCallback(() => {
+        if (refreshing.current) return refreshing.current;
+        const current = latest.current;
+        if (!current) return Promise.reject(signedOutError());
+        refreshing.current = api.refresh(current.refreshToken)
+            .then(data => {
+                const next = toSession(data);
+                save(next);
+                return next;
+            })
+            .catch(error => {
+                if (error.status !== 401) throw error;
+                // Another tab may have rotated the token first; adopt its session rather than signing out.
+                const stored = loadSession();
+                if (stored && stored.refreshToken !== current.refreshToken) {
+                    save(stored);
+                    return stored;
+                }
+                save(null);
+                throw error;
+            })
+            .finally(() => {
+                refreshing.current = null;
+            });
+        return refreshing.current;
+    }, [api, save]);
+
+    /**
+     * Runs `request(accessToken)` with a current token, refreshing first when
+     * it is about to expire and retrying once if the API rejects it anyway.
+     */
+    const withAccessToken = useCallback(async (request) => {
+        let current = latest.current;
+        if (!current) throw signedOutError();
+        if (current.expiresAt - Date.now() < REFRESH_MARGIN_MS) current = await refreshSession();
+        try {
+            return await request(current.accessToken);
+        } catch (error) {
+            // Any API that takes the token may reject it, not only the auth API (e.g. the LLM proxy).
+            if (error.status !== 401) throw error;
+            const next = await refreshSession();
+            return request(next.accessToken);
+        }
+    }, [refreshSession]);
+
+    const expiresAt = session?.expiresAt;
+    useEffect(() => {
+        if (!expiresAt) return undefined;
+        // Tokens that live shorter than the margin are refreshed halfway through instead.
+        // A failed refresh is retried by the next request that needs a token.
+        const remaining = expiresAt - Date.now();
+        const id = setTimeout(() => refreshSession().catch(() => {}), Math.max(remaining - REFRESH_MARGIN_MS, remaining / 2, 0));
+        return () => clearTimeout(id);
+    }, [expiresAt, refreshSession]);
+
+    // A restored session is shown straight away and checked against the API in
+    // the background, which also picks up profile changes made elsewhere.
+    const restored = useRef(!!session);
+    useEffect(() => {
+        if (!restored.current) return;
+        restored.current = false;
+        withAccessToken(token => api.getProfile(token))
+            .then(user => latest.current && save({ ...latest.current, user }))
+            .catch(() => {});
+    }, [api, withAccessToken, save]);
+
+    const signIn = useCallback(async (credentials) => {
+        const data = await api.signIn(credentials);
+        save(toSession(data));
+        return data.user;
+    }, [api, save]);
+
+    const signUp = useCallback(async (details) => {
+        const data = await api.signUp(details);
+        save(toSession(data));
+        return data.user;
+    }, [api, save]);
+
+    /** Ends the session here at once; revoking it on the server is best-effort. */
+    const signOut = useCallback(async () => {
+        const current = latest.current;
+        save(null);
+        if (current) await api.signOut(current.refreshToken).catch(() => {});
+    }, [api, save]);
+
+    const setUser = useCallback((user) => {
+        if (latest.current) save({ ...latest.current, user });
+        return user;
+    }, [save]);
+
+    const updateProfile = useCallback(
+        (patch) => withAccessToken(token => api.updateProfile(token, patch)).then(setUser),
+        [api, withAccessToken, setUser],
+    );
+
+    /** Switches plan with the stand-in's demo toggle; resolves to the day's AI usage under the new plan. */
+    const switchDemoPlan = useCallback(async (plan) => {
+        if (!api.demoPlans) throw new AuthError('Plans can only be changed through billing.', { code: 'bad_request' });
+        const { user, usage } = await withAccessToken(token => api.switchDemoPlan(token, plan));
+        setUser(user);
+        return usage;
+    }, [api, withAccessToken, setUser]);
+
+    /** Uploads `file` as the avatar, or removes it when `file` is null. */
+    const uploadAvatar = useCallback(async (file) => {
+        if (file) {
+            const errors = validateAvatarFile(file);
+            if (errors.length > 0) throw new AuthError(errors.join(' '), { code: 'bad_request' });
+        }
+        const image = file ? await readAsDataUrl(file) : null;
+        return withAccessToken(token => api.uploadAvatar(token, image)).then(setUser);
+    }, [api, withAccessToken, setUser]);
+
+    /** Turns two-factor sign-in on with a code from the new authenticator entry; resolves to the recovery codes. */
+    const enableTwoFactor = useCallback(async (code) => {
+        const { user, recoveryCodes } = await withAccessToken(token => api.enableTwoFactor(token, code));
+        setUser(user);
+        return recoveryCodes;
+    }, [api, withAccessToken, setUser]);
+
+    const disableTwoFactor = useCallback(
+        (code) => withAccessToken(token => api.disableTwoFactor(token, code)).then(setUser),
+        [api, withAccessToken, setUser],
+    );
+
+    /** Deletes the account; `eraseDevice` also erases the user's data here and reloads before anything is saved again. */
+    const deleteAccount = useCallback(async (confirmation, { eraseDevice = false } = {}) => {
+        const userId = latest.current?.user.id;
+        await withAccessToken(token => api.deleteAccount(token, confirmation));
+        if (!eraseDevice) {
+            save(null);
+            return;
+        }
+        await eraseDeviceData(userId);
+        window.location.assign('/');
+    }, [api, withAccessToken, save]);
+
+    const value = useMemo(() => ({
+        user: session?.user || null,
+        isSignedIn: !!session,
+        signIn,
+        signUp,
+        signOut,
+        updateProfile,
+        uploadAvatar,
+        canSwitchDemoPlan: api.demoPlans,
+        switchDemoPlan,
+        enableTwoFactor,
+        disableTwoFactor,
+        deleteAccount,
+        withAccessToken,
+        client: api,
+    }), [session, signIn, signUp, signOut, updateProfile, uploadAvatar, switchDemoPlan, enableTwoFactor, disableTwoFactor, deleteAccount, withAccessToken, api]);
+
+    return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export const useAuth = () => {
+    const context = useContext(AuthContext);
+    if (!context) throw new Error('useAuth must be used inside <AuthProvider>.');
+    return context;
+};
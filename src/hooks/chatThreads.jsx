@@ -0,0 +1,33 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { idbGet, idbPut } from '../lib/storage.js';
+
+const STORE = 'chatThreads';
+
+/** One chat thread's messages, kept in IndexedDB; changes made before it loads are kept. */
+export const useChatThread = (id, initialMessages) => {
+    const [messages, setMessages] = useState(initialMessages);
+    const [isLoaded, setIsLoaded] = useState(false);
+    const touched = useRef(false);
+
+    useEffect(() => {
+        let cancelled = false;
+        idbGet(STORE, id).then(saved => {
+            if (cancelled) return;
+            if (saved && Array.isArray(saved.messages) && !touched.current) setMessages(saved.messages);
+            setIsLoaded(true);
+        });
+        return () => { cancelled = true; };
+    }, [id]);
+
+    useEffect(() => {
+        if (!isLoaded) return;
+        idbPut(STORE, { id, messages, updatedAt: Date.now() });
+    }, [id, messages, isLoaded]);
+
+    const update = useCallback((next) => {
+        touched.current = true;
+        setMessages(next);
+    }, []);
+
+    return [messages, update, isLoaded];
+};
@@ -0,0 +1,101 @@
+import { useCallback } from 'react';
+import { CONFIRMED_TOOLS, summarizeHistory } from '../lib/chatTools.js';
+import { describeAlert } from '../lib/alerts.js';
+import { DEFAULT_HISTORY_RANGE, HISTORY_RANGES } from '../lib/marketData.js';
+import { VIEW_PATHS, parseRoute, buildPath } from '../lib/routes.js';
+import { aiDataSharingOf, isToolShared } from '../lib/privacy.js';
+import { useMarketData } from './marketData.jsx';
+import { usePortfolio } from './portfolio.jsx';
+import { useWatchlists } from './watchlists.jsx';
+import { useAlerts } from './alerts.jsx';
+import { useAuth } from './auth.jsx';
+import { useLocation, navigate } from './router.jsx';
+
+const round = (value) => (value == null ? value : Number(value.toFixed(4)));
+
+/** Runs Kuber's tool calls against the app's state; errors reject with a message for the model. */
+export const useChatTools = () => {
+    const provider = useMarketData();
+    const { portfolio } = usePortfolio();
+    const { isSignedIn, user } = useAuth();
+    const { lists, activeList, addTicker } = useWatchlists();
+    const { addAlert } = useAlerts();
+    const location = useLocation();
+
+    const requireTicker = (args) => {
+        const ticker = String(args.ticker || '').trim().toUpperCase();
+        if (!ticker) throw new Error('A ticker is required.');
+        return ticker;
+    };
+
+    const runTool = useCallback(async (name, args = {}) => {
+        // The chat stops offering these tools too; this catches a call made before the setting changed.
+        if (!isToolShared(name, aiDataSharingOf(user))) {
+            throw new Error('The user has turned off sharing this data with Kuber. They can turn it back on under Account > Security & Privacy.');
+        }
+        switch (name) {
+            case 'get_holdings':
+                if (!isSignedIn) throw new Error('The user is signed out, so their holdings are not available. Ask them to sign in.');
+                return {
+                    holdings: portfolio.holdings.map(h => ({
+                        ticker: h.ticker,
+                        name: h.name,
+                        quantity: round(h.quantity),
+                        averageCost: round(h.averageCost),
+                        price: round(h.price),
+                        marketValue: round(h.marketValue),
+                        unrealizedPnl: round(h.unrealizedPnl),
+                        unrealizedPnlPercent: round(h.unrealizedPnlPercent),
+                    })),
+                    cash: round(portfolio.cash),
+                    totalValue: round(portfolio.totalValue),
+                    totalReturnPercent: round(portfolio.totalReturnPercent),
+                };
+            case 'get_watchlists':
+                return { selected: activeList.name, lists: lists.map(l => ({ name: l.name, tickers: l.tickers })) };
+            case 'get_current_view': {
+                const route = parseRoute(location.pathname);
+                return { view: route?.view || 'Dashboard', ticker: route?.params.ticker || null };
+            }
+            case 'get_quote': {
+                const ticker = requireTicker(args);
+                const [quote] = await provider.getQuotes([ticker]);
+                if (!quote) throw new Error(`Unknown ticker: ${ticker}`);
+                return quote;
+            }
+            case 'get_history': {
+                const ticker = requireTicker(args);
+                const range = HISTORY_RANGES[args.range] ? args.range : DEFAULT_HISTORY_RANGE;
+                return summarizeHistory(ticker, range, await provider.getHistory(ticker, { range }));
+            }
+            case 'add_to_watchlist': {
+                const ticker = requireTicker(args);
+                const list = args.list ? lists.find(l => l.name.toLowerCase() === String(args.list).toLowerCase()) : activeList;
+                if (!list) throw new Error(`No watchlist named "${args.list}". Lists: ${lists.map(l => l.name).join(', ')}.`);
+                const [quote] = await provider.getQuotes([ticker]);
+                if (!quote) throw new Error(`Unknown ticker: ${ticker}`);
+                addTicker(list.id, ticker);
+                return { added: ticker, list: list.name };
+            }
+            case 'create_alert': {
+                const rule = addAlert({
+                    ticker: requireTicker(args),
+                    condition: args.condition,
+                    threshold: args.threshold == null ? undefined : Number(args.threshold),
+                    mode: args.mode || 'once',
+                });
+                return { created: describeAlert(rule), mode: rule.mode };
+            }
+            case 'navigate': {
+                if (!VIEW_PATHS[args.view]) throw new Error(`Unknown view: ${args.view}`);
+                const path = buildPath(args.view, { ticker: args.ticker ? requireTicker(args) : undefined });
+                navigate(path);
+                return { opened: path };
+            }
+            default:
+                throw new Error(`Unknown tool: ${name}`);
+        }
+    }, [provider, portfolio, isSignedIn, user, lists, activeList, addTicker, addAlert, location.pathname]);
+
+    return { runTool, needsConfirmation: (name) => CONFIRMED_TOOLS.has(name) };
+};
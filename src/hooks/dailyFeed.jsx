@@ -0,0 +1,64 @@
+import { useState, useMemo, useCallback } from 'react';
+import { useEvents, useHistories } from './marketData.jsx';
+import { detectThresholdEvents, scoreFeedItem } from '../lib/dailyFeed.js';
+import { readJson, writeJson } from '../lib/storage.js';
+
+const READ_KEY = 'fundsattips.feedRead';
+// Feed items are at most a week old, so older read markers can be dropped.
+const MAX_READ_IDS = 500;
+
+const loadReadIds = () => {
+    const saved = readJson(READ_KEY, []);
+    return new Set(Array.isArray(saved) ? saved : []);
+};
+
+/** The Daily Update feed for held and watched tickers, each item with a `score` and `read` flag. */
+export const useDailyFeed = ({ watched, held }) => {
+    // Keyed on joined strings so a new array with the same tickers does not refetch.
+    const heldKey = [...held].sort().join(',');
+    const watchedKey = watched.join(',');
+    const tickers = useMemo(
+        () => [...new Set(`${heldKey},${watchedKey}`.split(',').filter(Boolean))].sort(),
+        [heldKey, watchedKey]
+    );
+    const events = useEvents(tickers);
+    const histories = useHistories(tickers, { range: '1Y' });
+    const [readIds, setReadIds] = useState(loadReadIds);
+
+    const items = useMemo(() => {
+        const now = Date.now();
+        const heldTickers = heldKey ? heldKey.split(',') : [];
+        const thresholds = Object.entries(histories.data || {})
+            .flatMap(([ticker, bars]) => detectThresholdEvents(ticker, bars, { now }));
+        return [...(events.data || []), ...thresholds].map(item => ({
+            ...item,
+            score: scoreFeedItem(item, { heldTickers, now }),
+            read: readIds.has(item.id),
+        }));
+    }, [events.data, histories.data, heldKey, readIds]);
+
+    const saveRead = useCallback((update) => {
+        setReadIds(prev => {
+            const next = update(prev);
+            writeJson(READ_KEY, [...next].slice(-MAX_READ_IDS));
+            return next;
+        });
+    }, []);
+
+    const setRead = useCallback((id, read = true) => saveRead(prev => {
+        const next = new Set(prev);
+        if (read) next.add(id);
+        else next.delete(id);
+        return next;
+    }), [saveRead]);
+
+    const markAllRead = useCallback((ids) => saveRead(prev => new Set([...prev, ...ids])), [saveRead]);
+
+    return {
+        items,
+        status: events,
+        unreadCount: items.filter(item => !item.read).length,
+        setRead,
+        markAllRead,
+    };
+};
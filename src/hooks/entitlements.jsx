@@ -0,0 +1,73 @@
+import React, { createContext, useContext, useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { PLANS, AI_FEATURES, planOf, hasFeature } from '../lib/entitlements.js';
+import { LlmError } from '../lib/llm.js';
+import { useAuth } from './auth.jsx';
+
+const EntitlementContext = createContext(null);
+
+/** The user's plan and today's AI usage, and `authorizeAi`, the gate every AI request passes through. */
+export const EntitlementProvider = ({ children }) => {
+    const { user, isSignedIn, client, withAccessToken, canSwitchDemoPlan, switchDemoPlan: switchAccountPlan } = useAuth();
+    const plan = planOf(user);
+    const [usage, setUsage] = useState(null);
+    const latest = useRef({ isSignedIn, plan });
+    latest.current = { isSignedIn, plan };
+
+    const userId = user?.id;
+    const timezone = user?.timezone;
+    const loadUsage = useCallback(() => {
+        withAccessToken(token => client.getUsage(token)).then(setUsage).catch(() => {});
+    }, [client, withAccessToken]);
+
+    useEffect(() => {
+        setUsage(null);
+        if (userId) loadUsage();
+    }, [userId, plan, timezone, loadUsage]);
+
+    const resetsAt = usage?.resetsAt;
+    useEffect(() => {
+        if (!resetsAt) return undefined;
+        const id = setTimeout(loadUsage, Math.max(0, Date.parse(resetsAt) - Date.now()) + 1000);
+        return () => clearTimeout(id);
+    }, [resetsAt, loadUsage]);
+
+    /** Clears one request for `feature`, or rejects with an LlmError; `count` also records it. */
+    const authorizeAi = useCallback(async (feature, { count = true } = {}) => {
+        const current = latest.current;
+        if (!current.isSignedIn) throw new LlmError('Sign in to use AI features.', { status: 401, code: 'signed_out' });
+        if (!hasFeature(current.plan, feature)) {
+            throw new LlmError(`${AI_FEATURES[feature]?.label || 'This feature'} is a Premium feature. Upgrade to use it.`, { status: 403, code: 'upgrade_required' });
+        }
+        if (!count) return;
+        try {
+            setUsage(await withAccessToken(token => client.recordUsage(token, feature)));
+        } catch (error) {
+            if (error.code === 'quota_exceeded') loadUsage();
+            throw new LlmError(error.message, { status: error.status, code: error.code || 'usage_unavailable' });
+        }
+    }, [client, withAccessToken, loadUsage]);
+
+    const switchDemoPlan = useCallback(async (next) => {
+        setUsage(await switchAccountPlan(next));
+    }, [switchAccountPlan]);
+
+    const value = useMemo(() => ({
+        plan,
+        planLabel: PLANS[plan].label,
+        usage,
+        isQuotaExhausted: !!usage && usage.used >= usage.limit,
+        canUse: (feature) => isSignedIn && hasFeature(plan, feature),
+        authorizeAi,
+        refreshUsage: loadUsage,
+        canSwitchDemoPlan,
+        switchDemoPlan,
+    }), [plan, usage, isSignedIn, authorizeAi, loadUsage, canSwitchDemoPlan, switchDemoPlan]);
+
+    return <EntitlementContext.Provider value={value}>{children}</EntitlementContext.Provider>;
+};
+
+export const useEntitlements = () => {
+    const context = useContext(EntitlementContext);
+    if (!context) throw new Error('useEntitlements must be used inside <EntitlementProvider>.');
+    return context;
+};
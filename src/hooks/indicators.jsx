@@ -0,0 +1,33 @@
+import { useState, useEffect, useCallback } from 'react';
+import { normalizeIndicatorSettings } from '../lib/indicators.js';
+import { readJson, writeJson } from '../lib/storage.js';
+
+const STORAGE_KEY = 'fundsattips.indicators';
+
+// Signed-out visitors share one local profile.
+export const GUEST_USER_ID = 'guest';
+
+const loadAll = () => {
+    const saved = readJson(STORAGE_KEY, {});
+    return saved && typeof saved === 'object' ? saved : {};
+};
+
+/** The chart indicator choices saved for `userId`, as `[settings, update(id, patch)]`. */
+export const useIndicatorSettings = (userId = GUEST_USER_ID) => {
+    const [settings, setSettings] = useState(() => normalizeIndicatorSettings(loadAll()[userId]));
+
+    // Switching user loads that user's saved choices.
+    useEffect(() => {
+        setSettings(normalizeIndicatorSettings(loadAll()[userId]));
+    }, [userId]);
+
+    const update = useCallback((id, patch) => {
+        setSettings(prev => {
+            const next = normalizeIndicatorSettings({ ...prev, [id]: { ...prev[id], ...patch } });
+            writeJson(STORAGE_KEY, { ...loadAll(), [userId]: next });
+            return next;
+        });
+    }, [userId]);
+
+    return [settings, update];
+};
@@ -0,0 +1,42 @@
+import { useState, useEffect, useRef } from 'react';
+import { parseRoute, buildPath } from '../lib/routes.js';
+import { readJson, writeJson } from '../lib/storage.js';
+import { navigate } from './router.jsx';
+
+const LOCATIONS_KEY = 'fundsattips.lastLocations';
+
+const loadLocations = () => {
+    const saved = readJson(LOCATIONS_KEY, {});
+    if (!saved || typeof saved !== 'object') return {};
+    // Only keep entries that still point at the view they were saved under.
+    return Object.fromEntries(Object.entries(saved)
+        .filter(([view, href]) => typeof href === 'string' && parseRoute(href.split('?')[0])?.view === view));
+};
+
+/** The last path and query of each view, as `{ [view]: href }`; opening a view's bare path restores it. */
+export const useLastLocations = (route, location) => {
+    const [locations, setLocations] = useState(loadLocations);
+    const restored = useRef(false);
+    const href = `${location.pathname}${location.search}`;
+    const view = route?.view;
+
+    useEffect(() => {
+        if (!view) return;
+        if (!restored.current) {
+            restored.current = true;
+            const remembered = locations[view];
+            if (remembered && remembered !== href && href === buildPath(view)) {
+                navigate(remembered, { replace: true });
+                return;
+            }
+        }
+        setLocations(prev => {
+            if (prev[view] === href) return prev;
+            const next = { ...prev, [view]: href };
+            writeJson(LOCATIONS_KEY, next);
+            return next;
+        });
+    }, [view, href]);
+
+    return locations;
+};
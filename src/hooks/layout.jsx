@@ -0,0 +1,16 @@
+import { useState, useEffect } from 'react';
+
+/** Tracks an element's rendered width, falling back to `fallback` before it is measured. */
+export const useWidth = (ref, fallback = 800) => {
+    const [width, setWidth] = useState(fallback);
+    useEffect(() => {
+        const element = ref.current;
+        if (!element) return undefined;
+        setWidth(element.clientWidth || fallback);
+        if (typeof ResizeObserver === 'undefined') return undefined;
+        const observer = new ResizeObserver(([entry]) => setWidth(entry.contentRect.width || fallback));
+        observer.observe(element);
+        return () => observer.disconnect();
+    }, [ref, fallback]);
+    return width;
+};
@@ -0,0 +1,28 @@
+import React, { createContext, useContext, useState, useRef } from 'react';
+import { createLlmProviderFromEnv, createMeteredLlmProvider } from '../lib/llm.js';
+import { useEntitlements } from './entitlements.jsx';
+import { useAuth } from './auth.jsx';
+
+const LlmContext = createContext(null);
+
+/** The LLM provider for every AI feature below, metered against the user's plan and quota. */
+export const LlmProvider = ({ provider, children }) => {
+    const { authorizeAi, refreshUsage } = useEntitlements();
+    const { withAccessToken } = useAuth();
+    const latest = useRef({ authorizeAi, refreshUsage, withAccessToken });
+    latest.current = { authorizeAi, refreshUsage, withAccessToken };
+    const [value] = useState(() => createMeteredLlmProvider(
+        provider || createLlmProviderFromEnv(undefined, { withAccessToken: (request) => latest.current.withAccessToken(request) }),
+        {
+            authorize: (feature, options) => latest.current.authorizeAi(feature, options),
+            onCounted: () => latest.current.refreshUsage(),
+        },
+    ));
+    return <LlmContext.Provider value={value}>{children}</LlmContext.Provider>;
+};
+
+export const useLlm = () => {
+    const provider = useContext(LlmContext);
+    if (!provider) throw new Error('useLlm must be used inside <LlmProvider>.');
+    return provider;
+};
@@ -0,0 +1,220 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { createProviderFromEnv, DEFAULT_HISTORY_RANGE } from '../lib/marketData.js';
+import { withHistoryCache } from '../lib/historyCache.js';
+import { PERFORMANCE_PERIODS, periodReturn } from '../lib/performance.js';
+import { createPriceStreamFromEnv } from '../lib/priceStream.js';
+
+const MarketDataContext = createContext(null);
+const PriceStreamContext = createContext(null);
+
+/** The market data provider and optional live price stream for every hook below; history is cached in IndexedDB. */
+export const MarketDataProvider = ({ provider, stream, children }) => {
+    const [value] = useState(() => provider || withHistoryCache(createProviderFromEnv()));
+    const [priceStream] = useState(() => stream === undefined ? createPriceStreamFromEnv() : stream);
+
+    useEffect(() => () => priceStream?.close(), [priceStream]);
+
+    return (
+        <MarketDataContext.Provider value={value}>
+            <PriceStreamContext.Provider value={priceStream}>{children}</PriceStreamContext.Provider>
+        </MarketDataContext.Provider>
+    );
+};
+
+export const useMarketData = () => {
+    const provider = useContext(MarketDataContext);
+    if (!provider) throw new Error('useMarketData must be used inside <MarketDataProvider>.');
+    return provider;
+};
+
+/** Loads async data, keeping it through refreshes and failures; `isStale` flags a failed or `staleAfter`-old copy. */
+const useResource = (load, key, { enabled = true, refreshInterval, staleAfter } = {}) => {
+    const [state, setState] = useState({ data: null, error: null, isLoading: enabled, updatedAt: null });
+    const [now, setNow] = useState(() => Date.now());
+    const loadRef = useRef(load);
+    loadRef.current = load;
+
+    const run = useCallback(() => {
+        if (!enabled) return () => {};
+        let cancelled = false;
+        setState(prev => ({ ...prev, isLoading: true }));
+        loadRef.current()
+            .then(data => {
+                if (!cancelled) setState({ data, error: null, isLoading: false, updatedAt: Date.now() });
+            })
+            .catch(error => {
+                if (!cancelled) setState(prev => ({ ...prev, error, isLoading: false }));
+            });
+        return () => { cancelled = true; };
+    }, [key, enabled]);
+
+    // Drop data from a previous key so views never show another ticker's numbers.
+    useEffect(() => {
+        setState({ data: null, error: null, isLoading: enabled, updatedAt: null });
+    }, [key, enabled]);
+
+    useEffect(run, [run]);
+
+    useEffect(() => {
+        if (!refreshInterval || !enabled) return undefined;
+        let cancel = () => {};
+        const id = setInterval(() => { cancel = run(); }, refreshInterval);
+        return () => { clearInterval(id); cancel(); };
+    }, [run, refreshInterval, enabled]);
+
+    useEffect(() => {
+        if (!staleAfter) return undefined;
+        const id = setInterval(() => setNow(Date.now()), Math.min(staleAfter, 15000));
+        return () => clearInterval(id);
+    }, [staleAfter]);
+
+    const isStale = state.data != null && (
+        state.error != null || (staleAfter != null && state.updatedAt != null && now - state.updatedAt > staleAfter)
+    );
+
+    return { ...state, isStale, refresh: run };
+};
+
+const QUOTE_REFRESH_MS = 60 * 1000;
+
+/** Quotes for the given tickers, refreshed every minute and flagged stale after three. */
+export const useQuotes = (tickers) => {
+    const provider = useMarketData();
+    const key = tickers.join(',');
+    return useResource(() => provider.getQuotes(tickers), key, {
+        enabled: tickers.length > 0,
+        refreshInterval: QUOTE_REFRESH_MS,
+        staleAfter: QUOTE_REFRESH_MS * 3,
+    });
+};
+
+export const useHistory = (ticker, { range = DEFAULT_HISTORY_RANGE } = {}) => {
+    const provider = useMarketData();
+    return useResource(() => provider.getHistory(ticker, { range }), `${ticker}:${range}`, { enabled: Boolean(ticker) });
+};
+
+/** Histories for several tickers over one range, keyed by ticker. Tickers that fail to load are left out. */
+export const useHistories = (tickers, { range = DEFAULT_HISTORY_RANGE } = {}) => {
+    const provider = useMarketData();
+    const key = `${tickers.join(',')}:${range}`;
+    return useResource(async () => {
+        const results = await Promise.allSettled(tickers.map(t => provider.getHistory(t, { range })));
+        if (results.every(result => result.status === 'rejected')) throw results[0].reason;
+        return Object.fromEntries(results
+            .map((result, i) => [tickers[i], result.status === 'fulfilled' ? result.value : null])
+            .filter(([, value]) => value));
+    }, key, { enabled: tickers.length > 0 });
+};
+
+/** Percent return per ticker over a Dashboard period, to the live price; `status` is the history's, or null. */
+export const usePeriodReturns = (stocks, period) => {
+    const range = PERFORMANCE_PERIODS[period]?.range;
+    const histories = useHistories(range ? stocks.map(s => s.ticker) : [], { range: range || DEFAULT_HISTORY_RANGE });
+
+    const returns = useMemo(() => {
+        if (!PERFORMANCE_PERIODS[period]) return {};
+        if (!range) return Object.fromEntries(stocks.map(s => [s.ticker, s.changePercent]));
+        const data = histories.data || {};
+        return Object.fromEntries(stocks
+            .filter(s => data[s.ticker])
+            .map(s => [s.ticker, periodReturn(data[s.ticker], s.price)]));
+    }, [stocks, period, range, histories.data]);
+
+    return { returns, status: range ? histories : null };
+};
+
+export const useFundamentals = (ticker) => {
+    const provider = useMarketData();
+    return useResource(() => provider.getFundamentals(ticker), ticker, { enabled: Boolean(ticker) });
+};
+
+/** Fundamentals for several tickers at once, keyed by ticker. Unknown tickers are skipped. */
+export const useFundamentalsMap = (tickers) => {
+    const provider = useMarketData();
+    const key = tickers.join(',');
+    return useResource(async () => {
+        const results = await Promise.allSettled(tickers.map(t => provider.getFundamentals(t)));
+        return Object.fromEntries(results
+            .map((result, i) => [tickers[i], result.status === 'fulfilled' ? result.value : null])
+            .filter(([, value]) => value));
+    }, key, { enabled: tickers.length > 0 });
+};
+
+const EVENTS_REFRESH_MS = 5 * 60 * 1000;
+
+/** News, earnings and market-wide events for the last `days` days, refreshed every five minutes. */
+export const useEvents = (tickers, { days = 7 } = {}) => {
+    const provider = useMarketData();
+    return useResource(() => provider.getEvents(tickers, { days }), `${tickers.join(',')}:${days}`, {
+        refreshInterval: EVENTS_REFRESH_MS,
+    });
+};
+
+/**
+ * The Top 100 performers in one market over one ranking window, refreshed
+ * with quotes so the hourly window keeps moving.
+ */
+export const useRankings = ({ market, window }) => {
+    const provider = useMarketData();
+    return useResource(() => provider.getRankings({ market, window }), `${market}:${window}`, {
+        refreshInterval: QUOTE_REFRESH_MS,
+        staleAfter: QUOTE_REFRESH_MS * 3,
+    });
+};
+
+/** Debounced instrument search. */
+export const useSearch = (query, { debounce = 250 } = {}) => {
+    const provider = useMarketData();
+    const [debounced, setDebounced] = useState(query);
+
+    useEffect(() => {
+        const id = setTimeout(() => setDebounced(query.trim()), debounce);
+        return () => clearTimeout(id);
+    }, [query, debounce]);
+
+    return useResource(() => provider.search(debounced), debounced, { enabled: debounced !== '' });
+};
+
+/** Streamed ticks over `quotes`, each with a `flash` direction and a `flashKey` to replay the animation. */
+export const useLivePrices = (stocks) => {
+    const stream = useContext(PriceStreamContext);
+    const [ticks, setTicks] = useState({});
+    const [status, setStatus] = useState(() => stream ? stream.status : 'disabled');
+    const basePrices = useRef({});
+    basePrices.current = Object.fromEntries(stocks.map(s => [s.ticker, s.price]));
+    const key = stocks.map(s => s.ticker).join(',');
+
+    useEffect(() => {
+        if (!stream || !key) return undefined;
+        const offStatus = stream.onStatus(setStatus);
+        const offTick = stream.onTick(tick => {
+            setTicks(prev => {
+                const previousPrice = prev[tick.ticker]?.price ?? basePrices.current[tick.ticker];
+                const flash = previousPrice == null || tick.price === previousPrice
+                    ? prev[tick.ticker]?.flash
+                    : tick.price > previousPrice ? 'up' : 'down';
+                return {
+                    ...prev,
+                    [tick.ticker]: {
+                        price: tick.price,
+                        change: tick.change,
+                        changePercent: tick.changePercent,
+                        flash,
+                        flashKey: tick.time,
+                    },
+                };
+            });
+        });
+        const unsubscribe = stream.subscribe(key.split(','));
+        setStatus(stream.status);
+        return () => { unsubscribe(); offTick(); offStatus(); };
+    }, [stream, key]);
+
+    const liveStocks = useMemo(() => stocks.map(stock => {
+        const tick = ticks[stock.ticker];
+        if (!tick) return stock;
+        return { ...stock, ...tick, trend: tick.changePercent >= 0 ? 'up' : 'down' };
+    }), [stocks, ticks]);
+
+    return { stocks: liveStocks, status };
+};
@@ -0,0 +1,140 @@
+import React, { createContext, useContext, useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import {
+    MAX_DIGEST_TICKERS, DIGEST_SYSTEM_PROMPT,
+    isFresh, createRequestQueue, newsSummaryPrompt, digestPrompt, parseDigest,
+} from '../lib/newsSummaries.js';
+import { KUBER_SYSTEM_PROMPT } from '../lib/gemini.js';
+import { readJson, writeJson } from '../lib/storage.js';
+import { useLlm } from './llm.jsx';
+
+const SUMMARIES_KEY = 'fundsattips.newsSummaries';
+const DIGEST_KEY = 'fundsattips.newsDigest';
+
+/** Pending/error key for a digest of `tickers`; each list gets its own, so a new list doesn't join the old request. */
+const digestKey = (tickers) => `__digest__:${tickers.join()}`;
+
+/** Summaries older than this are dropped on load rather than kept as stale fallbacks. */
+const MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+const NewsSummaryContext = createContext(null);
+
+const loadSummaries = () => {
+    const saved = readJson(SUMMARIES_KEY, {});
+    if (!saved || typeof saved !== 'object' || Array.isArray(saved)) return {};
+    const cutoff = Date.now() - MAX_AGE_MS;
+    return Object.fromEntries(Object.entries(saved).filter(([, entry]) => typeof entry?.text === 'string' && entry.fetchedAt > cutoff));
+};
+
+const loadDigest = () => {
+    const saved = readJson(DIGEST_KEY, null);
+    return saved && Array.isArray(saved.items) && saved.fetchedAt > Date.now() - MAX_AGE_MS ? saved : null;
+};
+
+const without = (map, key) => {
+    if (!(key in map)) return map;
+    const { [key]: _removed, ...rest } = map;
+    return rest;
+};
+
+const singleTurn = (text) => [{ role: 'user', parts: [{ text }] }];
+
+/** Cached AI news summaries by ticker and the latest watchlist digest; a ticker already loading joins that request. */
+export const NewsSummaryProvider = ({ children }) => {
+    const llm = useLlm();
+    const [summaries, setSummaries] = useState(loadSummaries);
+    const [digest, setDigest] = useState(loadDigest);
+    const [pending, setPending] = useState({});
+    const [errors, setErrors] = useState({});
+    const [queue] = useState(() => createRequestQueue());
+    const inFlight = useRef(new Map());
+    // The list most recently asked for; its digest is the one shown.
+    const [requestedDigest, setRequestedDigest] = useState(() => digestKey(loadDigest()?.tickers || []));
+    const requestedDigestRef = useRef(requestedDigest);
+    const latest = useRef({ summaries, digest });
+    latest.current = { summaries, digest };
+
+    useEffect(() => {
+        writeJson(SUMMARIES_KEY, summaries);
+    }, [summaries]);
+
+    useEffect(() => {
+        writeJson(DIGEST_KEY, digest);
+    }, [digest]);
+
+    // Queues `request` under `key` unless one is already in flight. Failures are recorded in `errors`.
+    const track = useCallback((key, request) => {
+        if (inFlight.current.has(key)) return inFlight.current.get(key);
+        setPending(prev => ({ ...prev, [key]: true }));
+        setErrors(prev => without(prev, key));
+        const promise = queue.run(request)
+            .catch(error => setErrors(prev => ({ ...prev, [key]: error.message })))
+            .finally(() => {
+                inFlight.current.delete(key);
+                setPending(prev => without(prev, key));
+            });
+        inFlight.current.set(key, promise);
+        return promise;
+    }, [queue]);
+
+    /** Fetches a one-sentence summary for `stock` unless a fresh one is cached (or `force`). */
+    const summarize = useCallback((stock, { force = false } = {}) => {
+        if (!force && isFresh(latest.current.summaries[stock.ticker])) return Promise.resolve();
+        return track(stock.ticker, async () => {
+            const { text, sources } = await llm.generate({
+                contents: singleTurn(newsSummaryPrompt(stock)),
+                systemPrompt: KUBER_SYSTEM_PROMPT,
+                feature: 'newsSummary',
+            });
+            setSummaries(prev => ({ ...prev, [stock.ticker]: { text, sources, fetchedAt: Date.now() } }));
+        });
+    }, [llm, track]);
+
+    /**
+     * One digest for the listed instruments (the first MAX_DIGEST_TICKERS).
+     * A fresh digest of the same list is reused unless `force`.
+     */
+    const summarizeWatchlist = useCallback((stocks, { force = false } = {}) => {
+        const listed = stocks.slice(0, MAX_DIGEST_TICKERS);
+        const tickers = listed.map(s => s.ticker);
+        const current = latest.current.digest;
+        const key = digestKey(tickers);
+        requestedDigestRef.current = key;
+        setRequestedDigest(key);
+        if (!force && isFresh(current) && current.tickers.join() === tickers.join()) return Promise.resolve();
+        return track(key, async () => {
+            const { text, sources } = await llm.generate({
+                contents: singleTurn(digestPrompt(listed)),
+                systemPrompt: DIGEST_SYSTEM_PROMPT,
+                feature: 'watchlistDigest',
+            });
+            const { overview, items } = parseDigest(text, tickers);
+            const fetchedAt = Date.now();
+            // A slower digest of an earlier list must not replace the one asked for since.
+            if (requestedDigestRef.current === key) setDigest({ tickers, overview, items, sources, fetchedAt });
+            // Each digest line doubles as that ticker's summary, so one request fills the cache for the whole list.
+            setSummaries(prev => ({
+                ...prev,
+                ...Object.fromEntries(items.map(item => [item.ticker, { text: item.text, sentiment: item.sentiment, sources, fetchedAt }])),
+            }));
+        });
+    }, [llm, track]);
+
+    const value = useMemo(() => ({
+        summaries,
+        digest,
+        pending,
+        errors,
+        summarize,
+        summarizeWatchlist,
+        isDigestLoading: !!pending[requestedDigest],
+        digestError: errors[requestedDigest] || null,
+    }), [summaries, digest, pending, errors, requestedDigest, summarize, summarizeWatchlist]);
+
+    return <NewsSummaryContext.Provider value={value}>{children}</NewsSummaryContext.Provider>;
+};
+
+export const useNewsSummaries = () => {
+    const context = useContext(NewsSummaryContext);
+    if (!context) throw new Error('useNewsSummaries must be used inside <NewsSummaryProvider>.');
+    return context;
+};
@@ -0,0 +1,151 @@
+import React, { createContext, useContext, useEffect, useMemo, useCallback } from 'react';
+import { computePortfolio, replayLedger, validateTransaction, LedgerError } from '../lib/ledger.js';
+import { validateSip, dueInstallments, installmentEntries, toIsoDate } from '../lib/sip.js';
+import { readJson } from '../lib/storage.js';
+import { useMarketData, useQuotes, useLivePrices } from './marketData.jsx';
+import { useUserStoredState } from './userStorage.jsx';
+
+const PortfolioContext = createContext(null);
+
+const loadList = (key) => {
+    const saved = readJson(key, []);
+    return Array.isArray(saved) ? saved : [];
+};
+
+/**
+ * Daily NAVs for the past year, preceded by weekly ones for older due dates,
+ * so an installment from years back still finds the session it was bought in.
+ */
+const loadNavBars = async (provider, ticker) => {
+    const [weekly, daily] = await Promise.all([
+        provider.getHistory(ticker, { range: 'Max' }),
+        provider.getHistory(ticker, { range: '1Y' }),
+    ]);
+    const dailyStart = daily[0]?.time ?? Infinity;
+    return [...weekly.filter(bar => bar.time < dailyStart), ...daily];
+};
+
+const newId = () => (globalThis.crypto?.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`);
+
+/** The user's ledger and SIP plans, persisted, with installments posted when due and holdings valued live. */
+export const PortfolioProvider = ({ children }) => {
+    const provider = useMarketData();
+    const [transactions, setTransactions] = useUserStoredState('ledger', loadList);
+    const [sipPlans, setSipPlans] = useUserStoredState('sips', loadList);
+
+    // Post every installment whose NAV is out. A plan stops at the first one still
+    // waiting, and `lastPosted` moves forward so each due date is only posted once.
+    useEffect(() => {
+        const today = toIsoDate(new Date());
+        const due = sipPlans.map(plan => ({ plan, dates: dueInstallments(plan, today) })).filter(({ dates }) => dates.length > 0);
+        if (due.length === 0) return undefined;
+        let cancelled = false;
+        Promise.allSettled(due.map(async ({ plan, dates }) => {
+            const bars = await loadNavBars(provider, plan.ticker);
+            const entries = [];
+            let lastPosted = plan.lastPosted;
+            for (const date of dates) {
+                const installment = installmentEntries(plan, date, bars);
+                if (!installment) break;
+                entries.push(...installment.map(entry => ({ ...entry, id: newId() })));
+                lastPosted = date;
+            }
+            return { id: plan.id, entries, lastPosted };
+        })).then(results => {
+            if (cancelled) return;
+            const posted = results.filter(r => r.status === 'fulfilled' && r.value.entries.length > 0).map(r => r.value);
+            if (posted.length === 0) return;
+            setTransactions(prev => [...prev, ...posted.flatMap(p => p.entries)]);
+            setSipPlans(prev => prev.map(plan => {
+                const update = posted.find(p => p.id === plan.id);
+                return update ? { ...plan, lastPosted: update.lastPosted } : plan;
+            }));
+        });
+        return () => { cancelled = true; };
+    }, [sipPlans, provider]);
+
+    const heldTickers = useMemo(() => {
+        try {
+            const { positions } = replayLedger(transactions);
+            return [...positions.keys()].filter(t => positions.get(t).quantity > 0).sort();
+        } catch {
+            return [];
+        }
+    }, [transactions]);
+
+    const quotes = useQuotes(heldTickers);
+    const { stocks: liveQuotes } = useLivePrices(quotes.data || []);
+
+    // A saved ledger that no longer replays (edited by hand, or saved by an older
+    // version) must not take the app down; it is valued as empty and reported.
+    const { portfolio, ledgerError } = useMemo(() => {
+        try {
+            return { portfolio: computePortfolio(transactions, liveQuotes), ledgerError: null };
+        } catch (error) {
+            if (!(error instanceof LedgerError)) throw error;
+            return { portfolio: computePortfolio([], liveQuotes), ledgerError: error.message };
+        }
+    }, [transactions, liveQuotes]);
+
+    /**
+     * Appends transactions after validating each one and replaying the result,
+     * so a sell can never exceed what is held. Throws a LedgerError otherwise.
+     */
+    const addTransactions = useCallback((entries) => {
+        const prepared = entries.map(entry => {
+            const errors = validateTransaction(entry);
+            if (errors.length > 0) throw new LedgerError(errors.join(' '));
+            return { ...entry, id: entry.id || newId(), ticker: entry.ticker?.toUpperCase() };
+        });
+        const next = [...transactions, ...prepared];
+        replayLedger(next);
+        setTransactions(next);
+        return prepared;
+    }, [transactions]);
+
+    const removeTransaction = useCallback((id) => {
+        const next = transactions.filter(tx => tx.id !== id);
+        replayLedger(next);
+        setTransactions(next);
+    }, [transactions]);
+
+    /** Clears every transaction, the way out of a ledger that no longer replays. SIP plans are kept. */
+    const resetLedger = useCallback(() => setTransactions([]), []);
+
+    /** Starts a plan after validating it. Throws a LedgerError when it is malformed. */
+    const addSip = useCallback((plan) => {
+        const errors = validateSip(plan);
+        if (errors.length > 0) throw new LedgerError(errors.join(' '));
+        const prepared = { ...plan, id: newId(), ticker: plan.ticker.toUpperCase() };
+        setSipPlans(prev => [...prev, prepared]);
+        return prepared;
+    }, []);
+
+    /** Ends a plan today. Installments already posted stay in the ledger. */
+    const stopSip = useCallback((id) => {
+        const today = toIsoDate(new Date());
+        setSipPlans(prev => prev.map(plan => (plan.id === id ? { ...plan, endDate: today } : plan)));
+    }, []);
+
+    const value = useMemo(() => ({
+        transactions,
+        portfolio,
+        ledgerError,
+        quoteStatus: quotes,
+        addTransaction: (entry) => addTransactions([entry])[0],
+        addTransactions,
+        removeTransaction,
+        resetLedger,
+        sipPlans,
+        addSip,
+        stopSip,
+    }), [transactions, portfolio, ledgerError, quotes, addTransactions, removeTransaction, resetLedger, sipPlans, addSip, stopSip]);
+
+    return <PortfolioContext.Provider value={value}>{children}</PortfolioContext.Provider>;
+};
+
+export const usePortfolio = () => {
+    const context = useContext(PortfolioContext);
+    if (!context) throw new Error('usePortfolio must be used inside <PortfolioProvider>.');
+    return context;
+};
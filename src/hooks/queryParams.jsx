@@ -0,0 +1,27 @@
+import { useState, useEffect, useCallback } from 'react';
+import { navigate } from './router.jsx';
+
+const readParams = () => Object.fromEntries(new URLSearchParams(window.location.search));
+
+/** The URL query as an object and a setter merging a patch into it; empty values are dropped, history replaced. */
+export const useQueryParams = () => {
+    const [params, setParamsState] = useState(readParams);
+
+    useEffect(() => {
+        const onPopState = () => setParamsState(readParams());
+        window.addEventListener('popstate', onPopState);
+        return () => window.removeEventListener('popstate', onPopState);
+    }, []);
+
+    const setParams = useCallback((patch) => {
+        const next = new URLSearchParams(window.location.search);
+        Object.entries(patch).forEach(([key, value]) => {
+            if (value == null || value === '') next.delete(key);
+            else next.set(key, String(value));
+        });
+        const search = next.toString();
+        navigate(`${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`, { replace: true });
+    }, []);
+
+    return [params, setParams];
+};
@@ -0,0 +1,44 @@
+import React, { useState, useEffect } from 'react';
+
+const readLocation = () => ({ pathname: window.location.pathname, search: window.location.search });
+
+/** Moves to `to` in history and tells listeners through a synthetic popstate; `replace` swaps the current entry. */
+export const navigate = (to, { replace = false } = {}) => {
+    const current = `${window.location.pathname}${window.location.search}${window.location.hash}`;
+    if (to === current) return;
+    window.history[replace ? 'replaceState' : 'pushState'](window.history.state, '', to);
+    window.dispatchEvent(new PopStateEvent('popstate', { state: window.history.state }));
+    if (!replace) window.scrollTo(0, 0);
+};
+
+/** The current pathname and search string, updated on every navigation. */
+export const useLocation = () => {
+    const [location, setLocation] = useState(readLocation);
+
+    useEffect(() => {
+        const onPopState = () => setLocation(readLocation());
+        window.addEventListener('popstate', onPopState);
+        return () => window.removeEventListener('popstate', onPopState);
+    }, []);
+
+    return location;
+};
+
+/**
+ * Anchor that navigates in-app on a plain click but keeps real link
+ * behaviour (new tab, copy address) for modified clicks.
+ */
+export const Link = ({ to, onClick, children, ...props }) => (
+    <a
+        href={to}
+        onClick={(e) => {
+            onClick?.(e);
+            if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+            e.preventDefault();
+            navigate(to);
+        }}
+        {...props}
+    >
+        {children}
+    </a>
+);
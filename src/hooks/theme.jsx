@@ -0,0 +1,41 @@
+import { useState, useEffect, useCallback } from 'react';
+import { readJson, writeJson, removeKey } from '../lib/storage.js';
+
+const THEME_KEY = 'fundsattips.theme';
+
+/** Appearance choices; 'system' follows the OS and stores nothing. */
+export const THEME_PREFERENCES = ['system', 'light', 'dark'];
+
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+const loadPreference = () => {
+    const saved = readJson(THEME_KEY, null);
+    return saved === 'light' || saved === 'dark' ? saved : 'system';
+};
+
+const systemPrefersDark = () => typeof window.matchMedia === 'function' && window.matchMedia(DARK_QUERY).matches;
+
+/** The colour scheme: the OS preference until the user picks light or dark, which is remembered. */
+export const useTheme = () => {
+    const [preference, setPreferenceState] = useState(loadPreference);
+    const [systemDark, setSystemDark] = useState(systemPrefersDark);
+
+    useEffect(() => {
+        if (typeof window.matchMedia !== 'function') return undefined;
+        const media = window.matchMedia(DARK_QUERY);
+        const onChange = () => setSystemDark(media.matches);
+        media.addEventListener?.('change', onChange);
+        return () => media.removeEventListener?.('change', onChange);
+    }, []);
+
+    const setPreference = useCallback((next) => {
+        setPreferenceState(next);
+        if (next === 'system') removeKey(THEME_KEY);
+        else writeJson(THEME_KEY, next);
+    }, []);
+
+    const isDark = preference === 'system' ? systemDark : preference === 'dark';
+    const toggle = useCallback(() => setPreference(isDark ? 'light' : 'dark'), [isDark, setPreference]);
+
+    return { preference, setPreference, isDark, toggle };
+};
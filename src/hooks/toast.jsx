@@ -0,0 +1,47 @@
+import React, { createContext, useContext, useState, useCallback, useMemo, useRef } from 'react';
+
+const ToastContext = createContext(null);
+
+const TONE_CLASSES = {
+    success: 'bg-green-500 text-white',
+    error: 'bg-red-600 text-white',
+    info: 'bg-indigo-600 text-white',
+};
+
+/** Renders transient notifications in the top-right corner. */
+export const ToastProvider = ({ children }) => {
+    const [toasts, setToasts] = useState([]);
+    const nextId = useRef(0);
+
+    const dismiss = useCallback((id) => setToasts(prev => prev.filter(t => t.id !== id)), []);
+
+    /** Shows a message; `duration` of 0 keeps it until dismissed. */
+    const notify = useCallback((message, { tone = 'info', duration = 3000 } = {}) => {
+        const id = ++nextId.current;
+        setToasts(prev => [...prev, { id, message, tone }]);
+        if (duration > 0) setTimeout(() => dismiss(id), duration);
+        return id;
+    }, [dismiss]);
+
+    const value = useMemo(() => ({ notify, dismiss }), [notify, dismiss]);
+
+    return (
+        <ToastContext.Provider value={value}>
+            {children}
+            <div className="fixed top-4 right-4 z-[60] space-y-2 w-[90vw] max-w-sm" role="status" aria-live="polite">
+                {toasts.map(toast => (
+                    <div key={toast.id} className={`flex justify-between items-start p-4 rounded-xl shadow-2xl text-sm ${TONE_CLASSES[toast.tone] || TONE_CLASSES.info}`}>
+                        <span>{toast.message}</span>
+                        <button onClick={() => dismiss(toast.id)} className="ml-3 opacity-75 hover:opacity-100" aria-label="Dismiss">✕</button>
+                    </div>
+                ))}
+            </div>
+        </ToastContext.Provider>
+    );
+};
+
+export const useToast = () => {
+    const context = useContext(ToastContext);
+    if (!context) throw new Error('useToast must be used inside <ToastProvider>.');
+    return context;
+};
@@ -0,0 +1,24 @@
+import { useState, useEffect, useCallback } from 'react';
+import { writeJson, userStorageKey } from '../lib/storage.js';
+import { useAuth } from './auth.jsx';
+
+/** Like useState, saved under the signed-in user's own `name` key (one of USER_DATA) and read with `load(key)`. */
+export const useUserStoredState = (name, load) => {
+    const { user } = useAuth();
+    const key = userStorageKey(name, user?.id);
+    const [stored, setStored] = useState(() => ({ key, value: load(key) }));
+
+    // Replaced during render: React renders again straight away, so nothing
+    // below ever sees the previous user's data.
+    if (stored.key !== key) setStored({ key, value: load(key) });
+
+    useEffect(() => {
+        writeJson(stored.key, stored.value);
+    }, [stored]);
+
+    const setValue = useCallback((update) => {
+        setStored(prev => ({ key: prev.key, value: typeof update === 'function' ? update(prev.value) : update }));
+    }, []);
+
+    return [stored.value, setValue];
+};
@@ -0,0 +1,122 @@
+import React, { createContext, useContext, useMemo, useCallback } from 'react';
+import { DEFAULT_TICKERS } from '../lib/marketData.js';
+import {
+    DEFAULT_WATCHLIST_SORT, DEFAULT_WATCHLIST_COLUMNS, WatchlistError,
+    validateWatchlistName, moveItem, normalizeWatchlist,
+} from '../lib/watchlists.js';
+import { readJson } from '../lib/storage.js';
+import { useUserStoredState } from './userStorage.jsx';
+
+const WatchlistContext = createContext(null);
+
+const newId = () => (globalThis.crypto?.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`);
+
+const makeList = (name, tickers = []) => ({
+    id: newId(),
+    name,
+    tickers,
+    sort: DEFAULT_WATCHLIST_SORT,
+    columns: DEFAULT_WATCHLIST_COLUMNS,
+});
+
+/** Saved lists and the selected one; a first visit starts with the default tickers. */
+const loadState = (key) => {
+    const saved = readJson(key, null);
+    const lists = Array.isArray(saved?.lists) ? saved.lists.map(normalizeWatchlist).filter(Boolean) : [];
+    if (lists.length === 0) {
+        const first = makeList('My Watchlist', DEFAULT_TICKERS);
+        return { lists: [first], activeId: first.id };
+    }
+    return { lists, activeId: lists.some(l => l.id === saved.activeId) ? saved.activeId : lists[0].id };
+};
+
+/** The user's named watchlists, persisted; there is always at least one. */
+export const WatchlistProvider = ({ children }) => {
+    const [state, setState] = useUserStoredState('watchlists', loadState);
+    const { lists, activeId } = state;
+
+    const updateList = useCallback((id, update) => {
+        setState(prev => ({ ...prev, lists: prev.lists.map(list => (list.id === id ? { ...list, ...update(list) } : list)) }));
+    }, []);
+
+    const checkName = (name, exceptId) => {
+        const errors = validateWatchlistName(name, lists.filter(l => l.id !== exceptId).map(l => l.name));
+        if (errors.length > 0) throw new WatchlistError(errors.join(' '));
+        return name.trim();
+    };
+
+    /** Adds an empty list and selects it. */
+    const createList = useCallback((name) => {
+        const list = makeList(checkName(name));
+        setState(prev => ({ lists: [...prev.lists, list], activeId: list.id }));
+        return list;
+    }, [lists]);
+
+    const renameList = useCallback((id, name) => {
+        const trimmed = checkName(name, id);
+        updateList(id, () => ({ name: trimmed }));
+    }, [lists, updateList]);
+
+    /** Removes a list; the last remaining one cannot be deleted. */
+    const deleteList = useCallback((id) => {
+        if (lists.length <= 1) throw new WatchlistError('Keep at least one watchlist.');
+        setState(prev => {
+            const remaining = prev.lists.filter(l => l.id !== id);
+            return { lists: remaining, activeId: prev.activeId === id ? remaining[0].id : prev.activeId };
+        });
+    }, [lists.length]);
+
+    const selectList = useCallback((id) => setState(prev => ({ ...prev, activeId: id })), []);
+
+    const moveList = useCallback((from, to) => {
+        setState(prev => ({ ...prev, lists: moveItem(prev.lists, from, to) }));
+    }, []);
+
+    const addTicker = useCallback((id, ticker) => {
+        const symbol = ticker.toUpperCase();
+        updateList(id, list => ({ tickers: list.tickers.includes(symbol) ? list.tickers : [...list.tickers, symbol] }));
+    }, [updateList]);
+
+    const removeTicker = useCallback((id, ticker) => {
+        const symbol = ticker.toUpperCase();
+        updateList(id, list => ({ tickers: list.tickers.filter(t => t !== symbol) }));
+    }, [updateList]);
+
+    /** Moves a ticker within a list's own order (indexes into `list.tickers`). */
+    const moveTicker = useCallback((id, from, to) => {
+        updateList(id, list => ({ tickers: moveItem(list.tickers, from, to) }));
+    }, [updateList]);
+
+    /** Saves a list's view preferences: `{ sort, columns }`, either or both. */
+    const setListPreferences = useCallback((id, { sort, columns }) => {
+        updateList(id, list => ({ sort: sort ?? list.sort, columns: columns ?? list.columns }));
+    }, [updateList]);
+
+    const activeList = lists.find(l => l.id === activeId) || lists[0];
+    // Every ticker on any list, for quoting them all at once. Sorted so reordering a list doesn't refetch.
+    const tickerKey = [...new Set(lists.flatMap(l => l.tickers))].sort().join(',');
+    const allTickers = useMemo(() => (tickerKey ? tickerKey.split(',') : []), [tickerKey]);
+
+    const value = useMemo(() => ({
+        lists,
+        activeList,
+        allTickers,
+        selectList,
+        createList,
+        renameList,
+        deleteList,
+        moveList,
+        addTicker,
+        removeTicker,
+        moveTicker,
+        setListPreferences,
+    }), [lists, activeList, allTickers, selectList, createList, renameList, deleteList, moveList, addTicker, removeTicker, moveTicker, setListPreferences]);
+
+    return <WatchlistContext.Provider value={value}>{children}</WatchlistContext.Provider>;
+};
+
+export const useWatchlists = () => {
+    const context = useContext(WatchlistContext);
+    if (!context) throw new Error('useWatchlists must be used inside <WatchlistProvider>.');
+    return context;
+};
@@ -0,0 +1,132 @@
+// --- Price Alerts ---
+// Alert rules on an instrument and the checks run against each quote.
+//
+// @typedef {Object} AlertRule
+// @property {string} id
+// @property {string} ticker
+// @property {string} condition        An ALERT_CONDITIONS key.
+// @property {number} [threshold]      Price, percent or volume multiple, depending on the condition.
+// @property {'once'|'recurring'} mode
+// @property {number} cooldownMinutes  Minimum gap between two firings of a recurring rule.
+// @property {boolean} active
+// @property {string} createdAt        ISO timestamp.
+// @property {number} [lastTriggeredAt] Epoch ms of the latest firing.
+//
+// @typedef {Object} AlertContext      History-derived figures some conditions need.
+// @property {number} [high52]          Highest high of the prior 52 weeks.
+// @property {number} [low52]           Lowest low of the prior 52 weeks.
+// @property {number} [avgVolume]       Average daily volume over the prior VOLUME_LOOKBACK sessions.
+// @property {number} [volumeToday]     Volume traded so far today.
+// @property {number} [sessionFraction] Share of today's session that has elapsed, 0 to 1.
+
+import { HISTORY_RANGES } from './marketData.js';
+
+export class AlertError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AlertError';
+    }
+}
+
+/**
+ * Supported conditions. `threshold` describes the number the user enters
+ * (none for 52-week extremes) and `history` the extra data a check needs.
+ */
+export const ALERT_CONDITIONS = {
+    priceAbove: { label: 'Price rises above', threshold: { label: 'Price ($)', min: 0 } },
+    priceBelow: { label: 'Price falls below', threshold: { label: 'Price ($)', min: 0 } },
+    percentMove: { label: 'Moves more than', threshold: { label: 'Daily move (%)', min: 0 } },
+    high52: { label: 'Hits a 52-week high', history: 'daily' },
+    low52: { label: 'Hits a 52-week low', history: 'daily' },
+    volumeSpike: { label: 'Volume spikes', threshold: { label: 'Times normal volume', min: 1 }, history: 'intraday' },
+};
+
+export const ALERT_MODES = {
+    once: 'Once, then switch off',
+    recurring: 'Every time (with cooldown)',
+};
+
+export const DEFAULT_COOLDOWN_MINUTES = 60;
+
+/** Sessions averaged for a volume spike's "normal" volume. */
+export const VOLUME_LOOKBACK = 20;
+
+const SESSION_MINUTES = 390;
+
+/** Returns a list of problems with a rule; empty when it is well-formed. */
+export const validateAlert = (rule) => {
+    const errors = [];
+    const condition = ALERT_CONDITIONS[rule.condition];
+    if (!rule.ticker || !String(rule.ticker).trim()) errors.push('Ticker is required.');
+    if (!condition) errors.push('Choose a condition.');
+    if (condition?.threshold && !(Number.isFinite(rule.threshold) && rule.threshold > condition.threshold.min)) {
+        errors.push(`${condition.threshold.label} must be greater than ${condition.threshold.min}.`);
+    }
+    if (!ALERT_MODES[rule.mode]) errors.push('Choose how often the alert fires.');
+    if (rule.mode === 'recurring' && !(Number.isFinite(rule.cooldownMinutes) && rule.cooldownMinutes >= 1)) {
+        errors.push('Cooldown must be at least one minute.');
+    }
+    return errors;
+};
+
+/** Short description of a rule, e.g. "NVDA price rises above $950.00". */
+export const describeAlert = (rule) => {
+    switch (rule.condition) {
+        case 'priceAbove': return `${rule.ticker} price rises above $${rule.threshold.toFixed(2)}`;
+        case 'priceBelow': return `${rule.ticker} price falls below $${rule.threshold.toFixed(2)}`;
+        case 'percentMove': return `${rule.ticker} moves more than ${rule.threshold}% in a day`;
+        case 'high52': return `${rule.ticker} hits a 52-week high`;
+        case 'low52': return `${rule.ticker} hits a 52-week low`;
+        case 'volumeSpike': return `${rule.ticker} trades ${rule.threshold}× its normal volume`;
+        default: return rule.ticker;
+    }
+};
+
+/** The AlertContext for one ticker from its 1Y daily and intraday bars; today's bar is left out of the averages. */
+export const alertContext = ({ daily, intraday } = {}) => {
+    const context = {};
+    if (daily?.length > 1) {
+        const prior = daily.slice(0, -1);
+        context.high52 = Math.max(...prior.map(b => b.high));
+        context.low52 = Math.min(...prior.map(b => b.low));
+        const recent = prior.slice(-VOLUME_LOOKBACK);
+        context.avgVolume = recent.reduce((sum, b) => sum + b.volume, 0) / recent.length;
+    }
+    if (intraday?.length > 0) {
+        context.volumeToday = intraday.reduce((sum, b) => sum + b.volume, 0);
+        context.sessionFraction = Math.min(1, intraday.length * HISTORY_RANGES['1D'].minutes / SESSION_MINUTES);
+    }
+    return context;
+};
+
+/** Checks one rule against a quote: `{ message }` when it holds, else null (also while history is loading). */
+export const evaluateAlert = (rule, quote, context = {}) => {
+    const price = quote.price;
+    switch (rule.condition) {
+        case 'priceAbove':
+            return price >= rule.threshold ? { message: `${rule.ticker} is at $${price.toFixed(2)}, above $${rule.threshold.toFixed(2)}.` } : null;
+        case 'priceBelow':
+            return price <= rule.threshold ? { message: `${rule.ticker} is at $${price.toFixed(2)}, below $${rule.threshold.toFixed(2)}.` } : null;
+        case 'percentMove':
+            return Math.abs(quote.changePercent) >= rule.threshold
+                ? { message: `${rule.ticker} is ${quote.changePercent >= 0 ? 'up' : 'down'} ${Math.abs(quote.changePercent).toFixed(2)}% today.` }
+                : null;
+        case 'high52':
+            return context.high52 != null && price >= context.high52 ? { message: `${rule.ticker} reached a 52-week high at $${price.toFixed(2)}.` } : null;
+        case 'low52':
+            return context.low52 != null && price <= context.low52 ? { message: `${rule.ticker} fell to a 52-week low at $${price.toFixed(2)}.` } : null;
+        case 'volumeSpike': {
+            // Compare against the volume a normal day would have traded by this point in the session.
+            const expected = context.avgVolume * context.sessionFraction;
+            if (!(expected > 0) || !(context.volumeToday >= rule.threshold * expected)) return null;
+            return { message: `${rule.ticker} volume is ${(context.volumeToday / expected).toFixed(1)}× normal for this time of day.` };
+        }
+        default:
+            return null;
+    }
+};
+
+/** Whether a rule may fire at `now`: it is on and any cooldown has passed. */
+export const isAlertArmed = (rule, now) => rule.active && (
+    rule.lastTriggeredAt == null || now - rule.lastTriggeredAt >= rule.cooldownMinutes * 60 * 1000
+);
@@ -0,0 +1,58 @@
+// --- Asset Allocation ---
+// Portfolio value by asset class, then sector, then position; positive cash shows at the top level only.
+
+export const ALLOCATION_LEVELS = ['assetClass', 'sector', 'position'];
+
+const PALETTE = ['#4F46E5', '#10B981', '#14B8A6', '#EF4444', '#8B5CF6', '#06B6D4', '#EC4899', '#84CC16', '#F97316', '#64748B'];
+const CASH_COLOR = '#F59E0B';
+// Asset classes keep the colors the allocation legend has always used.
+const ASSET_CLASS_COLORS = { Stocks: '#4F46E5', 'Mutual Funds': '#10B981' };
+
+const classify = (holding, fundamentals) => {
+    const info = fundamentals[holding.ticker] || {};
+    return {
+        assetClass: info.assetClass || 'Stocks',
+        sector: info.sector || 'Other',
+        position: holding.ticker,
+    };
+};
+
+/**
+ * `{ slices, total }` for the level below `path`, e.g. ['Stocks', 'Technology'].
+ * Slices have `key`, `label`, `value`, `weight` (0-100), `color` and whether they drill further.
+ */
+export const computeAllocation = (portfolio, { fundamentals = {}, path = [] } = {}) => {
+    const level = ALLOCATION_LEVELS[path.length] || 'position';
+    const groups = new Map();
+
+    portfolio.holdings.forEach(holding => {
+        const classes = classify(holding, fundamentals);
+        const inPath = path.every((label, depth) => classes[ALLOCATION_LEVELS[depth]] === label);
+        if (!inPath || holding.marketValue <= 0) return;
+        const label = classes[level];
+        const group = groups.get(label) || { value: 0, count: 0 };
+        group.value += holding.marketValue;
+        group.count += 1;
+        groups.set(label, group);
+    });
+
+    const slices = [...groups.entries()]
+        .sort((a, b) => b[1].value - a[1].value)
+        .map(([label, group], i) => ({
+            key: label,
+            label,
+            value: group.value,
+            color: (level === 'assetClass' && ASSET_CLASS_COLORS[label]) || PALETTE[i % PALETTE.length],
+            drillable: level !== 'position',
+        }));
+
+    if (path.length === 0 && portfolio.cash > 0) {
+        slices.push({ key: 'cash', label: 'Cash', value: portfolio.cash, color: CASH_COLOR, drillable: false });
+    }
+
+    const total = slices.reduce((sum, s) => sum + s.value, 0);
+    slices.forEach(slice => {
+        slice.weight = total > 0 ? slice.value / total * 100 : 0;
+    });
+    return { slices, total, level };
+};
@@ -0,0 +1,232 @@
+// --- Authentication ---
+// Client for the auth API that owns accounts and profiles. Protocol and error codes: docs/auth-api.md.
+//
+// @typedef {Object} UserProfile
+// @property {string} id
+// @property {string} name
+// @property {string} email
+// @property {string|null} avatarUrl
+// @property {string} baseCurrency   A BASE_CURRENCIES code.
+// @property {string} timezone       An IANA time zone, e.g. 'America/New_York'.
+// @property {'free'|'premium'} plan
+// @property {boolean} twoFactorEnabled
+// @property {import('./privacy.js').AiDataSharing} aiDataSharing
+// @property {string} createdAt      ISO timestamp.
+//
+// @typedef {Object} AuthSession
+// @property {UserProfile} user
+// @property {string} accessToken
+// @property {string} refreshToken
+// @property {number} expiresIn      Seconds until the access token expires.
+//
+// @typedef {Object} ActiveSession   A signed-in device.
+// @property {string} id
+// @property {boolean} current       The session making the request.
+// @property {string} userAgent
+// @property {string} createdAt      ISO timestamp of sign-in.
+// @property {string} lastActiveAt   ISO timestamp of the last request.
+
+import { validateAiDataSharing } from './privacy.js';
+
+export class AuthError extends Error {
+    constructor(message, { status, code } = {}) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+export const PASSWORD_MIN_LENGTH = 8;
+
+/** Largest avatar image accepted, before base64 encoding. */
+export const AVATAR_MAX_BYTES = 256 * 1024;
+
+export const AVATAR_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+
+export const BASE_CURRENCIES = {
+    USD: 'US Dollar',
+    EUR: 'Euro',
+    GBP: 'British Pound',
+    INR: 'Indian Rupee',
+    JPY: 'Japanese Yen',
+    CAD: 'Canadian Dollar',
+    AUD: 'Australian Dollar',
+    CHF: 'Swiss Franc',
+    SGD: 'Singapore Dollar',
+    HKD: 'Hong Kong Dollar',
+};
+
+export const DEFAULT_BASE_CURRENCY = 'USD';
+
+const FALLBACK_TIMEZONES = [
+    'UTC', 'America/New_York', 'America/Chicago', 'America/Denver', 'America/Los_Angeles', 'America/Toronto',
+    'America/Sao_Paulo', 'Europe/London', 'Europe/Paris', 'Europe/Berlin', 'Europe/Zurich', 'Africa/Johannesburg',
+    'Asia/Dubai', 'Asia/Kolkata', 'Asia/Singapore', 'Asia/Hong_Kong', 'Asia/Shanghai', 'Asia/Tokyo', 'Australia/Sydney',
+];
+
+/** IANA time zones the runtime knows, for the profile's time zone picker. */
+export const listTimeZones = () => {
+    try {
+        const zones = Intl.supportedValuesOf('timeZone');
+        return zones.includes('UTC') ? zones : ['UTC', ...zones];
+    } catch {
+        return FALLBACK_TIMEZONES;
+    }
+};
+
+export const isValidTimeZone = (timezone) => {
+    if (!timezone || typeof timezone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/** The browser's own time zone, used as a new account's default. */
+export const localTimeZone = () => {
+    try {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    } catch {
+        return 'UTC';
+    }
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const validateName = (name, errors) => {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) errors.push('Name is required.');
+    else if (trimmed.length > 80) errors.push('Name must be 80 characters or fewer.');
+};
+
+const validateEmail = (email, errors) => {
+    if (!EMAIL_PATTERN.test(String(email || '').trim())) errors.push('Enter a valid email address.');
+};
+
+export const validateSignUp = ({ name, email, password }) => {
+    const errors = [];
+    validateName(name, errors);
+    validateEmail(email, errors);
+    if (String(password || '').length < PASSWORD_MIN_LENGTH) errors.push(`Password must be at least ${PASSWORD_MIN_LENGTH} characters.`);
+    return errors;
+};
+
+/** `otp` is only checked once the API has asked for it (it is undefined before then). */
+export const validateSignIn = ({ email, password, otp }) => {
+    const errors = [];
+    validateEmail(email, errors);
+    if (!password) errors.push('Password is required.');
+    if (otp !== undefined && !String(otp).trim()) errors.push('Enter the code from your authenticator app or a recovery code.');
+    return errors;
+};
+
+/** Checks the fields present in a profile update; absent fields are left alone. */
+export const validateProfile = (patch) => {
+    const errors = [];
+    if ('name' in patch) validateName(patch.name, errors);
+    if ('email' in patch) validateEmail(patch.email, errors);
+    if ('baseCurrency' in patch && !BASE_CURRENCIES[patch.baseCurrency]) errors.push('Choose a supported base currency.');
+    if ('timezone' in patch && !isValidTimeZone(patch.timezone)) errors.push('Choose a valid time zone.');
+    if ('aiDataSharing' in patch) errors.push(...validateAiDataSharing(patch.aiDataSharing));
+    return errors;
+};
+
+/** A code from an authenticator app, as typed (spaces are allowed). */
+export const validateTotpCode = (code) =>
+    (/^\d{6}$/.test(String(code || '').replace(/\s/g, '')) ? [] : ['Enter the 6-digit code from your authenticator app.']);
+
+/** What the user must type to confirm deleting their account. */
+export const DELETE_CONFIRMATION = 'DELETE';
+
+export const validateAccountDeletion = ({ password, otp, confirmation }, { twoFactorEnabled = false } = {}) => {
+    const errors = [];
+    if (!password) errors.push('Enter your password.');
+    if (twoFactorEnabled && !String(otp || '').trim()) errors.push('Enter the code from your authenticator app or a recovery code.');
+    if (String(confirmation || '').trim() !== DELETE_CONFIRMATION) errors.push(`Type ${DELETE_CONFIRMATION} to confirm.`);
+    return errors;
+};
+
+export const validateAvatarFile = (file) => {
+    const errors = [];
+    if (!AVATAR_TYPES.includes(file.type)) errors.push('Avatar must be a PNG, JPEG, WebP or GIF image.');
+    if (file.size > AVATAR_MAX_BYTES) errors.push(`Avatar must be ${Math.round(AVATAR_MAX_BYTES / 1024)} KB or smaller.`);
+    return errors;
+};
+
+/** The avatar URL if it is https or an inline image, otherwise null. */
+export const safeAvatarUrl = (url) => {
+    if (typeof url !== 'string') return null;
+    if (/^data:image\/(png|jpeg|webp|gif);base64,[a-z0-9+/=]+$/i.test(url)) return url;
+    return /^https:\/\//i.test(url) ? url : null;
+};
+
+const BROWSERS = [[/Edg\//, 'Edge'], [/OPR\//, 'Opera'], [/Firefox\//, 'Firefox'], [/Chrome\//, 'Chrome'], [/Safari\//, 'Safari']];
+const PLATFORMS = [[/iPhone|iPad/, 'iOS'], [/Android/, 'Android'], [/Windows/, 'Windows'], [/Mac OS X|Macintosh/, 'macOS'], [/CrOS/, 'ChromeOS'], [/Linux/, 'Linux']];
+
+/** A readable name for the device behind a session, e.g. 'Chrome on macOS'. */
+export const describeDevice = (userAgent) => {
+    const text = String(userAgent || '');
+    const browser = BROWSERS.find(([pattern]) => pattern.test(text))?.[1];
+    const platform = PLATFORMS.find(([pattern]) => pattern.test(text))?.[1];
+    if (browser && platform) return `${browser} on ${platform}`;
+    return browser || platform || 'Unknown device';
+};
+
+/** Two-letter initials for the avatar placeholder. */
+export const initials = (name) => String(name || '').trim().split(/\s+/).filter(Boolean).slice(0, 2).map(word => word[0].toUpperCase()).join('') || '?';
+
+/** An auth API client; failures reject with an AuthError (code 'network' when unreachable). */
+export const createAuthClient = ({ baseUrl = '/auth', fetchImpl = (...args) => fetch(...args), demoPlans = false } = {}) => {
+    const request = async (path, { method = 'GET', token, body } = {}) => {
+        const headers = {};
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+        if (token) headers.Authorization = `Bearer ${token}`;
+        let response;
+        try {
+            response = await fetchImpl(`${baseUrl}${path}`, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+        } catch {
+            throw new AuthError('Could not reach the account service. Check your connection and try again.', { code: 'network' });
+        }
+        if (response.status === 204) return null;
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new AuthError(data.error || `Request failed with status: ${response.status}`, { status: response.status, code: data.code });
+        return data;
+    };
+
+    return {
+        demoPlans,
+        signUp: ({ name, email, password, timezone = localTimeZone() }) =>
+            request('/signup', { method: 'POST', body: { name: name.trim(), email: email.trim(), password, timezone } }),
+        signIn: ({ email, password, otp }) =>
+            request('/signin', { method: 'POST', body: { email: email.trim(), password, ...(otp ? { otp: otp.trim() } : {}) } }),
+        refresh: (refreshToken) => request('/refresh', { method: 'POST', body: { refreshToken } }),
+        signOut: (refreshToken) => request('/signout', { method: 'POST', body: { refreshToken } }),
+        getProfile: (token) => request('/me', { token }).then(data => data.user),
+        updateProfile: (token, patch) => request('/me', { method: 'PATCH', token, body: patch }).then(data => data.user),
+        uploadAvatar: (token, image) => request('/me/avatar', { method: 'PUT', token, body: { image } }).then(data => data.user),
+        switchDemoPlan: (token, plan) => request('/dev/plan', { method: 'PUT', token, body: { plan } }),
+        getUsage: (token) => request('/me/usage', { token }).then(data => data.usage),
+        recordUsage: (token, feature) => request('/me/usage', { method: 'POST', token, body: { feature } }).then(data => data.usage),
+        listSessions: (token) => request('/me/sessions', { token }).then(data => data.sessions),
+        revokeSession: (token, id) => request(`/me/sessions/${encodeURIComponent(id)}`, { method: 'DELETE', token }),
+        revokeOtherSessions: (token) => request('/me/sessions', { method: 'DELETE', token }),
+        startTwoFactorSetup: (token) => request('/me/2fa/setup', { method: 'POST', token }),
+        enableTwoFactor: (token, code) => request('/me/2fa/enable', { method: 'POST', token, body: { code } }),
+        disableTwoFactor: (token, code) => request('/me/2fa/disable', { method: 'POST', token, body: { code } }).then(data => data.user),
+        regenerateRecoveryCodes: (token, code) =>
+            request('/me/2fa/recovery-codes', { method: 'POST', token, body: { code } }).then(data => data.recoveryCodes),
+        exportAccount: (token) => request('/me/export', { token }),
+        deleteAccount: (token, { password, otp }) => request('/me', { method: 'DELETE', token, body: { password, ...(otp ? { otp } : {}) } }),
+    };
+};
+
+/** The auth client for VITE_AUTH_URL (default '/auth'); dev builds on the stand-in get its demo plan switch. */
+export const createAuthClientFromEnv = (env = import.meta.env) => createAuthClient({
+    baseUrl: env.VITE_AUTH_URL || '/auth',
+    demoPlans: !!env.DEV && !env.VITE_AUTH_URL,
+});
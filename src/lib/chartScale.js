@@ -0,0 +1,100 @@
+// --- Chart Scales and Axis Ticks ---
+
+/** Rounds a raw step up to 1, 2, 2.5 or 5 times a power of ten. */
+const niceStep = (rawStep) => {
+    const power = Math.pow(10, Math.floor(Math.log10(rawStep)));
+    const fraction = rawStep / power;
+    const nice = fraction <= 1 ? 1 : fraction <= 2 ? 2 : fraction <= 2.5 ? 2.5 : fraction <= 5 ? 5 : 10;
+    return nice * power;
+};
+
+/** Round tick values covering [min, max], as `{ ticks, min, max }` widened to the outer ticks. */
+export const niceTicks = (min, max, count = 5) => {
+    if (!Number.isFinite(min) || !Number.isFinite(max)) return { ticks: [], min: 0, max: 1 };
+    if (min === max) {
+        const pad = Math.abs(min) * 0.01 || 1;
+        min -= pad;
+        max += pad;
+    }
+    const step = niceStep((max - min) / Math.max(1, count));
+    const start = Math.floor(min / step) * step;
+    const end = Math.ceil(max / step) * step;
+    const ticks = [];
+    // Rounding keeps float noise such as 0.30000000000000004 out of the labels.
+    for (let value = start; value <= end + step / 2; value += step) ticks.push(Number(value.toFixed(10)));
+    return { ticks, min: start, max: end };
+};
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Candidate calendar steps for the time axis, smallest first.
+const TIME_STEPS = [
+    { unit: 'minute', size: 15, approx: 15 * MINUTE },
+    { unit: 'minute', size: 30, approx: 30 * MINUTE },
+    { unit: 'hour', size: 1, approx: HOUR },
+    { unit: 'hour', size: 2, approx: 2 * HOUR },
+    { unit: 'day', size: 1, approx: DAY },
+    { unit: 'day', size: 2, approx: 2 * DAY },
+    { unit: 'week', size: 1, approx: 7 * DAY },
+    { unit: 'week', size: 2, approx: 14 * DAY },
+    { unit: 'month', size: 1, approx: 30 * DAY },
+    { unit: 'month', size: 3, approx: 91 * DAY },
+    { unit: 'month', size: 6, approx: 182 * DAY },
+    { unit: 'year', size: 1, approx: 365 * DAY },
+    { unit: 'year', size: 2, approx: 730 * DAY },
+];
+
+/** Identifies which calendar bucket of `step` a timestamp falls into. */
+const bucketOf = (time, step) => {
+    const d = new Date(time);
+    switch (step.unit) {
+        case 'minute': return Math.floor(time / (step.size * MINUTE));
+        case 'hour': return `${d.toDateString()}:${Math.floor(d.getHours() / step.size)}`;
+        case 'day': return Math.floor((d.getTime() - d.getTimezoneOffset() * MINUTE) / (step.size * DAY));
+        case 'week': {
+            const monday = new Date(d);
+            monday.setHours(0, 0, 0, 0);
+            monday.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+            return Math.floor(monday.getTime() / (step.size * 7 * DAY));
+        }
+        case 'month': return d.getFullYear() * 12 + Math.floor(d.getMonth() / step.size);
+        default: return Math.floor(d.getFullYear() / step.size);
+    }
+};
+
+const formatTick = (time, step, spansDays) => {
+    const d = new Date(time);
+    if (step.unit === 'minute' || step.unit === 'hour') {
+        const clock = d.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+        return spansDays && d.getHours() < 10 ? d.toLocaleDateString('en-US', { weekday: 'short' }) : clock;
+    }
+    if (step.unit === 'day' || step.unit === 'week') return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    if (step.unit === 'month') {
+        return d.getMonth() === 0 ? String(d.getFullYear()) : d.toLocaleDateString('en-US', { month: 'short' });
+    }
+    return String(d.getFullYear());
+};
+
+/** Time-axis ticks `[{ index, label }]` for bars[start..end], each on the first bar of a calendar bucket. */
+export const timeTicks = (bars, start, end, maxTicks = 6) => {
+    if (end <= start) return [];
+    const span = bars[end].time - bars[start].time;
+    const step = TIME_STEPS.find(s => span / s.approx <= maxTicks) || TIME_STEPS[TIME_STEPS.length - 1];
+    const spansDays = new Date(bars[start].time).toDateString() !== new Date(bars[end].time).toDateString();
+    const minGap = Math.max(1, Math.floor((end - start) / (maxTicks * 2)));
+
+    const ticks = [];
+    let previous = bucketOf(bars[start].time, step);
+    for (let i = start + 1; i <= end; i++) {
+        const bucket = bucketOf(bars[i].time, step);
+        if (bucket !== previous) {
+            if (ticks.length === 0 || i - ticks[ticks.length - 1].index >= minGap) {
+                ticks.push({ index: i, label: formatTick(bars[i].time, step, spansDays) });
+            }
+            previous = bucket;
+        }
+    }
+    return ticks;
+};
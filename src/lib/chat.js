@@ -0,0 +1,130 @@
+// --- Chat Context ---
+// Turns the chat into model `contents`: recent turns within a character budget, older ones summarized.
+//
+// @typedef {Object} ChatMessage
+// @property {string} id
+// @property {'user'|'model'} role
+// @property {string} text
+// @property {{ uri: string, title: string }[]} [sources]
+// @property {boolean} [greeting]  The canned welcome; shown, never sent.
+// @property {boolean} [error]     A failed reply; shown, never sent.
+// @property {boolean} [stopped]   A reply the user stopped part-way.
+// @property {import('./chatTools.js').ToolCall[]} [toolCalls]  Functions the reply asked to run.
+
+/** Characters of recent conversation sent verbatim, about 4k tokens. */
+export const CHAT_CONTEXT_CHARS = 16000;
+
+/** Characters the summary of older turns may take. */
+export const CHAT_SUMMARY_CHARS = 2000;
+
+const SNIPPET_CHARS = 160;
+
+const snippet = (text) => {
+    const flat = text.replace(/\s+/g, ' ').trim();
+    return flat.length > SNIPPET_CHARS ? `${flat.slice(0, SNIPPET_CHARS - 1)}…` : flat;
+};
+
+const RESOLVED = new Set(['done', 'declined', 'error']);
+
+/** Tool calls the model can be told the outcome of; calls still awaiting approval or running are left out. */
+const resolvedCalls = (message) => {
+    const calls = message.toolCalls || [];
+    return calls.length > 0 && calls.every(call => RESOLVED.has(call.status)) ? calls : [];
+};
+
+/** Messages that carry conversation, i.e. everything except greetings, failures and empty replies. */
+export const conversationTurns = (messages) => messages.filter(m =>
+    (m.role === 'user' || m.role === 'model') && !m.greeting && !m.error && (m.text.trim() !== '' || resolvedCalls(m).length > 0));
+
+/** A tool call's outcome for the model. Results of `withheld` tools are left out, since the user has stopped sharing what they read. */
+const toolResponse = (call, withheld = []) => {
+    if (call.status === 'declined') return { error: 'The user declined this action.' };
+    if (call.status === 'error') return { error: call.error };
+    if (withheld.includes(call.name)) return { error: 'The user has stopped sharing this data; the result is withheld.' };
+    return { result: call.result };
+};
+
+/**
+ * A message as Gemini turns: its text, plus for a reply that called tools the
+ * functionCall parts and a following user turn with their functionResponses.
+ */
+const messageContents = (message, withheld) => {
+    const parts = message.text ? [{ text: message.text }] : [];
+    const calls = message.role === 'model' ? resolvedCalls(message) : [];
+    if (calls.length === 0) return [{ role: message.role, parts }];
+    return [
+        {
+            role: 'model',
+            parts: [...parts, ...calls.map(call => ({
+                functionCall: { name: call.name, args: call.args },
+                ...(call.signature ? { thoughtSignature: call.signature } : {}),
+            }))],
+        },
+        { role: 'user', parts: calls.map(call => ({ functionResponse: { name: call.name, response: toolResponse(call, withheld) } })) },
+    ];
+};
+
+/** Rough size of a message once sent, tool results included. */
+const messageChars = (message, withheld) => message.text.length
+    + resolvedCalls(message).reduce((sum, call) => sum + JSON.stringify(call.args).length + JSON.stringify(toolResponse(call, withheld)).length, 0);
+
+const turnSummary = (message) => {
+    const calls = resolvedCalls(message);
+    const tools = calls.length > 0 ? ` (used ${[...new Set(calls.map(call => call.name))].join(', ')})` : '';
+    return `${snippet(message.text)}${tools}`.trim();
+};
+
+/**
+ * One line per older turn, newest kept when they don't all fit, e.g.
+ * "Earlier in this conversation:\nUser: ...\nKuber: ...".
+ */
+export const summarizeTurns = (turns, { maxChars = CHAT_SUMMARY_CHARS } = {}) => {
+    const lines = [];
+    let used = 0;
+    for (let i = turns.length - 1; i >= 0; i--) {
+        const line = `${turns[i].role === 'user' ? 'User' : 'Kuber'}: ${turnSummary(turns[i])}`;
+        if (used + line.length > maxChars) break;
+        lines.unshift(line);
+        used += line.length + 1;
+    }
+    const omitted = turns.length - lines.length;
+    return [
+        'Earlier in this conversation (summarized):',
+        ...(omitted > 0 ? [`(${omitted} older message${omitted === 1 ? '' : 's'} omitted)`] : []),
+        ...lines,
+    ].join('\n');
+};
+
+/**
+ * Gemini `contents` for a conversation: recent turns whole up to `maxChars`, older ones as a summary.
+ * Results of `withheldTools` are replaced by a note.
+ */
+export const buildChatContents = (messages, { maxChars = CHAT_CONTEXT_CHARS, summaryChars = CHAT_SUMMARY_CHARS, withheldTools = [] } = {}) => {
+    const turns = conversationTurns(messages);
+    let start = turns.length;
+    let used = 0;
+    while (start > 0 && (start === turns.length || used + messageChars(turns[start - 1], withheldTools) <= maxChars)) {
+        used += messageChars(turns[start - 1], withheldTools);
+        start--;
+    }
+    // Start the verbatim part on a user turn; a leading reply joins the summary.
+    while (start < turns.length - 1 && turns[start].role !== 'user') start++;
+
+    const recent = turns.slice(start).flatMap(message => messageContents(message, withheldTools));
+    const older = turns.slice(0, start);
+    if (older.length > 0) recent.unshift({ role: 'user', parts: [{ text: summarizeTurns(older, { maxChars: summaryChars }) }] });
+
+    return recent.reduce((contents, turn) => {
+        const last = contents[contents.length - 1];
+        if (!last || last.role !== turn.role) {
+            contents.push({ role: turn.role, parts: [...turn.parts] });
+            return contents;
+        }
+        const [first, ...rest] = turn.parts;
+        const tail = last.parts[last.parts.length - 1];
+        if (tail?.text != null && first?.text != null) tail.text += `\n\n${first.text}`;
+        else if (first) last.parts.push(first);
+        last.parts.push(...rest);
+        return contents;
+    }, []);
+};
@@ -0,0 +1,142 @@
+// --- Chatbot Tools ---
+// Gemini function declarations for Kuber; tools that change anything run only once the user approves.
+//
+// @typedef {Object} ToolCall
+// @property {string} id
+// @property {string} name
+// @property {Object} args
+// @property {string} [signature]  Model thought signature, echoed back with the call.
+// @property {'pending'|'running'|'done'|'declined'|'error'} status
+// @property {Object} [result]     What the tool returned, or `{ error }`.
+
+import { ALERT_CONDITIONS, ALERT_MODES } from './alerts.js';
+import { HISTORY_RANGES } from './marketData.js';
+import { VIEW_PATHS } from './routes.js';
+
+export const TOOL_DECLARATIONS = [
+    {
+        name: 'get_holdings',
+        description: "The user's portfolio: each holding with quantity, average cost, price, market value and unrealized P&L, plus cash and totals.",
+        parameters: { type: 'OBJECT', properties: {} },
+    },
+    {
+        name: 'get_watchlists',
+        description: "The user's watchlists by name with the tickers on each, and which list is selected.",
+        parameters: { type: 'OBJECT', properties: {} },
+    },
+    {
+        name: 'get_current_view',
+        description: 'The page the user has open in the app and, on the Performance page, the ticker being viewed.',
+        parameters: { type: 'OBJECT', properties: {} },
+    },
+    {
+        name: 'get_quote',
+        description: 'Latest quote for a stock, fund or index ticker: price, daily change and market cap.',
+        parameters: {
+            type: 'OBJECT',
+            properties: { ticker: { type: 'STRING', description: 'Ticker symbol, e.g. NVDA.' } },
+            required: ['ticker'],
+        },
+    },
+    {
+        name: 'get_history',
+        description: 'Price history summary for a ticker over a range: start and end price, return, high, low and up to 30 evenly spaced closes.',
+        parameters: {
+            type: 'OBJECT',
+            properties: {
+                ticker: { type: 'STRING', description: 'Ticker symbol.' },
+                range: { type: 'STRING', enum: Object.keys(HISTORY_RANGES), description: 'History range; defaults to 1M.' },
+            },
+            required: ['ticker'],
+        },
+    },
+    {
+        name: 'add_to_watchlist',
+        description: "Adds a ticker to one of the user's watchlists (the selected list when none is named). Requires the user's approval.",
+        parameters: {
+            type: 'OBJECT',
+            properties: {
+                ticker: { type: 'STRING', description: 'Ticker symbol.' },
+                list: { type: 'STRING', description: 'Watchlist name.' },
+            },
+            required: ['ticker'],
+        },
+    },
+    {
+        name: 'create_alert',
+        description: "Creates a price alert for the user. Requires the user's approval.",
+        parameters: {
+            type: 'OBJECT',
+            properties: {
+                ticker: { type: 'STRING', description: 'Ticker symbol.' },
+                condition: { type: 'STRING', enum: Object.keys(ALERT_CONDITIONS), description: 'priceAbove/priceBelow take a price, percentMove a percent, volumeSpike a multiple of normal volume; high52/low52 take none.' },
+                threshold: { type: 'NUMBER', description: 'Price, percent or volume multiple, depending on the condition.' },
+                mode: { type: 'STRING', enum: Object.keys(ALERT_MODES), description: 'once (default) or recurring.' },
+            },
+            required: ['ticker', 'condition'],
+        },
+    },
+    {
+        name: 'navigate',
+        description: "Opens a page of the app, optionally the Performance page for a ticker. Requires the user's approval.",
+        parameters: {
+            type: 'OBJECT',
+            properties: {
+                view: { type: 'STRING', enum: Object.keys(VIEW_PATHS) },
+                ticker: { type: 'STRING', description: 'Ticker to open on the Performance page.' },
+            },
+            required: ['view'],
+        },
+    },
+];
+
+/** Added to Kuber's system prompt whenever tools are offered. */
+export const KUBER_TOOLS_PROMPT = "You can call functions to read the user's holdings, watchlists, current page and market data, and to add tickers to watchlists, create alerts or open pages of the app. Use them whenever a question is about the user's own data instead of guessing. Actions only run after the user approves them, so never claim an action is done until its result says so.";
+
+/** Tools that change app state and so wait for the user's approval. */
+export const CONFIRMED_TOOLS = new Set(['add_to_watchlist', 'create_alert', 'navigate']);
+
+/** Tool rounds allowed after one user message before Kuber must answer in words. */
+export const MAX_TOOL_ROUNDS = 4;
+
+/** What an approval card asks, e.g. "Add NVDA to My Watchlist?". */
+export const describeToolCall = ({ name, args = {} }) => {
+    const ticker = String(args.ticker || '').toUpperCase();
+    switch (name) {
+        case 'add_to_watchlist': return `Add ${ticker} to ${args.list ? `"${args.list}"` : 'your selected watchlist'}?`;
+        case 'create_alert': return `Create an alert: ${ticker} ${ALERT_CONDITIONS[args.condition]?.label.toLowerCase() || args.condition}${args.threshold != null ? ` ${args.threshold}` : ''} (${args.mode === 'recurring' ? 'recurring' : 'once'})?`;
+        case 'navigate': return `Open ${args.view}${args.view === 'Performance' && ticker ? ` for ${ticker}` : ''}?`;
+        default: return `Run ${name}?`;
+    }
+};
+
+const TOOL_TITLES = {
+    get_holdings: 'Holdings',
+    get_watchlists: 'Watchlists',
+    get_current_view: 'Current page',
+    get_quote: 'Quote',
+    get_history: 'Price history',
+    add_to_watchlist: 'Add to watchlist',
+    create_alert: 'Create alert',
+    navigate: 'Navigate',
+};
+
+export const toolTitle = (name) => TOOL_TITLES[name] || name;
+
+/** Summarizes bars for the model: endpoints, return, extremes and a thinned close series. */
+export const summarizeHistory = (ticker, range, bars) => {
+    if (bars.length === 0) return { ticker, range, bars: 0 };
+    const first = bars[0];
+    const last = bars[bars.length - 1];
+    const step = Math.max(1, Math.ceil(bars.length / 30));
+    return {
+        ticker,
+        range,
+        start: { time: new Date(first.time).toISOString(), price: first.open },
+        end: { time: new Date(last.time).toISOString(), price: last.close },
+        returnPercent: (last.close / first.open - 1) * 100,
+        high: Math.max(...bars.map(b => b.high)),
+        low: Math.min(...bars.map(b => b.low)),
+        closes: bars.filter((_, i) => i % step === 0 || i === bars.length - 1).map(b => Number(b.close.toFixed(2))),
+    };
+};
@@ -0,0 +1,84 @@
+// --- Multi-Ticker Comparison ---
+// Aligns histories on shared timestamps, rebases them to percent return and compares each to a benchmark.
+
+import { HISTORY_RANGES } from './marketData.js';
+
+const TRADING_DAYS_PER_YEAR = 252;
+
+/** How many bars of `range` make up a year, for annualizing volatility. */
+export const periodsPerYear = (range) => {
+    const spec = HISTORY_RANGES[range];
+    if (!spec) return TRADING_DAYS_PER_YEAR;
+    if (spec.interval === 'intraday') return TRADING_DAYS_PER_YEAR * (390 / spec.minutes);
+    return spec.interval === 'weekly' ? 52 : TRADING_DAYS_PER_YEAR;
+};
+
+/** `{ times, closes: { [ticker]: number[] } }` over the timestamps every history has. */
+export const alignHistories = (histories) => {
+    const tickers = Object.keys(histories);
+    if (tickers.length === 0) return { times: [], closes: {} };
+    const byTime = tickers.map(t => new Map(histories[t].map(bar => [bar.time, bar.close])));
+    const times = histories[tickers[0]].map(bar => bar.time).filter(time => byTime.every(map => map.has(time)));
+    return {
+        times,
+        closes: Object.fromEntries(tickers.map((t, i) => [t, times.map(time => byTime[i].get(time))])),
+    };
+};
+
+/** Percentage return of every close relative to the first one. */
+export const rebase = (closes) => closes.map(close => (close / closes[0] - 1) * 100);
+
+const periodReturns = (closes) => closes.slice(1).map((close, i) => close / closes[i] - 1);
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/** Sample standard deviation. */
+const stdev = (values) => {
+    if (values.length < 2) return 0;
+    const m = mean(values);
+    return Math.sqrt(values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1));
+};
+
+/** Largest peak-to-trough fall, as a negative percentage (0 when prices never fell). */
+export const maxDrawdown = (closes) => {
+    let peak = -Infinity;
+    let worst = 0;
+    closes.forEach(close => {
+        peak = Math.max(peak, close);
+        worst = Math.min(worst, close / peak - 1);
+    });
+    return worst * 100;
+};
+
+/** Pearson correlation of two equal-length series, or null when either is flat. */
+export const correlation = (a, b) => {
+    if (a.length < 2 || a.length !== b.length) return null;
+    const ma = mean(a);
+    const mb = mean(b);
+    let cov = 0;
+    let va = 0;
+    let vb = 0;
+    a.forEach((x, i) => {
+        cov += (x - ma) * (b[i] - mb);
+        va += (x - ma) ** 2;
+        vb += (b[i] - mb) ** 2;
+    });
+    return va === 0 || vb === 0 ? null : cov / Math.sqrt(va * vb);
+};
+
+/** Per ticker: return, max drawdown and annualized volatility in percent, and correlation with the benchmark. */
+export const compareSeries = (aligned, benchmark, range) => {
+    const benchmarkReturns = aligned.closes[benchmark] ? periodReturns(aligned.closes[benchmark]) : null;
+    const annualize = Math.sqrt(periodsPerYear(range));
+    return Object.entries(aligned.closes).map(([ticker, closes]) => {
+        const returns = periodReturns(closes);
+        return {
+            ticker,
+            isBenchmark: ticker === benchmark,
+            periodReturn: closes.length > 0 ? (closes[closes.length - 1] / closes[0] - 1) * 100 : null,
+            volatility: stdev(returns) * annualize * 100,
+            maxDrawdown: maxDrawdown(closes),
+            correlation: benchmarkReturns ? correlation(returns, benchmarkReturns) : null,
+        };
+    });
+};
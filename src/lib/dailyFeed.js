@@ -0,0 +1,95 @@
+// --- Daily Update Feed ---
+// Provider events plus price-threshold crossings, scored for importance and grouped by day.
+
+export const FEED_TYPES = {
+    earnings: { label: 'Earnings', weight: 55 },
+    threshold: { label: 'Price Move', weight: 45 },
+    market: { label: 'Market', weight: 40 },
+    news: { label: 'News', weight: 30 },
+};
+
+/** The Dashboard's All / Latest / Important selector values. */
+export const FEED_FILTERS = ['all', 'latest', 'important'];
+export const DEFAULT_FEED_FILTER = 'latest';
+
+/** Items scoring at least this are shown under "Important". */
+export const IMPORTANT_SCORE = 50;
+
+/** "Latest" covers the most recent days that have any items, so a Monday still shows Friday. */
+export const LATEST_DAYS = 2;
+
+/** A move this many times the ticker's usual daily move (and at least MIN_MOVE_PERCENT) is unusual. */
+export const UNUSUAL_MOVE_MULTIPLE = 3;
+export const UNUSUAL_MOVE_LOOKBACK = 60;
+export const MIN_MOVE_PERCENT = 1.5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Unusually large moves and new 52-week closing highs or lows in the last `days` of `bars`. */
+export const detectThresholdEvents = (ticker, bars, { days = 7, now = Date.now() } = {}) => {
+    const events = [];
+    const since = now - days * DAY_MS;
+    bars.forEach((bar, i) => {
+        if (i === 0 || bar.time < since) return;
+        const time = bar.time + 16 * 60 * 60 * 1000;
+        if (time > now) return;
+        const move = (bar.close / bars[i - 1].close - 1) * 100;
+        const recent = bars.slice(Math.max(1, i - UNUSUAL_MOVE_LOOKBACK), i);
+        const typical = recent.reduce((sum, b, j) => sum + Math.abs(b.close / bars[i - recent.length + j - 1].close - 1) * 100, 0) / (recent.length || 1);
+        if (recent.length > 0 && Math.abs(move) >= Math.max(MIN_MOVE_PERCENT, typical * UNUSUAL_MOVE_MULTIPLE)) {
+            events.push({
+                id: `threshold:${ticker}:${bar.time}:move`,
+                type: 'threshold',
+                ticker,
+                title: `${ticker} ${move > 0 ? 'jumped' : 'fell'} ${Math.abs(move).toFixed(1)}% to $${bar.close.toFixed(2)}`,
+                time,
+                magnitude: Math.abs(move),
+            });
+        }
+        const yearBefore = bars.slice(Math.max(0, i - 252), i);
+        if (yearBefore.length < 200) return;
+        if (bar.close > Math.max(...yearBefore.map(b => b.high))) {
+            events.push({ id: `threshold:${ticker}:${bar.time}:high`, type: 'threshold', ticker, title: `${ticker} closed at a 52-week high of $${bar.close.toFixed(2)}`, time, magnitude: 4 });
+        } else if (bar.close < Math.min(...yearBefore.map(b => b.low))) {
+            events.push({ id: `threshold:${ticker}:${bar.time}:low`, type: 'threshold', ticker, title: `${ticker} closed at a 52-week low of $${bar.close.toFixed(2)}`, time, magnitude: 4 });
+        }
+    });
+    return events;
+};
+
+/** Importance from 0 to 100: by type, held over watched, size of move, less with age. */
+export const scoreFeedItem = (item, { heldTickers = [], now = Date.now() } = {}) => {
+    let score = FEED_TYPES[item.type]?.weight ?? 20;
+    if (item.ticker && heldTickers.includes(item.ticker)) score += 25;
+    if (item.magnitude) score += Math.min(20, item.magnitude * 3);
+    score -= Math.max(0, (now - item.time) / DAY_MS) * 2;
+    return Math.round(Math.min(100, Math.max(0, score)));
+};
+
+const dayKey = (time) => {
+    const d = new Date(time);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+const dayLabel = (time, now) => {
+    if (dayKey(time) === dayKey(now)) return 'Today';
+    if (dayKey(time) === dayKey(now - DAY_MS)) return 'Yesterday';
+    return new Date(time).toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric' });
+};
+
+/**
+ * Items for `filter` ('all', 'latest' or 'important') grouped by day, newest day first.
+ * 'important' puts the highest score first within a day.
+ */
+export const groupFeed = (items, filter, { now = Date.now() } = {}) => {
+    const kept = filter === 'important' ? items.filter(item => item.score >= IMPORTANT_SCORE) : items;
+    const days = new Map();
+    [...kept].sort((a, b) => b.time - a.time).forEach(item => {
+        const key = dayKey(item.time);
+        if (!days.has(key)) days.set(key, { key, label: dayLabel(item.time, now), items: [] });
+        days.get(key).items.push(item);
+    });
+    const groups = [...days.values()];
+    if (filter === 'important') groups.forEach(group => group.items.sort((a, b) => b.score - a.score || b.time - a.time));
+    return filter === 'latest' ? groups.slice(0, LATEST_DAYS) : groups;
+};
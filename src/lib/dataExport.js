@@ -0,0 +1,95 @@
+// --- Data Export ---
+// One ExportSpec serialized to CSV, JSON or XLSX, each starting with its metadata and generation time.
+//
+// @typedef {Object} ExportSpec
+// @property {string} name                                File name stem, e.g. 'watchlist'.
+// @property {{ key: string, label: string }[]} columns
+// @property {Object[]} rows                              Keyed by column `key`.
+// @property {Object} [metadata]                          e.g. { source, currency, filters, dateRange }.
+
+export const EXPORT_FORMATS = ['csv', 'json', 'xlsx'];
+
+const MIME_TYPES = {
+    csv: 'text/csv;charset=utf-8',
+    json: 'application/json',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+const METADATA_LABELS = {
+    generatedAt: 'Generated at',
+    source: 'Data source',
+    currency: 'Currency',
+    filters: 'Filters',
+    dateRange: 'Date range',
+    ticker: 'Ticker',
+    cash: 'Cash',
+    totalValue: 'Total value',
+    analysis: 'Analysis',
+};
+
+const withGeneratedAt = (metadata = {}) => ({ generatedAt: new Date().toISOString(), ...metadata });
+
+const metadataEntries = (metadata) =>
+    Object.entries(metadata)
+        .filter(([, value]) => value != null && value !== '')
+        .map(([key, value]) => [METADATA_LABELS[key] || key, String(value)]);
+
+/** Quotes a CSV cell when needed; text a spreadsheet would run as a formula gets a leading apostrophe. */
+const csvCell = (value) => {
+    if (value == null) return '';
+    if (typeof value === 'number') return Number.isFinite(value) ? String(value) : '';
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = ({ columns, rows, metadata }) => {
+    const lines = metadataEntries(withGeneratedAt(metadata)).map(([label, value]) => `# ${label},${csvCell(value)}`);
+    lines.push(columns.map(c => csvCell(c.label)).join(','));
+    rows.forEach(row => lines.push(columns.map(c => csvCell(row[c.key])).join(',')));
+    return `${lines.join('\r\n')}\r\n`;
+};
+
+export const toJson = ({ columns, rows, metadata }) =>
+    JSON.stringify({
+        metadata: withGeneratedAt(metadata),
+        columns,
+        rows: rows.map(row => Object.fromEntries(columns.map(c => [c.key, row[c.key] ?? null]))),
+    }, null, 2);
+
+/** Builds an XLSX workbook; SheetJS is loaded on demand to keep it out of the main bundle. */
+export const toXlsx = async ({ columns, rows, metadata }) => {
+    const XLSX = await import('xlsx');
+    const table = [
+        ...metadataEntries(withGeneratedAt(metadata)),
+        [],
+        columns.map(c => c.label),
+        ...rows.map(row => columns.map(c => row[c.key] ?? '')),
+    ];
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(table), 'Export');
+    return XLSX.write(workbook, { type: 'array', bookType: 'xlsx' });
+};
+
+/** Hands `content` to the browser as a download named `fileName`. */
+export const downloadFile = (content, fileName, type) => {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/** File name for a download made today, e.g. 'watchlist-2024-05-01.csv'. */
+export const datedFileName = (name, extension) => `${name}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+/** Serializes the export and hands it to the browser as a file download. */
+export const downloadExport = async (format, spec) => {
+    if (!EXPORT_FORMATS.includes(format)) throw new Error(`Unsupported export format "${format}".`);
+    const content = format === 'csv' ? toCsv(spec) : format === 'json' ? toJson(spec) : await toXlsx(spec);
+    downloadFile(content, datedFileName(spec.name, format), MIME_TYPES[format]);
+};
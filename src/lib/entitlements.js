@@ -0,0 +1,59 @@
+// --- Plans and Entitlements ---
+// What each plan may use, and the daily AI quota the auth API counts (docs/auth-api.md).
+//
+// @typedef {Object} AiUsage
+// @property {string} period    The day being counted, 'YYYY-MM-DD' in the user's time zone.
+// @property {number} used
+// @property {number} limit
+// @property {string} resetsAt  ISO timestamp of the next reset.
+
+export const PLANS = {
+    free: { label: 'Free', aiRequestsPerDay: 10, features: ['chat', 'newsSummary'] },
+    premium: { label: 'Premium', aiRequestsPerDay: 200, features: ['chat', 'newsSummary', 'watchlistDigest', 'portfolioAnalysis'] },
+};
+
+export const DEFAULT_PLAN = 'free';
+
+/** Every AI feature, as named in LLM requests. */
+export const AI_FEATURES = {
+    chat: { label: 'Kuber chat' },
+    newsSummary: { label: 'AI news summary' },
+    watchlistDigest: { label: 'Watchlist digest' },
+    portfolioAnalysis: { label: 'AI portfolio analysis' },
+};
+
+/** What Premium adds, for upgrade prompts. */
+export const PREMIUM_PERKS = [
+    `${PLANS.premium.aiRequestsPerDay} AI requests a day instead of ${PLANS.free.aiRequestsPerDay}`,
+    'AI portfolio diversification analysis',
+    'One-click AI digest of a whole watchlist',
+];
+
+export const planOf = (user) => (PLANS[user?.plan] ? user.plan : DEFAULT_PLAN);
+
+export const hasFeature = (plan, feature) => (PLANS[plan] || PLANS[DEFAULT_PLAN]).features.includes(feature);
+
+/** The lowest plan that includes `feature`. */
+export const requiredPlan = (feature) => Object.keys(PLANS).find(plan => hasFeature(plan, feature)) || 'premium';
+
+/** The usage day containing `now` in `timezone`: its 'YYYY-MM-DD' key and when the next one starts. */
+export const usagePeriod = (timezone = 'UTC', now = Date.now()) => {
+    let parts;
+    try {
+        parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23',
+        }).formatToParts(now);
+    } catch {
+        return usagePeriod('UTC', now);
+    }
+    const { year, month, day, hour, minute, second } = Object.fromEntries(parts.map(part => [part.type, Number(part.value)]));
+    const offset = Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(now / 1000) * 1000;
+    const pad = (n) => String(n).padStart(2, '0');
+    return {
+        key: `${year}-${pad(month)}-${pad(day)}`,
+        resetsAt: new Date(Date.UTC(year, month - 1, day + 1) - offset).toISOString(),
+    };
+};
+
+export const remainingRequests = (usage) => (usage ? Math.max(0, usage.limit - usage.used) : null);
@@ -0,0 +1,32 @@
+// --- Number Formatting ---
+
+/** Formats a money amount, e.g. $12,500.00 or, with `compact`, $1.5M. */
+export const formatCurrency = (value, { currency = 'USD', compact = false } = {}) =>
+    new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency,
+        notation: compact ? 'compact' : 'standard',
+        maximumFractionDigits: compact ? 1 : 2,
+        minimumFractionDigits: compact ? 0 : 2,
+    }).format(value || 0);
+
+/** Formats a percentage with an explicit sign, e.g. +8.50%. */
+export const formatPercent = (value, digits = 2) =>
+    `${value >= 0 ? '+' : ''}${(value || 0).toFixed(digits)}%`;
+
+/** How long ago `time` was, e.g. "just now", "5 min ago", "2 h ago", or the date once it is a day old. */
+export const formatTimeAgo = (time, now = Date.now()) => {
+    const minutes = Math.floor((now - time) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+    return new Date(time).toLocaleDateString();
+};
+
+/** "in 5 h", "in 12 min": how long until `time`. */
+export const formatTimeUntil = (time, now = Date.now()) => {
+    const minutes = Math.ceil((time - now) / 60000);
+    if (minutes <= 1) return 'in a minute';
+    if (minutes < 60) return `in ${minutes} min`;
+    return `in ${Math.round(minutes / 60)} h`;
+};
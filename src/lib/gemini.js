@@ -0,0 +1,72 @@
+// --- Gemini Wire Format ---
+// Payloads for Gemini's `streamGenerateContent`, which the LLM proxy sends, and parsing of its streamed replies.
+
+export const KUBER_SYSTEM_PROMPT = "You are a friendly, concise, and helpful financial assistant named 'Kuber'. Provide short, actionable advice or information based on financial markets, avoiding overly complex jargon. Always answer concisely.";
+
+/** Web sources from a candidate's grounding metadata, in either of the shapes the API has used. */
+export const groundingSources = (metadata) => {
+    const entries = metadata?.groundingChunks || metadata?.groundingAttributions || [];
+    return entries
+        .map(entry => ({ uri: entry.web?.uri, title: entry.web?.title }))
+        .filter(source => source.uri && source.title);
+};
+
+/**
+ * Splits an SSE byte stream into its `data:` payloads, parsed as JSON.
+ * Events are separated by a blank line; malformed events are skipped.
+ */
+async function* readEvents(body) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for (;;) {
+        const { value, done } = await reader.read();
+        buffer += decoder.decode(value, { stream: !done });
+        const events = buffer.split(/\r?\n\r?\n/);
+        buffer = done ? '' : events.pop();
+        for (const event of events) {
+            const data = event.split(/\r?\n/).filter(line => line.startsWith('data:')).map(line => line.slice(5).trim()).join('');
+            if (!data) continue;
+            try {
+                yield JSON.parse(data);
+            } catch {
+                // A partial or non-JSON event carries nothing we can show.
+            }
+        }
+        if (done) return;
+    }
+}
+
+/** The payload for an LLM request; `functionDeclarations` replace grounding, as the API won't combine them. */
+export const buildGeminiPayload = ({ contents, systemPrompt = KUBER_SYSTEM_PROMPT, useGrounding = true, functionDeclarations }) => ({
+    contents,
+    tools: functionDeclarations
+        ? [{ functionDeclarations }]
+        : useGrounding ? [{ "google_search": {} }] : undefined,
+    systemInstruction: { parts: [{ text: systemPrompt }] },
+});
+
+/** Reads a streamed reply into `{ text, sources, functionCalls }`, passing the text so far to `onText`. */
+export const readGeminiStream = async (body, onText = () => {}) => {
+    let text = '';
+    let sources = [];
+    const functionCalls = [];
+    for await (const chunk of readEvents(body)) {
+        const candidate = chunk.candidates?.[0];
+        const parts = candidate?.content?.parts || [];
+        const delta = parts.map(part => part.text || '').join('');
+        if (delta) {
+            text += delta;
+            onText(text);
+        }
+        parts.filter(part => part.functionCall?.name).forEach(part => functionCalls.push({
+            name: part.functionCall.name,
+            args: part.functionCall.args || {},
+            signature: part.thoughtSignature,
+        }));
+        const chunkSources = groundingSources(candidate?.groundingMetadata);
+        if (chunkSources.length > 0) sources = chunkSources;
+    }
+    if (!text && functionCalls.length === 0) throw new Error('Invalid response structure from Gemini API.');
+    return { text, sources, functionCalls };
+};
@@ -0,0 +1,36 @@
+// --- Cached Price History ---
+// Keeps price history in IndexedDB; stale entries are refetched, and still served if that fails.
+
+import { HISTORY_RANGES } from './marketData.js';
+import { idbGet, idbPut } from './storage.js';
+
+const MINUTE_MS = 60 * 1000;
+
+/** How long a cached history stays fresh, by bar interval. */
+export const HISTORY_CACHE_TTL = {
+    intraday: MINUTE_MS,
+    daily: 60 * MINUTE_MS,
+    weekly: 24 * 60 * MINUTE_MS,
+};
+
+const STORE = 'historyCache';
+
+/** `provider` with getHistory cached, keyed by provider name so the mock and a real API never mix. */
+export const withHistoryCache = (provider, { now = () => Date.now() } = {}) => ({
+    ...provider,
+
+    async getHistory(ticker, { range } = {}) {
+        const key = `${provider.name}:${ticker.toUpperCase()}:${range}`;
+        const ttl = HISTORY_CACHE_TTL[HISTORY_RANGES[range]?.interval] ?? MINUTE_MS;
+        const cached = await idbGet(STORE, key);
+        if (cached && now() - cached.fetchedAt < ttl) return cached.bars;
+        try {
+            const bars = await provider.getHistory(ticker, { range });
+            idbPut(STORE, { key, bars, fetchedAt: now() });
+            return bars;
+        } catch (error) {
+            if (cached) return cached.bars;
+            throw error;
+        }
+    },
+});
@@ -0,0 +1,241 @@
+// --- Technical Indicators ---
+// Pure functions over OHLCV bars; each series has one entry per bar, null until there is enough history.
+
+const closes = (bars) => bars.map(b => b.close);
+
+/** Simple moving average of `values` (which may start with nulls). */
+export const sma = (values, period) => {
+    const out = new Array(values.length).fill(null);
+    let sum = 0;
+    let run = 0;
+    values.forEach((value, i) => {
+        if (value == null) {
+            sum = 0;
+            run = 0;
+            return;
+        }
+        sum += value;
+        run += 1;
+        if (run > period) sum -= values[i - period];
+        if (run >= period) out[i] = sum / period;
+    });
+    return out;
+};
+
+/** Exponential moving average, seeded with the SMA of the first `period` values. */
+export const ema = (values, period) => {
+    const out = new Array(values.length).fill(null);
+    const alpha = 2 / (period + 1);
+    const seed = sma(values, period);
+    let previous = null;
+    values.forEach((value, i) => {
+        if (value == null) {
+            previous = null;
+            return;
+        }
+        if (previous == null) {
+            if (seed[i] == null) return;
+            previous = seed[i];
+        } else {
+            previous = value * alpha + previous * (1 - alpha);
+        }
+        out[i] = previous;
+    });
+    return out;
+};
+
+/** Bollinger Bands: SMA middle band with `deviations` population standard deviations either side. */
+export const bollinger = (values, period, deviations = 2) => {
+    const middle = sma(values, period);
+    const upper = new Array(values.length).fill(null);
+    const lower = new Array(values.length).fill(null);
+    middle.forEach((mean, i) => {
+        if (mean == null) return;
+        let variance = 0;
+        for (let j = i - period + 1; j <= i; j++) variance += (values[j] - mean) ** 2;
+        const spread = Math.sqrt(variance / period) * deviations;
+        upper[i] = mean + spread;
+        lower[i] = mean - spread;
+    });
+    return { upper, middle, lower };
+};
+
+/** Relative Strength Index with Wilder's smoothing, 0-100. */
+export const rsi = (values, period) => {
+    const out = new Array(values.length).fill(null);
+    let avgGain = 0;
+    let avgLoss = 0;
+    for (let i = 1; i < values.length; i++) {
+        const change = values[i] - values[i - 1];
+        const gain = Math.max(0, change);
+        const loss = Math.max(0, -change);
+        if (i <= period) {
+            avgGain += gain / period;
+            avgLoss += loss / period;
+            if (i < period) continue;
+        } else {
+            avgGain = (avgGain * (period - 1) + gain) / period;
+            avgLoss = (avgLoss * (period - 1) + loss) / period;
+        }
+        out[i] = avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss);
+    }
+    return out;
+};
+
+/** MACD line (fast EMA - slow EMA), its signal EMA and the histogram between them. */
+export const macd = (values, fast, slow, signalPeriod) => {
+    const fastEma = ema(values, fast);
+    const slowEma = ema(values, slow);
+    const line = values.map((_, i) => (fastEma[i] == null || slowEma[i] == null ? null : fastEma[i] - slowEma[i]));
+    const signal = ema(line, signalPeriod);
+    const histogram = line.map((value, i) => (value == null || signal[i] == null ? null : value - signal[i]));
+    return { line, signal, histogram };
+};
+
+/** VWAP of the typical price, restarting each session for intraday bars and anchored to the range start otherwise. */
+export const vwap = (bars) => {
+    let volume = 0;
+    let weighted = 0;
+    let session = null;
+    const intraday = bars.length > 1 && bars[1].time - bars[0].time < 24 * 60 * 60 * 1000;
+    return bars.map(bar => {
+        const day = new Date(bar.time).toDateString();
+        if (intraday && day !== session) {
+            session = day;
+            volume = 0;
+            weighted = 0;
+        }
+        volume += bar.volume;
+        weighted += bar.volume * (bar.high + bar.low + bar.close) / 3;
+        return volume > 0 ? weighted / volume : null;
+    });
+};
+
+// --- Indicator Catalog ---
+//
+// `kind` decides where an indicator is drawn: 'overlay' on the price pane,
+// 'oscillator' in its own pane below the volume. `compute` returns the lines
+// to draw; oscillators may also give a fixed `domain` and reference `guides`.
+
+export const INDICATORS = [
+    {
+        id: 'sma',
+        label: 'SMA',
+        name: 'Simple Moving Average',
+        kind: 'overlay',
+        params: [{ key: 'period', label: 'Period', default: 20, min: 2, max: 200 }],
+        compute: (bars, { period }) => ({
+            lines: [{ label: `SMA ${period}`, values: sma(closes(bars), period), color: '#F59E0B' }],
+        }),
+    },
+    {
+        id: 'ema',
+        label: 'EMA',
+        name: 'Exponential Moving Average',
+        kind: 'overlay',
+        params: [{ key: 'period', label: 'Period', default: 50, min: 2, max: 200 }],
+        compute: (bars, { period }) => ({
+            lines: [{ label: `EMA ${period}`, values: ema(closes(bars), period), color: '#EC4899' }],
+        }),
+    },
+    {
+        id: 'bollinger',
+        label: 'Bollinger',
+        name: 'Bollinger Bands',
+        kind: 'overlay',
+        params: [
+            { key: 'period', label: 'Period', default: 20, min: 2, max: 200 },
+            { key: 'deviations', label: 'Std dev', default: 2, min: 1, max: 4, step: 0.5 },
+        ],
+        compute: (bars, { period, deviations }) => {
+            const { upper, middle, lower } = bollinger(closes(bars), period, deviations);
+            return {
+                band: { upper, lower, color: '#06B6D4' },
+                lines: [
+                    { label: `BB ${period} upper`, values: upper, color: '#06B6D4' },
+                    { label: `BB ${period} mid`, values: middle, color: '#06B6D4', dashed: true },
+                    { label: `BB ${period} lower`, values: lower, color: '#06B6D4' },
+                ],
+            };
+        },
+    },
+    {
+        id: 'vwap',
+        label: 'VWAP',
+        name: 'Volume-Weighted Average Price',
+        kind: 'overlay',
+        params: [],
+        compute: (bars) => ({
+            lines: [{ label: 'VWAP', values: vwap(bars), color: '#8B5CF6' }],
+        }),
+    },
+    {
+        id: 'rsi',
+        label: 'RSI',
+        name: 'Relative Strength Index',
+        kind: 'oscillator',
+        params: [{ key: 'period', label: 'Period', default: 14, min: 2, max: 100 }],
+        compute: (bars, { period }) => ({
+            domain: [0, 100],
+            guides: [30, 70],
+            lines: [{ label: `RSI ${period}`, values: rsi(closes(bars), period), color: '#8B5CF6' }],
+        }),
+    },
+    {
+        id: 'macd',
+        label: 'MACD',
+        name: 'Moving Average Convergence Divergence',
+        kind: 'oscillator',
+        params: [
+            { key: 'fast', label: 'Fast', default: 12, min: 2, max: 100 },
+            { key: 'slow', label: 'Slow', default: 26, min: 3, max: 200 },
+            { key: 'signal', label: 'Signal', default: 9, min: 2, max: 100 },
+        ],
+        compute: (bars, { fast, slow, signal }) => {
+            const result = macd(closes(bars), fast, slow, signal);
+            return {
+                guides: [0],
+                lines: [
+                    { label: 'Histogram', values: result.histogram, histogram: true },
+                    { label: `MACD ${fast},${slow}`, values: result.line, color: '#3B82F6' },
+                    { label: `Signal ${signal}`, values: result.signal, color: '#F97316' },
+                ],
+            };
+        },
+    },
+];
+
+/** Every indicator switched off, with its default parameters. */
+export const DEFAULT_INDICATOR_SETTINGS = Object.fromEntries(INDICATORS.map(indicator => [
+    indicator.id,
+    { enabled: false, ...Object.fromEntries(indicator.params.map(p => [p.key, p.default])) },
+]));
+
+const clampParam = (param, value) => {
+    const number = Number(value);
+    if (!Number.isFinite(number)) return param.default;
+    const stepped = param.step ? Math.round(number / param.step) * param.step : Math.round(number);
+    return Math.min(param.max, Math.max(param.min, stepped));
+};
+
+/**
+ * Fills in defaults and clamps every parameter to its allowed range, so saved
+ * settings from an older version (or hand-edited storage) are always usable.
+ */
+export const normalizeIndicatorSettings = (settings = {}) => Object.fromEntries(INDICATORS.map(indicator => {
+    const saved = settings[indicator.id] || {};
+    return [indicator.id, {
+        enabled: Boolean(saved.enabled),
+        ...Object.fromEntries(indicator.params.map(p => [p.key, clampParam(p, saved[p.key] ?? p.default)])),
+    }];
+}));
+
+/** Computes every enabled indicator over `bars`, in catalog order. */
+export const computeIndicators = (bars, settings) => INDICATORS
+    .filter(indicator => settings[indicator.id]?.enabled)
+    .map(indicator => ({
+        id: indicator.id,
+        label: indicator.label,
+        kind: indicator.kind,
+        ...indicator.compute(bars, settings[indicator.id]),
+    }));
@@ -0,0 +1,168 @@
+// --- Portfolio Ledger ---
+// Holdings, cash and P&L derived from an ordered list of transactions, at average cost.
+//
+// @typedef {Object} Transaction
+// @property {string} id
+// @property {'buy'|'sell'|'deposit'|'withdrawal'|'fee'} type
+// @property {string} date       ISO date (YYYY-MM-DD).
+// @property {string} [ticker]   buy / sell only.
+// @property {number} [quantity] buy / sell only.
+// @property {number} [price]    buy / sell only, per unit.
+// @property {number} [amount]   deposit / withdrawal / fee only.
+// @property {number} [fees]     buy / sell commission.
+
+export const TRANSACTION_TYPES = ['buy', 'sell', 'deposit', 'withdrawal', 'fee'];
+
+export class LedgerError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LedgerError';
+    }
+}
+
+const isTrade = (type) => type === 'buy' || type === 'sell';
+
+// Quantities below this are treated as a closed position (float dust from partial sells).
+const EPSILON = 1e-9;
+
+/** Returns a list of problems with a single transaction; empty when it is well-formed. */
+export const validateTransaction = (tx) => {
+    const errors = [];
+    if (!TRANSACTION_TYPES.includes(tx.type)) errors.push(`Unknown transaction type "${tx.type}".`);
+    if (!tx.date || Number.isNaN(Date.parse(tx.date))) errors.push('A valid date is required.');
+
+    if (isTrade(tx.type)) {
+        if (!tx.ticker || !String(tx.ticker).trim()) errors.push('Ticker is required.');
+        if (!(tx.quantity > 0)) errors.push('Quantity must be greater than zero.');
+        if (!(tx.price >= 0)) errors.push('Price must be zero or more.');
+        if (tx.fees != null && !(tx.fees >= 0)) errors.push('Fees must be zero or more.');
+    } else if (TRANSACTION_TYPES.includes(tx.type) && !(tx.amount > 0)) {
+        errors.push('Amount must be greater than zero.');
+    }
+    return errors;
+};
+
+/** Orders transactions by date, keeping insertion order for same-day entries. */
+const chronological = (transactions) =>
+    transactions
+        .map((tx, index) => ({ tx, index }))
+        .sort((a, b) => a.tx.date.localeCompare(b.tx.date) || a.index - b.index)
+        .map(({ tx }) => tx);
+
+/**
+ * Replays the ledger into positions and cash. Throws a LedgerError when a sell
+ * exceeds the quantity held at that point in time.
+ */
+export const replayLedger = (transactions) => {
+    const positions = new Map(); // ticker -> { quantity, costBasis, realizedPnl }
+    let cash = 0;
+    let netContributions = 0;
+    let realizedPnl = 0;
+    let totalFees = 0;
+
+    chronological(transactions).forEach(tx => {
+        const fees = tx.fees || 0;
+        totalFees += fees;
+
+        switch (tx.type) {
+            case 'deposit':
+                cash += tx.amount;
+                netContributions += tx.amount;
+                break;
+            case 'withdrawal':
+                cash -= tx.amount;
+                netContributions -= tx.amount;
+                break;
+            case 'fee':
+                cash -= tx.amount;
+                totalFees += tx.amount;
+                realizedPnl -= tx.amount;
+                break;
+            case 'buy': {
+                const ticker = tx.ticker.toUpperCase();
+                const position = positions.get(ticker) || { quantity: 0, costBasis: 0, realizedPnl: 0 };
+                position.quantity += tx.quantity;
+                position.costBasis += tx.quantity * tx.price + fees;
+                positions.set(ticker, position);
+                cash -= tx.quantity * tx.price + fees;
+                break;
+            }
+            case 'sell': {
+                const ticker = tx.ticker.toUpperCase();
+                const position = positions.get(ticker);
+                if (!position || position.quantity + EPSILON < tx.quantity) {
+                    throw new LedgerError(`Cannot sell ${tx.quantity} ${ticker} on ${tx.date}: only ${position ? position.quantity : 0} held.`);
+                }
+                const averageCost = position.costBasis / position.quantity;
+                const proceeds = tx.quantity * tx.price - fees;
+                const gain = proceeds - averageCost * tx.quantity;
+                position.quantity -= tx.quantity;
+                position.costBasis -= averageCost * tx.quantity;
+                position.realizedPnl += gain;
+                if (position.quantity < EPSILON) {
+                    position.quantity = 0;
+                    position.costBasis = 0;
+                }
+                realizedPnl += gain;
+                cash += proceeds;
+                break;
+            }
+            default:
+                throw new LedgerError(`Unknown transaction type "${tx.type}".`);
+        }
+    });
+
+    return { positions, cash, netContributions, realizedPnl, totalFees };
+};
+
+/**
+ * Values the ledger against current quotes. Holdings without a quote are
+ * valued at their average cost so totals stay meaningful while prices load.
+ */
+export const computePortfolio = (transactions, quotes = []) => {
+    const { positions, cash, netContributions, realizedPnl, totalFees } = replayLedger(transactions);
+    const quoteByTicker = new Map(quotes.map(q => [q.ticker, q]));
+
+    const holdings = [...positions.entries()]
+        .filter(([, position]) => position.quantity > 0)
+        .map(([ticker, position]) => {
+            const quote = quoteByTicker.get(ticker);
+            const averageCost = position.costBasis / position.quantity;
+            const price = quote ? quote.price : averageCost;
+            const marketValue = position.quantity * price;
+            const unrealizedPnl = marketValue - position.costBasis;
+            return {
+                ticker,
+                name: quote?.name || ticker,
+                quantity: position.quantity,
+                averageCost,
+                costBasis: position.costBasis,
+                price,
+                hasQuote: Boolean(quote),
+                changePercent: quote ? quote.changePercent : 0,
+                marketValue,
+                unrealizedPnl,
+                unrealizedPnlPercent: position.costBasis > 0 ? unrealizedPnl / position.costBasis * 100 : 0,
+                realizedPnl: position.realizedPnl,
+            };
+        })
+        .sort((a, b) => b.marketValue - a.marketValue);
+
+    const marketValue = holdings.reduce((sum, h) => sum + h.marketValue, 0);
+    const unrealizedPnl = holdings.reduce((sum, h) => sum + h.unrealizedPnl, 0);
+    const totalValue = marketValue + cash;
+    const totalReturn = totalValue - netContributions;
+
+    return {
+        holdings,
+        cash,
+        marketValue,
+        totalValue,
+        netContributions,
+        unrealizedPnl,
+        realizedPnl,
+        totalFees,
+        totalReturn,
+        totalReturnPercent: netContributions > 0 ? totalReturn / netContributions * 100 : 0,
+    };
+};
@@ -0,0 +1,212 @@
+// --- LLM Providers ---
+// Every AI feature asks an LlmProvider for a reply: the proxy (docs/llm-proxy.md) or an offline mock.
+//
+// @typedef {Object} LlmRequest
+// @property {Object[]} contents              Gemini multi-turn contents.
+// @property {string} [systemPrompt]
+// @property {boolean} [useGrounding]         Ground the reply in Google Search (default true).
+// @property {Object[]} [functionDeclarations] Tools to offer instead of grounding.
+// @property {string} [feature]               The AI_FEATURES key the request counts against (default 'chat').
+// @property {AbortSignal} [signal]
+// @property {(textSoFar: string) => void} [onText]
+//
+// @typedef {Object} LlmReply
+// @property {string} text
+// @property {{ uri: string, title: string }[]} sources
+// @property {{ name: string, args: Object, signature?: string }[]} functionCalls
+//
+// @typedef {Object} LlmProvider
+// @property {string} name
+// @property {boolean} [countsUsage]  Its backend checks and counts each request against the user's plan.
+// @property {(request: LlmRequest) => Promise<LlmReply>} generate
+//   Streams the reply through `onText` and resolves when it is complete.
+//   Rejects with an AbortError when `signal` fires, or an LlmError.
+
+import { readGeminiStream } from './gemini.js';
+
+export class LlmError extends Error {
+    constructor(message, { status, code, retryAfter } = {}) {
+        super(message);
+        this.name = 'LlmError';
+        this.status = status;
+        this.code = code;
+        this.retryAfter = retryAfter;
+    }
+}
+
+/** Proxy error codes that another attempt can't fix. */
+const FINAL_CODES = new Set(['rate_limited', 'quota_exceeded', 'too_large', 'bad_request', 'not_configured']);
+
+const MAX_RETRIES = 5;
+
+const abortError = () => new DOMException('The operation was aborted.', 'AbortError');
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(abortError());
+        return;
+    }
+    const onAbort = () => { clearTimeout(id); reject(abortError()); };
+    const id = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const errorFromResponse = async (response) => {
+    const body = await response.json().catch(() => ({}));
+    const retryAfter = Number(response.headers.get('Retry-After')) || undefined;
+    return new LlmError(body.error || `API call failed with status: ${response.status}`, { status: response.status, code: body.code, retryAfter });
+};
+
+// --- Proxy Provider ---
+
+/**
+ * Streams replies from the LLM proxy, retrying failures with backoff until the first text is shown.
+ * The proxy only counts requests Gemini accepts, so retries are free.
+ */
+export const createProxyLlmProvider = ({
+    endpoint = '/api/llm',
+    fetchImpl = (...args) => fetch(...args),
+    withAccessToken = (request) => request(null),
+} = {}) => ({
+    name: 'Proxy',
+    countsUsage: true,
+
+    async generate({ contents, systemPrompt, useGrounding = true, functionDeclarations, feature = 'chat', signal, onText = () => {} }) {
+        const body = JSON.stringify({ contents, systemPrompt, useGrounding, functionDeclarations, feature });
+        return withAccessToken(async (token) => {
+            for (let attempt = 0; ; attempt++) {
+                let shown = false;
+                try {
+                    const response = await fetchImpl(endpoint, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+                        body,
+                        signal,
+                    });
+                    if (!response.ok) throw await errorFromResponse(response);
+                    return await readGeminiStream(response.body, (text) => {
+                        shown = true;
+                        onText(text);
+                    });
+                } catch (error) {
+                    const final = error.name === 'AbortError' || shown || attempt === MAX_RETRIES - 1
+                        || FINAL_CODES.has(error.code)
+                        || (error.status && error.status !== 429 && error.status < 500);
+                    if (final) throw error;
+                    await sleep(Math.pow(2, attempt) * 1000, signal);
+                }
+            }
+        });
+    },
+});
+
+// --- Mock Provider ---
+
+const MOCK_SOURCES = [{ uri: 'https://example.com/markets/today', title: 'Simulated market wrap' }];
+
+const MOCK_SENTENCES = [
+    'Markets are mixed today as investors weigh earnings against rate expectations.',
+    'Sentiment is cautiously positive, with buyers stepping in on dips.',
+    'Volatility is elevated, so position sizing matters more than usual.',
+    'Diversifying across sectors and asset classes lowers concentration risk.',
+    'Long-term fundamentals matter more than a single session\'s move.',
+];
+
+/** Which declared tool a user message asks for, by keyword; quote requests need an upper-case ticker. */
+const MOCK_TOOL_RULES = [
+    { pattern: /\b(holdings?|portfolio|positions?)\b/i, name: 'get_holdings' },
+    { pattern: /\bwatchlists?\b/i, name: 'get_watchlists' },
+    { pattern: /\b(price|quote)\b/i, name: 'get_quote', ticker: true },
+];
+
+const hashString = (text) => [...text].reduce((hash, ch) => (hash * 31 + ch.charCodeAt(0)) >>> 0, 7);
+
+const textOf = (turn) => (turn?.parts || []).map(part => part.text || '').join('');
+
+const mockReplyText = (contents) => {
+    const last = contents[contents.length - 1];
+    const responses = (last?.parts || []).filter(part => part.functionResponse);
+    if (responses.length > 0) {
+        return ['Here is what I found:', ...responses.map(({ functionResponse: { name, response } }) => {
+            const detail = response.error ? `failed (${response.error})` : JSON.stringify(response.result).slice(0, 120);
+            return `- ${name}: ${detail}`;
+        })].join('\n');
+    }
+    // A list of "- TICKER (Name)" lines is a watchlist digest request; answer in the digest's line format.
+    const listed = [...textOf(last).matchAll(/^- ([A-Z][A-Z0-9.^-]*) \(/gm)].map(match => match[1]);
+    if (listed.length > 0) {
+        const sentiments = ['bullish', 'bearish', 'neutral', 'mixed'];
+        return [
+            `(Mock digest) ${MOCK_SENTENCES[hashString(listed.join()) % MOCK_SENTENCES.length]}`,
+            '',
+            ...listed.map(ticker => `- ${ticker} [${sentiments[hashString(ticker) % sentiments.length]}]: ${MOCK_SENTENCES[(hashString(ticker) >>> 2) % MOCK_SENTENCES.length]}`),
+        ].join('\n');
+    }
+    const prompt = textOf(last).replace(/\s+/g, ' ').trim();
+    const hash = hashString(prompt);
+    const quoted = prompt.length > 60 ? `${prompt.slice(0, 59)}…` : prompt;
+    return `(Mock reply) You asked: "${quoted}". ${MOCK_SENTENCES[hash % MOCK_SENTENCES.length]} ${MOCK_SENTENCES[(hash >>> 3) % MOCK_SENTENCES.length]}`;
+};
+
+const mockFunctionCalls = (contents, functionDeclarations = []) => {
+    const last = contents[contents.length - 1];
+    const prompt = textOf(last);
+    if (!prompt || last.role !== 'user') return [];
+    const declared = new Set(functionDeclarations.map(d => d.name));
+    const rule = MOCK_TOOL_RULES.find(r => declared.has(r.name) && r.pattern.test(prompt));
+    if (!rule) return [];
+    if (!rule.ticker) return [{ name: rule.name, args: {} }];
+    const ticker = prompt.match(/\b[A-Z]{2,5}\b/)?.[0];
+    return ticker ? [{ name: rule.name, args: { ticker } }] : [];
+};
+
+/** Deterministic offline replies, streamed a word at a time; keywords trigger the matching tool. */
+export const createMockLlmProvider = ({ chunkDelay = 20 } = {}) => ({
+    name: 'Mock',
+
+    async generate({ contents, useGrounding = true, functionDeclarations, signal, onText = () => {} }) {
+        await sleep(chunkDelay, signal);
+        const functionCalls = functionDeclarations ? mockFunctionCalls(contents, functionDeclarations) : [];
+        if (functionCalls.length > 0) return { text: '', sources: [], functionCalls };
+
+        const words = mockReplyText(contents).split(/(?<= )/);
+        let text = '';
+        for (const word of words) {
+            await sleep(chunkDelay, signal);
+            text += word;
+            onText(text);
+        }
+        return { text, sources: useGrounding && !functionDeclarations ? MOCK_SOURCES : [], functionCalls: [] };
+    },
+});
+
+// --- Metering ---
+
+/**
+ * Clears each request with `authorize(feature, { count })` before sending it. Providers that count
+ * usage themselves aren't counted twice; `onCounted` runs after their requests instead.
+ */
+export const createMeteredLlmProvider = (provider, { authorize, onCounted = () => {} }) => ({
+    name: provider.name,
+
+    async generate(request) {
+        await authorize(request.feature || 'chat', { count: !provider.countsUsage });
+        if (request.signal?.aborted) throw abortError();
+        if (!provider.countsUsage) return provider.generate(request);
+        try {
+            return await provider.generate(request);
+        } finally {
+            onCounted();
+        }
+    },
+});
+
+/** The provider Vite env picks (VITE_LLM_PROVIDER, VITE_LLM_ENDPOINT): the mock in dev, else the proxy. */
+export const createLlmProviderFromEnv = (env = import.meta.env, { withAccessToken } = {}) => {
+    const kind = env.VITE_LLM_PROVIDER || (env.DEV ? 'mock' : 'proxy');
+    if (kind === 'mock') return createMockLlmProvider();
+    return createProxyLlmProvider({ endpoint: env.VITE_LLM_ENDPOINT || '/api/llm', withAccessToken });
+};
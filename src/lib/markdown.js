@@ -0,0 +1,379 @@
+// --- Markdown ---
+// Parses model-written markdown into a syntax tree, never HTML; unsafe markup and URLs are dropped.
+// Supported syntax and node shapes: docs/markdown.md.
+
+const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+/** The URL if it is absolute http(s) or mailto, otherwise null. */
+export const safeUrl = (url) => {
+    // Browsers ignore whitespace and control characters inside a scheme ("java\tscript:").
+    const cleaned = String(url || '').replace(/[\u0000- \u007f-\u009f]/g, '');
+    if (!cleaned) return null;
+    try {
+        const parsed = new URL(cleaned);
+        return SAFE_PROTOCOLS.includes(parsed.protocol) ? parsed.href : null;
+    } catch {
+        return null;
+    }
+};
+
+// Elements whose contents are code or embedded documents, never readable text.
+const DROPPED_ELEMENTS = /<(script|style|iframe|object|embed|template|noscript|svg|math)\b[\s\S]*?(?:<\/\1\s*>|$)/gi;
+const HTML_TAG = /^(?:<\/?[a-z][a-z0-9-]*(?:\s[^<>]*)?\/?>|<!--[\s\S]*?-->)/i;
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)/;
+const HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const RULE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const QUOTE = /^ {0,3}> ?/;
+const LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])(?:[ \t]+(.*))?$/;
+const TABLE_DELIMITER = /^ *\|? *:?-+:? *(?:\| *:?-+:? *)*\|? *$/;
+
+const isBlank = (line) => line.trim() === '';
+
+/** Removes script-like elements everywhere except inside fenced code, where they are shown as written. */
+const stripDroppedElements = (lines) => {
+    const out = [];
+    let prose = [];
+    let fence = null;
+    const flush = () => {
+        if (prose.length > 0) out.push(...prose.join('\n').replace(DROPPED_ELEMENTS, '').split('\n'));
+        prose = [];
+    };
+    lines.forEach(line => {
+        const match = line.match(FENCE);
+        if (fence) {
+            out.push(line);
+            if (match && match[1][0] === fence[0] && match[1].length >= fence.length && !match[2]) fence = null;
+        } else if (match) {
+            flush();
+            out.push(line);
+            fence = match[1];
+        } else {
+            prose.push(line);
+        }
+    });
+    flush();
+    return out;
+};
+
+// --- Inline ---
+
+const ESCAPABLE = /[\\`*_{}[\]()#+\-.!|~<>"']/;
+const BARE_URL = /^(?:https?:\/\/|www\.)[^\s<]*[^\s<.,;:!?'")\]*_~]/;
+
+const pushText = (nodes, value) => {
+    if (!value) return;
+    const last = nodes[nodes.length - 1];
+    if (last?.type === 'text') last.value += value;
+    else nodes.push({ type: 'text', value });
+};
+
+/** Index of the `]` closing the bracket opened at `open`, or -1. */
+const closingBracket = (text, open) => {
+    let depth = 0;
+    for (let i = open; i < text.length; i++) {
+        if (text[i] === '\\') i++;
+        else if (text[i] === '[') depth++;
+        else if (text[i] === ']' && --depth === 0) return i;
+    }
+    return -1;
+};
+
+/** `(url "title")` at `open`: returns `{ url, title, end }` or null. */
+const linkDestination = (text, open) => {
+    if (text[open] !== '(') return null;
+    const match = text.slice(open).match(/^\(\s*(<[^>]*>|[^\s()]*(?:\([^\s()]*\)[^\s()]*)*)(?:\s+("[^"]*"|'[^']*'))?\s*\)/);
+    if (!match) return null;
+    const url = match[1].replace(/^<|>$/g, '');
+    return { url, title: match[2] ? match[2].slice(1, -1) : undefined, end: open + match[0].length };
+};
+
+const isWordChar = (ch) => !!ch && /[\p{L}\p{N}]/u.test(ch);
+
+/** Where emphasis opened at `start` with `delimiter` closes, or -1. */
+const closingDelimiter = (text, start, delimiter) => {
+    for (let i = start; i <= text.length - delimiter.length; i++) {
+        if (text[i] === '\\') { i++; continue; }
+        if (text[i] === '`') {
+            const close = text.indexOf('`', i + 1);
+            if (close !== -1) { i = close; continue; }
+        }
+        if (!text.startsWith(delimiter, i) || i === start || /\s/.test(text[i - 1])) continue;
+        // A single `*` inside `**` belongs to the strong run, not this emphasis.
+        if (delimiter.length === 1 && (text[i + 1] === delimiter || text[i - 1] === delimiter)) continue;
+        if (delimiter[0] === '_' && isWordChar(text[i + delimiter.length])) continue;
+        return i;
+    }
+    return -1;
+};
+
+/** Parses inline markdown into nodes. */
+export const parseInline = (text) => {
+    const nodes = [];
+    let i = 0;
+    while (i < text.length) {
+        const ch = text[i];
+        const rest = text.slice(i);
+
+        if (ch === '\\' && ESCAPABLE.test(text[i + 1] || '')) {
+            pushText(nodes, text[i + 1]);
+            i += 2;
+            continue;
+        }
+        if (ch === '\n') {
+            nodes.push({ type: 'break' });
+            i++;
+            continue;
+        }
+        if (ch === '`') {
+            const run = rest.match(/^`+/)[0];
+            const close = text.indexOf(run, i + run.length);
+            if (close !== -1) {
+                const value = text.slice(i + run.length, close).replace(/\n/g, ' ');
+                nodes.push({ type: 'code', value: /^ .* $/.test(value) ? value.slice(1, -1) : value });
+                i = close + run.length;
+                continue;
+            }
+            pushText(nodes, run);
+            i += run.length;
+            continue;
+        }
+        if (ch === '[' || (ch === '!' && text[i + 1] === '[')) {
+            const open = ch === '!' ? i + 1 : i;
+            const close = closingBracket(text, open);
+            const destination = close !== -1 ? linkDestination(text, close + 1) : null;
+            if (destination) {
+                const label = text.slice(open + 1, close);
+                const children = parseInline(label);
+                nodes.push({ type: 'link', href: safeUrl(destination.url), title: destination.title, children: children.length > 0 ? children : [{ type: 'text', value: destination.url }] });
+                i = destination.end;
+                continue;
+            }
+        }
+        if (ch === '<') {
+            const autolink = rest.match(/^<((?:https?|mailto):[^\s<>]+)>/i);
+            if (autolink) {
+                nodes.push({ type: 'link', href: safeUrl(autolink[1]), children: [{ type: 'text', value: autolink[1].replace(/^mailto:/i, '') }] });
+                i += autolink[0].length;
+                continue;
+            }
+            const tag = rest.match(HTML_TAG);
+            if (tag) {
+                i += tag[0].length;
+                continue;
+            }
+        }
+        if ((ch === 'h' || ch === 'w') && !isWordChar(text[i - 1])) {
+            const url = rest.match(BARE_URL);
+            if (url) {
+                nodes.push({ type: 'link', href: safeUrl(url[0].startsWith('www.') ? `https://${url[0]}` : url[0]), children: [{ type: 'text', value: url[0] }] });
+                i += url[0].length;
+                continue;
+            }
+        }
+        if (ch === '*' || ch === '_' || ch === '~') {
+            const double = text[i + 1] === ch;
+            const delimiter = double ? ch + ch : ch;
+            const opensWord = !/\s/.test(text[i + delimiter.length] || ' ');
+            const intraword = ch === '_' && isWordChar(text[i - 1]);
+            if ((ch !== '~' || double) && opensWord && !intraword) {
+                const close = closingDelimiter(text, i + delimiter.length, delimiter);
+                if (close !== -1) {
+                    const type = ch === '~' ? 'del' : double ? 'strong' : 'em';
+                    nodes.push({ type, children: parseInline(text.slice(i + delimiter.length, close)) });
+                    i = close + delimiter.length;
+                    continue;
+                }
+            }
+            pushText(nodes, delimiter);
+            i += delimiter.length;
+            continue;
+        }
+        pushText(nodes, ch);
+        i++;
+    }
+    return nodes;
+};
+
+// --- Blocks ---
+
+const splitRow = (line) => {
+    const cells = [];
+    let cell = '';
+    const trimmed = line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '');
+    for (let i = 0; i < trimmed.length; i++) {
+        if (trimmed[i] === '\\' && trimmed[i + 1] === '|') {
+            cell += '|';
+            i++;
+        } else if (trimmed[i] === '|') {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += trimmed[i];
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+};
+
+const startsTable = (lines, i) => lines[i].includes('|') && i + 1 < lines.length && TABLE_DELIMITER.test(lines[i + 1]) && lines[i + 1].includes('-')
+    && splitRow(lines[i]).length === splitRow(lines[i + 1]).length;
+
+/** Whether `line` begins a block other than a paragraph, so it ends the paragraph above it. */
+const startsBlock = (lines, i) => {
+    const line = lines[i];
+    return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || LIST_ITEM.test(line) || startsTable(lines, i);
+};
+
+const leadingSpaces = (line) => line.match(/^ */)[0].length;
+
+const parseList = (lines, start) => {
+    const first = lines[start].match(LIST_ITEM);
+    const indent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const items = [];
+    let loose = false;
+    let current = null;
+    let i = start;
+
+    while (i < lines.length) {
+        const line = lines[i];
+        const marker = line.match(LIST_ITEM);
+        const sibling = marker && marker[1].length <= indent + 1 && /\d/.test(marker[2]) === ordered;
+        if (sibling) {
+            current = { offset: marker[1].length + marker[2].length + 1, lines: [marker[3] || ''] };
+            items.push(current);
+            i++;
+            continue;
+        }
+        if (isBlank(line)) {
+            // A blank line continues the list only if more of it follows.
+            let next = i + 1;
+            while (next < lines.length && isBlank(lines[next])) next++;
+            const after = lines[next];
+            if (after === undefined) break;
+            const nextMarker = after.match(LIST_ITEM);
+            const continues = leadingSpaces(after) >= current.offset
+                || (nextMarker && nextMarker[1].length <= indent + 1 && /\d/.test(nextMarker[2]) === ordered);
+            if (!continues) break;
+            loose = true;
+            current.lines.push('');
+            i++;
+            continue;
+        }
+        if (leadingSpaces(line) > indent) {
+            current.lines.push(line.slice(Math.min(current.offset, leadingSpaces(line))));
+            i++;
+            continue;
+        }
+        // A lazy continuation of the item's paragraph.
+        if (!startsBlock(lines, i) && !isBlank(current.lines[current.lines.length - 1] ?? '')) {
+            current.lines.push(line.trim());
+            i++;
+            continue;
+        }
+        break;
+    }
+
+    return {
+        node: {
+            type: 'list',
+            ordered,
+            start: ordered ? parseInt(first[2], 10) : undefined,
+            loose,
+            items: items.map(item => ({ children: parseBlocks(item.lines) })),
+        },
+        end: i,
+    };
+};
+
+const parseBlocks = (lines) => {
+    const blocks = [];
+    let i = 0;
+    while (i < lines.length) {
+        const line = lines[i];
+        if (isBlank(line)) {
+            i++;
+            continue;
+        }
+
+        const fence = line.match(FENCE);
+        if (fence) {
+            const body = [];
+            i++;
+            while (i < lines.length) {
+                const close = lines[i].match(FENCE);
+                if (close && close[1][0] === fence[1][0] && close[1].length >= fence[1].length && !close[2]) break;
+                body.push(lines[i]);
+                i++;
+            }
+            blocks.push({ type: 'code', lang: fence[2] || undefined, value: body.join('\n') });
+            i++;
+            continue;
+        }
+
+        const heading = line.match(HEADING);
+        if (heading) {
+            blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2] || '') });
+            i++;
+            continue;
+        }
+
+        if (RULE.test(line)) {
+            blocks.push({ type: 'hr' });
+            i++;
+            continue;
+        }
+
+        if (QUOTE.test(line)) {
+            const quoted = [];
+            while (i < lines.length && QUOTE.test(lines[i])) {
+                quoted.push(lines[i].replace(QUOTE, ''));
+                i++;
+            }
+            blocks.push({ type: 'blockquote', children: parseBlocks(quoted) });
+            continue;
+        }
+
+        if (startsTable(lines, i)) {
+            const header = splitRow(line);
+            const align = splitRow(lines[i + 1]).map(cell => {
+                if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+                if (cell.endsWith(':')) return 'right';
+                if (cell.startsWith(':')) return 'left';
+                return undefined;
+            });
+            i += 2;
+            const rows = [];
+            while (i < lines.length && !isBlank(lines[i]) && lines[i].includes('|')) {
+                const cells = splitRow(lines[i]);
+                rows.push(header.map((_, c) => parseInline(cells[c] || '')));
+                i++;
+            }
+            blocks.push({ type: 'table', align, header: header.map(cell => parseInline(cell)), rows });
+            continue;
+        }
+
+        if (LIST_ITEM.test(line)) {
+            const { node, end } = parseList(lines, i);
+            blocks.push(node);
+            i = end;
+            continue;
+        }
+
+        const paragraph = [line.trim()];
+        i++;
+        while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines, i)) {
+            paragraph.push(lines[i].trim());
+            i++;
+        }
+        blocks.push({ type: 'paragraph', children: parseInline(paragraph.join('\n')) });
+    }
+    return blocks;
+};
+
+/** Parses markdown into block nodes; see the header for the node shapes. */
+export const parseMarkdown = (text) => {
+    const lines = String(text || '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+    return parseBlocks(stripDroppedElements(lines));
+};
@@ -0,0 +1,588 @@
+// --- Market Data Providers ---
+// Every view reads market data through a MarketDataProvider, so real data can replace the mock.
+//
+// @typedef {Object} Quote
+// @property {string} ticker
+// @property {string} name
+// @property {number} price
+// @property {number} change
+// @property {number} changePercent
+// @property {'up'|'down'} trend
+// @property {number} marketCap   Market cap in trillions (USD).
+//
+// @typedef {Object} Bar
+// @property {number} time    Bar open time (ms since epoch).
+// @property {number} open
+// @property {number} high
+// @property {number} low
+// @property {number} close
+// @property {number} volume
+//
+// @typedef {'1D'|'1W'|'1M'|'6M'|'1Y'|'5Y'|'Max'} HistoryRange
+//
+// @typedef {Object} MarketEvent
+// @property {string} id        Stable across reloads, so read state can be kept.
+// @property {'news'|'earnings'|'market'} type
+// @property {string|null} ticker  null for market-wide events.
+// @property {string} title
+// @property {string} [summary]
+// @property {number} time      Publication time (ms since epoch).
+// @property {string} [source]
+//
+// @typedef {Object} FundDetails   getFundamentals() result for a mutual fund.
+// @property {'Mutual Funds'} assetClass
+// @property {string} category       Morningstar-style category, e.g. 'Large Growth'.
+// @property {number} expenseRatio   Annual fee, percent of assets.
+// @property {number} aum            Assets under management in billions (USD).
+// @property {{ percent: number, days: number }|null} exitLoad  Fee on redemptions within `days` of purchase.
+// @property {string} benchmark      Name of the index the fund is measured against.
+//
+// @typedef {'Stocks'|'MF'} RankingMarket
+// @typedef {'1h'|'1D'|'1W'|'1M'} RankingWindow
+//
+// @typedef {Object} RankingRow
+// @property {number} rank         1 is the best performer in the window.
+// @property {string} ticker
+// @property {string} name
+// @property {RankingMarket} market
+// @property {number} price
+// @property {number} performance  Percentage return over the window.
+//
+// @typedef {Object} MarketDataProvider
+// @property {string} name
+// @property {(tickers: string[]) => Promise<Quote[]>} getQuotes
+// @property {(query: string) => Promise<{ ticker: string, name: string }[]>} search
+// @property {(ticker: string, options?: { range?: HistoryRange }) => Promise<Bar[]>} getHistory
+// @property {(ticker: string) => Promise<Object>} getFundamentals
+// @property {(tickers: string[], options?: { days?: number }) => Promise<MarketEvent[]>} getEvents
+// @property {(options: { market: RankingMarket, window: RankingWindow, limit?: number }) => Promise<RankingRow[]>} getRankings
+
+import { STOCK_LISTINGS, FUND_FAMILIES, FUND_STRATEGIES } from './mockUniverse.js';
+import { periodReturn } from './performance.js';
+
+export class MarketDataError extends Error {
+    constructor(message, { status, cause } = {}) {
+        super(message);
+        this.name = 'MarketDataError';
+        this.status = status;
+        this.cause = cause;
+    }
+}
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Bar spacing for each history range: intraday ranges use minute bars within
+ * the 09:30-16:00 session, longer ones daily or weekly bars of trading days.
+ */
+export const HISTORY_RANGES = {
+    '1D': { interval: 'intraday', minutes: 5, sessions: 1 },
+    '1W': { interval: 'intraday', minutes: 30, sessions: 5 },
+    '1M': { interval: 'daily', bars: 21 },
+    '6M': { interval: 'daily', bars: 126 },
+    '1Y': { interval: 'daily', bars: 252 },
+    '5Y': { interval: 'weekly', bars: 260 },
+    'Max': { interval: 'weekly', bars: 520 },
+};
+
+export const DEFAULT_HISTORY_RANGE = '1M';
+
+export const RANKING_MARKETS = {
+    Stocks: 'Stocks',
+    MF: 'Mutual Funds',
+};
+
+/** Top 100 ranking windows: the history `range` measured (null: daily change), trimmed to the last `bars`. */
+export const RANKING_WINDOWS = {
+    '1h': { label: 'Past hour', range: '1D', bars: 12, intraday: true },
+    '1D': { label: 'Today', range: null },
+    '1W': { label: 'Past week', range: '1W' },
+    '1M': { label: 'Past month', range: '1M' },
+};
+
+export const DEFAULT_RANKING_WINDOW = '1D';
+
+// --- Mock Provider ---
+
+const MOCK_STOCKS = [
+    { ticker: 'GOOGL', name: 'Alphabet Inc.', price: 175.45, change: 1.25, changePercent: 0.72, marketCap: 2.2, sector: 'Communication Services', peRatio: 24.1, dividendYield: 0.46, avgVolume: 24_500_000 },
+    { ticker: 'MSFT', name: 'Microsoft Corp.', price: 410.12, change: -0.88, changePercent: -0.21, marketCap: 3.0, sector: 'Technology', peRatio: 35.2, dividendYield: 0.72, avgVolume: 19_800_000 },
+    { ticker: 'AMZN', name: 'Amazon Inc.', price: 180.99, change: 2.15, changePercent: 1.20, marketCap: 1.9, sector: 'Consumer Discretionary', peRatio: 51.7, dividendYield: 0, avgVolume: 41_200_000 },
+    { ticker: 'TSLA', name: 'Tesla Inc.', price: 195.60, change: -3.50, changePercent: -1.76, marketCap: 0.6, sector: 'Consumer Discretionary', peRatio: 48.3, dividendYield: 0, avgVolume: 96_700_000 },
+    { ticker: 'NVDA', name: 'NVIDIA Corp.', price: 900.20, change: 15.50, changePercent: 1.75, marketCap: 2.2, sector: 'Technology', peRatio: 72.9, dividendYield: 0.02, avgVolume: 45_300_000 },
+    { ticker: 'JPM', name: 'JPMorgan Chase', price: 199.10, change: 0.55, changePercent: 0.28, marketCap: 0.5, sector: 'Financials', peRatio: 12.0, dividendYield: 2.31, avgVolume: 9_100_000 },
+];
+
+/** Tickers shown across the app when no other selection has been made. */
+export const DEFAULT_TICKERS = MOCK_STOCKS.map(s => s.ticker);
+
+/** Indices offered as the benchmark when comparing tickers. */
+export const BENCHMARKS = [
+    { ticker: 'SPX', name: 'S&P 500 Index' },
+    { ticker: 'NDX', name: 'Nasdaq-100 Index' },
+    { ticker: 'DJI', name: 'Dow Jones Industrial Average' },
+];
+
+export const DEFAULT_BENCHMARK = 'SPX';
+
+// Indices have no market cap or valuation ratios; volume is the constituents' total.
+const MOCK_INDICES = [
+    { ticker: 'SPX', name: 'S&P 500 Index', price: 5450.23, change: 35.24, changePercent: 0.65, marketCap: null, sector: 'Index', avgVolume: 2_400_000_000 },
+    { ticker: 'NDX', name: 'Nasdaq-100 Index', price: 19650.4, change: 172.9, changePercent: 0.89, marketCap: null, sector: 'Index', avgVolume: 1_100_000_000 },
+    { ticker: 'DJI', name: 'Dow Jones Industrial Average', price: 39802.1, change: 95.6, changePercent: 0.24, marketCap: null, sector: 'Index', avgVolume: 320_000_000 },
+];
+
+/** Small deterministic PRNG so mock history is stable between renders and reloads. */
+const seededRandom = (seedText) => {
+    let seed = 0;
+    for (let i = 0; i < seedText.length; i++) {
+        seed = (Math.imul(31, seed) + seedText.charCodeAt(i)) | 0;
+    }
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+const roundTo = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// The wider listed universe behind rankings and search. Each ticker's figures
+// come from its own seed, so they stay put between reloads.
+const MOCK_LISTED_STOCKS = STOCK_LISTINGS.map(([ticker, name, sector]) => {
+    const random = seededRandom(`listing:${ticker}`);
+    const price = roundTo(15 + random() ** 2 * 700, 2);
+    const changePercent = roundTo((random() - 0.5) * 6, 2);
+    return {
+        ticker,
+        name,
+        price,
+        change: roundTo(price * changePercent / (100 + changePercent), 2),
+        changePercent,
+        marketCap: roundTo(0.05 + random() ** 3 * 1.5, 2),
+        sector,
+        peRatio: roundTo(8 + random() * 45, 1),
+        dividendYield: sector === 'Technology' && random() < 0.5 ? 0 : roundTo(random() * 4, 2),
+        avgVolume: Math.round((2 + random() ** 2 * 40) * 1_000_000),
+    };
+});
+
+// Mutual funds trade once a day at NAV, so they carry no volume or market cap.
+const MOCK_FUNDS = FUND_FAMILIES.flatMap(([familyCode, family]) => FUND_STRATEGIES.map(([strategyCode, strategy, category, benchmark, kind]) => {
+    const ticker = `${familyCode}${strategyCode}X`;
+    const random = seededRandom(`fund:${ticker}`);
+    const isBond = kind === 'bond';
+    const price = roundTo(isBond ? 9 + random() * 3 : 15 + random() * 180, 2);
+    const changePercent = roundTo((random() - 0.5) * (isBond ? 0.6 : 2.4), 2);
+    return {
+        ticker,
+        name: `${family} ${strategy} Fund`,
+        price,
+        change: roundTo(price * changePercent / (100 + changePercent), 2),
+        changePercent,
+        marketCap: null,
+        sector: category,
+        category,
+        market: 'MF',
+        avgVolume: 0,
+        volatility: isBond ? 0.003 : 0.008,
+        expenseRatio: roundTo(kind === 'index' ? 0.02 + random() * 0.12 : 0.3 + random() * 0.8, 2),
+        aum: roundTo(kind === 'index' ? 20 + random() * 400 : 0.5 + random() ** 2 * 60, 1),
+        exitLoad: kind === 'equity' ? { percent: 1, days: random() < 0.5 ? 90 : 365 } : null,
+        benchmark,
+    };
+}));
+
+const MOCK_INSTRUMENTS = [...MOCK_STOCKS, ...MOCK_LISTED_STOCKS, ...MOCK_INDICES, ...MOCK_FUNDS];
+
+const isCompany = (instrument) => instrument.market !== 'MF' && !MOCK_INDICES.includes(instrument);
+
+const toQuote = (stock) => ({
+    ticker: stock.ticker,
+    name: stock.name,
+    price: stock.price,
+    change: stock.change,
+    changePercent: stock.changePercent,
+    trend: stock.changePercent >= 0 ? 'up' : 'down',
+    marketCap: stock.marketCap,
+});
+
+const MAX_TRADING_DAYS = 2520; // ten years
+const SESSION_OPEN_MINUTES = 9 * 60 + 30;
+const SESSION_MINUTES = 390;
+
+const isWeekend = (date) => date.getDay() === 0 || date.getDay() === 6;
+
+/** The most recent `count` weekdays up to and including today, oldest first, at local midnight. */
+const tradingDays = (count) => {
+    const days = [];
+    const date = new Date();
+    date.setHours(0, 0, 0, 0);
+    while (days.length < count) {
+        if (!isWeekend(date)) days.push(new Date(date));
+        date.setDate(date.getDate() - 1);
+    }
+    return days.reverse();
+};
+
+/** Market-wide moves in [-1, 1], shared by every instrument for a given set of bar times. */
+const marketShocks = (key, count) => {
+    const random = seededRandom(`market:${key}`);
+    return Array.from({ length: count }, () => (random() - 0.5) * 2);
+};
+
+/**
+ * Bars walked backwards from `lastClose`, so the last agrees with the quote.
+ * `beta` is the share of each move that follows the market, so tickers correlate.
+ */
+const randomWalkBars = (random, times, lastClose, { volatility, bias, volume, shocks, beta = 0 }) => {
+    const bars = [];
+    let close = lastClose;
+    for (let i = times.length - 1; i >= 0; i--) {
+        const own = (random() - 0.5) * 2;
+        // Mixing with sqrt(1 - beta^2) keeps the move's variance the same whatever `beta` is.
+        // Occasional gaps, like an earnings surprise, give the walk fatter tails than pure noise.
+        const gap = random() < 0.02 ? 2 + random() * 3 : 1;
+        const fluctuation = (own * Math.sqrt(1 - beta * beta) + (shocks ? shocks[i] * beta : 0)) * volatility * gap;
+        const open = close / (1 + fluctuation + bias);
+        const high = Math.max(open, close) * (1 + random() * volatility * 0.8);
+        const low = Math.min(open, close) * (1 - random() * volatility * 0.8);
+        bars.push({ time: times[i], open, high, low, close, volume: Math.round(volume * (0.6 + random() * 0.8)) });
+        close = open;
+    }
+    return bars.reverse();
+};
+
+/** Groups daily bars into weeks starting on Monday. */
+const toWeeklyBars = (daily) => {
+    const weeks = [];
+    daily.forEach(bar => {
+        const date = new Date(bar.time);
+        const weekStart = new Date(date);
+        weekStart.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+        const last = weeks[weeks.length - 1];
+        if (last && last.weekStart === weekStart.getTime()) {
+            last.high = Math.max(last.high, bar.high);
+            last.low = Math.min(last.low, bar.low);
+            last.close = bar.close;
+            last.volume += bar.volume;
+        } else {
+            weeks.push({ ...bar, weekStart: weekStart.getTime() });
+        }
+    });
+    return weeks.map(({ weekStart, ...bar }) => bar);
+};
+
+/** Daily NAVs from the same ten-year walk: each bar opens at the previous NAV, with no volume; intraday ranges get daily bars. */
+const buildNavHistory = (fund, spec) => {
+    const random = seededRandom(fund.ticker);
+    const daily = randomWalkBars(random, tradingDays(MAX_TRADING_DAYS).map(d => d.getTime()), fund.price, {
+        volatility: fund.volatility,
+        bias: fund.changePercent > 0 ? 0.0003 : -0.0001,
+        volume: 0,
+        shocks: marketShocks('daily', MAX_TRADING_DAYS),
+        beta: 0.8,
+    }).map((bar, i, bars) => {
+        const open = i === 0 ? bar.open : bars[i - 1].close;
+        return { time: bar.time, open, high: Math.max(open, bar.close), low: Math.min(open, bar.close), close: bar.close, volume: 0 };
+    });
+    if (spec.interval === 'intraday') return daily.slice(-spec.sessions);
+    const bars = spec.interval === 'weekly' ? toWeeklyBars(daily) : daily;
+    return bars.slice(-spec.bars);
+};
+
+const buildMockHistory = (stock, range) => {
+    const spec = HISTORY_RANGES[range];
+    if (!spec) throw new MarketDataError(`Unknown history range: ${range}`);
+    const bias = stock.changePercent > 0 ? 0.0004 : -0.0004;
+    const beta = stock.sector === 'Index' ? 0.9 : 0.5;
+
+    if (stock.market === 'MF') return buildNavHistory(stock, spec);
+
+    if (spec.interval === 'intraday') {
+        const random = seededRandom(`${stock.ticker}:${range}`);
+        const perSession = SESSION_MINUTES / spec.minutes;
+        const times = tradingDays(spec.sessions).flatMap(day =>
+            Array.from({ length: perSession }, (_, i) => day.getTime() + (SESSION_OPEN_MINUTES + i * spec.minutes) * MINUTE_MS));
+        return randomWalkBars(random, times, stock.price, {
+            volatility: 0.0015 * Math.sqrt(spec.minutes / 5),
+            bias: bias / perSession,
+            volume: stock.avgVolume / perSession,
+            shocks: marketShocks(range, times.length),
+            beta,
+        });
+    }
+
+    // Every daily and weekly range is cut from the same ten-year series so they agree.
+    const random = seededRandom(stock.ticker);
+    const daily = randomWalkBars(random, tradingDays(MAX_TRADING_DAYS).map(d => d.getTime()), stock.price, {
+        volatility: stock.sector === 'Index' ? 0.007 : 0.01,
+        bias,
+        volume: stock.avgVolume,
+        shocks: marketShocks('daily', MAX_TRADING_DAYS),
+        beta,
+    });
+    const bars = spec.interval === 'weekly' ? toWeeklyBars(daily) : daily;
+    return bars.slice(-spec.bars);
+};
+
+const NEWS_TEMPLATES = [
+    ['{name} expands partnership with a major cloud provider', 'Analysts see the deal adding to revenue over the next few quarters.'],
+    ['{ticker} price target raised at a leading brokerage', 'The firm cited stronger demand and improving margins.'],
+    ['{ticker} price target cut amid margin concerns', 'The analyst flagged rising costs in the coming quarter.'],
+    ['{name} announces share buyback program', 'The board authorized repurchases over the next two years.'],
+    ['{name} faces regulatory review in the EU', 'Officials are examining competition in one of its core markets.'],
+    ['{name} unveils new product line at investor event', 'Management reiterated its full-year guidance.'],
+    ['Insider selling reported at {ticker}', 'A senior executive sold shares under a pre-arranged trading plan.'],
+    ['{ticker} sees unusual options activity', 'Call volume ran well above its 30-day average.'],
+];
+
+// Funds and indices have no management news or earnings of their own.
+const FUND_NEWS_TEMPLATES = [
+    ['{name} sees strong weekly inflows', 'Investors added to the fund for a third straight week.'],
+    ['{name} rebalances ahead of quarter end', 'The portfolio trimmed its largest positions back toward target weights.'],
+    ['{ticker} tracking difference narrows', 'The gap to its benchmark was the smallest in a year.'],
+    ['{ticker} touches a one-month high', 'Gains in its largest holdings lifted the value through the session.'],
+];
+
+const MARKET_TEMPLATES = [
+    ['Fed holds rates steady, signals patience', 'Policymakers kept the target range unchanged and pointed to cooling inflation.'],
+    ['CPI comes in slightly below expectations', 'Core inflation eased on a month-over-month basis.'],
+    ['Jobs report shows hiring above forecasts', 'Payrolls beat estimates while wage growth moderated.'],
+    ['Treasury yields climb after strong retail sales', 'The 10-year yield rose to its highest level in a month.'],
+    ['Oil slides on rising inventories', 'Crude stockpiles grew for a second straight week.'],
+    ['Stocks rally as tech leads broad gains', 'All major indices closed higher in heavy volume.'],
+];
+
+const EARNINGS_CYCLE_DAYS = 91;
+
+const fillTemplate = (text, stock) => text.replace('{ticker}', stock.ticker).replace('{name}', stock.name);
+
+/** Local midnight `offset` days from today. */
+const dayAt = (offset) => {
+    const date = new Date();
+    date.setHours(0, 0, 0, 0);
+    date.setDate(date.getDate() + offset);
+    return date;
+};
+
+const atMinutes = (day, minutes) => day.getTime() + minutes * MINUTE_MS;
+
+/** Deterministic events for the last `days`, with earnings every 91 days, announced a week ahead. */
+const buildMockEvents = (stocks, days) => {
+    const now = Date.now();
+    const events = [];
+
+    for (let offset = -days + 1; offset <= 0; offset++) {
+        const day = dayAt(offset);
+        if (isWeekend(day)) continue;
+        const dayKey = day.toISOString().slice(0, 10);
+
+        const marketRandom = seededRandom(`market-events:${dayKey}`);
+        if (marketRandom() < 0.6) {
+            const [title, summary] = MARKET_TEMPLATES[Math.floor(marketRandom() * MARKET_TEMPLATES.length)];
+            events.push({ id: `market:${dayKey}`, type: 'market', ticker: null, title, summary, time: atMinutes(day, 8 * 60 + 30), source: 'Simulated Wire' });
+        }
+
+        stocks.forEach(stock => {
+            const random = seededRandom(`events:${stock.ticker}:${dayKey}`);
+            if (random() < 0.45) {
+                const templates = isCompany(stock) ? NEWS_TEMPLATES : FUND_NEWS_TEMPLATES;
+                const [title, summary] = templates[Math.floor(random() * templates.length)];
+                events.push({
+                    id: `news:${stock.ticker}:${dayKey}`,
+                    type: 'news',
+                    ticker: stock.ticker,
+                    title: fillTemplate(title, stock),
+                    summary,
+                    time: atMinutes(day, 7 * 60 + Math.floor(random() * 11 * 60)),
+                    source: 'Simulated Wire',
+                });
+            }
+        });
+    }
+
+    stocks.filter(isCompany).forEach(stock => {
+        // Day number since the epoch on which this ticker reports, modulo the cycle.
+        const phase = Math.floor(seededRandom(`earnings:${stock.ticker}`)() * EARNINGS_CYCLE_DAYS);
+        for (let offset = -days + 1; offset <= 7; offset++) {
+            const day = dayAt(offset);
+            const dayNumber = Math.floor((day.getTime() - day.getTimezoneOffset() * MINUTE_MS) / DAY_MS);
+            if (isWeekend(day) || (dayNumber + phase) % EARNINGS_CYCLE_DAYS !== 0) continue;
+            const dayKey = day.toISOString().slice(0, 10);
+            const label = day.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+            if (offset > 0) {
+                events.push({
+                    id: `earnings-upcoming:${stock.ticker}:${dayKey}`,
+                    type: 'earnings',
+                    ticker: stock.ticker,
+                    title: `${stock.ticker} reports earnings ${label}`,
+                    summary: 'Results are expected after the close.',
+                    time: atMinutes(dayAt(0), 6 * 60),
+                    source: 'Earnings Calendar',
+                });
+            } else {
+                const random = seededRandom(`earnings:${stock.ticker}:${dayKey}`);
+                const estimate = stock.price / (stock.peRatio || 25) / 4;
+                const actual = estimate * (0.9 + random() * 0.25);
+                events.push({
+                    id: `earnings:${stock.ticker}:${dayKey}`,
+                    type: 'earnings',
+                    ticker: stock.ticker,
+                    title: `${stock.ticker} ${actual >= estimate ? 'beats' : 'misses'} estimates: EPS $${actual.toFixed(2)} vs $${estimate.toFixed(2)}`,
+                    summary: `${stock.name} reported quarterly results after the close.`,
+                    time: atMinutes(day, 16 * 60 + 5),
+                    source: 'Earnings Calendar',
+                });
+            }
+        }
+    });
+
+    return events.filter(event => event.time <= now).sort((a, b) => b.time - a.time);
+};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * In-memory provider that reproduces the app's original simulated data.
+ * `latency` adds an artificial delay so loading states can be exercised.
+ */
+export const createMockProvider = ({ latency = 150 } = {}) => {
+    const findStock = (ticker) => {
+        const stock = MOCK_INSTRUMENTS.find(s => s.ticker === ticker.toUpperCase());
+        if (!stock) throw new MarketDataError(`Unknown ticker: ${ticker}`, { status: 404 });
+        return stock;
+    };
+
+    return {
+        name: 'Simulated',
+
+        async getQuotes(tickers) {
+            await delay(latency);
+            return tickers
+                .map(ticker => MOCK_INSTRUMENTS.find(s => s.ticker === ticker.toUpperCase()))
+                .filter(Boolean)
+                .map(toQuote);
+        },
+
+        async search(query) {
+            await delay(latency);
+            const q = query.trim().toLowerCase();
+            if (!q) return [];
+            return MOCK_INSTRUMENTS
+                .filter(s => s.ticker.toLowerCase().includes(q) || s.name.toLowerCase().includes(q))
+                .map(s => ({ ticker: s.ticker, name: s.name }));
+        },
+
+        async getHistory(ticker, { range = DEFAULT_HISTORY_RANGE } = {}) {
+            await delay(latency);
+            return buildMockHistory(findStock(ticker), range);
+        },
+
+        async getFundamentals(ticker) {
+            await delay(latency);
+            const stock = findStock(ticker);
+            if (stock.market === 'MF') {
+                const { category, expenseRatio, aum, exitLoad, benchmark } = stock;
+                return { ticker: stock.ticker, assetClass: 'Mutual Funds', sector: category, category, expenseRatio, aum, exitLoad, benchmark };
+            }
+            const { sector, peRatio, dividendYield, marketCap, avgVolume } = stock;
+            const assetClass = MOCK_INDICES.includes(stock) ? 'Index' : 'Stocks';
+            return { ticker: ticker.toUpperCase(), assetClass, sector, peRatio, dividendYield, marketCap, avgVolume };
+        },
+
+        async getEvents(tickers, { days = 7 } = {}) {
+            await delay(latency);
+            const instruments = tickers.map(t => MOCK_INSTRUMENTS.find(s => s.ticker === t.toUpperCase())).filter(Boolean);
+            return buildMockEvents(instruments, days);
+        },
+
+        async getRankings({ market, window, limit = 100 }) {
+            await delay(latency);
+            const spec = RANKING_WINDOWS[window];
+            if (!spec) throw new MarketDataError(`Unknown ranking window: ${window}`, { status: 400 });
+            if (market === 'MF' && spec.intraday) {
+                throw new MarketDataError('Mutual fund NAVs are published once a day, so they have no intraday ranking.', { status: 400 });
+            }
+            const universe = market === 'MF'
+                ? MOCK_FUNDS
+                : [...MOCK_STOCKS, ...MOCK_LISTED_STOCKS];
+            return universe
+                .map(instrument => {
+                    const bars = spec.range ? buildMockHistory(instrument, spec.range) : null;
+                    const performance = bars
+                        ? periodReturn(spec.bars ? bars.slice(-spec.bars) : bars, instrument.price)
+                        : instrument.changePercent;
+                    return { ticker: instrument.ticker, name: instrument.name, market, price: instrument.price, performance };
+                })
+                .sort((a, b) => b.performance - a.performance)
+                .slice(0, limit)
+                .map((row, i) => ({ rank: i + 1, ...row }));
+        },
+    };
+};
+
+// --- REST Provider ---
+
+/** Adapter for an HTTP quote service at `baseUrl`; its endpoints are listed in docs/market-data.md. */
+export const createRestProvider = ({ baseUrl, headers = {}, fetchImpl = (...args) => fetch(...args) }) => {
+    if (!baseUrl) throw new MarketDataError('REST market data provider requires a baseUrl.');
+    const root = baseUrl.replace(/\/+$/, '');
+
+    const request = async (path) => {
+        let response;
+        try {
+            response = await fetchImpl(`${root}${path}`, { headers: { Accept: 'application/json', ...headers } });
+        } catch (error) {
+            throw new MarketDataError('Market data service is unreachable.', { cause: error });
+        }
+        if (!response.ok) {
+            throw new MarketDataError(`Market data request failed with status: ${response.status}`, { status: response.status });
+        }
+        return response.json();
+    };
+
+    return {
+        name: root,
+
+        async getQuotes(tickers) {
+            if (tickers.length === 0) return [];
+            const quotes = await request(`/quotes?symbols=${encodeURIComponent(tickers.join(','))}`);
+            return quotes.map(q => ({ ...q, trend: q.changePercent >= 0 ? 'up' : 'down' }));
+        },
+
+        search(query) {
+            if (!query.trim()) return Promise.resolve([]);
+            return request(`/search?q=${encodeURIComponent(query.trim())}`);
+        },
+
+        getHistory(ticker, { range = DEFAULT_HISTORY_RANGE } = {}) {
+            return request(`/history/${encodeURIComponent(ticker)}?range=${encodeURIComponent(range)}`);
+        },
+
+        getFundamentals(ticker) {
+            return request(`/fundamentals/${encodeURIComponent(ticker)}`);
+        },
+
+        getEvents(tickers, { days = 7 } = {}) {
+            return request(`/events?symbols=${encodeURIComponent(tickers.join(','))}&days=${days}`);
+        },
+
+        getRankings({ market, window, limit = 100 }) {
+            return request(`/rankings?market=${encodeURIComponent(market)}&window=${encodeURIComponent(window)}&limit=${limit}`);
+        },
+    };
+};
+
+/**
+ * Picks the provider from Vite env: VITE_MARKET_DATA_PROVIDER=rest together
+ * with VITE_MARKET_DATA_BASE_URL selects the REST adapter, anything else the mock.
+ */
+export const createProviderFromEnv = (env = import.meta.env) => {
+    if (env.VITE_MARKET_DATA_PROVIDER === 'rest') {
+        return createRestProvider({ baseUrl: env.VITE_MARKET_DATA_BASE_URL });
+    }
+    return createMockProvider();
+};
@@ -0,0 +1,131 @@
+// --- Simulated Instrument Universe ---
+// Names and classifications behind the mock provider; its figures are generated in marketData.js.
+
+/** [ticker, name, sector] for the stock universe beyond the default watchlist. */
+export const STOCK_LISTINGS = [
+    ['AAPL', 'Apple Inc.', 'Technology'],
+    ['META', 'Meta Platforms Inc.', 'Communication Services'],
+    ['BRK.B', 'Berkshire Hathaway Inc.', 'Financials'],
+    ['AVGO', 'Broadcom Inc.', 'Technology'],
+    ['LLY', 'Eli Lilly and Co.', 'Health Care'],
+    ['V', 'Visa Inc.', 'Financials'],
+    ['UNH', 'UnitedHealth Group Inc.', 'Health Care'],
+    ['XOM', 'Exxon Mobil Corp.', 'Energy'],
+    ['MA', 'Mastercard Inc.', 'Financials'],
+    ['JNJ', 'Johnson & Johnson', 'Health Care'],
+    ['PG', 'Procter & Gamble Co.', 'Consumer Staples'],
+    ['HD', 'Home Depot Inc.', 'Consumer Discretionary'],
+    ['COST', 'Costco Wholesale Corp.', 'Consumer Staples'],
+    ['MRK', 'Merck & Co. Inc.', 'Health Care'],
+    ['ABBV', 'AbbVie Inc.', 'Health Care'],
+    ['CVX', 'Chevron Corp.', 'Energy'],
+    ['ADBE', 'Adobe Inc.', 'Technology'],
+    ['CRM', 'Salesforce Inc.', 'Technology'],
+    ['PEP', 'PepsiCo Inc.', 'Consumer Staples'],
+    ['KO', 'Coca-Cola Co.', 'Consumer Staples'],
+    ['WMT', 'Walmart Inc.', 'Consumer Staples'],
+    ['BAC', 'Bank of America Corp.', 'Financials'],
+    ['NFLX', 'Netflix Inc.', 'Communication Services'],
+    ['AMD', 'Advanced Micro Devices Inc.', 'Technology'],
+    ['TMO', 'Thermo Fisher Scientific Inc.', 'Health Care'],
+    ['MCD', "McDonald's Corp.", 'Consumer Discretionary'],
+    ['CSCO', 'Cisco Systems Inc.', 'Technology'],
+    ['ACN', 'Accenture plc', 'Technology'],
+    ['ABT', 'Abbott Laboratories', 'Health Care'],
+    ['LIN', 'Linde plc', 'Materials'],
+    ['ORCL', 'Oracle Corp.', 'Technology'],
+    ['DIS', 'Walt Disney Co.', 'Communication Services'],
+    ['INTC', 'Intel Corp.', 'Technology'],
+    ['WFC', 'Wells Fargo & Co.', 'Financials'],
+    ['DHR', 'Danaher Corp.', 'Health Care'],
+    ['VZ', 'Verizon Communications Inc.', 'Communication Services'],
+    ['INTU', 'Intuit Inc.', 'Technology'],
+    ['CMCSA', 'Comcast Corp.', 'Communication Services'],
+    ['QCOM', 'Qualcomm Inc.', 'Technology'],
+    ['TXN', 'Texas Instruments Inc.', 'Technology'],
+    ['PFE', 'Pfizer Inc.', 'Health Care'],
+    ['AMGN', 'Amgen Inc.', 'Health Care'],
+    ['IBM', 'International Business Machines Corp.', 'Technology'],
+    ['NKE', 'Nike Inc.', 'Consumer Discretionary'],
+    ['PM', 'Philip Morris International Inc.', 'Consumer Staples'],
+    ['UNP', 'Union Pacific Corp.', 'Industrials'],
+    ['CAT', 'Caterpillar Inc.', 'Industrials'],
+    ['GE', 'General Electric Co.', 'Industrials'],
+    ['NOW', 'ServiceNow Inc.', 'Technology'],
+    ['SPGI', 'S&P Global Inc.', 'Financials'],
+    ['HON', 'Honeywell International Inc.', 'Industrials'],
+    ['LOW', "Lowe's Companies Inc.", 'Consumer Discretionary'],
+    ['GS', 'Goldman Sachs Group Inc.', 'Financials'],
+    ['BA', 'Boeing Co.', 'Industrials'],
+    ['UBER', 'Uber Technologies Inc.', 'Industrials'],
+    ['NEE', 'NextEra Energy Inc.', 'Utilities'],
+    ['RTX', 'RTX Corp.', 'Industrials'],
+    ['ISRG', 'Intuitive Surgical Inc.', 'Health Care'],
+    ['BKNG', 'Booking Holdings Inc.', 'Consumer Discretionary'],
+    ['AMAT', 'Applied Materials Inc.', 'Technology'],
+    ['MS', 'Morgan Stanley', 'Financials'],
+    ['SBUX', 'Starbucks Corp.', 'Consumer Discretionary'],
+    ['BLK', 'BlackRock Inc.', 'Financials'],
+    ['DE', 'Deere & Co.', 'Industrials'],
+    ['T', 'AT&T Inc.', 'Communication Services'],
+    ['ELV', 'Elevance Health Inc.', 'Health Care'],
+    ['PLD', 'Prologis Inc.', 'Real Estate'],
+    ['MDT', 'Medtronic plc', 'Health Care'],
+    ['LMT', 'Lockheed Martin Corp.', 'Industrials'],
+    ['SCHW', 'Charles Schwab Corp.', 'Financials'],
+    ['GILD', 'Gilead Sciences Inc.', 'Health Care'],
+    ['ADP', 'Automatic Data Processing Inc.', 'Industrials'],
+    ['MDLZ', 'Mondelez International Inc.', 'Consumer Staples'],
+    ['CVS', 'CVS Health Corp.', 'Health Care'],
+    ['C', 'Citigroup Inc.', 'Financials'],
+    ['AMT', 'American Tower Corp.', 'Real Estate'],
+    ['SYK', 'Stryker Corp.', 'Health Care'],
+    ['MU', 'Micron Technology Inc.', 'Technology'],
+    ['LRCX', 'Lam Research Corp.', 'Technology'],
+    ['TJX', 'TJX Companies Inc.', 'Consumer Discretionary'],
+    ['PANW', 'Palo Alto Networks Inc.', 'Technology'],
+    ['REGN', 'Regeneron Pharmaceuticals Inc.', 'Health Care'],
+    ['VRTX', 'Vertex Pharmaceuticals Inc.', 'Health Care'],
+    ['MMC', 'Marsh & McLennan Companies Inc.', 'Financials'],
+    ['CB', 'Chubb Ltd.', 'Financials'],
+    ['SO', 'Southern Co.', 'Utilities'],
+    ['DUK', 'Duke Energy Corp.', 'Utilities'],
+    ['ZTS', 'Zoetis Inc.', 'Health Care'],
+    ['BMY', 'Bristol-Myers Squibb Co.', 'Health Care'],
+    ['COP', 'ConocoPhillips', 'Energy'],
+    ['FDX', 'FedEx Corp.', 'Industrials'],
+    ['SHW', 'Sherwin-Williams Co.', 'Materials'],
+    ['PYPL', 'PayPal Holdings Inc.', 'Financials'],
+    ['ADI', 'Analog Devices Inc.', 'Technology'],
+    ['KLAC', 'KLA Corp.', 'Technology'],
+    ['CI', 'Cigna Group', 'Health Care'],
+    ['EOG', 'EOG Resources Inc.', 'Energy'],
+];
+
+/** Fund families and strategies combined into the simulated mutual fund universe. */
+export const FUND_FAMILIES = [
+    ['VG', 'Vanguard'],
+    ['FD', 'Fidelity'],
+    ['TR', 'T. Rowe Price'],
+    ['AF', 'American Funds'],
+    ['SW', 'Schwab'],
+    ['BR', 'BlackRock'],
+    ['JP', 'JPMorgan'],
+    ['FR', 'Franklin'],
+    ['IV', 'Invesco'],
+    ['PM', 'PIMCO'],
+];
+
+/** [code, name, category, benchmark, kind] per fund strategy; `kind` sets its simulated costs. */
+export const FUND_STRATEGIES = [
+    ['SP', '500 Index', 'Large Blend', 'S&P 500 Index', 'index'],
+    ['TM', 'Total Market Index', 'Large Blend', 'CRSP US Total Market Index', 'index'],
+    ['GR', 'Growth', 'Large Growth', 'Russell 1000 Growth Index', 'equity'],
+    ['VL', 'Value', 'Large Value', 'Russell 1000 Value Index', 'equity'],
+    ['MC', 'Mid-Cap', 'Mid-Cap Blend', 'S&P MidCap 400 Index', 'equity'],
+    ['SC', 'Small-Cap', 'Small Blend', 'Russell 2000 Index', 'equity'],
+    ['IN', 'International', 'Foreign Large Blend', 'MSCI EAFE Index', 'equity'],
+    ['EM', 'Emerging Markets', 'Diversified Emerging Markets', 'MSCI Emerging Markets Index', 'equity'],
+    ['BD', 'Core Bond', 'Intermediate Core Bond', 'Bloomberg US Aggregate Bond Index', 'bond'],
+    ['BL', 'Balanced', 'Moderate Allocation', '60% S&P 500 / 40% Bloomberg US Aggregate', 'equity'],
+];
@@ -0,0 +1,96 @@
+// --- AI News Summaries ---
+// Grounded one-sentence summaries per ticker and per-watchlist digests, queued so clicks can't flood the model.
+//
+// @typedef {Object} NewsSummary
+// @property {string} text
+// @property {{ uri: string, title: string }[]} sources
+// @property {'bullish'|'bearish'|'neutral'|'mixed'} [sentiment]
+// @property {number} fetchedAt  Epoch ms.
+//
+// @typedef {Object} WatchlistDigest
+// @property {string[]} tickers
+// @property {string} overview  Markdown.
+// @property {{ ticker: string, sentiment: string, text: string }[]} items
+// @property {{ uri: string, title: string }[]} sources
+// @property {number} fetchedAt
+
+/** How long a summary or digest is served from the cache before it is fetched again. */
+export const NEWS_SUMMARY_TTL_MS = 30 * 60 * 1000;
+
+/** Summary requests allowed in flight at once. */
+export const NEWS_QUEUE_CONCURRENCY = 2;
+
+/** Instruments one digest request may cover; longer lists are cut to their first entries. */
+export const MAX_DIGEST_TICKERS = 25;
+
+export const SENTIMENTS = {
+    bullish: { label: 'Bullish' },
+    bearish: { label: 'Bearish' },
+    neutral: { label: 'Neutral' },
+    mixed: { label: 'Mixed' },
+};
+
+export const isFresh = (entry, now = Date.now()) => !!entry && now - entry.fetchedAt < NEWS_SUMMARY_TTL_MS;
+
+/**
+ * Runs async tasks at most `concurrency` at a time, in the order queued.
+ * `run(task)` resolves or rejects with the task's own result.
+ */
+export const createRequestQueue = ({ concurrency = NEWS_QUEUE_CONCURRENCY } = {}) => {
+    const waiting = [];
+    let active = 0;
+
+    const next = () => {
+        if (active >= concurrency || waiting.length === 0) return;
+        const { task, resolve, reject } = waiting.shift();
+        active++;
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+                active--;
+                next();
+            });
+    };
+
+    return {
+        run(task) {
+            return new Promise((resolve, reject) => {
+                waiting.push({ task, resolve, reject });
+                next();
+            });
+        },
+        get size() {
+            return waiting.length + active;
+        },
+    };
+};
+
+export const newsSummaryPrompt = ({ ticker, name }) =>
+    `Provide a single, very concise, one-sentence summary of the latest market news and current sentiment for ${ticker} (${name}).`;
+
+export const DIGEST_SYSTEM_PROMPT = "You are a financial news editor writing a brief digest of a user's watchlist. Use current news. Start with a two-sentence overview of the themes across the list. Then write exactly one line per instrument, in the order given, formatted as `- TICKER [sentiment]: one-sentence summary` where sentiment is one of bullish, bearish, neutral or mixed. Do not add other sections.";
+
+export const digestPrompt = (stocks) => [
+    'Summarize the latest news for these instruments:',
+    ...stocks.map(s => `- ${s.ticker} (${s.name})`),
+].join('\n');
+
+const DIGEST_LINE = /^\s*[-*]\s*(?:\*\*)?([A-Z][A-Z0-9.^-]{0,9})(?:\*\*)?\s*(?:\(([^)]*)\)\s*)?\[(bullish|bearish|neutral|mixed)\]\s*(?:\*\*)?\s*[:–—-]\s*(.+)$/i;
+
+/** Splits a digest reply into its overview and `- TICKER [sentiment]: text` items for the tickers asked about. */
+export const parseDigest = (text, tickers) => {
+    const wanted = new Set(tickers);
+    const items = [];
+    const overview = [];
+    text.split('\n').forEach(line => {
+        const match = line.match(DIGEST_LINE);
+        const ticker = match?.[1].toUpperCase();
+        if (match && wanted.has(ticker) && !items.some(item => item.ticker === ticker)) {
+            items.push({ ticker, sentiment: match[3].toLowerCase(), text: match[4].trim() });
+        } else {
+            overview.push(line);
+        }
+    });
+    return { overview: overview.join('\n').trim(), items };
+};
@@ -0,0 +1,54 @@
+// --- Period Performance ---
+// Returns over the Dashboard's 1D/1W/1M/1Y periods, and ranking by them.
+
+/** Dashboard periods and the history range each one is measured over. */
+export const PERFORMANCE_PERIODS = {
+    '1D': { range: null, label: 'today' },
+    '1W': { range: '1W', label: 'past week' },
+    '1M': { range: '1M', label: 'past month' },
+    '1Y': { range: '1Y', label: 'past year' },
+};
+
+export const RANK_MODES = {
+    movers: 'Top movers',
+    gainers: 'Gainers only',
+    losers: 'Losers only',
+};
+
+export const DEFAULT_RANK_MODE = 'movers';
+
+/** Minimum absolute period return (in percent) a stock needs to stay in the list. */
+export const MIN_MOVE_OPTIONS = [0, 1, 2, 5, 10];
+
+/** Percent return from the first bar's open to `price`, passed separately so live ticks move it. */
+export const periodReturn = (bars, price) => {
+    if (!bars || bars.length === 0 || !(bars[0].open > 0)) return null;
+    return (price / bars[0].open - 1) * 100;
+};
+
+/** Stocks ranked by `returns` (ticker -> percent): 'movers' by size either way, 'gainers' and 'losers' one side. */
+export const rankByPerformance = (stocks, returns, { mode = DEFAULT_RANK_MODE, minMove = 0 } = {}) => stocks
+    .filter(stock => {
+        const value = returns[stock.ticker];
+        if (value == null || Math.abs(value) < minMove) return false;
+        if (mode === 'gainers') return value > 0;
+        if (mode === 'losers') return value < 0;
+        return true;
+    })
+    .sort((a, b) => {
+        const ra = returns[a.ticker];
+        const rb = returns[b.ticker];
+        if (mode === 'gainers') return rb - ra;
+        if (mode === 'losers') return ra - rb;
+        return Math.abs(rb) - Math.abs(ra);
+    });
+
+/**
+ * Reads the watchlist filter from URL query params, ignoring anything that is
+ * not a known value so hand-edited or stale links fall back to the defaults.
+ */
+export const parseWatchlistQuery = (params) => ({
+    period: PERFORMANCE_PERIODS[params.period] ? params.period : '',
+    mode: RANK_MODES[params.rank] ? params.rank : DEFAULT_RANK_MODE,
+    minMove: MIN_MOVE_OPTIONS.includes(Number(params.min)) ? Number(params.min) : 0,
+});
@@ -0,0 +1,138 @@
+// --- Live Price Streaming ---
+// WebSocket client that resubscribes after reconnecting; protocol in docs/price-stream.md.
+
+const DEFAULT_BACKOFF = { initial: 500, max: 30000, factor: 2 };
+
+/**
+ * Creates a streaming client. Nothing connects until the first subscription.
+ * `status` is one of 'idle' | 'connecting' | 'open' | 'reconnecting' | 'closed'.
+ */
+export const createPriceStream = ({
+    url,
+    WebSocketImpl = globalThis.WebSocket,
+    backoff = DEFAULT_BACKOFF,
+} = {}) => {
+    if (!url) throw new Error('createPriceStream requires a url.');
+
+    const counts = new Map(); // ticker -> number of active subscriptions
+    const tickListeners = new Set();
+    const statusListeners = new Set();
+    let socket = null;
+    let status = 'idle';
+    let attempt = 0;
+    let reconnectTimer = null;
+    let closedByUser = false;
+
+    const setStatus = (next) => {
+        status = next;
+        statusListeners.forEach(listener => listener(next));
+    };
+
+    const send = (message) => {
+        if (socket && socket.readyState === 1) socket.send(JSON.stringify(message));
+    };
+
+    const scheduleReconnect = () => {
+        const base = Math.min(backoff.max, backoff.initial * Math.pow(backoff.factor, attempt));
+        // Jitter keeps many clients from reconnecting in lockstep after a server restart.
+        const wait = base / 2 + Math.random() * base / 2;
+        attempt++;
+        setStatus('reconnecting');
+        reconnectTimer = setTimeout(connect, wait);
+    };
+
+    function connect() {
+        reconnectTimer = null;
+        if (status !== 'reconnecting') setStatus('connecting');
+        socket = new WebSocketImpl(url);
+
+        socket.onopen = () => {
+            attempt = 0;
+            setStatus('open');
+            if (counts.size > 0) send({ type: 'subscribe', tickers: [...counts.keys()] });
+        };
+
+        socket.onmessage = (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch {
+                return;
+            }
+            if (message.type === 'tick' && counts.has(message.ticker)) {
+                tickListeners.forEach(listener => listener(message));
+            }
+        };
+
+        socket.onclose = () => {
+            socket = null;
+            if (closedByUser || counts.size === 0) {
+                setStatus('closed');
+                return;
+            }
+            scheduleReconnect();
+        };
+
+        // Errors are always followed by a close event, which drives reconnection.
+        socket.onerror = () => {};
+    }
+
+    const ensureConnected = () => {
+        closedByUser = false;
+        if (!socket && !reconnectTimer) connect();
+    };
+
+    return {
+        get status() {
+            return status;
+        },
+
+        /** Subscribes to tickers; returns a function that releases them again. */
+        subscribe(tickers) {
+            const added = [];
+            tickers.forEach(ticker => {
+                const count = counts.get(ticker) || 0;
+                counts.set(ticker, count + 1);
+                if (count === 0) added.push(ticker);
+            });
+            ensureConnected();
+            if (added.length > 0) send({ type: 'subscribe', tickers: added });
+
+            return () => {
+                const removed = [];
+                tickers.forEach(ticker => {
+                    const count = counts.get(ticker) || 0;
+                    if (count <= 1) {
+                        counts.delete(ticker);
+                        removed.push(ticker);
+                    } else {
+                        counts.set(ticker, count - 1);
+                    }
+                });
+                if (removed.length > 0) send({ type: 'unsubscribe', tickers: removed });
+            };
+        },
+
+        onTick(listener) {
+            tickListeners.add(listener);
+            return () => tickListeners.delete(listener);
+        },
+
+        onStatus(listener) {
+            statusListeners.add(listener);
+            return () => statusListeners.delete(listener);
+        },
+
+        close() {
+            closedByUser = true;
+            clearTimeout(reconnectTimer);
+            reconnectTimer = null;
+            if (socket) socket.close();
+            else setStatus('closed');
+        },
+    };
+};
+
+/** Builds a client from VITE_PRICE_STREAM_URL, or returns null when streaming is not configured. */
+export const createPriceStreamFromEnv = (env = import.meta.env) =>
+    env.VITE_PRICE_STREAM_URL ? createPriceStream({ url: env.VITE_PRICE_STREAM_URL }) : null;
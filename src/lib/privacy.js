@@ -0,0 +1,81 @@
+// --- Privacy ---
+// What the AI assistant may read (saved in the profile), and exporting or erasing the user's data.
+//
+// @typedef {Object} AiDataSharing
+// @property {boolean} holdings    Positions, cash and returns.
+// @property {boolean} watchlists  Watchlist names and tickers.
+
+import { USER_DATA, readAllJson, removeKey, clearUser, userScoped, idbGetAll, idbDelete, STORAGE_PREFIX } from './storage.js';
+
+/** Each kind of data the assistant can be allowed to read, and the Kuber tools that read it. */
+export const AI_DATA_SHARING = {
+    holdings: {
+        label: 'Portfolio holdings',
+        description: 'Kuber can look up your positions, cash and returns, and AI portfolio analysis can run on your portfolio.',
+        tools: ['get_holdings'],
+    },
+    watchlists: {
+        label: 'Watchlists',
+        description: 'Kuber can read the names of your watchlists and the tickers on them.',
+        tools: ['get_watchlists'],
+    },
+};
+
+export const DEFAULT_AI_DATA_SHARING = { holdings: true, watchlists: true };
+
+/** The user's sharing choices, with defaults for anything not yet chosen. */
+export const aiDataSharingOf = (user) => ({ ...DEFAULT_AI_DATA_SHARING, ...user?.aiDataSharing });
+
+/** Checks a (possibly partial) sharing update. */
+export const validateAiDataSharing = (value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return ['AI data sharing must be a set of on/off choices.'];
+    const unknown = Object.keys(value).filter(key => !AI_DATA_SHARING[key]);
+    if (unknown.length > 0) return [`Unknown AI data sharing option: ${unknown.join(', ')}.`];
+    return Object.values(value).some(allowed => typeof allowed !== 'boolean') ? ['AI data sharing choices must be on or off.'] : [];
+};
+
+/** Whether Kuber may call `tool` under `sharing`. Tools that read no personal data are always allowed. */
+export const isToolShared = (tool, sharing) =>
+    Object.entries(AI_DATA_SHARING).every(([key, { tools }]) => sharing[key] || !tools.includes(tool));
+
+/** The tools Kuber may not call under `sharing`; their earlier results aren't re-sent either. */
+export const withheldTools = (sharing) =>
+    Object.entries(AI_DATA_SHARING).filter(([key]) => !sharing[key]).flatMap(([, { tools }]) => tools);
+
+/** Tells Kuber what it has been kept from, so it can say why; empty when everything is shared. */
+export const withheldDataPrompt = (sharing) => {
+    const withheld = Object.keys(AI_DATA_SHARING).filter(key => !sharing[key]);
+    if (withheld.length === 0) return '';
+    const labels = withheld.map(key => AI_DATA_SHARING[key].label.toLowerCase()).join(' and ');
+    return `The user has chosen not to share their ${labels} with you. If a question needs them, say so and mention they can change this under Account > Security & Privacy.`;
+};
+
+// Sign-in tokens and bookkeeping are never part of an export.
+const EXCLUDED_KEYS = ['session', 'schemaVersion'];
+
+const userChatThreads = async (userId) => {
+    const prefix = userScoped('', userId);
+    return (await idbGetAll('chatThreads')).filter(thread => String(thread.id).startsWith(prefix));
+};
+
+/** The personal data download: the account's copy (GET /me/export) plus what this device holds for `userId`. */
+export const buildPersonalDataExport = async (account, userId) => {
+    const own = userScoped('', userId);
+    const device = {};
+    Object.entries(readAllJson()).forEach(([key, value]) => {
+        if (key.startsWith(own)) device[key.slice(own.length)] = value;
+        else if (!key.startsWith('user.') && !USER_DATA.includes(key) && !EXCLUDED_KEYS.includes(key)) device[key] = value;
+    });
+    return {
+        exportedAt: new Date().toISOString(),
+        account,
+        device: { ...device, chatThreads: await userChatThreads(userId) },
+    };
+};
+
+/** Erases what this device holds for `userId`, and the session. Reload straight after. */
+export const eraseDeviceData = async (userId) => {
+    await Promise.all((await userChatThreads(userId)).map(thread => idbDelete('chatThreads', thread.id)));
+    clearUser(userId);
+    removeKey(`${STORAGE_PREFIX}session`);
+};
@@ -0,0 +1,52 @@
+// --- Routes ---
+// Maps URL paths to views and back; each view keeps its filters and ranges in query parameters.
+
+/** Base path of every view. */
+export const VIEW_PATHS = {
+    Dashboard: '/',
+    Performance: '/performance',
+    Analysis: '/analysis',
+    Account: '/account',
+    Security: '/account/security',
+    SignIn: '/signin',
+    SignUp: '/signup',
+};
+
+/** Views that show the user's portfolio or account, and need a signed-in user. */
+export const PROTECTED_VIEWS = new Set(['Analysis', 'Account', 'Security']);
+
+/** Sub-pages, and the view whose nav link they highlight. */
+export const PARENT_VIEWS = { Security: 'Account' };
+
+/**
+ * Reads `{ view, params }` from a pathname, or null when no view matches.
+ * Trailing slashes and letter case are ignored; tickers come back upper-case.
+ */
+export const parseRoute = (pathname) => {
+    const segments = pathname.split('/').filter(Boolean).map(segment => decodeURIComponent(segment));
+    if (segments.length === 0) return { view: 'Dashboard', params: {} };
+    const [first, ...rest] = segments;
+    const view = Object.keys(VIEW_PATHS).find(name => name !== 'Dashboard' && VIEW_PATHS[name] === `/${first.toLowerCase()}`);
+    if (view === 'Performance' && rest.length <= 1) return { view, params: { ticker: rest[0] ? rest[0].toUpperCase() : '' } };
+    if (view === 'Account' && rest.length === 1) {
+        const page = Object.keys(PARENT_VIEWS).find(name => VIEW_PATHS[name] === `/${first.toLowerCase()}/${rest[0].toLowerCase()}`);
+        return page ? { view: page, params: {} } : null;
+    }
+    if (view && rest.length === 0) return { view, params: {} };
+    return null;
+};
+
+/**
+ * Where to send a signed-out user, remembering `next` (an in-app path) to
+ * return to afterwards.
+ */
+export const signInPath = (next) => (next && next !== '/' ? `${VIEW_PATHS.SignIn}?next=${encodeURIComponent(next)}` : VIEW_PATHS.SignIn);
+
+/** The `next` path of a sign-in URL, if it is a path within the app (never another origin). */
+export const safeNextPath = (next) => (typeof next === 'string' && /^\/(?![/\\])/.test(next) ? next : '/');
+
+/** The path for a view, e.g. buildPath('Performance', { ticker: 'MSFT' }) -> '/performance/MSFT'. */
+export const buildPath = (view, { ticker } = {}) => {
+    if (view === 'Performance' && ticker) return `${VIEW_PATHS.Performance}/${encodeURIComponent(ticker)}`;
+    return VIEW_PATHS[view] || VIEW_PATHS.Dashboard;
+};
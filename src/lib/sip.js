@@ -0,0 +1,137 @@
+// --- Systematic Investment Plans ---
+// Monthly fixed-amount fund purchases; each installment due is posted to the ledger as a deposit plus a buy.
+//
+// @typedef {Object} SipPlan
+// @property {string} id
+// @property {string} ticker
+// @property {number} amount        Invested per installment.
+// @property {number} dayOfMonth    1 to SIP_MAX_DAY, so every month has the day.
+// @property {string} startDate     ISO date; the first installment is the first due day on or after it.
+// @property {string} [endDate]     ISO date, inclusive. Set when a plan is stopped.
+// @property {string} [lastPosted]  Due date of the latest installment posted to the ledger.
+
+export const SIP_MAX_DAY = 28;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Local calendar date as YYYY-MM-DD, matching the ledger's dates. */
+export const toIsoDate = (date) =>
+    `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const parseIsoDate = (iso) => {
+    const [year, month, day] = iso.split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+/** Returns a list of problems with a plan; empty when it is well-formed. */
+export const validateSip = (plan) => {
+    const errors = [];
+    if (!plan.ticker || !String(plan.ticker).trim()) errors.push('Fund is required.');
+    if (!(plan.amount > 0)) errors.push('Installment amount must be greater than zero.');
+    if (!Number.isInteger(plan.dayOfMonth) || plan.dayOfMonth < 1 || plan.dayOfMonth > SIP_MAX_DAY) {
+        errors.push(`Installment day must be between 1 and ${SIP_MAX_DAY}.`);
+    }
+    if (!plan.startDate || Number.isNaN(Date.parse(plan.startDate))) errors.push('A valid start date is required.');
+    if (plan.endDate && plan.startDate && plan.endDate < plan.startDate) errors.push('End date cannot be before the start date.');
+    return errors;
+};
+
+/** A plan's due dates up to `until` (or its end), oldest first, plus `extra` later ones while it runs. */
+export const installmentDates = (plan, { until, extra = 0 }) => {
+    const dates = [];
+    const start = parseIsoDate(plan.startDate);
+    const cursor = new Date(start.getFullYear(), start.getMonth(), plan.dayOfMonth);
+    if (cursor < start) cursor.setMonth(cursor.getMonth() + 1);
+    let beyond = 0;
+    while (beyond <= extra) {
+        const iso = toIsoDate(cursor);
+        if (plan.endDate && iso > plan.endDate) break;
+        if (iso > until && ++beyond > extra) break;
+        dates.push(iso);
+        cursor.setMonth(cursor.getMonth() + 1);
+    }
+    return dates;
+};
+
+/** Installments due by `today` and after `lastPosted`, even if posted ones were since removed from the ledger. */
+export const dueInstallments = (plan, today) =>
+    installmentDates(plan, { until: today }).filter(date => !plan.lastPosted || date > plan.lastPosted);
+
+/**
+ * The deposit and buy that record one installment, priced at the first NAV
+ * published on or after the due date. Returns null while that NAV is not out yet.
+ */
+export const installmentEntries = (plan, dueDate, navBars) => {
+    const due = parseIsoDate(dueDate).getTime();
+    const bar = navBars.find(b => b.time >= due);
+    if (!bar) return null;
+    const date = toIsoDate(new Date(bar.time));
+    const tag = { sipId: plan.id, installment: dueDate };
+    return [
+        { type: 'deposit', date, amount: plan.amount, ...tag },
+        { type: 'buy', date, ticker: plan.ticker, quantity: plan.amount / bar.close, price: bar.close, fees: 0, ...tag },
+    ];
+};
+
+/** Each installment with its status: 'paid', 'skipped', 'pending' (awaiting its NAV) or 'upcoming'. */
+export const sipSchedule = (plan, transactions, { today, upcoming = 3 }) => {
+    const buys = new Map(transactions
+        .filter(tx => tx.type === 'buy' && tx.sipId === plan.id)
+        .map(tx => [tx.installment, tx]));
+    return installmentDates(plan, { until: today, extra: upcoming }).map(date => {
+        const tx = buys.get(date);
+        if (tx) return { date, status: 'paid', tradeDate: tx.date, amount: tx.quantity * tx.price, nav: tx.price, units: tx.quantity };
+        if (date > today) return { date, status: 'upcoming', amount: plan.amount };
+        if (plan.lastPosted && date <= plan.lastPosted) return { date, status: 'skipped', amount: plan.amount };
+        return { date, status: 'pending', amount: plan.amount };
+    });
+};
+
+/** Annualised IRR of `{ date, amount }` flows (investments negative) as a fraction, or null. */
+export const xirr = (cashflows) => {
+    if (cashflows.length < 2 || !cashflows.some(f => f.amount > 0) || !cashflows.some(f => f.amount < 0)) return null;
+    const t0 = Math.min(...cashflows.map(f => parseIsoDate(f.date).getTime()));
+    const flows = cashflows.map(f => ({ amount: f.amount, years: (parseIsoDate(f.date).getTime() - t0) / DAY_MS / 365 }));
+    const npv = (rate) => flows.reduce((sum, f) => sum + f.amount / (1 + rate) ** f.years, 0);
+    const slope = (rate) => flows.reduce((sum, f) => sum - f.years * f.amount / (1 + rate) ** (f.years + 1), 0);
+
+    // Newton's method converges in a few steps for typical SIPs; bisection catches the rest.
+    let rate = 0.1;
+    for (let i = 0; i < 50; i++) {
+        const d = slope(rate);
+        if (!d) break;
+        const next = rate - npv(rate) / d;
+        if (!Number.isFinite(next) || next <= -1) break;
+        if (Math.abs(next - rate) < 1e-7) return next;
+        rate = next;
+    }
+    let low = -0.9999;
+    let high = 10;
+    if (npv(low) * npv(high) > 0) return null;
+    for (let i = 0; i < 200; i++) {
+        const mid = (low + high) / 2;
+        if (npv(low) * npv(mid) <= 0) high = mid; else low = mid;
+    }
+    return (low + high) / 2;
+};
+
+/**
+ * Totals for one plan at the fund's current `price`: installments paid,
+ * amount invested, units, market value, gain and XIRR.
+ */
+export const summarizeSip = (plan, transactions, { price, today }) => {
+    const paid = sipSchedule(plan, transactions, { today, upcoming: 0 }).filter(row => row.status === 'paid');
+    const invested = paid.reduce((sum, row) => sum + row.amount, 0);
+    const units = paid.reduce((sum, row) => sum + row.units, 0);
+    const value = price != null ? units * price : null;
+    return {
+        installments: paid.length,
+        invested,
+        units,
+        value,
+        gain: value != null ? value - invested : null,
+        xirr: value != null && paid.length > 0
+            ? xirr([...paid.map(row => ({ date: row.tradeDate, amount: -row.amount })), { date: today, amount: value }])
+            : null,
+    };
+};
@@ -0,0 +1,294 @@
+// --- Broker Statement Import ---
+// CSV or XLSX statements to ledger transactions: read, map columns, then validate and flag duplicates.
+
+import { validateTransaction } from './ledger.js';
+
+export const IMPORT_FIELDS = [
+    { key: 'date', label: 'Date', required: true },
+    { key: 'ticker', label: 'Ticker', required: true },
+    { key: 'side', label: 'Side (Buy/Sell)', required: false },
+    { key: 'quantity', label: 'Quantity', required: true },
+    { key: 'price', label: 'Price', required: true },
+    { key: 'fees', label: 'Fees', required: false },
+];
+
+/**
+ * Column layouts of common broker exports. `dateOrder` resolves dates such as
+ * 03/04/2024, which are ambiguous between US and day-first formats.
+ */
+export const BUILT_IN_PRESETS = [
+    {
+        id: 'ibkr-flex',
+        name: 'Interactive Brokers (Flex trades)',
+        dateOrder: 'YMD',
+        columns: { date: 'TradeDate', ticker: 'Symbol', side: 'Buy/Sell', quantity: 'Quantity', price: 'TradePrice', fees: 'IBCommission' },
+    },
+    {
+        id: 'fidelity',
+        name: 'Fidelity (Account history)',
+        dateOrder: 'MDY',
+        columns: { date: 'Run Date', ticker: 'Symbol', side: 'Action', quantity: 'Quantity', price: 'Price ($)', fees: 'Commission ($)' },
+    },
+    {
+        id: 'schwab',
+        name: 'Charles Schwab (Transactions)',
+        dateOrder: 'MDY',
+        columns: { date: 'Date', ticker: 'Symbol', side: 'Action', quantity: 'Quantity', price: 'Price', fees: 'Fees & Comm' },
+    },
+    {
+        id: 'robinhood',
+        name: 'Robinhood (Activity report)',
+        dateOrder: 'MDY',
+        columns: { date: 'Activity Date', ticker: 'Instrument', side: 'Trans Code', quantity: 'Quantity', price: 'Price' },
+    },
+    {
+        id: 'zerodha',
+        name: 'Zerodha (Tradebook)',
+        dateOrder: 'YMD',
+        columns: { date: 'trade_date', ticker: 'symbol', side: 'trade_type', quantity: 'quantity', price: 'price' },
+    },
+];
+
+const HEADER_SYNONYMS = {
+    date: ['date', 'trade date', 'tradedate', 'run date', 'activity date', 'transaction date', 'settlement date', 'date/time', 'trade_date'],
+    ticker: ['ticker', 'symbol', 'instrument', 'security', 'scrip'],
+    side: ['side', 'action', 'type', 'buy/sell', 'trans code', 'transaction type', 'trade_type'],
+    quantity: ['quantity', 'qty', 'shares', 'units'],
+    price: ['price', 'trade price', 'tradeprice', 't. price', 'price ($)', 'unit price', 'execution price'],
+    fees: ['fees', 'fee', 'commission', 'comm/fee', 'fees & comm', 'commission ($)', 'ibcommission', 'charges'],
+};
+
+// --- Reading files ---
+
+/** Parses delimited text (RFC 4180 quoting). The delimiter is detected from the first line. */
+export const parseCsv = (text) => {
+    const input = text.replace(/^\uFEFF/, '');
+    const firstLine = input.slice(0, input.search(/\r?\n|$/));
+    const delimiter = [',', ';', '\t']
+        .map(d => ({ d, count: firstLine.split(d).length }))
+        .sort((a, b) => b.count - a.count)[0].d;
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(cell => String(cell).trim() !== ''));
+};
+
+const readSpreadsheet = async (file) => {
+    const XLSX = await import('xlsx');
+    const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array', cellDates: true });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    return XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '' })
+        .filter(r => r.some(cell => String(cell).trim() !== ''));
+};
+
+/**
+ * Reads a CSV or XLSX file into `{ headers, rows }`. Rows are arrays aligned
+ * with `headers`; XLSX cells keep their native numbers and dates.
+ */
+export const readStatementFile = async (file) => {
+    const extension = file.name.split('.').pop().toLowerCase();
+    let table;
+    if (extension === 'xlsx' || extension === 'xls') {
+        table = await readSpreadsheet(file);
+    } else if (extension === 'csv' || extension === 'txt') {
+        table = parseCsv(await file.text());
+    } else {
+        throw new Error(`Unsupported file type ".${extension}". Choose a CSV or XLSX file.`);
+    }
+    if (table.length < 2) throw new Error('The file has no data rows.');
+
+    const [headerRow, ...rows] = table;
+    return { headers: headerRow.map(h => String(h).trim()), rows };
+};
+
+// --- Mapping ---
+
+const normalizeHeader = (header) => header.trim().toLowerCase();
+
+/** Best-effort mapping from field key to header name, based on common column names. */
+export const guessMapping = (headers) => {
+    const mapping = {};
+    IMPORT_FIELDS.forEach(({ key }) => {
+        const match = headers.find(h => HEADER_SYNONYMS[key].includes(normalizeHeader(h)));
+        if (match) mapping[key] = match;
+    });
+    return mapping;
+};
+
+/** Applies a preset, keeping only columns that exist in this file (case-insensitive). */
+export const mappingFromPreset = (preset, headers) => {
+    const mapping = {};
+    Object.entries(preset.columns).forEach(([key, column]) => {
+        const match = headers.find(h => normalizeHeader(h) === normalizeHeader(column));
+        if (match) mapping[key] = match;
+    });
+    return mapping;
+};
+
+/** Picks the preset whose columns all appear in the headers, if any. */
+export const detectPreset = (headers, presets) =>
+    presets.find(preset => Object.keys(mappingFromPreset(preset, headers)).length === Object.keys(preset.columns).length) || null;
+
+// --- Row normalization ---
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const toIsoDate = (value, dateOrder) => {
+    if (value instanceof Date && !Number.isNaN(value.getTime())) {
+        return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    }
+    if (typeof value === 'number') {
+        // Excel serial day number (days since 1899-12-30).
+        if (value > 20000 && value < 80000) {
+            const date = new Date(Date.UTC(1899, 11, 30) + Math.round(value) * 86400000);
+            return date.toISOString().slice(0, 10);
+        }
+        // YYYYMMDD stored as a number, as in Interactive Brokers exports.
+        if (value >= 19000101 && value <= 21001231) return toIsoDate(String(value), 'YMD');
+        return null;
+    }
+
+    const text = String(value).trim();
+    let match = text.match(/^(\d{4})[-/.]?(\d{1,2})[-/.]?(\d{1,2})/);
+    if (match) return validDate(match[1], match[2], match[3]);
+    match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/);
+    if (match) {
+        const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+        const [first, second] = [Number(match[1]), Number(match[2])];
+        const dayFirst = dateOrder === 'DMY' || (dateOrder !== 'MDY' && first > 12);
+        return dayFirst ? validDate(year, second, first) : validDate(year, first, second);
+    }
+    const parsed = new Date(text);
+    return Number.isNaN(parsed.getTime()) ? null : toIsoDate(parsed);
+};
+
+const validDate = (year, month, day) => {
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) return null;
+    return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+/** Parses numbers such as "1,234.50", "$12.00" or "(3.25)" (accounting negative). */
+const toNumber = (value) => {
+    if (typeof value === 'number') return value;
+    const text = String(value).trim();
+    if (text === '') return null;
+    const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+    const digits = text.replace(/[^0-9.]/g, '');
+    if (digits === '' || Number.isNaN(Number(digits))) return Number.NaN;
+    return negative ? -Number(digits) : Number(digits);
+};
+
+const toSide = (value) => {
+    const text = String(value).trim().toLowerCase();
+    if (/\b(buy|bought|bot|b|purchase)\b/.test(text)) return 'buy';
+    if (/\b(sell|sold|sld|s|sale)\b/.test(text)) return 'sell';
+    return null;
+};
+
+/**
+ * Converts one raw row into a ledger transaction. Returns `{ transaction, errors }`;
+ * when there is no side column, a negative quantity is read as a sell.
+ */
+export const normalizeRow = (row, headers, mapping, { dateOrder } = {}) => {
+    const cell = (key) => (mapping[key] ? row[headers.indexOf(mapping[key])] : undefined);
+    const errors = [];
+
+    const date = toIsoDate(cell('date') ?? '', dateOrder);
+    if (!date) errors.push(`Unrecognized date "${cell('date') ?? ''}".`);
+
+    const ticker = String(cell('ticker') ?? '').trim().toUpperCase();
+    const rawQuantity = toNumber(cell('quantity') ?? '');
+    const price = toNumber(cell('price') ?? '');
+    const fees = mapping.fees ? toNumber(cell('fees') ?? '') : 0;
+
+    let side = mapping.side ? toSide(cell('side') ?? '') : null;
+    if (!side && !mapping.side && rawQuantity != null) side = rawQuantity < 0 ? 'sell' : 'buy';
+    if (!side) errors.push(`Unrecognized side "${cell('side') ?? ''}"; expected Buy or Sell.`);
+
+    if (rawQuantity == null || Number.isNaN(rawQuantity)) errors.push('Quantity is not a number.');
+    if (price == null || Number.isNaN(price)) errors.push('Price is not a number.');
+    if (Number.isNaN(fees)) errors.push('Fees is not a number.');
+
+    const transaction = {
+        type: side || 'buy',
+        date: date || '',
+        ticker,
+        quantity: Math.abs(rawQuantity || 0),
+        price: Math.abs(price || 0),
+        // Brokers usually report commissions as negative cash flows.
+        fees: Math.abs(fees || 0),
+    };
+    if (errors.length === 0) errors.push(...validateTransaction(transaction));
+
+    return { transaction, errors };
+};
+
+/** Identity of a trade for duplicate detection across imports. */
+export const transactionFingerprint = (tx) =>
+    [tx.date, tx.type, (tx.ticker || '').toUpperCase(), Number(tx.quantity || 0).toFixed(6), Number(tx.price || 0).toFixed(6), Number(tx.fees || 0).toFixed(4)].join('|');
+
+/**
+ * Validates every row and marks those the ledger already holds, one for one, as duplicates.
+ * Other identical rows (often partial fills) are kept and marked `repeated`.
+ */
+export const buildImportPreview = (rows, headers, mapping, { dateOrder, existingTransactions = [] } = {}) => {
+    const inLedger = new Map();
+    existingTransactions.forEach(tx => {
+        const fingerprint = transactionFingerprint(tx);
+        inLedger.set(fingerprint, (inLedger.get(fingerprint) || 0) + 1);
+    });
+    const inFile = new Map();
+    const missing = IMPORT_FIELDS.filter(f => f.required && !mapping[f.key]);
+    if (missing.length > 0) {
+        throw new Error(`Map a column for: ${missing.map(f => f.label).join(', ')}.`);
+    }
+
+    return rows.map((row, index) => {
+        const { transaction, errors } = normalizeRow(row, headers, mapping, { dateOrder });
+        let duplicate = false;
+        let repeated = false;
+        if (errors.length === 0) {
+            const fingerprint = transactionFingerprint(transaction);
+            const occurrence = (inFile.get(fingerprint) || 0) + 1;
+            inFile.set(fingerprint, occurrence);
+            duplicate = occurrence <= (inLedger.get(fingerprint) || 0);
+            repeated = !duplicate && occurrence > 1;
+        }
+        // Row numbers are 1-based and count the header row, matching what spreadsheets show.
+        return { rowNumber: index + 2, raw: row, transaction, errors, duplicate, repeated };
+    });
+};
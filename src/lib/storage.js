@@ -0,0 +1,192 @@
+// --- Persistence ---
+// Settings in localStorage, larger data in IndexedDB, each versioned; helpers degrade to "nothing saved".
+// A user's own data is saved under names scoped to their id.
+
+export const STORAGE_PREFIX = 'fundsattips.';
+
+const VERSION_KEY = `${STORAGE_PREFIX}schemaVersion`;
+const SESSION_KEY = `${STORAGE_PREFIX}session`;
+
+/** localStorage names that hold one user's data: portfolio, SIPs, watchlists and alerts. */
+export const USER_DATA = ['ledger', 'sips', 'watchlists', 'alerts', 'alertHistory'];
+
+/** `name` scoped to one signed-in user; guests (no `userId`) use it as it is. */
+export const userScoped = (name, userId) => (userId ? `user.${userId}.${name}` : name);
+
+/** The localStorage key for `name` (one of USER_DATA) belonging to `userId`. */
+export const userStorageKey = (name, userId) => `${STORAGE_PREFIX}${userScoped(name, userId)}`;
+
+/** Reads a JSON value, returning `fallback` when it is missing or unreadable. */
+export const readJson = (key, fallback) => {
+    try {
+        const raw = localStorage.getItem(key);
+        return raw == null ? fallback : JSON.parse(raw);
+    } catch {
+        return fallback;
+    }
+};
+
+/** Saves a JSON value. Returns false when storage is unavailable or full. */
+export const writeJson = (key, value) => {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+export const removeKey = (key) => {
+    try {
+        localStorage.removeItem(key);
+    } catch {
+        // Nothing stored means nothing to remove.
+    }
+};
+
+const storedKeys = () => {
+    try {
+        return Array.from({ length: localStorage.length }, (_, i) => localStorage.key(i))
+            .filter(key => key && key.startsWith(STORAGE_PREFIX));
+    } catch {
+        return [];
+    }
+};
+
+/** Every value the app has saved, keyed by name without STORAGE_PREFIX. Unreadable values are skipped. */
+export const readAllJson = () => Object.fromEntries(storedKeys()
+    .map(key => [key.slice(STORAGE_PREFIX.length), readJson(key, undefined)])
+    .filter(([, value]) => value !== undefined));
+
+/** Removes everything saved for `userId` in localStorage. */
+export const clearUser = (userId) => {
+    const prefix = userStorageKey('', userId);
+    storedKeys().filter(key => key.startsWith(prefix)).forEach(removeKey);
+};
+
+/** The user id of the session saved on this device, if any. */
+const savedSessionUserId = () => readJson(SESSION_KEY, null)?.user?.id || null;
+
+/** Ordered localStorage migrations. Add steps at the end; never edit a released one. */
+export const MIGRATIONS = [
+    {
+        version: 1,
+        // Ledger, SIP, indicator, import-preset and feed-read keys predate
+        // versioning and already have the current shape.
+        up: () => {},
+    },
+    {
+        version: 2,
+        // Portfolio, SIPs, watchlists and alerts became per user. What was
+        // saved device-wide goes to whoever is signed in, and otherwise stays
+        // with guests.
+        up: () => {
+            const userId = savedSessionUserId();
+            if (!userId) return;
+            ['ledger', 'sips', 'watchlists', 'alerts', 'alertHistory'].forEach(name => {
+                const value = readJson(`${STORAGE_PREFIX}${name}`, undefined);
+                if (value !== undefined && writeJson(userStorageKey(name, userId), value)) removeKey(`${STORAGE_PREFIX}${name}`);
+            });
+        },
+    },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/** Brings localStorage up to SCHEMA_VERSION, once at startup; data from a newer build is left alone. */
+export const runMigrations = () => {
+    const current = readJson(VERSION_KEY, 0);
+    if (typeof current !== 'number' || current >= SCHEMA_VERSION) return;
+    for (const migration of MIGRATIONS) {
+        if (migration.version <= current) continue;
+        try {
+            migration.up();
+        } catch (error) {
+            console.warn(`Storage migration to v${migration.version} failed.`, error);
+            return;
+        }
+        writeJson(VERSION_KEY, migration.version);
+    }
+};
+
+// --- IndexedDB ---
+
+const DB_NAME = 'fundsattips';
+
+/** Object store changes, one per database version; a browser catches up through every step it missed. */
+const DB_UPGRADES = [
+    (db) => {
+        db.createObjectStore('chatThreads', { keyPath: 'id' });
+        db.createObjectStore('historyCache', { keyPath: 'key' });
+    },
+    (db, tx) => {
+        // Chat threads became per user. The shared thread goes to whoever is
+        // signed in; with nobody signed in it is dropped, since only signed-in
+        // users can chat and it may hold their tool results.
+        const userId = savedSessionUserId();
+        const store = tx.objectStore('chatThreads');
+        const request = store.get('default');
+        request.onsuccess = () => {
+            if (!request.result) return;
+            if (userId) store.put({ ...request.result, id: userScoped('default', userId) });
+            store.delete('default');
+        };
+    },
+];
+
+export const DB_VERSION = DB_UPGRADES.length;
+
+let databasePromise = null;
+
+/** Opens (and upgrades) the app database once per page; rejects when IndexedDB is unavailable. */
+export const openDatabase = () => {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available.'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = (event) => {
+                for (let version = event.oldVersion; version < DB_VERSION; version++) {
+                    DB_UPGRADES[version](request.result, request.transaction);
+                }
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // Another tab upgrading the schema needs this connection out of the way.
+                db.onversionchange = () => {
+                    db.close();
+                    databasePromise = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('The app database is open in an older tab.'));
+        });
+        databasePromise.catch(() => { databasePromise = null; });
+    }
+    return databasePromise;
+};
+
+const run = async (storeName, mode, operation) => {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = operation(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+};
+
+/** The record stored under `key`, or undefined. Resolves undefined when IndexedDB is unavailable. */
+export const idbGet = (storeName, key) => run(storeName, 'readonly', store => store.get(key)).catch(() => undefined);
+
+/** Every record in a store, or an empty list when IndexedDB is unavailable. */
+export const idbGetAll = (storeName) => run(storeName, 'readonly', store => store.getAll()).catch(() => []);
+
+/** Saves a record (keyed by the store's keyPath). Resolves false when it could not be written. */
+export const idbPut = (storeName, value) => run(storeName, 'readwrite', store => store.put(value)).then(() => true, () => false);
+
+export const idbDelete = (storeName, key) => run(storeName, 'readwrite', store => store.delete(key)).then(() => true, () => false);
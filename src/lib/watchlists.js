@@ -0,0 +1,82 @@
+// --- Watchlists ---
+// Named lists of instruments, each with its own order, sort and quote columns.
+//
+// @typedef {Object} Watchlist
+// @property {string} id
+// @property {string} name
+// @property {string[]} tickers     Upper-case, in the user's order.
+// @property {string} sort          A WATCHLIST_SORTS key.
+// @property {string[]} columns     WATCHLIST_COLUMNS keys to show.
+
+export const WATCHLIST_NAME_MAX = 40;
+
+export class WatchlistError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WatchlistError';
+    }
+}
+
+/** Orders a list can be shown in; 'manual' keeps the dragged order. */
+export const WATCHLIST_SORTS = {
+    manual: { label: 'My order' },
+    ticker: { label: 'Ticker (A-Z)', compare: (a, b) => a.ticker.localeCompare(b.ticker) },
+    changePercent: { label: 'Day change (high-low)', compare: (a, b) => b.changePercent - a.changePercent },
+    price: { label: 'Price (high-low)', compare: (a, b) => b.price - a.price },
+    marketCap: { label: 'Market cap (high-low)', compare: (a, b) => (b.marketCap ?? 0) - (a.marketCap ?? 0) },
+};
+
+export const DEFAULT_WATCHLIST_SORT = 'manual';
+
+/** Quote fields a list row can show next to its price. */
+export const WATCHLIST_COLUMNS = {
+    changePercent: 'Day change (%)',
+    change: 'Day change ($)',
+    marketCap: 'Market cap',
+};
+
+export const DEFAULT_WATCHLIST_COLUMNS = ['changePercent'];
+
+/** Returns a list of problems with a list name; `others` are the names already taken. */
+export const validateWatchlistName = (name, others = []) => {
+    const errors = [];
+    const trimmed = String(name ?? '').trim();
+    if (!trimmed) errors.push('List name is required.');
+    if (trimmed.length > WATCHLIST_NAME_MAX) errors.push(`List name must be at most ${WATCHLIST_NAME_MAX} characters.`);
+    if (others.some(other => other.toLowerCase() === trimmed.toLowerCase())) errors.push(`A list named "${trimmed}" already exists.`);
+    return errors;
+};
+
+/** Copy of `items` with the entry at `from` moved to index `to`. */
+export const moveItem = (items, from, to) => {
+    if (from === to || from < 0 || from >= items.length) return items;
+    const next = [...items];
+    const [item] = next.splice(from, 1);
+    next.splice(Math.max(0, Math.min(to, next.length)), 0, item);
+    return next;
+};
+
+/**
+ * Quotes for a list's tickers in the list's sort. Tickers without a quote
+ * (unknown, or still loading) are left out.
+ */
+export const sortWatchlist = (list, quotes) => {
+    const byTicker = new Map(quotes.map(q => [q.ticker, q]));
+    const rows = list.tickers.map(ticker => byTicker.get(ticker)).filter(Boolean);
+    const compare = WATCHLIST_SORTS[list.sort]?.compare;
+    return compare ? [...rows].sort(compare) : rows;
+};
+
+/** Reads a saved list, dropping anything malformed; null when it is beyond repair. */
+export const normalizeWatchlist = (list) => {
+    if (!list || typeof list.id !== 'string' || typeof list.name !== 'string') return null;
+    const tickers = Array.isArray(list.tickers) ? list.tickers.filter(t => typeof t === 'string').map(t => t.toUpperCase()) : [];
+    const columns = Array.isArray(list.columns) ? list.columns.filter(c => WATCHLIST_COLUMNS[c]) : DEFAULT_WATCHLIST_COLUMNS;
+    return {
+        id: list.id,
+        name: list.name,
+        tickers: [...new Set(tickers)],
+        sort: WATCHLIST_SORTS[list.sort] ? list.sort : DEFAULT_WATCHLIST_SORT,
+        columns,
+    };
+};
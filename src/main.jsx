@@ -1,11 +1,41 @@
 import React from 'react'
 import { createRoot } from 'react-dom/client'
 import App from '../App.jsx'
+import { MarketDataProvider } from './hooks/marketData.jsx'
+import { PortfolioProvider } from './hooks/portfolio.jsx'
+import { WatchlistProvider } from './hooks/watchlists.jsx'
+import { AlertProvider } from './hooks/alerts.jsx'
+import { ToastProvider } from './hooks/toast.jsx'
+import { LlmProvider } from './hooks/llm.jsx'
+import { NewsSummaryProvider } from './hooks/newsSummaries.jsx'
+import { AuthProvider } from './hooks/auth.jsx'
+import { EntitlementProvider } from './hooks/entitlements.jsx'
+import { runMigrations } from './lib/storage.js'
 import './index.css'
 
+runMigrations()
+
 const root = document.getElementById('root')
 createRoot(root).render(
   <React.StrictMode>
-    <App />
+    <ToastProvider>
+      <AuthProvider>
+        <EntitlementProvider>
+          <LlmProvider>
+            <NewsSummaryProvider>
+              <MarketDataProvider>
+                <WatchlistProvider>
+                  <AlertProvider>
+                    <PortfolioProvider>
+                      <App />
+                    </PortfolioProvider>
+                  </AlertProvider>
+                </WatchlistProvider>
+              </MarketDataProvider>
+            </NewsSummaryProvider>
+          </LlmProvider>
+        </EntitlementProvider>
+      </AuthProvider>
+    </ToastProvider>
   </React.StrictMode>
 )
@@ -4,6 +4,15 @@ import react from '@vitejs/plugin-react'
 export default defineConfig({
   plugins: [react()],
   server: {
-    port: 5173
+    port: 5173,
+    // Serverless functions and the stand-in auth API run separately in dev
+    // (npm run api:dev, npm run auth:mock)
+    proxy: {
+      '/api': 'http://localhost:8788',
+      '/auth': {
+        target: 'http://localhost:8789',
+        rewrite: (path) => path.replace(/^\/auth/, '')
+      }
+    }
   }
 })